@@ -1,5 +1,5 @@
 // --- Map Initialization ---
-let map, currentMarker;
+let map, currentMarker, propagationLayer;
 
 // Fix Leaflet marker icon paths (common issue with CDNs and bundlers)
 if (typeof L !== 'undefined') {
@@ -26,6 +26,7 @@ try {
         }).addTo(map);
 
         currentMarker = null;
+        propagationLayer = L.layerGroup().addTo(map);
     }
 } catch (e) {
     console.warn('Failed to initialize map:', e);
@@ -43,20 +44,145 @@ const clearHistoryBtn = document.getElementById('clearHistoryBtn');
 
 const HISTORY_KEY = 'ip_lookup_history';
 
-btn.addEventListener('click', handleAnalyze);
+// Record types offered in the DNS section; the first group is queried by default
+const DEFAULT_DNS_TYPES = ['A', 'AAAA', 'MX', 'TXT', 'NS', 'CNAME', 'SOA', 'PTR'];
+const DNS_RECORD_TYPES = [
+    ...DEFAULT_DNS_TYPES,
+    'CAA', 'SRV', 'DS', 'DNSKEY', 'RRSIG', 'NSEC', 'NSEC3', 'NSEC3PARAM',
+    'TLSA', 'HTTPS', 'SVCB', 'NAPTR', 'SSHFP', 'LOC', 'SPF',
+];
+let selectedDnsTypes = [...DEFAULT_DNS_TYPES];
+
+// --- Config Logic ---
+// API calls go to the origin the page was served from, unless <meta name="api-base"> (a frontend
+// hosted apart from the worker) or the worker's /api/config names another base URL
+let apiBase = (document.querySelector('meta[name="api-base"]')?.content || '').trim().replace(/\/+$/, '');
+// Optional features served by the worker ({ feature: enabled }); anything not listed counts as on
+let enabledFeatures = {};
+
+function isFeatureEnabled(feature) {
+    return enabledFeatures[feature] !== false;
+}
+
+async function loadConfig() {
+    try {
+        const response = await fetch(`${apiBase}/api/config`);
+        const config = await response.json();
+        if (!response.ok) throw new Error(config.error || 'Błąd API');
+
+        if (config.apiBase) apiBase = config.apiBase;
+        enabledFeatures = config.features || {};
+    } catch (err) {
+        // Without a config every feature stays visible and calls go to the current base
+        console.error('Failed to load config:', err);
+    }
+    applyFeatureConfig();
+}
+
+// Hide the controls of features the worker has switched off
+function applyFeatureConfig() {
+    const controls = { bulk: 'bulkToggleBtn', trace: 'traceBtn', propagation: 'propagationBtn', subdomains: 'subdomainsBtn' };
+    for (const [feature, id] of Object.entries(controls)) {
+        document.getElementById(id).classList.toggle('hidden', !isFeatureEnabled(feature));
+    }
+}
+
+btn.addEventListener('click', () => handleAnalyze());
 input.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleAnalyze();
 });
 
+// --- Permalink Logic ---
+// The address bar mirrors the lookup (`?q=`), record types that differ from the defaults (`types=`)
+// and the section opened on demand (`section=`, with `asn=` or `type=` when it needs one), so a
+// copied URL reopens the same view. Each lookup is a history entry; opening a section replaces it.
+const PERMALINK_SECTIONS = ['asn', 'rdap', 'trace', 'propagation', 'subdomains'];
+
+// Query currently shown: a domain, an address or a network
+let currentQuery = null;
+
+function updatePermalink(mode, section = null, details = {}) {
+    if (!mode || !currentQuery) return;
+
+    const params = new URLSearchParams({ q: currentQuery });
+    if (selectedDnsTypes.join(',') !== DEFAULT_DNS_TYPES.join(',')) params.set('types', selectedDnsTypes.join(','));
+    if (section) params.set('section', section);
+    for (const [key, value] of Object.entries(details)) {
+        if (value) params.set(key, value);
+    }
+
+    const url = `${location.pathname}?${params.toString().replace(/%2C/g, ',')}`;
+    if (url === location.pathname + location.search) return;
+    if (mode === 'push') {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+// Record a section opened by the user, keeping the current history entry
+function setPermalinkSection(section, details = {}) {
+    updatePermalink('replace', section, details);
+}
+
+// Restore the lookup described by the address bar; false when it names none
+function restorePermalink(mode) {
+    const params = new URLSearchParams(location.search);
+    const query = params.get('q')?.trim();
+    if (!query) return false;
+
+    const types = (params.get('types') || '').toUpperCase().split(',');
+    selectedDnsTypes = DNS_RECORD_TYPES.filter(type => types.includes(type));
+    if (selectedDnsTypes.length === 0) selectedDnsTypes = [...DEFAULT_DNS_TYPES];
+    renderDnsTypeSelector();
+
+    input.value = query;
+    handleAnalyze({ historyMode: mode }).then(found => {
+        if (found) openPermalinkSection(params);
+    });
+    return true;
+}
+
+function openPermalinkSection(params) {
+    const section = params.get('section');
+    if (!PERMALINK_SECTIONS.includes(section) || !isFeatureEnabled(section)) return;
+
+    const asn = params.get('asn')?.replace(/\D/g, '');
+    if (section === 'asn') {
+        if (asn) handleASNClick(asn);
+        else document.getElementById('asnSection').scrollIntoView({ behavior: 'smooth' });
+    } else if (section === 'rdap') {
+        if (asn) loadRDAP(`AS${asn}`, true);
+        else document.getElementById('rdapSection').scrollIntoView({ behavior: 'smooth' });
+    } else if (section === 'trace') {
+        loadTrace(currentQuery);
+    } else if (section === 'propagation') {
+        const type = params.get('type')?.toUpperCase();
+        loadPropagation(currentQuery, DNS_RECORD_TYPES.includes(type) ? type : undefined);
+    } else if (section === 'subdomains' && !isIPAddress(currentQuery)) {
+        loadSubdomains(currentQuery);
+    }
+}
+
+// Back/forward: show the lookup of the entry without adding a new one
+window.addEventListener('popstate', () => {
+    if (restorePermalink(null)) return;
+    currentQuery = null;
+    input.value = '';
+    resultsDiv.classList.add('hidden');
+    document.getElementById('cidrSection').classList.add('hidden');
+    errorMsg.classList.add('hidden');
+});
+
 // Auto-load user's IP on page load
 async function loadUserIP() {
     try {
-        const response = await fetch('https://api.ip.mordorek.dev/api/myip');
+        const response = await fetch(`${apiBase}/api/myip`);
         const data = await response.json();
         if (data.ip && data.ip !== 'Unknown') {
             input.value = data.ip;
-            // Automatically trigger analysis
-            handleAnalyze();
+            // Automatically trigger analysis; the address becomes the page's own URL
+            handleAnalyze({ historyMode: 'replace' });
         }
     } catch (err) {
         console.error('Failed to load user IP:', err);
@@ -64,15 +190,30 @@ async function loadUserIP() {
     }
 }
 
-// Load user's IP when page loads
+// Load user's IP when page loads, unless the URL is a shared link to another lookup
 window.addEventListener('DOMContentLoaded', () => {
-    loadUserIP();
+    renderDnsTypeSelector();
     renderHistory();
+    loadConfig().then(() => {
+        if (!restorePermalink('replace')) loadUserIP();
+    });
 });
 
-async function handleAnalyze() {
+// Look up the target in the input. `historyMode` is how the lookup enters the browser history:
+// 'push' (a new entry), 'replace' or null (back/forward). Resolves to whether anything was found.
+async function handleAnalyze({ historyMode = 'push' } = {}) {
     let target = input.value.trim();
-    if (!target) return;
+    if (!target) return false;
+
+    // Networks and address ranges go to the subnet calculator
+    if (looksLikeNetwork(target)) {
+        if (!isFeatureEnabled('cidr')) {
+            errorMsg.textContent = 'Analiza sieci jest wyłączona na tym serwerze.';
+            errorMsg.classList.remove('hidden');
+            return false;
+        }
+        return handleCIDR(target, false, { historyMode });
+    }
 
     // Parse URL if provided
     try {
@@ -91,31 +232,40 @@ async function handleAnalyze() {
 
     // Update input field with extracted domain/IP
     input.value = target;
+    currentQuery = target;
+    updatePermalink(historyMode);
 
     // Reset UI
     setLoading(true);
     errorMsg.classList.add('hidden');
     resultsDiv.classList.add('hidden');
+    document.getElementById('cidrSection').classList.add('hidden');
     document.getElementById('asnSection').classList.add('hidden');
+    document.getElementById('dnssecSection').classList.add('hidden');
+    document.getElementById('healthSection').classList.add('hidden');
+    document.getElementById('rdapSection').classList.add('hidden');
 
     try {
-        const response = await fetch(`https://api.ip.mordorek.dev/api/analyze?target=${encodeURIComponent(target)}`);
+        // The types are kept with the results, so exports match them after the selection changes
+        const types = selectedDnsTypes.join(',');
+        const response = await fetch(`${apiBase}/api/analyze?target=${encodeURIComponent(target)}&types=${encodeURIComponent(types)}`);
         const data = await response.json();
 
         if (!response.ok) {
             throw new Error(data.error || 'Nie udało się pobrać danych');
         }
 
-        // Check if domain exists (no DNS records and ipapi failed)
+        // Check if domain exists (no DNS records and no IP information)
         const hasDnsRecords = data.dns ? Object.values(data.dns).some(records => records && records.length > 0) : false;
-        const ipapiFailed = !data.ipapi || data.ipapi.error;
+        const intelFailed = !data.intel || data.intel.error;
 
-        if (ipapiFailed && !hasDnsRecords) {
+        if (intelFailed && !hasDnsRecords && !data.classification) {
             throw new Error('Podana domena nie istnieje lub nie posiada rekordów DNS.');
         }
 
         resultsDiv.classList.remove('hidden');
         renderData(data);
+        lastAnalysisTypes = types;
 
         // Fix for Leaflet map tiles not loading correctly in hidden containers
         if (map) {
@@ -125,10 +275,12 @@ async function handleAnalyze() {
         }
 
         saveToHistory(target);
+        return true;
 
     } catch (err) {
         errorMsg.textContent = err.message;
         errorMsg.classList.remove('hidden');
+        return false;
     } finally {
         setLoading(false);
     }
@@ -146,16 +298,55 @@ function setLoading(isLoading) {
 }
 
 function renderData(data) {
-    renderNetworkCard(data.ipapi);
-    renderInfrastructureCard(data.ipapi);
-    renderGeoCard(data.ipapi);
-    renderMap(data.ipapi);
-    renderAbuseCard(data.ipapi);
-    renderDNS(data.dns);
+    lastAnalysis = data;
+
+    // Special-use addresses are not looked up; the IPv4 address embedded in them may be
+    const intel = data.intel || data.embedded?.intel;
+
+    renderNetworkCard(intel, data);
+    renderInfrastructureCard(intel);
+    renderGeoCard(intel);
+    renderMap(intel);
+    renderAbuseCard(intel);
+    renderDNS(data.dns, data.fcrdns);
+
+    // The delegation trace is started on demand: it sends a few dozen queries
+    document.getElementById('traceSection').classList.add('hidden');
+    document.getElementById('traceBtn').onclick = () => loadTrace(data.target);
+
+    // So is the propagation check, which asks resolvers all over the world
+    document.getElementById('propagationSection').classList.add('hidden');
+    document.getElementById('propagationBtn').onclick = () => loadPropagation(data.target);
+
+    // Certificate transparency only knows domain names
+    document.getElementById('subdomainsSection').classList.add('hidden');
+    const subdomainsBtn = document.getElementById('subdomainsBtn');
+    subdomainsBtn.classList.toggle('hidden', isIPAddress(data.target) || !isFeatureEnabled('subdomains'));
+    subdomainsBtn.onclick = () => loadSubdomains(data.target);
+
+    // DNSSEC and the zone health report only apply to domain names
+    if (!isIPAddress(data.target)) {
+        if (isFeatureEnabled('dnssec')) loadDNSSEC(data.target);
+        if (isFeatureEnabled('health')) loadHealth(data.target);
+    }
+
+    // Registration data: the domain itself or the network the address belongs to (none for bogons)
+    // and the web server behind the target, which the API refuses to reach on special-use addresses
+    const bogon = data.classification?.bogon && isIPAddress(data.target);
+    if (bogon || !isFeatureEnabled('rdap')) {
+        document.getElementById('rdapSection').classList.add('hidden');
+    } else {
+        loadRDAP(data.target);
+    }
+    if (bogon || !isFeatureEnabled('http')) {
+        document.getElementById('webCard').classList.add('hidden');
+    } else {
+        loadHTTP(data.target);
+    }
 
     // Automatically trigger ASN details if available
-    if (data.ipapi?.asn?.asn) {
-        handleASNClick(data.ipapi.asn.asn, false);
+    if (intel?.network?.asn && isFeatureEnabled('asn')) {
+        handleASNClick(intel.network.asn, false);
     } else {
         document.getElementById('asnSection').classList.add('hidden');
     }
@@ -216,23 +407,96 @@ if (clearHistoryBtn) {
     });
 }
 
-function renderNetworkCard(ipapi) {
+// Helper to show a provider flag: unknown when no provider reported it
+function formatFlag(...values) {
+    if (values.some(Boolean)) return 'Tak';
+    return values.some(value => value === false) ? 'Nie' : null;
+}
+
+// Special-use address categories (src/special.js) explained in the network card
+const SPECIAL_CATEGORY_DESCRIPTIONS = {
+    private: 'Adres z puli prywatnej, używany wyłącznie w sieciach lokalnych i nieroutowany w internecie.',
+    cgnat: 'Adres z przestrzeni współdzielonej (CGNAT): operator ukrywa klientów za wspólnym publicznym adresem.',
+    loopback: 'Adres pętli zwrotnej, który zawsze wskazuje na ten sam komputer.',
+    'link-local': 'Adres lokalny łącza, ważny tylko w obrębie jednego segmentu sieci.',
+    documentation: 'Adres zarezerwowany dla przykładów w dokumentacji; nie występuje w prawdziwych sieciach.',
+    benchmarking: 'Adres zarezerwowany do testów wydajności urządzeń sieciowych.',
+    multicast: 'Adres grupowy (multicast), który nie wskazuje pojedynczego hosta.',
+    broadcast: 'Adres rozgłoszeniowy sieci lokalnej.',
+    unspecified: 'Adres nieokreślony, używany zanim host otrzyma własny adres.',
+    reserved: 'Adres zarezerwowany, który nie jest przydzielany w internecie.',
+    translation: 'Adres mechanizmu przejściowego między IPv4 a IPv6.',
+};
+
+const EMBEDDED_MECHANISM_LABELS = {
+    'ipv4-mapped': 'IPv4 zmapowany na IPv6',
+    nat64: 'NAT64',
+    '6to4': '6to4',
+    teredo: 'Teredo',
+};
+
+// Helper to explain a special-use address and the IPv4 address embedded in it
+function renderAddressClassification(data) {
+    const { classification, embedded } = data;
+    if (!classification || classification.ranges.length === 0) return '';
+
+    const ranges = classification.ranges.map(range => `
+        <div>
+            <div class="flex items-center gap-2">
+                <span class="text-zinc-200 font-medium text-sm">${escapeHtml(range.name)}</span>
+                <span class="text-zinc-500 text-[10px] font-mono">${escapeHtml([range.cidr, range.rfc].filter(Boolean).join(' · '))}</span>
+            </div>
+            <p class="text-zinc-400 text-xs mt-1">${SPECIAL_CATEGORY_DESCRIPTIONS[range.category] || ''}</p>
+        </div>
+    `).join('');
+
+    const embeddedInfo = embedded ? `
+        <div class="text-xs text-zinc-400">
+            Zawiera adres IPv4 (${EMBEDDED_MECHANISM_LABELS[embedded.mechanism] || escapeHtml(embedded.mechanism)}):
+            <button onclick="input.value = '${escapeHtml(embedded.ip)}'; handleAnalyze();" class="text-sky-400 hover:text-sky-300 font-mono">${escapeHtml(embedded.ip)}</button>
+            ${embedded.server ? `<span class="text-zinc-500">· serwer ${escapeHtml(embedded.server)}</span>` : ''}
+            ${embedded.intel ? '<div class="text-zinc-500 mt-1">Poniższe dane dotyczą tego adresu IPv4.</div>' : ''}
+        </div>
+    ` : '';
+
+    const badge = classification.bogon
+        ? '<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border bg-amber-500/10 text-amber-400 border-amber-500/30">Adres specjalny</span>'
+        : '';
+
+    return `
+        <div class="bg-zinc-800/30 rounded-xl p-4 border border-zinc-700/30 space-y-3 mb-2">
+            ${badge}
+            ${ranges}
+            ${embeddedInfo}
+        </div>
+    `;
+}
+
+function renderNetworkCard(intel, data = {}) {
     const container = document.getElementById('networkInfoGrid');
-    container.innerHTML = '';
+    container.innerHTML = renderAddressClassification(data);
 
-    if (!ipapi || ipapi.error) {
-        container.innerHTML = `<div class="text-red-400 text-sm italic">Brak danych o sieci.</div>`;
+    if (!intel || intel.error) {
+        if (!data.classification?.bogon) {
+            container.innerHTML += `<div class="text-red-400 text-sm italic">Brak danych o sieci.</div>`;
+        }
         return;
     }
 
+    const { flags = {} } = intel;
+    const sources = (intel.providers || []).filter(p => p.status === 'ok').map(p => p.id);
+    const confirmation = data.fcrdns?.results.find(result => result.ip === intel.ip);
+
     const fields = [
-        { label: 'Adres IP', value: ipapi.ip, copy: true },
-        { label: 'Dostawca (ISP)', value: ipapi.asn?.org || ipapi.company?.name },
-        { label: 'ASN', value: ipapi.asn?.asn ? `AS${ipapi.asn.asn}` : 'N/A', isASN: true },
-        { label: 'Organizacja', value: ipapi.company?.name },
-        { label: 'Typ firmy', value: ipapi.company?.type },
-        { label: 'Hosting/DC', value: ipapi.is_datacenter ? 'Tak' : 'Nie' },
-        { label: 'Proxy/VPN/Tor', value: (ipapi.is_proxy || ipapi.is_vpn || ipapi.is_tor) ? 'Tak' : 'Nie' },
+        { label: 'Adres IP', value: intel.ip, copy: true },
+        { label: 'Dostawca (ISP)', value: intel.network?.org || intel.company?.name },
+        { label: 'ASN', value: intel.network?.asn ? `AS${intel.network.asn}` : 'N/A', isASN: true },
+        { label: 'Organizacja', value: intel.company?.name },
+        { label: 'Typ firmy', value: intel.company?.type },
+        { label: 'Hosting/DC', value: formatFlag(flags.datacenter) },
+        { label: 'Proxy/VPN/Tor', value: formatFlag(flags.proxy, flags.vpn, flags.tor) },
+        { label: 'FCrDNS', value: confirmation && FCRDNS_STATUS_STYLES[confirmation.status]?.label },
+        { label: 'Źródła danych', value: sources.join(', ') },
     ];
 
     fields.forEach(field => {
@@ -242,7 +506,7 @@ function renderNetworkCard(ipapi) {
         let valueContent = `<span class="text-zinc-200 font-medium text-sm text-right truncate max-w-[60%]">${field.value || 'N/A'}</span>`;
 
         if (field.isASN && field.value && field.value !== 'N/A') {
-            const asnNumber = ipapi.asn.asn;
+            const asnNumber = intel.network.asn;
             valueContent = `
                 <button onclick="handleASNClick('${asnNumber}')" class="text-sky-400 hover:text-sky-300 font-medium text-sm text-right truncate max-w-[60%] transition-colors flex items-center gap-1 ml-auto">
                     ${field.value}
@@ -276,31 +540,31 @@ function copyToClipboard(text) {
     });
 }
 
-function renderInfrastructureCard(ipapi) {
+function renderInfrastructureCard(intel) {
     const container = document.getElementById('infrastructureGrid');
     container.innerHTML = '';
 
-    if (!ipapi || (!ipapi.datacenter && !ipapi.asn?.route)) {
+    if (!intel || intel.error || (!intel.datacenter && !intel.network?.route)) {
         return;
     }
 
     // Datacenter
-    if (ipapi.datacenter) {
+    if (intel.datacenter) {
         const div = document.createElement('div');
         div.className = 'border-t border-zinc-800 pt-3 mt-1';
         div.innerHTML = `
             <span class="text-zinc-500 text-xs uppercase tracking-wider block mb-2">Centrum Danych</span>
             <div class="space-y-1">
-                <div class="flex justify-between text-xs"><span class="text-zinc-500">Nazwa:</span> <span class="text-zinc-300">${ipapi.datacenter.datacenter}</span></div>
-                <div class="flex justify-between text-xs"><span class="text-zinc-500">Usługa:</span> <span class="text-zinc-300">${ipapi.datacenter.service}</span></div>
-                <div class="flex justify-between text-xs"><span class="text-zinc-500">Zakres:</span> <span class="text-zinc-300">${ipapi.datacenter.network}</span></div>
+                <div class="flex justify-between text-xs"><span class="text-zinc-500">Nazwa:</span> <span class="text-zinc-300">${intel.datacenter.name || 'N/A'}</span></div>
+                <div class="flex justify-between text-xs"><span class="text-zinc-500">Usługa:</span> <span class="text-zinc-300">${intel.datacenter.service || 'N/A'}</span></div>
+                <div class="flex justify-between text-xs"><span class="text-zinc-500">Zakres:</span> <span class="text-zinc-300">${intel.datacenter.network || 'N/A'}</span></div>
             </div>
         `;
         container.appendChild(div);
     }
 
     // Route
-    if (ipapi.asn?.route) {
+    if (intel.network?.route) {
         const div = document.createElement('div');
         // If datacenter exists, add border between them. 
         // If not, add border-t to separate from Network Card section
@@ -308,20 +572,20 @@ function renderInfrastructureCard(ipapi) {
         div.innerHTML = `
             <span class="text-zinc-500 text-xs uppercase tracking-wider">Trasa (Route)</span>
             <div class="bg-zinc-800 text-sky-400 px-2 py-0.5 rounded text-xs border border-zinc-700 font-mono">
-                ${ipapi.asn.route}
+                ${intel.network.route}
             </div>
         `;
         container.appendChild(div);
     }
 }
 
-function renderVulns(ipapi) {
+function renderVulns(intel) {
     const container = document.getElementById('vulnsContainer');
     if (!container) return;
     container.innerHTML = '';
 
-    // ipapi.is doesn't provide CVEs, but it provides abuser score
-    if (!ipapi || !ipapi.is_abuser) {
+    // The providers don't report CVEs, but ipapi.is flags known abusers
+    if (!intel || !intel.flags?.abuser) {
         container.innerHTML = '<div class="text-zinc-600 text-sm italic text-center py-2">Brak wykrytych zagrożeń.</div>';
         return;
     }
@@ -336,11 +600,11 @@ function renderVulns(ipapi) {
     `;
 }
 
-function renderGeoCard(ipapi) {
+function renderGeoCard(intel) {
     const container = document.getElementById('geoDetailsGrid');
     container.innerHTML = '';
 
-    if (!ipapi || !ipapi.location) {
+    if (!intel || !intel.location) {
         container.innerHTML = '<div class="text-zinc-600 text-sm italic col-span-full">Brak danych geograficznych.</div>';
         return;
     }
@@ -366,17 +630,18 @@ function renderGeoCard(ipapi) {
         }
     };
 
+    const { location } = intel;
     const fields = [
-        { label: 'Kraj', value: `${ipapi.location.country} (${ipapi.location.country_code})` },
-        { label: 'Region/Stan', value: ipapi.location.state },
-        { label: 'Miasto', value: ipapi.location.city },
-        { label: 'Kod pocztowy', value: ipapi.location.zip },
-        { label: 'Strefa czasowa', value: ipapi.location.timezone },
-        { label: 'Lokalny czas', value: formatLocalTime(ipapi.location.local_time) },
-        { label: 'Współrzędne', value: `${ipapi.location.latitude}, ${ipapi.location.longitude}` },
-        { label: 'Waluta', value: ipapi.location.currency_code },
-        { label: 'Numer kierunkowy', value: `+${ipapi.location.calling_code}` },
-        { label: 'Członek UE', value: ipapi.location.is_eu_member ? 'Tak' : 'Nie' },
+        { label: 'Kraj', value: location.country ? `${location.country} (${location.countryCode})` : location.countryCode },
+        { label: 'Region/Stan', value: location.region },
+        { label: 'Miasto', value: location.city },
+        { label: 'Kod pocztowy', value: location.postalCode },
+        { label: 'Strefa czasowa', value: location.timezone },
+        { label: 'Lokalny czas', value: formatLocalTime(location.localTime) },
+        { label: 'Współrzędne', value: location.latitude != null ? `${location.latitude}, ${location.longitude}` : null },
+        { label: 'Waluta', value: location.currency },
+        { label: 'Numer kierunkowy', value: location.callingCode ? `+${location.callingCode}` : null },
+        { label: 'Członek UE', value: formatFlag(location.isEU) },
     ];
 
     fields.forEach(field => {
@@ -390,7 +655,7 @@ function renderGeoCard(ipapi) {
     });
 }
 
-function renderMap(ipapi) {
+function renderMap(intel) {
     const mapOverlay = document.getElementById('mapOverlay');
 
     // Always clear existing marker before checking for new location
@@ -398,14 +663,15 @@ function renderMap(ipapi) {
         map.removeLayer(currentMarker);
         currentMarker = null;
     }
+    if (propagationLayer) propagationLayer.clearLayers();
 
-    if (!ipapi || !ipapi.location || !ipapi.location.latitude) {
+    if (!intel || !intel.location || intel.location.latitude == null) {
         mapOverlay.classList.remove('hidden');
         return;
     }
 
     mapOverlay.classList.add('hidden');
-    const { latitude, longitude, city, country } = ipapi.location;
+    const { latitude, longitude, city, country, countryCode } = intel.location;
 
     if (map) {
         // Ensure map is correctly sized especially when hidden container became visible
@@ -414,20 +680,22 @@ function renderMap(ipapi) {
 
 
         currentMarker = L.marker([latitude, longitude]).addTo(map);
-        currentMarker.bindPopup(`<b class="text-zinc-900">${city}, ${country}</b>`).openPopup();
+        const place = [city, country || countryCode].filter(Boolean).join(', ');
+        currentMarker.bindPopup(`<b class="text-zinc-900">${escapeHtml(place)}</b>`).openPopup();
     }
 }
 
-function renderAbuseCard(ipapi) {
+function renderAbuseCard(intel) {
     const content = document.getElementById('abuseCardContent');
     content.innerHTML = '';
 
-    if (!ipapi) {
+    if (!intel || intel.error) {
         content.innerHTML = '<div class="text-zinc-600 text-sm italic">Brak danych o nadużyciach.</div>';
         return;
     }
 
-    const { is_abuser, company, asn, abuse } = ipapi;
+    const { flags = {}, company, network, abuse } = intel;
+    const is_abuser = flags.abuser;
 
     const abuserScore = is_abuser ? 100 : 0;
     const scoreText = is_abuser ? "Wysokie" : "Niskie";
@@ -457,11 +725,11 @@ function renderAbuseCard(ipapi) {
                     <div class="text-zinc-500 text-[10px] uppercase mb-1">Abuser Score (ASN/Company)</div>
                     <div class="flex justify-between items-center">
                         <span class="text-zinc-200 text-xs">ASN:</span>
-                        <span class="text-xs ${asn?.abuser_score?.includes('Low') ? 'text-emerald-500' : 'text-red-400'} font-mono">${asn?.abuser_score || 'N/A'}</span>
+                        <span class="text-xs ${network?.abuserScore?.includes('Low') ? 'text-emerald-500' : 'text-red-400'} font-mono">${network?.abuserScore || 'N/A'}</span>
                     </div>
                     <div class="flex justify-between items-center mt-1">
                         <span class="text-zinc-200 text-xs">Firma:</span>
-                        <span class="text-xs ${company?.abuser_score?.includes('Low') ? 'text-emerald-500' : 'text-red-400'} font-mono">${company?.abuser_score || 'N/A'}</span>
+                        <span class="text-xs ${company?.abuserScore?.includes('Low') ? 'text-emerald-500' : 'text-red-400'} font-mono">${company?.abuserScore || 'N/A'}</span>
                     </div>
                 </div>
             </div>
@@ -469,20 +737,171 @@ function renderAbuseCard(ipapi) {
     `;
 
     // Call renderVulns too as it was part of security section
-    renderVulns(ipapi);
+    renderVulns(intel);
+}
+
+// --- Export Logic ---
+// The JSON export and the print report are built from the results on screen; Markdown and CSV
+// come from /api/analyze?format=md|csv, so they match what scripts get from the API. They are
+// requested with the record types the results on screen were fetched with.
+let lastAnalysis = null;
+let lastAnalysisTypes = DEFAULT_DNS_TYPES.join(',');
+// Answers of /api/asn by AS number, for the ASN details in exports
+const asnDetails = new Map();
+
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+
+exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const open = exportMenu.classList.toggle('hidden') === false;
+    exportBtn.setAttribute('aria-expanded', open);
+});
+document.addEventListener('click', () => {
+    exportMenu.classList.add('hidden');
+    exportBtn.setAttribute('aria-expanded', false);
+});
+exportMenu.querySelectorAll('.export-option').forEach(option => {
+    option.addEventListener('click', () => handleExport(option.dataset.export));
+});
+
+// Helper to turn the target into a safe file name part
+function exportFileName(prefix, extension) {
+    return `${prefix}-${lastAnalysis.target.replace(/[^a-z0-9.-]+/gi, '_')}.${extension}`;
+}
+
+// The analysis with the details of its AS (the same shape as /api/analyze?asn=1)
+function exportPayload() {
+    const asn = (lastAnalysis.intel || lastAnalysis.embedded?.intel)?.network?.asn;
+    const details = asn && asnDetails.get(String(asn));
+    return details ? { ...lastAnalysis, asnDetails: details } : lastAnalysis;
+}
+
+async function handleExport(kind) {
+    if (!lastAnalysis) return;
+
+    try {
+        if (kind === 'json') {
+            downloadFile(JSON.stringify(exportPayload(), null, 2), exportFileName('analiza', 'json'), 'application/json');
+        } else if (kind === 'md' || kind === 'csv') {
+            const types = encodeURIComponent(lastAnalysisTypes);
+            const response = await fetch(`${apiBase}/api/analyze?target=${encodeURIComponent(lastAnalysis.target)}&types=${types}&asn=1&format=${kind}`);
+            const body = await response.text();
+            if (!response.ok) throw new Error('Błąd API');
+
+            if (kind === 'md') downloadFile(body, exportFileName('raport', 'md'), 'text/markdown');
+            else downloadFile(body, exportFileName('dns', 'csv'), 'text/csv');
+        } else if (kind === 'print') {
+            openPrintReport(exportPayload());
+        }
+    } catch (err) {
+        errorMsg.textContent = `Eksport nie powiódł się: ${err.message}`;
+        errorMsg.classList.remove('hidden');
+    }
+}
+
+// Open a light, print-friendly report in a new tab and bring up the print dialog (save as PDF)
+function openPrintReport(data) {
+    const intel = data.intel || data.embedded?.intel;
+    const asn = data.asnDetails;
+    const table = (header, rows) => `
+        <table>
+            <thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell ?? '—')}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>
+    `;
+    const fields = pairs => table(['Pole', 'Wartość'], pairs.filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+    const records = Object.entries(data.dns || {}).flatMap(([type, list]) => (list || []).map(r => [type, r.name, r.TTL, r.data]));
+    const sections = [
+        `<h2>Rekordy DNS</h2>${records.length > 0 ? table(['Typ', 'Nazwa', 'TTL', 'Wartość'], records) : '<p>Brak rekordów.</p>'}`,
+    ];
+
+    if (intel && !intel.error) {
+        const flags = ['datacenter', 'proxy', 'vpn', 'tor', 'abuser', 'mobile'].filter(flag => intel.flags?.[flag]);
+        sections.push(`<h2>Informacje o adresie IP</h2>${fields([
+            ['Adres IP', intel.ip],
+            ['Kraj', intel.location?.country],
+            ['Region', intel.location?.region],
+            ['Miasto', intel.location?.city],
+            ['ASN', intel.network?.asn ? `AS${intel.network.asn}` : null],
+            ['Dostawca (ISP)', intel.network?.org],
+            ['Trasa (Route)', intel.network?.route],
+            ['Organizacja', intel.company?.name],
+            ['Centrum danych', intel.datacenter?.name],
+            ['Abuse', intel.abuse?.email],
+            ['Flagi', flags.join(', ') || 'brak'],
+        ])}`);
+    } else if (data.classification?.bogon) {
+        sections.push('<h2>Informacje o adresie IP</h2><p>Adres specjalnego przeznaczenia — bez danych o sieci.</p>');
+    }
+
+    if (data.fcrdns) {
+        const rows = data.fcrdns.results.flatMap(result => result.names.length > 0
+            ? result.names.map(name => [result.ip, name.name, name.confirmed ? 'potwierdzony' : 'niezgodny'])
+            : [[result.ip, '—', result.error || (result.status === 'no-ptr' ? 'brak PTR' : result.status)]]);
+        sections.push(`<h2>FCrDNS: ${data.fcrdns.confirmed ? 'potwierdzony' : 'niepotwierdzony'}</h2>${table(['Adres', 'PTR', 'Wynik'], rows)}`);
+    }
+
+    if (asn) {
+        const bgp = asn.bgp && !asn.bgp.error ? asn.bgp : null;
+        sections.push(`<h2>AS${asn.asn} ${escapeHtml(asn.org || '')}</h2>${fields([
+            ['Kraj', asn.country],
+            ['RIR', asn.rir],
+            ['Typ', asn.type],
+            ['Domena', asn.domain],
+            ['Prefiksy IPv4/IPv6', bgp ? `${bgp.prefixCounts.ipv4} / ${bgp.prefixCounts.ipv6}` : null],
+            ['Adresy IPv4', bgp ? Number(bgp.addresses.ipv4).toLocaleString('pl-PL') : null],
+            ['Dostawcy tranzytu', bgp ? bgp.peers.upstream.map(peer => `AS${peer.asn}`).join(', ') : null],
+            ['Punkty wymiany ruchu', bgp ? bgp.ixps.map(ix => ix.name).join(', ') : null],
+        ])}`);
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="pl">
+<head>
+<meta charset="UTF-8">
+<title>Raport: ${escapeHtml(data.target)}</title>
+<style>
+    @page { margin: 15mm; }
+    body { font-family: system-ui, sans-serif; color: #18181b; font-size: 11pt; margin: 0 auto; max-width: 190mm; }
+    h1 { font-size: 18pt; margin-bottom: 2pt; }
+    h2 { font-size: 13pt; margin: 18pt 0 6pt; border-bottom: 1px solid #d4d4d8; padding-bottom: 3pt; break-after: avoid; }
+    .meta { color: #71717a; font-size: 9pt; }
+    table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+    th, td { text-align: left; padding: 3pt 6pt; border: 1px solid #e4e4e7; vertical-align: top; word-break: break-all; }
+    th { background: #f4f4f5; }
+    tr { break-inside: avoid; }
+</style>
+</head>
+<body onload="window.print()">
+<h1>Raport: ${escapeHtml(data.target)}</h1>
+<p class="meta">Wygenerowano ${escapeHtml(new Date().toLocaleString('pl-PL'))} · ${escapeHtml(location.href)}</p>
+${sections.join('\n')}
+</body>
+</html>`;
+
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
 }
 
 // --- ASN Logic ---
+// AS number last asked for: answers to earlier clicks are dropped
+let asnRequest = null;
+
 async function handleASNClick(asnNumber, autoScroll = true) {
-    if (!asnNumber) return;
+    if (!asnNumber || !isFeatureEnabled('asn')) return;
 
     const section = document.getElementById('asnSection');
     const content = document.getElementById('asnContent');
+    asnRequest = String(asnNumber);
 
     // Show section and show loading state
     section.classList.remove('hidden');
     if (autoScroll) {
         section.scrollIntoView({ behavior: 'smooth' });
+        setPermalinkSection('asn', { asn: asnNumber });
     }
     content.innerHTML = `
         <div class="col-span-full flex flex-col items-center py-12 text-zinc-500">
@@ -490,21 +909,24 @@ async function handleASNClick(asnNumber, autoScroll = true) {
                 <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                 <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
-            <p>Pobieranie szczegółów ASN ${asnNumber}...</p>
+            <p>Pobieranie szczegółów ASN ${escapeHtml(asnNumber)}...</p>
         </div>
     `;
 
     try {
-        const response = await fetch(`https://api.ip.mordorek.dev/api/asn?asn=${asnNumber}`);
+        const response = await fetch(`${apiBase}/api/asn?asn=${asnNumber}`);
         const data = await response.json();
+        if (asnRequest !== String(asnNumber)) return;
 
         if (!response.ok) throw new Error(data.error || 'Błąd API');
 
+        asnDetails.set(String(data.asn), data);
         renderASNInfo(data);
     } catch (err) {
+        if (asnRequest !== String(asnNumber)) return;
         content.innerHTML = `
             <div class="col-span-full p-4 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-center">
-                Błąd: ${err.message}
+                Błąd: ${escapeHtml(err.message)}
             </div>
         `;
     }
@@ -513,20 +935,21 @@ async function handleASNClick(asnNumber, autoScroll = true) {
 function renderASNInfo(data) {
     const content = document.getElementById('asnContent');
 
-    // ipapi.is ASN response structure (from ?q=AS...)
-    const asnData = (data.asn && typeof data.asn === 'object') ? data.asn : data;
+    // Merged ASN record from the IP intelligence providers
+    const asnData = data;
 
     const fields = [
         { label: 'Numer ASN', value: `AS${asnData.asn}` },
         { label: 'Organizacja', value: asnData.org },
-        { label: 'Opis', value: asnData.descr },
-        { label: 'Kraj', value: asnData.country?.toUpperCase() },
+        { label: 'Opis', value: asnData.description },
+        { label: 'Kraj', value: asnData.country },
         { label: 'Typ', value: asnData.type },
         { label: 'Data powstania', value: asnData.created },
         { label: 'Ostatnia aktualizacja', value: asnData.updated },
         { label: 'RIR', value: asnData.rir },
         { label: 'Abuse Email', value: asnData.abuse },
-        { label: 'Domena', value: asnData.domain, isLink: true },
+        { label: 'Domena', value: asnData.domain, isLink: isHostname(asnData.domain) },
+        { label: 'Prefiksy IPv4/IPv6', value: asnData.prefixes ? `${asnData.prefixes.length} / ${asnData.prefixesIPv6?.length ?? 0}` : null },
     ];
 
     let html = `
@@ -537,8 +960,8 @@ function renderASNInfo(data) {
                     <div class="flex justify-between items-center border-b border-zinc-800/50 pb-2 last:border-0 last:pb-0">
                         <span class="text-zinc-500 text-xs">${f.label}</span>
                         ${f.isLink && f.value ? 
-                            `<a href="http://${f.value}" target="_blank" class="text-sky-400 hover:underline text-sm truncate max-w-[60%]">${f.value}</a>` :
-                            `<span class="text-zinc-200 font-medium text-sm truncate max-w-[60%]">${f.value || 'N/A'}</span>`
+                            `<a href="http://${escapeHtml(f.value)}" target="_blank" class="text-sky-400 hover:underline text-sm truncate max-w-[60%]">${escapeHtml(f.value)}</a>` :
+                            `<span class="text-zinc-200 font-medium text-sm truncate max-w-[60%]">${f.value ? escapeHtml(f.value) : 'N/A'}</span>`
                         }
                     </div>
                  `).join('')}
@@ -554,25 +977,1379 @@ function renderASNInfo(data) {
                     <path stroke-linecap="round" stroke-linejoin="round" d="M12 21a9.004 9.004 0 0 0 8.716-6.747M12 21a9.004 9.004 0 0 1-8.716-6.747M12 21c2.485 0 4.5-4.03 4.5-9S14.485 3 12 3m0 18c-2.485 0-4.5-4.03-4.5-9S9.515 3 12 3m0 0a8.997 8.997 0 0 1 7.843 4.582M12 3a8.997 8.997 0 0 0-7.843 4.582m15.686 0A11.953 11.953 0 0 1 12 10.5c-2.998 0-5.74-1.1-7.843-2.918m15.686 0A8.959 8.959 0 0 1 21 12c0 .778-.099 1.533-.284 2.253m0 0A17.919 17.919 0 0 1 12 16.5c-3.162 0-6.133-.815-8.716-2.247m0 0A9.015 9.015 0 0 1 3 12c0-1.605.42-3.113 1.157-4.418" />
                 </svg>
              </div>
-             <div class="text-zinc-200 font-bold text-xl mb-1">${asnData.org}</div>
-             <div class="text-zinc-500 text-xs uppercase tracking-widest">${asnData.country} &bull; ${asnData.type}</div>
-             <a href="https://api.ipapi.is/?q=AS${asnData.asn}" target="_blank" class="mt-6 text-xs text-sky-400 border border-sky-500/30 px-4 py-2 rounded-full hover:bg-sky-500/10 transition-colors">
-                Zobacz WHOIS w ipapi.is
-             </a>
+             <div class="text-zinc-200 font-bold text-xl mb-1">${escapeHtml(asnData.org || `AS${asnData.asn}`)}</div>
+             <div class="text-zinc-500 text-xs uppercase tracking-widest">${[asnData.country, asnData.type].filter(Boolean).map(escapeHtml).join(' &bull; ')}</div>
+             <div class="mt-6 flex flex-wrap justify-center gap-2">
+                ${isFeatureEnabled('rdap') ? `
+                <button onclick="loadRDAP('AS${asnData.asn}', true)" class="text-xs text-teal-400 border border-teal-500/30 px-4 py-2 rounded-full hover:bg-teal-500/10 transition-colors">
+                    Rejestracja (RDAP)
+                </button>` : ''}
+                <a href="https://stat.ripe.net/AS${asnData.asn}" target="_blank" class="text-xs text-sky-400 border border-sky-500/30 px-4 py-2 rounded-full hover:bg-sky-500/10 transition-colors">
+                    Zobacz w RIPEstat
+                </a>
+             </div>
         </div>
     `;
 
+    html += renderBGP(asnData.bgp);
+
     content.innerHTML = html;
+
+    // Prefixes open the subnet view, neighbours the ASN view of their own
+    content.querySelectorAll('.asn-prefix').forEach(button => {
+        button.addEventListener('click', () => {
+            input.value = button.dataset.prefix;
+            handleCIDR(button.dataset.prefix);
+        });
+    });
+}
+
+const BGP_RELATION_LABELS = {
+    upstream: 'Dostawcy tranzytu (upstream)',
+    downstream: 'Klienci (downstream)',
+    peer: 'Peering',
+    uncertain: 'Relacja nieustalona',
+};
+
+// Helper function to describe the IPv6 space of an AS in /48 sites (plain addresses when smaller)
+function formatIPv6Space(addresses) {
+    const count = BigInt(addresses);
+    const sites = count >> 80n;
+    return sites > 0n ? `${sites.toLocaleString('pl-PL')} × /48` : `${count.toLocaleString('pl-PL')} adresów`;
+}
+
+function renderBGP(bgp) {
+    if (!bgp) return '';
+    if (bgp.error) {
+        return `
+            <div class="col-span-full bg-zinc-800/30 rounded-2xl p-5 border border-zinc-700/30 text-zinc-500 text-sm italic">
+                Brak danych BGP: ${escapeHtml(bgp.message)}
+            </div>
+        `;
+    }
+
+    const prefixList = family => bgp.prefixes[family].map(p => `
+        <button data-prefix="${escapeHtml(p.prefix)}" ${isFeatureEnabled('cidr') ? '' : 'disabled'} class="asn-prefix disabled:pointer-events-none font-mono text-xs bg-zinc-800/50 border border-zinc-700/50 rounded px-2 py-0.5 text-sky-400 hover:text-sky-300 hover:border-sky-500/30 transition-colors" title="${escapeHtml(p.description || p.name || 'Otwórz w kalkulatorze podsieci')}">${escapeHtml(p.prefix)}</button>
+    `).join('');
+    const shownOf = (shown, total) => shown < total ? ` (${shown} z ${total})` : ` (${total})`;
+
+    const peerGroups = Object.keys(BGP_RELATION_LABELS).filter(relation => bgp.peers[relation].length > 0).map(relation => `
+        <div>
+            <div class="text-zinc-500 text-[10px] uppercase tracking-wider mb-1">${BGP_RELATION_LABELS[relation]}${shownOf(bgp.peers[relation].length, bgp.peerCounts[relation])}</div>
+            <div class="flex flex-wrap gap-1">
+                ${bgp.peers[relation].map(peer => `
+                    <button onclick="handleASNClick('${peer.asn}')" class="text-xs bg-zinc-800/50 border border-zinc-700/50 rounded px-2 py-0.5 hover:border-purple-500/30 transition-colors" title="${escapeHtml([peer.name, peer.country].filter(Boolean).join(' · '))}">
+                        <span class="text-purple-400 font-mono">AS${peer.asn}</span>${peer.name ? ` <span class="text-zinc-400">${escapeHtml(peer.name)}</span>` : ''}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="bg-zinc-800/30 rounded-2xl p-5 border border-zinc-700/30 space-y-3">
+            <h3 class="text-zinc-400 text-xs font-bold uppercase tracking-wider mb-4">Przestrzeń adresowa</h3>
+            <div class="flex justify-between items-center border-b border-zinc-800/50 pb-2">
+                <span class="text-zinc-500 text-xs">Adresy IPv4</span>
+                <span class="text-zinc-200 font-medium text-sm">${Number(bgp.addresses.ipv4).toLocaleString('pl-PL')}</span>
+            </div>
+            <div class="flex justify-between items-center border-b border-zinc-800/50 pb-2">
+                <span class="text-zinc-500 text-xs">Przestrzeń IPv6</span>
+                <span class="text-zinc-200 font-medium text-sm">${formatIPv6Space(bgp.addresses.ipv6)}</span>
+            </div>
+            <div class="flex justify-between items-center border-b border-zinc-800/50 pb-2">
+                <span class="text-zinc-500 text-xs">Prefiksy IPv4/IPv6</span>
+                <span class="text-zinc-200 font-medium text-sm">${bgp.prefixCounts.ipv4} / ${bgp.prefixCounts.ipv6}</span>
+            </div>
+            <div class="flex justify-between items-center">
+                <span class="text-zinc-500 text-xs">Źródło danych BGP</span>
+                <span class="text-zinc-200 font-medium text-sm">${escapeHtml(bgp.source)}</span>
+            </div>
+        </div>
+
+        <div class="lg:col-span-2 bg-zinc-800/30 rounded-2xl p-5 border border-zinc-700/30 space-y-3">
+            <h3 class="text-zinc-400 text-xs font-bold uppercase tracking-wider mb-4">Ogłaszane prefiksy</h3>
+            ${['ipv4', 'ipv6'].map(family => bgp.prefixes[family].length > 0 ? `
+                <div>
+                    <div class="text-zinc-500 text-[10px] uppercase tracking-wider mb-1">${family === 'ipv4' ? 'IPv4' : 'IPv6'}${shownOf(bgp.prefixes[family].length, bgp.prefixCounts[family])}</div>
+                    <div class="flex flex-wrap gap-1 max-h-48 overflow-y-auto">${prefixList(family)}</div>
+                </div>
+            ` : '').join('') || '<div class="text-zinc-500 text-sm italic">AS nie ogłasza żadnych prefiksów</div>'}
+        </div>
+
+        <div class="lg:col-span-2 bg-zinc-800/30 rounded-2xl p-5 border border-zinc-700/30 space-y-3">
+            <h3 class="text-zinc-400 text-xs font-bold uppercase tracking-wider mb-4">Sąsiedzi BGP</h3>
+            ${peerGroups || '<div class="text-zinc-500 text-sm italic">Brak sąsiadów w danych BGP</div>'}
+        </div>
+
+        <div class="bg-zinc-800/30 rounded-2xl p-5 border border-zinc-700/30 space-y-2">
+            <h3 class="text-zinc-400 text-xs font-bold uppercase tracking-wider mb-4">Punkty wymiany ruchu (IXP)</h3>
+            ${bgp.ixps.length > 0 ? bgp.ixps.map(ix => `
+                <div class="border-b border-zinc-800/50 pb-2 last:border-0">
+                    <div class="text-zinc-200 text-sm font-medium">${escapeHtml(ix.name)}</div>
+                    <div class="text-zinc-500 text-xs">${escapeHtml([ix.city, ix.country].filter(Boolean).join(', '))}</div>
+                    <div class="font-mono text-[10px] text-zinc-500 break-all">${[...ix.ipv4, ...ix.ipv6].map(escapeHtml).join(' · ')}</div>
+                </div>
+            `).join('') : '<div class="text-zinc-500 text-sm italic">Brak obecności w punktach wymiany ruchu</div>'}
+        </div>
+    `;
+}
+
+// --- Bulk Logic ---
+// Matches the anonymous tier's bulk limit in wrangler.toml
+const BULK_MAX_TARGETS = 20;
+const BULK_COLUMNS = [
+    { key: 'target', label: 'Cel' },
+    { key: 'ip', label: 'IP' },
+    { key: 'country', label: 'Kraj' },
+    { key: 'asn', label: 'ASN' },
+    { key: 'org', label: 'Organizacja' },
+    { key: 'isProxy', label: 'Proxy' },
+    { key: 'isVpn', label: 'VPN' },
+    { key: 'ptr', label: 'PTR' },
+];
+let bulkRows = [];
+let bulkSort = { key: 'index', dir: 1 };
+
+const bulkSection = document.getElementById('bulkSection');
+const bulkInput = document.getElementById('bulkInput');
+const bulkRunBtn = document.getElementById('bulkRunBtn');
+const bulkProgress = document.getElementById('bulkProgress');
+
+document.getElementById('bulkToggleBtn').addEventListener('click', (e) => {
+    const show = bulkSection.classList.toggle('hidden') === false;
+    e.currentTarget.setAttribute('aria-pressed', show);
+    if (show) bulkInput.focus();
+});
+bulkRunBtn.addEventListener('click', handleBulk);
+document.getElementById('bulkCsvBtn').addEventListener('click', downloadBulkCSV);
+
+// Pull targets out of pasted text: IP addresses anywhere in a line (log excerpts),
+// otherwise the first word of the line (domains)
+function extractBulkTargets(text) {
+    const targets = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const ipv4 = trimmed.match(/\b(?:\d{1,3}\.){3}\d{1,3}\b/g) || [];
+        // Timestamps (12:30:45) also look like hex groups, so require "::" or at least 4 groups
+        const ipv6 = (trimmed.match(/[0-9a-fA-F]*:[0-9a-fA-F:]{2,}/g) || [])
+            .filter(c => c.includes('::') || c.split(':').length >= 4);
+
+        if (ipv4.length || ipv6.length) {
+            targets.push(...ipv4, ...ipv6);
+        } else {
+            targets.push(trimmed.split(/[\s,;]+/)[0]);
+        }
+    }
+    return [...new Set(targets)];
+}
+
+async function handleBulk() {
+    const targets = extractBulkTargets(bulkInput.value);
+    if (targets.length === 0) return;
+    if (targets.length > BULK_MAX_TARGETS) {
+        bulkProgress.textContent = `Maksymalnie ${BULK_MAX_TARGETS} wpisów (podano ${targets.length})`;
+        return;
+    }
+
+    bulkRows = [];
+    bulkRunBtn.disabled = true;
+    document.getElementById('bulkCsvBtn').classList.add('hidden');
+    bulkProgress.textContent = `0 / ${targets.length}`;
+    renderBulkTable();
+
+    try {
+        const response = await fetch(`${apiBase}/api/bulk?format=ndjson`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: targets.join('\n'),
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || data.error || 'Błąd API');
+        }
+
+        // Results stream in as NDJSON, one line per target
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines.filter(Boolean)) {
+                bulkRows.push(JSON.parse(line));
+            }
+            bulkProgress.textContent = `${bulkRows.length} / ${targets.length}`;
+            renderBulkTable();
+            if (done) break;
+        }
+        document.getElementById('bulkCsvBtn').classList.remove('hidden');
+    } catch (err) {
+        bulkProgress.textContent = `Błąd: ${err.message}`;
+    } finally {
+        bulkRunBtn.disabled = false;
+    }
+}
+
+function sortedBulkRows() {
+    const { key, dir } = bulkSort;
+    return [...bulkRows].sort((a, b) => {
+        const x = a[key], y = b[key];
+        if (x === y) return a.index - b.index;
+        if (x === null || x === undefined) return 1;
+        if (y === null || y === undefined) return -1;
+        return (typeof x === 'string' ? x.localeCompare(y) : x - y) * dir;
+    });
+}
+
+function renderBulkCell(key, value) {
+    if (value === null || value === undefined) return '<span class="text-zinc-600">—</span>';
+    if (typeof value === 'boolean') {
+        return value
+            ? '<span class="text-[10px] font-bold uppercase px-1.5 py-0.5 rounded bg-red-500/10 text-red-400 border border-red-500/30">Tak</span>'
+            : '<span class="text-zinc-500">Nie</span>';
+    }
+    if (key === 'asn') return `AS${escapeHtml(value)}`;
+    return escapeHtml(value);
+}
+
+function renderBulkTable() {
+    const container = document.getElementById('bulkTable');
+    if (bulkRows.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const header = BULK_COLUMNS.map(col => {
+        const arrow = bulkSort.key === col.key ? (bulkSort.dir === 1 ? ' ▲' : ' ▼') : '';
+        return `<th class="px-3 py-2 text-left font-semibold"><button data-sort="${col.key}" class="bulk-sort hover:text-zinc-200">${col.label}${arrow}</button></th>`;
+    }).join('');
+
+    const rows = sortedBulkRows().map(row => `
+        <tr class="border-t border-zinc-800/60 hover:bg-zinc-800/30">
+            ${BULK_COLUMNS.map(col => col.key === 'target'
+                ? `<td class="px-3 py-2"><button data-target="${escapeHtml(row.target)}" class="bulk-analyze text-sky-400 hover:text-sky-300 font-mono" title="Analizuj">${escapeHtml(row.target)}</button>${row.error ? `<div class="text-red-400 text-[10px]">${escapeHtml(row.error)}</div>` : ''}</td>`
+                : `<td class="px-3 py-2 ${col.key === 'ip' || col.key === 'ptr' ? 'font-mono' : ''}">${renderBulkCell(col.key, row[col.key])}</td>`
+            ).join('')}
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <table class="w-full text-xs text-zinc-300">
+            <thead class="text-zinc-500 uppercase tracking-wider text-[10px]"><tr>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.bulk-sort').forEach(button => {
+        button.addEventListener('click', () => {
+            const key = button.dataset.sort;
+            bulkSort = { key, dir: bulkSort.key === key ? -bulkSort.dir : 1 };
+            renderBulkTable();
+        });
+    });
+    container.querySelectorAll('.bulk-analyze').forEach(button => {
+        button.addEventListener('click', () => {
+            input.value = button.dataset.target;
+            handleAnalyze();
+        });
+    });
+}
+
+function downloadBulkCSV() {
+    const columns = ['target', 'ip', 'country', 'asn', 'org', 'isProxy', 'isVpn', 'isTor', 'isDatacenter', 'ptr', 'error'];
+    const field = (value) => {
+        const str = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [
+        'target,ip,country,asn,org,is_proxy,is_vpn,is_tor,is_datacenter,ptr,error',
+        ...sortedBulkRows().map(row => columns.map(c => field(row[c])).join(',')),
+    ];
+
+    downloadFile(lines.join('\r\n') + '\r\n', 'ip-lista.csv', 'text/csv');
+}
+
+// Helper to save generated content as a file
+function downloadFile(content, filename, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// --- Subnet Calculator Logic ---
+const CIDR_CATEGORY_STYLES = {
+    private: 'bg-sky-500/10 text-sky-400 border-sky-500/30',
+    cgnat: 'bg-sky-500/10 text-sky-400 border-sky-500/30',
+    documentation: 'bg-amber-500/10 text-amber-400 border-amber-500/30',
+    translation: 'bg-indigo-500/10 text-indigo-400 border-indigo-500/30',
+};
+
+let cidrQuery = null;
+
+// Helper to tell CIDR networks, "address mask" and address ranges apart from addresses and domains
+function looksLikeNetwork(value) {
+    return /^(\d+(\.\d+){3}|[0-9a-f.]*:[0-9a-f:.]*)\/[\d.]+$/i.test(value)
+        || /^[\d.]+\s+\d+\.\d+\.\d+\.\d+$/.test(value)
+        || /^\d+(\.\d+){3}\s*-\s*\d+(\.\d+){3}$/.test(value)
+        || /^[0-9a-f.]*:[0-9a-f:.]*\s*-\s*[0-9a-f.]*:[0-9a-f:.]*$/i.test(value);
+}
+
+async function handleCIDR(query, ptr = false, { historyMode = 'push' } = {}) {
+    const section = document.getElementById('cidrSection');
+    const ptrBtn = document.getElementById('cidrPtrBtn');
+    const ptrStatus = document.getElementById('cidrPtrStatus');
+
+    if (ptr) {
+        ptrBtn.disabled = true;
+        ptrStatus.textContent = 'Skanowanie...';
+    } else {
+        currentQuery = query;
+        updatePermalink(historyMode);
+        setLoading(true);
+        errorMsg.classList.add('hidden');
+        resultsDiv.classList.add('hidden');
+        section.classList.add('hidden');
+        document.getElementById('cidrPtrTable').innerHTML = '';
+        ptrStatus.textContent = '';
+    }
+
+    try {
+        const response = await fetch(`${apiBase}/api/cidr?q=${encodeURIComponent(query)}${ptr ? '&ptr=1' : ''}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        cidrQuery = query;
+        if (ptr) {
+            renderCIDRPtr(data.ptr || []);
+            ptrStatus.textContent = '';
+        } else {
+            renderCIDR(data);
+            section.classList.remove('hidden');
+            saveToHistory(query);
+        }
+        return true;
+    } catch (err) {
+        if (ptr) {
+            ptrStatus.textContent = `Błąd: ${err.message}`;
+        } else {
+            errorMsg.textContent = err.message;
+            errorMsg.classList.remove('hidden');
+        }
+        return false;
+    } finally {
+        if (ptr) ptrBtn.disabled = false;
+        else setLoading(false);
+    }
+}
+
+function renderCIDR(data) {
+    const classification = data.classification || { ranges: [] };
+    document.getElementById('cidrSubtitle').textContent = `${data.cidr || `${data.start} – ${data.end}`} · IPv${data.version}`;
+
+    const badges = classification.ranges.map(range => {
+        const className = CIDR_CATEGORY_STYLES[range.category] || 'bg-zinc-800 text-zinc-400 border-zinc-700';
+        return `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${className}">${escapeHtml(range.name)}</span>`;
+    });
+    if (classification.bogon) {
+        badges.push('<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border bg-red-500/10 text-red-400 border-red-500/30">Bogon</span>');
+    }
+    document.getElementById('cidrBadges').innerHTML = badges.join('');
+
+    const routing = data.routing;
+    const fields = [
+        { label: 'CIDR', value: data.cidr },
+        { label: 'Maska', value: data.netmask },
+        { label: 'Maska odwrotna (wildcard)', value: data.wildcard },
+        { label: 'Adres sieci', value: data.network },
+        { label: 'Broadcast', value: data.broadcast },
+        { label: 'Pierwszy adres', value: data.firstUsable || data.start },
+        { label: 'Ostatni adres', value: data.lastUsable || data.end },
+        { label: 'Liczba adresów', value: Number(data.size).toLocaleString('pl-PL') },
+        { label: 'Adresy użyteczne', value: Number(data.usable).toLocaleString('pl-PL') },
+        { label: 'Bloki CIDR', value: data.kind === 'range' ? `${data.cidrs.join(', ')}${data.cidrsTruncated ? ', …' : ''}` : null },
+        { label: 'Trasa', value: routing?.route },
+        { label: 'ASN', value: routing?.asn && [`AS${routing.asn}`, routing.org, routing.country].filter(Boolean).join(' · ') },
+    ].filter(field => field.value);
+
+    if (data.hostBitsSet) {
+        fields.unshift({ label: 'Uwaga', value: `Adres ${data.query} ma ustawione bity hosta; sieć to ${data.cidr}` });
+    }
+
+    document.getElementById('cidrContent').innerHTML = fields.map(field => `
+        <div class="flex justify-between items-start gap-4 border-b border-zinc-800/50 py-2">
+            <span class="text-zinc-500 text-xs whitespace-nowrap">${field.label}</span>
+            <span class="text-zinc-200 font-medium text-sm text-right break-words min-w-0 font-mono">${escapeHtml(field.value)}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('cidrRanges').innerHTML = classification.ranges.map(range => `
+        <div class="text-xs text-zinc-400 bg-zinc-800/30 border border-zinc-700/30 rounded-xl px-4 py-3">
+            <span class="text-zinc-200 font-medium">${escapeHtml(range.name)}</span>
+            ${range.cidr ? `<span class="font-mono text-zinc-500 ml-2">${escapeHtml(range.cidr)}</span>` : ''}
+            <span class="text-zinc-500 ml-2">${escapeHtml(range.rfc)}</span>
+            ${range.global ? '' : '<span class="text-zinc-500 ml-2">· nieroutowalny w internecie</span>'}
+        </div>
+    `).join('');
+}
+
+function renderCIDRPtr(rows) {
+    const container = document.getElementById('cidrPtrTable');
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="text-zinc-500 text-sm italic">Brak adresów do sprawdzenia</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="w-full text-xs text-zinc-300">
+            <thead class="text-zinc-500 uppercase tracking-wider text-[10px]">
+                <tr><th class="px-3 py-2 text-left font-semibold">Adres IP</th><th class="px-3 py-2 text-left font-semibold">PTR</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="border-t border-zinc-800/60 hover:bg-zinc-800/30">
+                        <td class="px-3 py-2"><button data-target="${escapeHtml(row.ip)}" class="cidr-analyze text-sky-400 hover:text-sky-300 font-mono" title="Analizuj">${escapeHtml(row.ip)}</button></td>
+                        <td class="px-3 py-2 font-mono">${row.ptr ? escapeHtml(row.ptr) : `<span class="text-zinc-600">${row.error ? escapeHtml(row.error) : '—'}</span>`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.cidr-analyze').forEach(button => {
+        button.addEventListener('click', () => {
+            input.value = button.dataset.target;
+            handleAnalyze();
+        });
+    });
+}
+
+document.getElementById('cidrPtrBtn').addEventListener('click', () => {
+    if (cidrQuery) handleCIDR(cidrQuery, true);
+});
+
+// --- DNSSEC Logic ---
+const DNSSEC_STATUS_STYLES = {
+    secure: { label: 'Bezpieczna', className: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30' },
+    insecure: { label: 'Niepodpisana', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    bogus: { label: 'Błędna', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    indeterminate: { label: 'Nieustalona', className: 'bg-zinc-800 text-zinc-400 border-zinc-700' },
+};
+
+function isIPAddress(value) {
+    return /^[\d.]+$/.test(value) || value.includes(':');
+}
+
+function dnssecBadge(status) {
+    const style = DNSSEC_STATUS_STYLES[status] || DNSSEC_STATUS_STYLES.indeterminate;
+    return `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${style.className}">${style.label}</span>`;
+}
+
+async function loadDNSSEC(domain) {
+    const section = document.getElementById('dnssecSection');
+    const content = document.getElementById('dnssecContent');
+    const status = document.getElementById('dnssecStatus');
+
+    section.classList.remove('hidden');
+    status.innerHTML = '';
+    content.innerHTML = '<div class="text-zinc-500 text-sm italic">Weryfikacja łańcucha zaufania...</div>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/dnssec?domain=${encodeURIComponent(domain)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderDNSSEC(data);
+    } catch (err) {
+        content.innerHTML = `<div class="text-red-400 text-sm italic">Błąd: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderDNSSEC(data) {
+    document.getElementById('dnssecStatus').innerHTML = dnssecBadge(data.status);
+
+    const rows = data.zones.map(zone => {
+        const algorithms = [...new Set(zone.dnskeys.map(k => k.algorithmName || k.algorithm))].join(', ');
+        const keyTags = zone.dnskeys.map(k => `${k.keyTag} ${k.role}${k.trusted ? ' ✓' : ''}`).join(', ');
+        const expiry = zone.signatures.filter(s => s.valid).map(s => s.expiration).sort()[0];
+        const notes = [
+            ...zone.errors.map(e => `<div class="text-red-400 text-xs">${escapeHtml(e)}</div>`),
+            ...zone.warnings.map(w => `<div class="text-amber-400 text-xs">${escapeHtml(w)}</div>`),
+        ].join('');
+
+        return `
+            <div class="bg-zinc-800/30 rounded-2xl p-4 border border-zinc-700/30">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-zinc-200 font-mono text-sm">${escapeHtml(zone.zone)}</span>
+                    ${dnssecBadge(zone.status)}
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-2 text-xs">
+                    <div><span class="text-zinc-500">Algorytm:</span> <span class="text-zinc-300">${escapeHtml(algorithms || 'N/A')}</span></div>
+                    <div><span class="text-zinc-500">Klucze:</span> <span class="text-zinc-300 font-mono">${escapeHtml(keyTags || 'N/A')}</span></div>
+                    <div><span class="text-zinc-500">Podpis ważny do:</span> <span class="text-zinc-300">${expiry ? formatDnsDate(expiry) : 'N/A'}</span></div>
+                </div>
+                ${notes ? `<div class="mt-2 space-y-1">${notes}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('dnssecContent').innerHTML = rows + `
+        <div class="flex items-center justify-between text-xs px-1">
+            <span class="text-zinc-500">Rekord ${escapeHtml(data.answer.type)} dla ${escapeHtml(data.answer.name)}</span>
+            ${data.answer.status === 'nodata' ? '<span class="text-zinc-500">brak danych</span>' : dnssecBadge(data.answer.status)}
+        </div>
+    `;
+}
+
+// --- Domain Health Logic ---
+const HEALTH_STATUS_STYLES = {
+    pass: { label: 'OK', icon: '✓', className: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30' },
+    warn: { label: 'Uwaga', icon: '!', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    fail: { label: 'Błąd', icon: '✕', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    skip: { label: 'Pominięto', icon: '–', className: 'bg-zinc-800 text-zinc-400 border-zinc-700' },
+};
+
+const HEALTH_CHECK_LABELS = {
+    'soa-serial': 'Zgodność numerów seryjnych SOA',
+    'soa-timers': 'Timery SOA',
+    'ns-count': 'Liczba serwerów nazw',
+    'ns-diversity': 'Różnorodność sieci serwerów nazw',
+    'apex-cname': 'CNAME w wierzchołku strefy',
+    'dangling-cname': 'Wiszące rekordy CNAME',
+    wildcard: 'Rekord wildcard',
+    aaaa: 'Rekordy AAAA (IPv6)',
+};
+
+async function loadHealth(domain) {
+    const section = document.getElementById('healthSection');
+    const checklist = document.getElementById('healthChecklist');
+
+    section.classList.remove('hidden');
+    document.getElementById('healthSubtitle').textContent = domain;
+    document.getElementById('healthScore').innerHTML = '';
+    checklist.innerHTML = '<li class="text-zinc-500 text-sm italic">Sprawdzanie strefy...</li>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/health?domain=${encodeURIComponent(domain)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderHealth(data);
+    } catch (err) {
+        checklist.innerHTML = `<li class="text-red-400 text-sm italic">Błąd: ${escapeHtml(err.message)}</li>`;
+    }
+}
+
+function renderHealth(data) {
+    const { pass, warn, fail } = data.summary;
+    document.getElementById('healthSubtitle').textContent =
+        `${data.domain} · ${pass} OK, ${warn} ostrzeżeń, ${fail} błędów`;
+    document.getElementById('healthScore').innerHTML = data.score === null ? '' :
+        `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${scoreBadgeClass(data.score)}">Wynik ${data.score}/100</span>`;
+
+    document.getElementById('healthChecklist').innerHTML = data.checks.map(check => {
+        const style = HEALTH_STATUS_STYLES[check.status] || HEALTH_STATUS_STYLES.skip;
+        const details = check.details.length > 0 ? `
+            <div class="mt-2 space-y-0.5">
+                ${check.details.map(d => `<div class="font-mono text-xs text-zinc-500 break-all">${escapeHtml(d)}</div>`).join('')}
+            </div>
+        ` : '';
+        return `
+            <li class="flex items-start gap-3 bg-zinc-800/30 rounded-xl p-3 border border-zinc-700/30">
+                <span class="shrink-0 w-6 h-6 flex items-center justify-center rounded-full border text-xs font-bold ${style.className}" title="${style.label}">${style.icon}</span>
+                <div class="min-w-0">
+                    <div class="text-zinc-200 text-sm font-medium">${escapeHtml(HEALTH_CHECK_LABELS[check.id] || check.id)}</div>
+                    <div class="text-zinc-400 text-xs">${escapeHtml(check.message)}</div>
+                    ${details}
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+// --- Subdomain Discovery Logic ---
+async function loadSubdomains(domain) {
+    const section = document.getElementById('subdomainsSection');
+    const table = document.getElementById('subdomainsTable');
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    setPermalinkSection('subdomains');
+    document.getElementById('subdomainsSubtitle').textContent = domain;
+    document.getElementById('subdomainsNetworks').innerHTML = '';
+    table.innerHTML = '<div class="text-zinc-500 text-sm italic">Przeszukiwanie logów CT i rozwiązywanie nazw...</div>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/subdomains?domain=${encodeURIComponent(domain)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderSubdomains(data);
+    } catch (err) {
+        table.innerHTML = `<div class="text-red-400 text-sm italic">Błąd: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderSubdomains(data) {
+    const shown = data.truncated ? ` · sprawdzono ${data.hosts.length} najnowszych` : '';
+    document.getElementById('subdomainsSubtitle').textContent =
+        `${data.domain} · ${data.total} nazw w ${data.source}${shown} · ${data.resolved} aktywnych`;
+
+    document.getElementById('subdomainsNetworks').innerHTML = data.byASN.map(group => `
+        <span class="text-xs bg-zinc-800/50 border border-zinc-700/50 rounded-full px-3 py-1">
+            <span class="text-purple-400 font-mono">AS${group.asn}</span>
+            <span class="text-zinc-400">${escapeHtml(group.org || '')}</span>
+            <span class="text-zinc-500">· ${group.hosts.length}</span>
+        </span>
+    `).join('');
+
+    if (data.hosts.length === 0) {
+        document.getElementById('subdomainsTable').innerHTML = '<div class="text-zinc-500 text-sm italic">Brak certyfikatów dla tej domeny</div>';
+        return;
+    }
+
+    const table = document.getElementById('subdomainsTable');
+    table.innerHTML = `
+        <table class="w-full text-xs text-zinc-300">
+            <thead class="text-zinc-500 uppercase tracking-wider text-[10px]">
+                <tr>
+                    <th class="px-3 py-2 text-left font-semibold">Host</th>
+                    <th class="px-3 py-2 text-left font-semibold">Adresy</th>
+                    <th class="px-3 py-2 text-left font-semibold">Sieć</th>
+                    <th class="px-3 py-2 text-right font-semibold">Ostatni certyfikat</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.hosts.map(host => `
+                    <tr class="border-t border-zinc-800/60 hover:bg-zinc-800/30">
+                        <td class="px-3 py-2">
+                            <button data-target="${escapeHtml(host.name)}" class="subdomain-analyze text-sky-400 hover:text-sky-300 font-mono break-all text-left" title="Analizuj">${escapeHtml(host.name)}</button>
+                            ${host.wildcard ? '<span class="text-zinc-500" title="Objęta certyfikatem wildcard">*</span>' : ''}
+                        </td>
+                        <td class="px-3 py-2 font-mono break-all">${host.addresses.length > 0 ? host.addresses.map(escapeHtml).join('<br>') : '<span class="text-zinc-600">nie rozwiązuje się</span>'}</td>
+                        <td class="px-3 py-2">${host.asn ? `<span class="text-purple-400 font-mono">AS${host.asn}</span> <span class="text-zinc-500">${escapeHtml(host.org || '')}</span>` : '<span class="text-zinc-600">—</span>'}</td>
+                        <td class="px-3 py-2 text-right text-zinc-500 whitespace-nowrap">${host.lastSeen ? formatDnsDate(host.lastSeen) : '—'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    table.querySelectorAll('.subdomain-analyze').forEach(button => {
+        button.addEventListener('click', () => {
+            input.value = button.dataset.target;
+            handleAnalyze();
+        });
+    });
+}
+
+// --- Web (HTTP) Logic ---
+const WEB_HEADER_LABELS = {
+    location: 'Przekierowanie na HTTPS',
+    'strict-transport-security': 'HSTS',
+    'content-security-policy': 'Content-Security-Policy',
+    'x-frame-options': 'X-Frame-Options',
+    'x-content-type-options': 'X-Content-Type-Options',
+    'referrer-policy': 'Referrer-Policy',
+    'permissions-policy': 'Permissions-Policy',
+};
+
+// Certificates expiring within this many days are highlighted
+const WEB_CERT_WARNING_DAYS = 14;
+
+async function loadHTTP(target) {
+    const card = document.getElementById('webCard');
+    const chain = document.getElementById('webChain');
+
+    card.classList.remove('hidden');
+    document.getElementById('webSubtitle').textContent = target;
+    document.getElementById('webSummary').innerHTML = '';
+    document.getElementById('webSecurity').innerHTML = '';
+    document.getElementById('webCertificate').innerHTML = '';
+    chain.innerHTML = '<div class="text-zinc-500 text-sm italic">Łączenie z serwerem...</div>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/http?target=${encodeURIComponent(target)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderHTTP(data);
+    } catch (err) {
+        chain.innerHTML = `<div class="text-red-400 text-sm italic">Brak odpowiedzi HTTP: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderHTTP(data) {
+    const { pass, warn, fail } = data.summary;
+    const total = pass + warn + fail;
+    const score = total > 0 ? Math.round((pass + warn / 2) / total * 100) : null;
+    document.getElementById('webSubtitle').textContent = data.finalUrl;
+    document.getElementById('webSummary').innerHTML = score === null ? '' :
+        `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${scoreBadgeClass(score)}">Nagłówki ${pass}/${total}</span>`;
+
+    // Redirect chain and server fingerprint
+    const statusClass = status => status >= 400 ? 'text-red-400' : status >= 300 ? 'text-amber-400' : 'text-emerald-400';
+    const { server, poweredBy, cdn } = data.fingerprint;
+    const fields = [
+        { label: 'Serwer', value: server },
+        { label: 'Technologia', value: poweredBy },
+        { label: 'CDN / hosting', value: cdn.map(c => c.name).join(', ') },
+    ].filter(field => field.value);
+
+    document.getElementById('webChain').innerHTML = `
+        <span class="text-zinc-500 text-xs uppercase tracking-wider block">Przekierowania</span>
+        <ol class="space-y-1">
+            ${data.chain.map(hop => `
+                <li class="flex items-start gap-2 text-xs">
+                    <span class="font-mono font-bold ${statusClass(hop.status)}">${hop.status}</span>
+                    <span class="font-mono text-zinc-300 break-all min-w-0">${escapeHtml(hop.url)}</span>
+                    <span class="ml-auto text-zinc-600 whitespace-nowrap">${hop.latencyMs} ms</span>
+                </li>
+            `).join('')}
+        </ol>
+        ${fields.map(field => `
+            <div class="flex justify-between items-center gap-4 border-t border-zinc-800/50 pt-2">
+                <span class="text-zinc-500 text-xs uppercase tracking-wider">${field.label}</span>
+                <span class="text-zinc-200 font-medium text-sm text-right break-words min-w-0">${escapeHtml(field.value)}</span>
+            </div>
+        `).join('')}
+    `;
+
+    document.getElementById('webSecurity').innerHTML = data.security.map(item => {
+        const style = HEALTH_STATUS_STYLES[item.status];
+        return `
+            <li class="flex items-start gap-2" title="${escapeHtml(item.value || '')}">
+                <span class="shrink-0 w-5 h-5 flex items-center justify-center rounded-full border text-[10px] font-bold ${style.className}">${style.icon}</span>
+                <div class="min-w-0">
+                    <div class="text-zinc-200 text-xs font-medium">${escapeHtml(WEB_HEADER_LABELS[item.header] || item.header)}</div>
+                    <div class="text-zinc-500 text-xs">${escapeHtml(item.message)}</div>
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    renderCertificate(data.certificate);
+}
+
+function renderCertificate(cert) {
+    const container = document.getElementById('webCertificate');
+    const heading = '<span class="text-zinc-500 text-xs uppercase tracking-wider block">Certyfikat TLS</span>';
+
+    if (!cert) {
+        container.innerHTML = `${heading}<div class="text-amber-400 text-sm italic">Strona nie jest serwowana przez HTTPS</div>`;
+        return;
+    }
+    if (cert.error) {
+        container.innerHTML = `${heading}<div class="text-zinc-500 text-sm italic">Nie udało się odczytać certyfikatu: ${escapeHtml(cert.error)}</div>`;
+        return;
+    }
+
+    let badgeClass = 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30';
+    let badge = `Ważny jeszcze ${cert.daysRemaining} dni`;
+    if (!cert.valid) {
+        badgeClass = 'bg-red-500/10 text-red-400 border-red-500/30';
+        badge = cert.daysRemaining < 0 ? 'Wygasł' : 'Jeszcze nieważny';
+    } else if (cert.daysRemaining <= WEB_CERT_WARNING_DAYS) {
+        badgeClass = 'bg-amber-500/10 text-amber-400 border-amber-500/30';
+    }
+
+    const key = cert.publicKey.curve ? `${cert.publicKey.type} ${cert.publicKey.curve}` : `${cert.publicKey.type} ${cert.publicKey.bits || ''}`;
+    const fields = [
+        { label: 'Podmiot', value: cert.subject.CN || cert.subject.text },
+        { label: 'Wystawca', value: cert.selfSigned ? `${cert.issuer.text} (samopodpisany)` : cert.issuer.O || cert.issuer.text },
+        { label: 'Ważny od', value: formatDnsDate(cert.notBefore) },
+        { label: 'Ważny do', value: formatDnsDate(cert.notAfter) },
+        { label: 'Klucz', value: key.trim() },
+        { label: 'Protokół', value: `${cert.version}, łańcuch ${cert.chainLength}` },
+    ];
+
+    container.innerHTML = `
+        <div class="flex items-center justify-between gap-2">
+            ${heading}
+            <span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${badgeClass}">${badge}</span>
+        </div>
+        ${fields.map(field => `
+            <div class="flex justify-between items-start gap-4 border-b border-zinc-800/50 py-1">
+                <span class="text-zinc-500 text-xs whitespace-nowrap">${field.label}</span>
+                <span class="text-zinc-200 text-xs text-right break-words min-w-0">${escapeHtml(field.value)}</span>
+            </div>
+        `).join('')}
+        ${cert.sans.length > 0 ? `
+            <div class="flex flex-wrap gap-1 pt-1">
+                ${cert.sans.map(name => `<span class="font-mono text-[10px] bg-zinc-800/50 border border-zinc-700/50 rounded px-1.5 py-0.5 text-zinc-400">${escapeHtml(name)}</span>`).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
+// --- Registration (RDAP) Logic ---
+const RDAP_KIND_LABELS = {
+    domain: 'Domena',
+    ip: 'Sieć IP',
+    autnum: 'System autonomiczny',
+};
+
+// Domains expiring within this many days are highlighted
+const RDAP_EXPIRY_WARNING_DAYS = 30;
+
+// Query last asked for: answers to earlier requests are dropped
+let rdapRequest = null;
+
+async function loadRDAP(query, autoScroll = false) {
+    const section = document.getElementById('rdapSection');
+    const content = document.getElementById('rdapContent');
+    rdapRequest = query;
+
+    section.classList.remove('hidden');
+    if (autoScroll) {
+        section.scrollIntoView({ behavior: 'smooth' });
+        setPermalinkSection('rdap', { asn: /^AS\d+$/i.test(query) ? query.slice(2) : null });
+    }
+    document.getElementById('rdapSubtitle').textContent = query;
+    document.getElementById('rdapExpiry').innerHTML = '';
+    content.innerHTML = '<div class="text-zinc-500 text-sm italic col-span-full">Pobieranie danych rejestracyjnych...</div>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/rdap?q=${encodeURIComponent(query)}`);
+        const data = await response.json();
+        if (rdapRequest !== query) return;
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderRDAP(data);
+    } catch (err) {
+        if (rdapRequest !== query) return;
+        content.innerHTML = `<div class="text-red-400 text-sm italic col-span-full">Błąd: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Helper to show an RDAP contact as name, organisation, email and phone
+function formatRDAPContact(contact) {
+    if (!contact) return null;
+    const parts = [contact.name, contact.org, contact.email, contact.phone, contact.country].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : contact.handle;
+}
+
+function rdapExpiryBadge(expires) {
+    const days = Math.floor((new Date(expires).getTime() - Date.now()) / 86400000);
+    if (isNaN(days)) return '';
+    let className = 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30';
+    let label = `Wygasa za ${days} dni`;
+    if (days < 0) {
+        className = 'bg-red-500/10 text-red-400 border-red-500/30';
+        label = 'Wygasła';
+    } else if (days <= RDAP_EXPIRY_WARNING_DAYS) {
+        className = 'bg-amber-500/10 text-amber-400 border-amber-500/30';
+    }
+    return `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${className}">${label}</span>`;
+}
+
+function renderRDAP(data) {
+    document.getElementById('rdapSubtitle').textContent = `${RDAP_KIND_LABELS[data.kind] || data.kind} · ${new URL(data.server).host}`;
+    document.getElementById('rdapExpiry').innerHTML = data.expires ? rdapExpiryBadge(data.expires) : '';
+
+    const registrar = data.registrar && (data.registrar.ianaId ? `${data.registrar.name} (IANA ${data.registrar.ianaId})` : data.registrar.name);
+    const autnum = data.startAutnum && (data.startAutnum === data.endAutnum ? `AS${data.startAutnum}` : `AS${data.startAutnum} – AS${data.endAutnum}`);
+
+    const fields = [
+        { label: 'Nazwa', value: data.name },
+        { label: 'Uchwyt', value: data.handle },
+        { label: 'Rejestrator', value: registrar },
+        { label: 'Właściciel', value: formatRDAPContact(data.registrant) },
+        { label: 'Zakres', value: data.startAddress && `${data.startAddress} – ${data.endAddress}` },
+        { label: 'CIDR', value: data.cidrs?.join(', ') },
+        { label: 'ASN', value: autnum },
+        { label: 'Typ', value: data.networkType },
+        { label: 'Kraj', value: data.country },
+        { label: 'Utworzono', value: data.created && formatDnsDate(data.created) },
+        { label: 'Zaktualizowano', value: data.updated && formatDnsDate(data.updated) },
+        { label: 'Wygasa', value: data.expires && formatDnsDate(data.expires) },
+        { label: 'Serwery nazw', value: data.nameservers?.join(', ') },
+        { label: 'DNSSEC', value: data.dnssec === undefined ? null : data.dnssec ? 'Podpisana' : 'Niepodpisana' },
+        { label: 'Status', value: data.status?.join(', ') },
+        { label: 'Kontakt abuse', value: formatRDAPContact(data.abuse) },
+    ].filter(field => field.value);
+
+    document.getElementById('rdapContent').innerHTML = fields.map(field => `
+        <div class="flex justify-between items-start gap-4 border-b border-zinc-800/50 py-2">
+            <span class="text-zinc-500 text-xs whitespace-nowrap">${field.label}</span>
+            <span class="text-zinc-200 font-medium text-sm text-right break-words min-w-0">${escapeHtml(field.value)}</span>
+        </div>
+    `).join('');
+}
+
+// --- Delegation Trace Logic ---
+const TRACE_OUTCOME_STYLES = {
+    referral: { label: 'Delegacja', className: 'text-sky-400' },
+    answer: { label: 'Odpowiedź', className: 'text-emerald-400' },
+    nodata: { label: 'Brak danych', className: 'text-amber-400' },
+    nxdomain: { label: 'NXDOMAIN', className: 'text-amber-400' },
+    lame: { label: 'Lame', className: 'text-red-400' },
+    error: { label: 'Brak odpowiedzi', className: 'text-red-400' },
+};
+
+const TRACE_STATUS_STYLES = {
+    answer: { label: 'Odpowiedź', className: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30' },
+    nodata: { label: 'Brak danych', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    nxdomain: { label: 'NXDOMAIN', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    lame: { label: 'Lame delegation', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    error: { label: 'Błąd', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+};
+
+async function loadTrace(name) {
+    const section = document.getElementById('traceSection');
+    const timeline = document.getElementById('traceTimeline');
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    setPermalinkSection('trace');
+    document.getElementById('traceSubtitle').textContent = name;
+    document.getElementById('traceStatus').innerHTML = '';
+    document.getElementById('traceWarnings').innerHTML = '';
+    timeline.innerHTML = '<li class="ml-6 text-zinc-500 text-sm italic">Śledzenie delegacji od serwerów root...</li>';
+
+    try {
+        const response = await fetch(`${apiBase}/api/trace?name=${encodeURIComponent(name)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderTrace(data);
+    } catch (err) {
+        timeline.innerHTML = `<li class="ml-6 text-red-400 text-sm italic">Błąd: ${escapeHtml(err.message)}</li>`;
+    }
+}
+
+function renderTrace(data) {
+    const status = TRACE_STATUS_STYLES[data.status] || TRACE_STATUS_STYLES.error;
+    const transport = data.transport === 'doh' ? 'przez resolver DoH' : 'zapytania bezpośrednie (TCP)';
+    document.getElementById('traceSubtitle').textContent = `${data.name} ${data.type} · ${transport}`;
+    document.getElementById('traceStatus').innerHTML =
+        `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${status.className}">${status.label}</span>`;
+
+    document.getElementById('traceWarnings').innerHTML = data.warnings.map(warning => `
+        <div class="text-xs text-amber-400 bg-amber-500/10 border border-amber-500/20 rounded-lg px-3 py-2">${escapeHtml(warning)}</div>
+    `).join('');
+
+    const steps = data.steps.map(step => {
+        const nameservers = step.nameservers.map(ns => `
+            <div class="flex justify-between gap-4 text-xs">
+                <span class="font-mono text-zinc-300 break-all">${escapeHtml(ns.name)}</span>
+                <span class="font-mono text-zinc-500 text-right break-all">${escapeHtml(ns.addresses.join(', ') || '—')}${ns.glue ? ' <span class="text-zinc-600">(glue)</span>' : ''}</span>
+            </div>
+        `).join('');
+
+        const queries = step.queries.map(query => {
+            const outcome = TRACE_OUTCOME_STYLES[query.outcome] || TRACE_OUTCOME_STYLES.error;
+            const detail = query.outcome === 'referral' ? `→ ${step.referral}` : query.error || query.status;
+            return `
+                <div class="flex justify-between gap-4 text-xs">
+                    <span class="font-mono text-zinc-400 break-all">${escapeHtml(query.server)}${query.address ? ` <span class="text-zinc-600">${escapeHtml(query.address)}</span>` : ''}</span>
+                    <span class="text-right whitespace-nowrap"><span class="${outcome.className}">${outcome.label}</span> <span class="text-zinc-500">${escapeHtml(detail)} · ${query.latencyMs} ms</span></span>
+                </div>
+            `;
+        }).join('');
+
+        const mismatch = step.mismatch ? `
+            <div class="text-xs text-red-400">
+                Niezgodne NS: tylko u rodzica ${escapeHtml(step.mismatch.parentOnly.join(', ') || '—')}; tylko w strefie ${escapeHtml(step.mismatch.childOnly.join(', ') || '—')}
+            </div>
+        ` : '';
+
+        return `
+            <li class="ml-6">
+                <span class="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${step.mismatch || step.queries.some(q => q.outcome === 'lame') ? 'bg-red-500' : 'bg-sky-500'}"></span>
+                <div class="font-mono text-zinc-100 font-semibold mb-2">${escapeHtml(step.zone)}</div>
+                <div class="bg-zinc-800/30 rounded-xl p-3 border border-zinc-700/30 space-y-1 mb-2">${nameservers}</div>
+                <div class="space-y-1">${queries}</div>
+                ${mismatch}
+            </li>
+        `;
+    });
+
+    if (data.answers.length > 0) {
+        steps.push(`
+            <li class="ml-6">
+                <span class="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-emerald-500"></span>
+                <div class="text-zinc-100 font-semibold mb-2">Odpowiedź</div>
+                <div class="space-y-1">
+                    ${data.answers.map(r => `<div class="font-mono text-xs text-zinc-300 break-all">${escapeHtml(r.name)} ${r.TTL} ${escapeHtml(r.data)}</div>`).join('')}
+                </div>
+            </li>
+        `);
+    }
+
+    document.getElementById('traceTimeline').innerHTML = steps.join('');
+}
+
+// --- DNS Propagation Logic ---
+const PROPAGATION_REGION_LABELS = {
+    global: 'Globalne',
+    europe: 'Europa',
+    'north-america': 'Ameryka Północna',
+    'south-america': 'Ameryka Południowa',
+    asia: 'Azja',
+    oceania: 'Oceania',
+    africa: 'Afryka',
+};
+
+// Marker colours: agrees with the majority (or expected value), disagrees, no answer
+const PROPAGATION_MARKER_COLORS = {
+    consistent: '#10b981',
+    inconsistent: '#ef4444',
+    error: '#71717a',
+};
+
+let propagationTarget = null;
+
+function scoreBadgeClass(score) {
+    if (score === null) return 'bg-zinc-800 text-zinc-400 border-zinc-700';
+    if (score === 100) return 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30';
+    if (score >= 50) return 'bg-amber-500/10 text-amber-400 border-amber-500/30';
+    return 'bg-red-500/10 text-red-400 border-red-500/30';
+}
+
+async function loadPropagation(name, type) {
+    const section = document.getElementById('propagationSection');
+    const typeSelect = document.getElementById('propagationType');
+    const table = document.getElementById('propagationTable');
+
+    // PTR is the only record type that makes sense for an address
+    const types = isIPAddress(name) ? ['PTR'] : DNS_RECORD_TYPES.filter(t => t !== 'PTR');
+    if (name !== propagationTarget) {
+        typeSelect.innerHTML = types.map(t => `<option value="${t}">${t}</option>`).join('');
+        propagationTarget = name;
+    }
+    if (type) typeSelect.value = type;
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    setPermalinkSection('propagation', { type: typeSelect.value });
+    document.getElementById('propagationSubtitle').textContent = `${name} ${typeSelect.value}`;
+    document.getElementById('propagationScore').innerHTML = '';
+    document.getElementById('propagationRegions').innerHTML = '';
+    table.innerHTML = '<div class="text-zinc-500 text-sm italic">Odpytywanie resolverów na świecie...</div>';
+    if (propagationLayer) propagationLayer.clearLayers();
+
+    try {
+        const response = await fetch(`${apiBase}/api/propagation?name=${encodeURIComponent(name)}&type=${encodeURIComponent(typeSelect.value)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || data.error || 'Błąd API');
+
+        renderPropagation(data);
+    } catch (err) {
+        table.innerHTML = `<div class="text-red-400 text-sm italic">Błąd: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderPropagation(data) {
+    const answered = data.results.filter(r => !r.error).length;
+    document.getElementById('propagationSubtitle').textContent =
+        `${data.name} ${data.type} · ${answered}/${data.results.length} resolverów odpowiedziało · różne odpowiedzi: ${data.groups.length}`;
+    document.getElementById('propagationScore').innerHTML =
+        `<span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${scoreBadgeClass(data.score)}">Zgodność ${data.score ?? '—'}%</span>`;
+
+    document.getElementById('propagationRegions').innerHTML = Object.entries(data.regions).map(([region, stats]) => `
+        <div class="bg-zinc-800/30 rounded-xl p-3 border border-zinc-700/30">
+            <div class="text-zinc-500 text-xs">${escapeHtml(PROPAGATION_REGION_LABELS[region] || region)}</div>
+            <div class="text-zinc-100 font-semibold">${stats.score ?? '—'}% <span class="text-zinc-500 text-xs font-normal">${stats.agreeing}/${stats.resolvers}</span></div>
+        </div>
+    `).join('');
+
+    // Table grouped by region, in the order the regions first appear in the resolver list
+    const rows = Object.keys(data.regions).flatMap(region => [
+        `<tr><td colspan="5" class="px-3 pt-4 pb-1 text-zinc-500 uppercase tracking-wider text-[10px] font-semibold">${escapeHtml(PROPAGATION_REGION_LABELS[region] || region)}</td></tr>`,
+        ...data.results.filter(r => r.resolver.region === region).map(result => {
+            const color = result.error ? 'text-zinc-500' : result.consistent ? 'text-emerald-400' : 'text-red-400';
+            const answers = result.error
+                ? `<span class="text-zinc-600">${escapeHtml(result.error)}</span>`
+                : result.answers.map(r => escapeHtml(r.data)).join('<br>') || `<span class="text-zinc-600">${escapeHtml(result.status)}</span>`;
+            return `
+                <tr class="border-t border-zinc-800/60 hover:bg-zinc-800/30">
+                    <td class="px-3 py-2"><span class="${color}">●</span> ${escapeHtml(result.resolver.name)}</td>
+                    <td class="px-3 py-2 text-zinc-500">${escapeHtml(result.resolver.location?.city || '—')}</td>
+                    <td class="px-3 py-2 font-mono break-all">${answers}</td>
+                    <td class="px-3 py-2 text-right font-mono">${result.ttl ?? '—'}</td>
+                    <td class="px-3 py-2 text-right font-mono text-zinc-500">${result.latencyMs} ms</td>
+                </tr>
+            `;
+        }),
+    ]);
+
+    document.getElementById('propagationTable').innerHTML = `
+        <table class="w-full text-xs text-zinc-300">
+            <thead class="text-zinc-500 uppercase tracking-wider text-[10px]">
+                <tr>
+                    <th class="px-3 py-2 text-left font-semibold">Resolver</th>
+                    <th class="px-3 py-2 text-left font-semibold">Lokalizacja</th>
+                    <th class="px-3 py-2 text-left font-semibold">Odpowiedź</th>
+                    <th class="px-3 py-2 text-right font-semibold">TTL</th>
+                    <th class="px-3 py-2 text-right font-semibold">Czas</th>
+                </tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+
+    renderPropagationMap(data.results);
+}
+
+// Place one coloured marker per resolver on the main map, replacing the location pin
+function renderPropagationMap(results) {
+    if (!map || !propagationLayer) return;
+    propagationLayer.clearLayers();
+    if (currentMarker) {
+        map.removeLayer(currentMarker);
+        currentMarker = null;
+    }
+
+    const located = results.filter(r => r.resolver.location);
+    if (located.length === 0) return;
+    document.getElementById('mapOverlay').classList.add('hidden');
+
+    for (const result of located) {
+        const { latitude, longitude, city, country } = result.resolver.location;
+        const color = PROPAGATION_MARKER_COLORS[result.error ? 'error' : result.consistent ? 'consistent' : 'inconsistent'];
+        const answer = result.error || result.answers.map(r => r.data).join(', ') || result.status;
+        L.circleMarker([latitude, longitude], { radius: 7, color, fillColor: color, fillOpacity: 0.8, weight: 1 })
+            .bindPopup(`<b class="text-zinc-900">${escapeHtml(result.resolver.name)}</b><br><span class="text-zinc-700">${escapeHtml([city, country].filter(Boolean).join(', '))}</span><br><span class="text-zinc-900 font-mono">${escapeHtml(answer)}</span>`)
+            .addTo(propagationLayer);
+    }
+
+    map.invalidateSize();
+    map.fitBounds(L.latLngBounds(located.map(r => [r.resolver.location.latitude, r.resolver.location.longitude])), { padding: [20, 20], maxZoom: 4 });
+}
+
+document.getElementById('propagationType').addEventListener('change', (e) => {
+    if (propagationTarget) loadPropagation(propagationTarget, e.target.value);
+});
+
+// --- DNS Logic ---
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Helper function to check that a provider-supplied domain is a plain hostname before it is linked
+function isHostname(value) {
+    return typeof value === 'string' && value.length <= 253
+        && /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(value);
+}
+
+function renderDnsTypeSelector() {
+    const container = document.getElementById('dnsTypeSelector');
+    if (!container) return;
+
+    container.innerHTML = DNS_RECORD_TYPES.map(type => {
+        const active = selectedDnsTypes.includes(type);
+        return `
+            <button data-type="${type}" aria-pressed="${active}" class="dns-type-toggle px-2 py-0.5 text-[10px] font-bold rounded uppercase tracking-wider border transition-colors ${active ? 'bg-sky-500/10 text-sky-400 border-sky-500/30' : 'bg-transparent text-zinc-500 border-zinc-800 hover:text-zinc-300'}">
+                ${type}
+            </button>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.dns-type-toggle').forEach(toggle => {
+        toggle.addEventListener('click', () => {
+            const type = toggle.dataset.type;
+            if (selectedDnsTypes.includes(type)) {
+                // Keep at least one type selected
+                if (selectedDnsTypes.length === 1) return;
+                selectedDnsTypes = selectedDnsTypes.filter(t => t !== type);
+            } else {
+                selectedDnsTypes = DNS_RECORD_TYPES.filter(t => t === type || selectedDnsTypes.includes(t));
+            }
+            renderDnsTypeSelector();
+            // Re-run the lookup with the new selection if results are already shown
+            if (input.value.trim() && !resultsDiv.classList.contains('hidden')) {
+                handleAnalyze({ historyMode: 'replace' });
+            }
+        });
+    });
+}
+
+const formatDnsDate = (iso) => {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return iso;
+    return new Intl.DateTimeFormat('pl-PL', { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+};
+
+const formatSeconds = (seconds) => {
+    if (seconds >= 86400 && seconds % 3600 === 0) return `${seconds}s (${+(seconds / 86400).toFixed(1)} d)`;
+    if (seconds >= 3600) return `${seconds}s (${+(seconds / 3600).toFixed(1)} h)`;
+    return `${seconds}s`;
+};
+
+const withName = (value, name) => name ? `${value} (${name})` : value;
+
+// Structured fields per record type, as [label, value] pairs
+const DNS_FIELD_RENDERERS = {
+    MX: f => [['Priorytet', f.preference], ['Serwer', f.exchange]],
+    SOA: f => [
+        ['Serwer główny', f.mname],
+        ['Kontakt', f.rname],
+        ['Serial', f.serial],
+        ['Refresh', formatSeconds(f.refresh)],
+        ['Retry', formatSeconds(f.retry)],
+        ['Expire', formatSeconds(f.expire)],
+        ['Minimum TTL', formatSeconds(f.minimum)],
+    ],
+    SRV: f => [['Priorytet', f.priority], ['Waga', f.weight], ['Port', f.port], ['Cel', f.target]],
+    CAA: f => [['Flagi', f.flags], ['Tag', f.tag], ['Wartość', f.value]],
+    DS: f => [
+        ['Key tag', f.keyTag],
+        ['Algorytm', withName(f.algorithm, f.algorithmName)],
+        ['Typ skrótu', withName(f.digestType, f.digestTypeName)],
+        ['Skrót', f.digest],
+    ],
+    DNSKEY: f => [
+        ['Rola', `${f.role}${f.revoked ? ' (unieważniony)' : ''}`],
+        ['Flagi', f.flags],
+        ['Algorytm', withName(f.algorithm, f.algorithmName)],
+        ['Key tag', f.keyTag],
+        ['Klucz publiczny', f.publicKey],
+    ],
+    RRSIG: f => [
+        ['Podpisany typ', f.typeCovered],
+        ['Algorytm', withName(f.algorithm, f.algorithmName)],
+        ['Key tag', f.keyTag],
+        ['Podpisujący', f.signerName],
+        ['Ważny od', formatDnsDate(f.inceptionDate)],
+        ['Ważny do', formatDnsDate(f.expirationDate)],
+        ['Oryginalny TTL', formatSeconds(f.originalTTL)],
+    ],
+    NSEC: f => [['Następna nazwa', f.nextDomain], ['Typy', f.types.join(' ')]],
+    NSEC3: f => [
+        ['Algorytm', f.hashAlgorithm],
+        ['Flagi', f.flags],
+        ['Iteracje', f.iterations],
+        ['Sól', f.salt],
+        ['Następny hash', f.nextHashedOwner],
+        ['Typy', f.types.join(' ')],
+    ],
+    NSEC3PARAM: f => [['Algorytm', f.hashAlgorithm], ['Flagi', f.flags], ['Iteracje', f.iterations], ['Sól', f.salt]],
+    TLSA: f => [
+        ['Użycie', withName(f.usage, f.usageName)],
+        ['Selektor', withName(f.selector, f.selectorName)],
+        ['Dopasowanie', withName(f.matchingType, f.matchingTypeName)],
+        ['Dane', f.certificateData],
+    ],
+    SSHFP: f => [
+        ['Algorytm', withName(f.algorithm, f.algorithmName)],
+        ['Typ odcisku', withName(f.fingerprintType, f.fingerprintTypeName)],
+        ['Odcisk', f.fingerprint],
+    ],
+    HTTPS: f => [
+        ['Priorytet', f.priority === 0 ? '0 (alias)' : f.priority],
+        ['Cel', f.target],
+        ...Object.entries(f.params || {}).map(([key, value]) => [key, Array.isArray(value) ? value.join(', ') : String(value)]),
+    ],
+    NAPTR: f => [
+        ['Kolejność', f.order],
+        ['Preferencja', f.preference],
+        ['Flagi', f.flags],
+        ['Usługi', f.services],
+        ['Regexp', f.regexp],
+        ['Zamiana', f.replacement],
+    ],
+    LOC: f => [
+        ['Szerokość', `${f.latitude.decimal.toFixed(5)}°`],
+        ['Długość', `${f.longitude.decimal.toFixed(5)}°`],
+        ['Wysokość', `${f.altitude} m`],
+        ['Rozmiar', `${f.size} m`],
+        ['Precyzja', `${f.horizontalPrecision} m / ${f.verticalPrecision} m`],
+    ],
+};
+DNS_FIELD_RENDERERS.SVCB = DNS_FIELD_RENDERERS.HTTPS;
+
+function renderDnsRecord(type, r) {
+    const renderer = DNS_FIELD_RENDERERS[type];
+    let body;
+
+    if (renderer && r.fields) {
+        body = `
+            <div class="bg-black/20 p-2 rounded border border-zinc-800/50 group-hover:border-zinc-700/50 transition-colors space-y-1">
+                ${renderer(r.fields).map(([label, value]) => `
+                    <div class="flex justify-between gap-3 text-xs">
+                        <span class="text-zinc-500 whitespace-nowrap">${escapeHtml(label)}</span>
+                        <span class="text-zinc-200 font-mono break-all text-right">${escapeHtml(value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } else {
+        body = `
+            <div class="text-zinc-200 text-sm font-mono break-all bg-black/20 p-2 rounded border border-zinc-800/50 group-hover:border-zinc-700/50 transition-colors">
+                ${escapeHtml(r.fields?.strings ? r.fields.strings.join('') : r.data)}
+            </div>
+        `;
+    }
+
+    return `
+        <div class="group">
+            ${body}
+            ${r.name !== r.data && r.name !== (r.data + '.') ? `<div class="text-[10px] text-zinc-600 mt-0.5 ml-1 truncate">Name: ${escapeHtml(r.name)}</div>` : ''}
+        </div>
+    `;
+}
+
+// Forward-confirmed reverse DNS statuses (src/fcrdns.js)
+const FCRDNS_STATUS_STYLES = {
+    confirmed: { label: 'Potwierdzony', className: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30' },
+    mismatch: { label: 'Niezgodny', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    'no-ptr': { label: 'Brak PTR', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    error: { label: 'Błąd', className: 'bg-zinc-800 text-zinc-400 border-zinc-700' },
+};
+
+// Helper to render the forward-confirmed reverse DNS card: every address, its PTR names
+// and the addresses those names resolve to
+function renderFCrDNSCard(fcrdns) {
+    const rows = fcrdns.results.map(result => {
+        const style = FCRDNS_STATUS_STYLES[result.status] || FCRDNS_STATUS_STYLES.error;
+        const names = result.names.map(name => `
+            <div class="flex items-start justify-between gap-2 text-xs">
+                <span class="font-mono ${name.confirmed ? 'text-zinc-300' : 'text-red-400'} break-all">${escapeHtml(name.name)}</span>
+                <span class="font-mono text-zinc-500 text-right break-all">${escapeHtml(name.addresses.join(', ') || '—')}</span>
+            </div>
+        `).join('');
+        return `
+            <div class="space-y-1">
+                <div class="flex items-center justify-between gap-2">
+                    <span class="font-mono text-zinc-200 text-xs break-all">${escapeHtml(result.ip)}</span>
+                    <span class="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded border ${style.className}">${style.label}</span>
+                </div>
+                ${names}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="bg-zinc-800/30 rounded-2xl p-4 border border-zinc-700/30">
+            <div class="flex items-center justify-between mb-3">
+                <span class="px-2 py-0.5 bg-emerald-500/10 text-emerald-400 text-[10px] font-bold rounded uppercase tracking-wider">FCrDNS</span>
+                <span class="text-[10px] text-zinc-500">${fcrdns.confirmed ? 'PTR potwierdzony rekordami A/AAAA' : 'PTR niepotwierdzony'}</span>
+            </div>
+            <div class="space-y-3">${rows}</div>
+        </div>
+    `;
 }
 
-function renderDNS(dns) {
+function renderDNS(dns, fcrdns) {
     const container = document.getElementById('dnsContainer');
     if (!dns || Object.keys(dns).length === 0) {
         container.innerHTML = '<div class="col-span-full text-zinc-500 text-center py-4">Brak rekordów DNS</div>';
         return;
     }
 
-    let html = '';
+    let html = fcrdns ? renderFCrDNSCard(fcrdns) : '';
     const sortedTypes = Object.keys(dns).sort();
 
     for (const type of sortedTypes) {
@@ -585,14 +2362,7 @@ function renderDNS(dns) {
                         <span class="text-[10px] text-zinc-500">${records.length} ${records.length === 1 ? 'rekord' : 'rekordy'}</span>
                     </div>
                     <div class="space-y-2">
-                        ${records.map(r => `
-                            <div class="group">
-                                <div class="text-zinc-200 text-sm font-mono break-all bg-black/20 p-2 rounded border border-zinc-800/50 group-hover:border-zinc-700/50 transition-colors">
-                                    ${r.data}
-                                </div>
-                                ${r.name !== r.data && r.name !== (r.data + '.') ? `<div class="text-[10px] text-zinc-600 mt-0.5 ml-1 truncate">Name: ${r.name}</div>` : ''}
-                            </div>
-                        `).join('')}
+                        ${records.map(r => renderDnsRecord(type, r)).join('')}
                     </div>
                 </div>
             `;
@@ -0,0 +1,217 @@
+import { countAddresses } from "./cidr.js";
+
+// BGP routing data for an autonomous system, from a pluggable provider normalized to one schema:
+//
+//   { asn, provider, source,
+//     prefixes:     { ipv4: [{ prefix, name, description, country }], ipv6: [...] },
+//     prefixCounts: { ipv4, ipv6 },
+//     addresses:    { ipv4, ipv6 },   distinct addresses announced (decimal string when huge)
+//     peers:        { upstream: [{ asn, name, country, power }], downstream, peer, uncertain },
+//     peerCounts:   { upstream, downstream, peer, uncertain },
+//     ixps:         [{ id, name, country, city, speed, ipv4, ipv6 }],
+//     truncated }
+//
+// Upstreams are neighbours seen closer to the collectors in AS paths, downstreams further away;
+// "uncertain" neighbours could not be placed. The provider is chosen with BGP_PROVIDER.
+
+export const DEFAULT_BGP_PROVIDER = "ripestat";
+
+// Most prefixes (per address family) and peers (per relation) listed; counts cover them all
+const BGP_MAX_PREFIXES = 500;
+const BGP_MAX_PEERS = 100;
+
+const PEER_RELATIONS = ["upstream", "downstream", "peer", "uncertain"];
+
+// Identifies us to RIPEstat, as its usage policy asks
+const RIPESTAT_SOURCEAPP = "ip-api";
+
+// Helper function to fetch JSON from a provider, throwing on HTTP errors
+async function fetchJSON(url, fetcher) {
+  const res = await fetcher(url, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+// --- RIPEstat (routing) and PeeringDB (exchange points) ---
+
+function ripestatURL(endpoint, asn) {
+  const url = new URL(`https://stat.ripe.net/data/${endpoint}/data.json`);
+  url.searchParams.set("resource", `AS${asn}`);
+  url.searchParams.set("sourceapp", RIPESTAT_SOURCEAPP);
+  return url.toString();
+}
+
+// RIPEstat places neighbours "left" (towards the collectors) or "right" of the AS in paths
+const RIPESTAT_RELATIONS = { left: "upstream", right: "downstream", uncertain: "uncertain" };
+
+// Helper function to merge PeeringDB port records into one entry per exchange
+function peeringdbIXPs(ports) {
+  const ixps = new Map();
+  for (const port of ports) {
+    if (!ixps.has(port.ix_id)) ixps.set(port.ix_id, { id: port.ix_id, name: port.name, speed: 0, ipv4: [], ipv6: [] });
+    const ixp = ixps.get(port.ix_id);
+    ixp.speed += port.speed || 0;
+    if (port.ipaddr4) ixp.ipv4.push(port.ipaddr4);
+    if (port.ipaddr6) ixp.ipv6.push(port.ipaddr6);
+  }
+  return [...ixps.values()];
+}
+
+async function ripestatBGP(asn, { fetcher }) {
+  // Exchange points are best effort: networks missing from PeeringDB still have routes
+  const [announced, neighbours, netixlan] = await Promise.all([
+    fetchJSON(ripestatURL("announced-prefixes", asn), fetcher),
+    fetchJSON(ripestatURL("asn-neighbours", asn), fetcher),
+    fetchJSON(`https://www.peeringdb.com/api/netixlan?asn=${asn}`, fetcher).catch(() => null),
+  ]);
+  return {
+    prefixes: (announced.data?.prefixes || []).map(p => ({ prefix: p.prefix })),
+    peers: (neighbours.data?.neighbours || []).map(n => ({
+      asn: n.asn,
+      relation: RIPESTAT_RELATIONS[n.type] || "uncertain",
+      power: n.power,
+    })),
+    ixps: netixlan ? peeringdbIXPs(netixlan.data || []) : [],
+  };
+}
+
+// --- BGPView ---
+
+async function bgpviewQuery(path, fetcher) {
+  const data = await fetchJSON(`https://api.bgpview.io/asn/${path}`, fetcher);
+  if (data.status !== "ok") throw new Error(data.status_message || "Request failed");
+  return data.data;
+}
+
+function normalizeBgpviewPeer(peer, relation) {
+  return { asn: peer.asn, name: peer.description || peer.name, relation, country: peer.country_code };
+}
+
+async function bgpviewBGP(asn, { fetcher }) {
+  const [prefixes, upstreams, downstreams, peers, ixs] = await Promise.all([
+    bgpviewQuery(`${asn}/prefixes`, fetcher),
+    bgpviewQuery(`${asn}/upstreams`, fetcher),
+    bgpviewQuery(`${asn}/downstreams`, fetcher),
+    bgpviewQuery(`${asn}/peers`, fetcher),
+    bgpviewQuery(`${asn}/ixs`, fetcher),
+  ]);
+  const list = (data, key, relation) => [...(data[`ipv4_${key}`] || []), ...(data[`ipv6_${key}`] || [])]
+    .map(peer => normalizeBgpviewPeer(peer, relation));
+  return {
+    prefixes: [...(prefixes.ipv4_prefixes || []), ...(prefixes.ipv6_prefixes || [])].map(p => ({
+      prefix: p.prefix,
+      name: p.name,
+      description: p.description,
+      country: p.country_code,
+    })),
+    peers: [
+      ...list(upstreams, "upstreams", "upstream"),
+      ...list(downstreams, "downstreams", "downstream"),
+      ...list(peers, "peers", "peer"),
+    ],
+    ixps: (ixs || []).map(ix => ({
+      id: ix.ix_id,
+      name: ix.name_full || ix.name,
+      country: ix.country_code,
+      city: ix.city,
+      speed: ix.speed,
+      ipv4: ix.ipv4_address ? [ix.ipv4_address] : [],
+      ipv6: ix.ipv6_address ? [ix.ipv6_address] : [],
+    })),
+  };
+}
+
+// --- Fixture (tests and offline development) ---
+
+// BGP_FIXTURE (a [vars] table or a JSON string) maps AS numbers to provider answers:
+// { "64500": { "prefixes": [{ "prefix": "192.0.2.0/24" }], "peers": [...], "ixps": [...] } }
+function fixtureBGP(asn, { env }) {
+  let fixture = env.BGP_FIXTURE || {};
+  if (typeof fixture === "string") {
+    try {
+      fixture = JSON.parse(fixture);
+    } catch (e) {
+      throw new Error("BGP_FIXTURE is not valid JSON");
+    }
+  }
+  return fixture[asn] || fixture[`AS${asn}`] || null;
+}
+
+// Available providers. `lookup(asn, context)` returns { prefixes, peers, ixps } as above (peers
+// carry their `relation`), or null when the provider knows nothing about the AS; `context` is
+// { env, fetcher }. `local` providers answer without a subrequest and are not cached.
+export const BGP_PROVIDERS = {
+  ripestat: { name: "RIPEstat", lookup: ripestatBGP },
+  bgpview: { name: "BGPView", lookup: bgpviewBGP },
+  fixture: { name: "Fixture", local: true, lookup: fixtureBGP },
+};
+
+// Helper function to read BGP_PROVIDER; unknown names fall back to the default
+export function resolveBGPProvider(value) {
+  const id = String(value || "").trim().toLowerCase();
+  return BGP_PROVIDERS[id] ? id : DEFAULT_BGP_PROVIDER;
+}
+
+// Helper function to turn a provider answer into the summary returned by lookupBGP()
+function summarizeBGP(asn, answer) {
+  const prefixes = { ipv4: [], ipv6: [] };
+  const seenPrefixes = new Set();
+  for (const entry of answer.prefixes || []) {
+    if (!entry?.prefix || seenPrefixes.has(entry.prefix)) continue;
+    seenPrefixes.add(entry.prefix);
+    prefixes[entry.prefix.includes(":") ? "ipv6" : "ipv4"].push(entry);
+  }
+
+  // BGPView lists a neighbour once per address family
+  const peers = Object.fromEntries(PEER_RELATIONS.map(relation => [relation, []]));
+  const seenPeers = new Set();
+  for (const peer of answer.peers || []) {
+    const relation = PEER_RELATIONS.includes(peer.relation) ? peer.relation : "uncertain";
+    const asnNumber = Number(String(peer.asn).replace(/^AS/i, ""));
+    if (!asnNumber || asnNumber === asn || seenPeers.has(`${relation}:${asnNumber}`)) continue;
+    seenPeers.add(`${relation}:${asnNumber}`);
+    peers[relation].push({ asn: asnNumber, name: peer.name, country: peer.country, power: peer.power });
+  }
+  for (const list of Object.values(peers)) {
+    list.sort((a, b) => (b.power ?? 0) - (a.power ?? 0) || a.asn - b.asn);
+  }
+
+  const truncated = Object.values(prefixes).some(list => list.length > BGP_MAX_PREFIXES)
+    || Object.values(peers).some(list => list.length > BGP_MAX_PEERS);
+  return {
+    prefixes: Object.fromEntries(Object.entries(prefixes).map(([family, list]) => [family, list.slice(0, BGP_MAX_PREFIXES)])),
+    prefixCounts: { ipv4: prefixes.ipv4.length, ipv6: prefixes.ipv6.length },
+    addresses: {
+      ipv4: countAddresses(prefixes.ipv4.map(p => p.prefix)),
+      ipv6: countAddresses(prefixes.ipv6.map(p => p.prefix)),
+    },
+    peers: Object.fromEntries(Object.entries(peers).map(([relation, list]) => [relation, list.slice(0, BGP_MAX_PEERS)])),
+    peerCounts: Object.fromEntries(Object.entries(peers).map(([relation, list]) => [relation, list.length])),
+    ixps: (answer.ixps || []).slice().sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    truncated,
+  };
+}
+
+// Look up the routing data of an autonomous system. Options: `env` (BGP_PROVIDER, BGP_FIXTURE),
+// `cache` (createRequestCache(); answers are kept for cache.intelTTL seconds) and `fetcher`.
+// Returns the summary above, or { error, message, provider } if the provider failed.
+export async function lookupBGP(asn, options = {}) {
+  const { env = {}, cache, fetcher = fetch } = options;
+  const id = resolveBGPProvider(env.BGP_PROVIDER);
+  const provider = BGP_PROVIDERS[id];
+  asn = Number(asn);
+
+  let answer;
+  try {
+    const load = () => provider.lookup(asn, { env, fetcher });
+    answer = cache && !provider.local
+      ? (await cache.lookup(`bgp:${id}:AS${asn}`, value => (value ? cache.intelTTL : 0), load)).value
+      : await load();
+  } catch (e) {
+    return { error: "bgpError", message: `${provider.name}: ${e.message}`, provider: id };
+  }
+  if (!answer) {
+    return { error: "bgpError", message: `${provider.name} has no routing data for AS${asn}`, provider: id };
+  }
+  return { asn, provider: id, source: provider.name, ...summarizeBGP(asn, answer) };
+}
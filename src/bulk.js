@@ -0,0 +1,106 @@
+import { IP_REGEX } from "./ip.js";
+
+// Bulk lookups: parse a list of targets, analyze them with bounded concurrency and
+// reduce each analysis to one table row.
+
+// Subrequests one Worker invocation may make: 1000 on the paid plan, 50 on the free plan.
+// Free-plan deployments set SUBREQUEST_LIMIT = "50".
+export const DEFAULT_SUBREQUEST_LIMIT = 1000;
+
+// Helper function to read SUBREQUEST_LIMIT: a positive integer, the paid-plan limit otherwise
+export function resolveSubrequestLimit(value) {
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_SUBREQUEST_LIMIT;
+}
+
+// DNS subrequests of one target (A and AAAA, or PTR), besides the lookup of its address
+export const BULK_DNS_SUBREQUESTS = 2;
+
+// Subrequests kept back for the rest of the request (rate limit store, cache)
+const BULK_RESERVED_SUBREQUESTS = 10;
+
+// Helper function to get the most targets one request can analyze within the per-invocation
+// subrequest limit, whatever the rate-limit tier. `intelSubrequests` is what one address lookup
+// costs with the configured providers (intelSubrequests() in intel.js).
+export function bulkTargetLimit(subrequestLimit, intelSubrequests) {
+  const perTarget = BULK_DNS_SUBREQUESTS + intelSubrequests;
+  return Math.max(1, Math.floor((subrequestLimit - BULK_RESERVED_SUBREQUESTS) / perTarget));
+}
+
+// Targets analyzed at the same time
+export const BULK_CONCURRENCY = 6;
+
+// Columns of a bulk result row, in CSV/table order
+export const BULK_COLUMNS = [
+  "target", "ip", "country", "asn", "org", "isProxy", "isVpn", "isTor", "isDatacenter", "ptr", "error",
+];
+
+// Helper function to read the targets from a request body: a JSON array of strings or
+// newline-separated text (blank lines and "#" comments skipped). Duplicates are dropped.
+// Throws on malformed JSON.
+export function parseBulkTargets(body, contentType = "") {
+  let items;
+  if (contentType.includes("json") || body.trimStart().startsWith("[")) {
+    const parsed = JSON.parse(body);
+    if (!Array.isArray(parsed)) throw new Error("Expected a JSON array of targets");
+    items = parsed.map(item => String(item));
+  } else {
+    items = body.split(/\r?\n/);
+  }
+
+  const targets = items
+    .map(item => item.trim().replace(/\.$/, ""))
+    .filter(item => item && !item.startsWith("#"));
+  return [...new Set(targets)];
+}
+
+// Run `fn(item, index)` over `items` with at most `limit` calls in flight.
+// `onResult(result, index)` is called as each one finishes; results are also returned in input order.
+export async function mapWithConcurrency(items, limit, fn, onResult = () => {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      await onResult(results[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Helper function to reduce an analyzeTarget() result to a bulk row
+export function bulkRow(index, data) {
+  const { target, dns, intel, classification } = data;
+  const resolved = IP_REGEX.test(target)
+    ? target
+    : [...(dns.A || []), ...(dns.AAAA || [])].find(r => r.type === 1 || r.type === 28)?.data;
+  const intelOk = Boolean(resolved && intel && !intel.error);
+  const flag = (name) => (intelOk && intel.flags[name] !== undefined ? Boolean(intel.flags[name]) : null);
+
+  return {
+    index,
+    target,
+    ip: resolved || null,
+    country: intelOk ? intel.location?.countryCode || null : null,
+    asn: intelOk ? intel.network?.asn || null : null,
+    org: intelOk ? intel.network?.org || intel.company?.name || null : null,
+    isProxy: flag("proxy"),
+    isVpn: flag("vpn"),
+    isTor: flag("tor"),
+    isDatacenter: flag("datacenter"),
+    ptr: dns.PTR?.find(r => r.type === 12)?.data?.replace(/\.$/, "") || null,
+    error: !resolved ? "No address found"
+      : intelOk ? null
+      : classification?.bogon ? `Special-use address: ${classification.ranges[0]?.name}`
+      : intel?.message || "IP information unavailable",
+  };
+}
+
+// Helper function to build the row for a target that could not be analyzed
+export function bulkErrorRow(index, target, error) {
+  return Object.fromEntries([["index", index], ...BULK_COLUMNS.map(c => [c, c === "target" ? target : null]), ["error", error]]);
+}
@@ -0,0 +1,139 @@
+// Response caching for upstream lookups (DoH answers, IP intelligence providers).
+// A store keeps entries of the form { value, storedAt, expiresAt } (milliseconds) and has
+// get(key) and put(key, entry, ttlSeconds). Three backends are available: Workers KV,
+// the Cache API and an in-memory Map (per isolate, also used for tests).
+
+// Default time IP intelligence and ASN answers are kept, in seconds (overridable with INTEL_CACHE_TTL)
+export const DEFAULT_INTEL_CACHE_TTL = 6 * 3600;
+
+// Upper bound for DNS answers, whatever their TTL
+export const DNS_CACHE_MAX_TTL = 3600;
+
+// Entries kept by a memory store before the oldest are evicted
+const MEMORY_STORE_LIMIT = 1000;
+
+// KV refuses expirationTtl values under 60 seconds; freshness is checked on read anyway
+const KV_MIN_TTL = 60;
+
+// In-memory store; entries are evicted in insertion order once `limit` is reached
+export function createMemoryStore(limit = MEMORY_STORE_LIMIT) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    async put(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+// Store backed by a KV namespace binding
+export function createKVStore(namespace) {
+  return {
+    async get(key) {
+      const entry = await namespace.get(key, "json");
+      return entry && entry.expiresAt > Date.now() ? entry : null;
+    },
+    async put(key, entry, ttl) {
+      await namespace.put(key, JSON.stringify(entry), { expirationTtl: Math.max(ttl, KV_MIN_TTL) });
+    },
+  };
+}
+
+// Store backed by the Cache API (caches.default); keys are mapped to synthetic URLs
+export function createCacheAPIStore(cache) {
+  const toRequest = (key) => new Request(`https://ip-api.cache/${encodeURIComponent(key)}`);
+  return {
+    async get(key) {
+      const response = await cache.match(toRequest(key));
+      if (!response) return null;
+      const entry = await response.json();
+      return entry.expiresAt > Date.now() ? entry : null;
+    },
+    async put(key, entry, ttl) {
+      await cache.put(toRequest(key), new Response(JSON.stringify(entry), {
+        headers: { "Content-Type": "application/json", "Cache-Control": `max-age=${ttl}` },
+      }));
+    },
+  };
+}
+
+// Isolate-wide fallback when neither KV nor the Cache API is available
+const memoryStore = createMemoryStore();
+
+// Helper function to pick the store from the environment. By default the CACHE KV binding is
+// used if present, then the Cache API, then memory; CACHE_BACKEND ("cache-api", "memory" or "off")
+// overrides that. Returns null when caching is disabled.
+export function selectCacheStore(env = {}) {
+  const backend = (env.CACHE_BACKEND || "").toLowerCase();
+  const hasCacheAPI = typeof caches !== "undefined" && Boolean(caches.default);
+
+  if (backend === "off") return null;
+  if (backend === "memory") return memoryStore;
+  if (env.CACHE && backend !== "cache-api") return createKVStore(env.CACHE);
+  if (hasCacheAPI) return createCacheAPIStore(caches.default);
+  return memoryStore;
+}
+
+// Create the cache used while handling one request. It tracks hits and misses so the
+// response can carry X-Cache/Age headers. Options:
+//   bypass    - skip reads (?nocache=1); fresh values are still written
+//   waitUntil - lets writes finish after the response is sent (ctx.waitUntil)
+//   intelTTL  - seconds to keep IP intelligence answers
+export function createRequestCache(store, options = {}) {
+  const { bypass = false, waitUntil = () => {}, intelTTL = DEFAULT_INTEL_CACHE_TTL } = options;
+  const stats = { hits: 0, misses: 0, age: 0 };
+
+  return {
+    intelTTL,
+
+    // Return { value, age } for `key`, calling `produce()` on a miss. `ttl` is a number of
+    // seconds or a function of the produced value; values with a TTL of 0 are not stored.
+    async lookup(key, ttl, produce) {
+      if (store && !bypass) {
+        let entry = null;
+        try {
+          entry = await store.get(key);
+        } catch (e) {
+          // A failing cache must not fail the lookup
+        }
+        if (entry) {
+          const age = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+          stats.hits++;
+          stats.age = Math.max(stats.age, age);
+          return { value: entry.value, age };
+        }
+      }
+
+      stats.misses++;
+      const value = await produce();
+      const seconds = Math.floor(typeof ttl === "function" ? ttl(value) : ttl);
+      if (store && seconds > 0) {
+        const now = Date.now();
+        const entry = { value, storedAt: now, expiresAt: now + seconds * 1000 };
+        waitUntil(store.put(key, entry, seconds).catch(() => {}));
+      }
+      return { value, age: 0 };
+    },
+
+    // Headers describing how the response was served: X-Cache (HIT only if every lookup
+    // came from the cache, BYPASS for ?nocache=1) and Age for full hits
+    headers() {
+      if (!store || stats.hits + stats.misses === 0) return {};
+      if (bypass) return { "X-Cache": "BYPASS" };
+      if (stats.misses > 0) return { "X-Cache": "MISS" };
+      return { "X-Cache": "HIT", "Age": String(stats.age) };
+    },
+  };
+}
@@ -0,0 +1,233 @@
+import { mapWithConcurrency } from "./bulk.js";
+import { queryDoH } from "./dns.js";
+import { TYPES } from "./dnswire.js";
+import { lookupIntel } from "./intel.js";
+import { bytesToIP, ipToBytes, parseCIDR } from "./ip.js";
+import { classifyNetwork } from "./special.js";
+
+// Subnet calculations for CIDR networks ("192.0.2.0/24"), netmask notation
+// ("192.0.2.0 255.255.255.0" or "192.0.2.0/255.255.255.0") and address ranges
+// ("192.0.2.10-192.0.2.20"), IPv4 and IPv6. Addresses are handled as BigInts.
+
+// Most addresses sampled by a PTR sweep, and how many lookups run at once
+export const PTR_SWEEP_MAX = 64;
+export const PTR_SWEEP_DEFAULT = 16;
+const PTR_SWEEP_CONCURRENCY = 8;
+
+// CIDR blocks listed for a range before the list is cut short
+const RANGE_CIDR_LIMIT = 64;
+
+// Helper functions converting between address bytes and BigInts
+function toBigInt(bytes) {
+  return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+}
+
+function fromBigInt(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+// Helper function to turn a BigInt into a Number when it is exact, otherwise a decimal string
+function toJSONNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+// Helper function to read a dotted netmask as a prefix length, or null when it is not contiguous
+function maskToPrefix(mask) {
+  const bytes = ipToBytes(mask);
+  if (!bytes || bytes.length !== 4) return null;
+  const bits = Array.from(bytes, b => b.toString(2).padStart(8, "0")).join("");
+  if (!/^1*0*$/.test(bits)) return null;
+  return bits.replace(/0+$/, "").length;
+}
+
+// Helper function to split an inclusive range into the fewest CIDR blocks
+function rangeToCIDRs(start, end, bits, length, limit = RANGE_CIDR_LIMIT) {
+  const cidrs = [];
+  while (start <= end && cidrs.length < limit) {
+    // Largest block aligned at `start` that still fits in the range
+    let size = 0;
+    while (size < bits && ((start >> BigInt(size)) & 1n) === 0n && start + (1n << BigInt(size + 1)) - 1n <= end) {
+      size++;
+    }
+    cidrs.push(`${bytesToIP(fromBigInt(start, length))}/${bits - size}`);
+    start += 1n << BigInt(size);
+  }
+  return { cidrs, truncated: start <= end };
+}
+
+// Helper function to check whether a query is a network rather than a single address or name
+export function isNetworkQuery(query) {
+  return parseNetworkQuery(query) !== null && !ipToBytes(String(query).trim());
+}
+
+// Parse a network query: { kind: "cidr" | "range", version, start, end, prefixLength, bits, length }
+// with BigInt start/end, or null if it is not one. A bare address is a single-host network.
+export function parseNetworkQuery(query) {
+  const value = String(query || "").trim();
+
+  const range = /^([0-9a-fA-F:.]+)\s*-\s*([0-9a-fA-F:.]+)$/.exec(value);
+  if (range) {
+    const first = ipToBytes(range[1]);
+    const last = ipToBytes(range[2]);
+    if (!first || !last || first.length !== last.length) return null;
+    const [start, end] = [toBigInt(first), toBigInt(last)];
+    if (start > end) return null;
+    return { kind: "range", version: first.length === 4 ? 4 : 6, start, end, bits: first.length * 8, length: first.length };
+  }
+
+  // "address mask" and "address/mask" for IPv4 netmasks
+  const masked = /^([\d.]+)(?:\s+|\/)(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+  const prefixLength = masked ? maskToPrefix(masked[2]) : undefined;
+  if (masked && prefixLength === null) return null;
+  const network = parseCIDR(masked ? `${masked[1]}/${prefixLength}` : value);
+  if (!network) return null;
+
+  const bits = network.bytes.length * 8;
+  const hostBits = BigInt(bits - network.prefixLength);
+  const address = toBigInt(network.bytes);
+  const start = (address >> hostBits) << hostBits;
+  return {
+    kind: "cidr",
+    version: bits === 32 ? 4 : 6,
+    address,
+    start,
+    end: start + (1n << hostBits) - 1n,
+    prefixLength: network.prefixLength,
+    bits,
+    length: network.bytes.length,
+  };
+}
+
+// Count the distinct addresses covered by a list of CIDR prefixes of one family: overlapping
+// prefixes (a more-specific announced next to its aggregate) are counted once. Invalid entries
+// are skipped; the count is a Number when exact, otherwise a decimal string.
+export function countAddresses(prefixes) {
+  const blocks = prefixes
+    .map(prefix => parseNetworkQuery(prefix))
+    .filter(parsed => parsed && parsed.kind === "cidr")
+    .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+  let total = 0n;
+  let covered = -1n;
+  for (const { start, end } of blocks) {
+    if (end <= covered) continue;
+    total += end - (start > covered ? start : covered + 1n) + 1n;
+    covered = end;
+  }
+  return toJSONNumber(total);
+}
+
+// Helper function to pick up to `count` addresses spread evenly over [start, end]
+function sampleAddresses(start, end, count) {
+  const size = end - start + 1n;
+  if (size <= BigInt(count)) {
+    return Array.from({ length: Number(size) }, (_, i) => start + BigInt(i));
+  }
+  const step = size / BigInt(count);
+  return Array.from({ length: count }, (_, i) => start + step * BigInt(i) + (step > 1n ? 1n : 0n));
+}
+
+// Helper function to build the reverse DNS name of an address
+function reverseName(bytes) {
+  if (bytes.length === 4) return `${Array.from(bytes).reverse().join(".")}.in-addr.arpa`;
+  const nibbles = Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("").split("");
+  return `${nibbles.reverse().join(".")}.ip6.arpa`;
+}
+
+// Look up PTR records for a sample of the network's addresses: [{ ip, ptr, status }]
+export async function sweepPTR(parsed, count, options = {}) {
+  const addresses = sampleAddresses(parsed.start, parsed.end, Math.min(count, PTR_SWEEP_MAX));
+  return mapWithConcurrency(addresses, PTR_SWEEP_CONCURRENCY, async (address) => {
+    const bytes = fromBigInt(address, parsed.length);
+    const ip = bytesToIP(bytes);
+    try {
+      const message = await queryDoH(reverseName(bytes), "PTR", options);
+      const ptr = message.answers.find(r => r.type === TYPES.PTR)?.data?.replace(/\.$/, "") || null;
+      return { ip, ptr, status: message.status };
+    } catch (e) {
+      return { ip, ptr: null, error: e.message };
+    }
+  });
+}
+
+// Describe a parsed network: addresses, size, usable hosts, covering CIDRs and special-use ranges.
+// For IPv4 the first and last address of a /30 or larger are network and broadcast; /31 (RFC 3021)
+// and /32 have no reserved addresses. IPv6 has no broadcast, so every address is usable.
+export function describeNetwork(parsed) {
+  const { version, start, end, length, bits } = parsed;
+  const format = (value) => bytesToIP(fromBigInt(value, length));
+  const size = end - start + 1n;
+  const result = {
+    kind: parsed.kind,
+    version,
+    start: format(start),
+    end: format(end),
+    size: toJSONNumber(size),
+  };
+
+  if (parsed.kind === "cidr") {
+    const hostBits = BigInt(bits - parsed.prefixLength);
+    result.cidr = `${format(start)}/${parsed.prefixLength}`;
+    result.prefixLength = parsed.prefixLength;
+    result.network = format(start);
+    result.hostBitsSet = parsed.address !== start;
+    if (version === 4) {
+      const mask = ((1n << 32n) - 1n) ^ ((1n << hostBits) - 1n);
+      result.netmask = format(mask);
+      result.wildcard = format(((1n << 32n) - 1n) ^ mask);
+    }
+
+    const reserved = version === 4 && parsed.prefixLength <= 30;
+    result.broadcast = reserved ? format(end) : null;
+    result.firstUsable = format(reserved ? start + 1n : start);
+    result.lastUsable = format(reserved ? end - 1n : end);
+    result.usable = toJSONNumber(reserved ? size - 2n : size);
+    result.cidrs = [result.cidr];
+  } else {
+    const { cidrs, truncated } = rangeToCIDRs(start, end, bits, length);
+    result.cidrs = cidrs;
+    result.cidrsTruncated = truncated;
+    result.usable = toJSONNumber(size);
+  }
+
+  // Classification covers the whole range through its covering blocks
+  const blocks = parsed.kind === "cidr" ? [result.cidr] : result.cidrs;
+  const classes = blocks.map(cidr => classifyNetwork(parseCIDR(cidr)));
+  const ranges = new Map();
+  for (const range of classes.flatMap(c => c.ranges)) ranges.set(range.cidr, range);
+  result.classification = {
+    ranges: [...ranges.values()],
+    bogon: classes.every(c => c.bogon),
+    global: classes.every(c => c.global),
+  };
+
+  return result;
+}
+
+// Analyze a network query. Options: `env` and `cache` (IP intelligence for the route/ASN lookup),
+// `endpoint` (DoH resolver) and `ptr` (number of addresses to sample for PTR records, 0 for none).
+// Returns null when `query` is not a network.
+export async function analyzeNetwork(query, options = {}) {
+  const { env, cache, endpoint, ptr = 0 } = options;
+  const parsed = parseNetworkQuery(query);
+  if (!parsed) return null;
+
+  const result = { query: String(query).trim(), ...describeNetwork(parsed) };
+  const routed = !result.classification.bogon;
+
+  // The route and origin AS of the first address; bogons are never routed
+  const [intel, sweep] = await Promise.all([
+    routed ? lookupIntel(result.start, { env, cache }) : null,
+    ptr > 0 ? sweepPTR(parsed, ptr, { endpoint, cache }) : null,
+  ]);
+  result.routing = intel && !intel.error
+    ? { route: intel.network?.route, asn: intel.network?.asn, org: intel.network?.org, country: intel.location?.countryCode }
+    : null;
+  if (sweep) result.ptr = sweep;
+  return result;
+}
@@ -0,0 +1,63 @@
+import { BGP_PROVIDERS, resolveBGPProvider } from "./bgp.js";
+import { PROVIDERS, resolveProviders } from "./intel.js";
+import { DEFAULT_RESOLVER, RESOLVERS } from "./resolvers.js";
+import { DEFAULT_CT_SEARCH_URL } from "./subdomains.js";
+
+// Deployment settings the frontend reads from /api/config: where the API lives, which optional
+// features the worker serves and which providers answer. Everything comes from env:
+// API_BASE_URL (default: the origin the page was loaded from) and DISABLED_FEATURES
+// ("subdomains,http"). The core lookups (/api/analyze, /api/myip, path lookups) are always on.
+
+// Optional features and the endpoints that serve them
+export const FEATURES = {
+  asn: "/api/asn",
+  bulk: "/api/bulk",
+  cidr: "/api/cidr",
+  compare: "/api/dns/compare",
+  dnssec: "/api/dnssec",
+  health: "/api/health",
+  http: "/api/http",
+  mail: "/api/mail",
+  propagation: "/api/propagation",
+  rdap: "/api/rdap",
+  subdomains: "/api/subdomains",
+  trace: "/api/trace",
+};
+
+// Helper function to read DISABLED_FEATURES into { feature: enabled }; unknown names are ignored
+export function resolveFeatures(value) {
+  const disabled = new Set(String(value || "").split(",").map(s => s.trim().toLowerCase()));
+  return Object.fromEntries(Object.keys(FEATURES).map(id => [id, !disabled.has(id)]));
+}
+
+// Helper function to find the optional feature an API path belongs to, or null
+export function featureForPath(pathname) {
+  return Object.keys(FEATURES).find(id => FEATURES[id] === pathname) || null;
+}
+
+// Helper function to read API_BASE_URL: an http(s) URL without a trailing slash, or null
+// (same origin) when unset or invalid
+export function resolveAPIBase(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    return url.toString().replace(/\/+$/, "");
+  } catch (e) {
+    return null;
+  }
+}
+
+// Build the answer of /api/config: { apiBase, features, providers }
+export function clientConfig(env = {}) {
+  const bgp = resolveBGPProvider(env.BGP_PROVIDER);
+  return {
+    apiBase: resolveAPIBase(env.API_BASE_URL),
+    features: resolveFeatures(env.DISABLED_FEATURES),
+    providers: {
+      intel: resolveProviders(env.INTEL_PROVIDERS).map(id => ({ id, name: PROVIDERS[id].name })),
+      bgp: { id: bgp, name: BGP_PROVIDERS[bgp].name },
+      resolvers: Object.entries(RESOLVERS).map(([id, { name }]) => ({ id, name, default: id === DEFAULT_RESOLVER })),
+      certificateTransparency: env.CT_SEARCH_URL || DEFAULT_CT_SEARCH_URL,
+    },
+  };
+}
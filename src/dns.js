@@ -0,0 +1,151 @@
+import { DNS_CACHE_MAX_TTL } from "./cache.js";
+import { TYPES, decodeMessage, encodeQuery, fromBase64, toBase64, toBase64Url, typeCode } from "./dnswire.js";
+import { IP_REGEX, isIPv4, isIPv6, ipv4ToReverseDNS, ipv6ToReverseDNS } from "./ip.js";
+
+// Default RFC 8484 endpoint
+export const DEFAULT_DOH_ENDPOINT = "https://cloudflare-dns.com/dns-query";
+
+// Record types still queried verbatim when the target is an IP address (PTR is rewritten)
+const IP_QUERY_TYPES = ["TXT"];
+
+// Helper function to work out how long a response may be cached, in seconds: the lowest answer
+// TTL, or for NXDOMAIN/NODATA the SOA negative-caching TTL (RFC 2308). Failures are not cached.
+function cacheTTL(message) {
+  if (message.rcode !== 0 && message.rcode !== 3) return 0;
+  if (message.flags.tc) return 0;
+
+  let ttl;
+  if (message.answers.length > 0) {
+    ttl = Math.min(...message.answers.map(r => r.TTL));
+  } else {
+    const soa = message.authority.find(r => r.type === TYPES.SOA);
+    // An SOA whose RDATA could not be parsed has no negative TTL to honour
+    ttl = soa?.fields ? Math.min(soa.TTL, soa.fields.minimum) : 0;
+  }
+  return Math.min(ttl, DNS_CACHE_MAX_TTL);
+}
+
+// Helper function to count down the TTLs of a cached response by its age, like a resolver would
+function ageMessage(message, age) {
+  for (const section of [message.answers, message.authority, message.additional]) {
+    for (const record of section) {
+      record.TTL = Math.max(0, record.TTL - age);
+    }
+  }
+  return message;
+}
+
+// Send a single query as application/dns-message (GET with ?dns=) and decode the answer.
+// `fetcher` can be swapped out to run without network access; with a `cache`
+// (createRequestCache()) responses are reused for up to their TTL.
+export async function queryDoH(name, type, options = {}) {
+  const {
+    endpoint = DEFAULT_DOH_ENDPOINT,
+    dnssec = false,
+    checkingDisabled = false,
+    fetcher = fetch,
+    cache,
+  } = options;
+
+  const fetchResponse = async () => {
+    const query = encodeQuery({ id: 0, name, type, dnssecOK: dnssec, checkingDisabled });
+    const url = new URL(endpoint);
+    url.searchParams.set("dns", toBase64Url(query));
+
+    const res = await fetcher(url.toString(), { headers: { accept: "application/dns-message" } });
+    if (!res.ok) {
+      throw new Error(`DoH server returned HTTP ${res.status}`);
+    }
+    return new Uint8Array(await res.arrayBuffer());
+  };
+
+  if (!cache) {
+    return decodeMessage(await fetchResponse());
+  }
+
+  // Cached as base64 wire format so every backend can store it as JSON
+  const key = `dns:${endpoint}|${name.toLowerCase()}|${type}|${dnssec ? "do" : ""}${checkingDisabled ? "cd" : ""}`;
+  const { value, age } = await cache.lookup(
+    key,
+    (encoded) => cacheTTL(decodeMessage(fromBase64(encoded))),
+    async () => toBase64(await fetchResponse()),
+  );
+  return ageMessage(decodeMessage(fromBase64(value)), age);
+}
+
+// Helper function to reduce a decoded message to the per-query details exposed by the API
+function summarizeMessage(message) {
+  return {
+    status: message.status,
+    rcode: message.rcode,
+    flags: message.flags,
+    authority: message.authority,
+    additional: message.additional,
+    edns: message.edns,
+  };
+}
+
+// Helper function to work out the query name for a target/type pair, or null to skip it
+export function queryNameFor(target, type) {
+  const isIp = IP_REGEX.test(target);
+
+  // For PTR records, convert IP to reverse DNS format
+  if (type === "PTR") {
+    // PTR only makes sense for IP addresses
+    if (!isIp) return null;
+    if (isIPv4(target)) return ipv4ToReverseDNS(target);
+    if (isIPv6(target)) return ipv6ToReverseDNS(target);
+    return null;
+  }
+
+  // Skip the other record types for IP addresses (they don't make sense)
+  if (isIp && !IP_QUERY_TYPES.includes(type)) return null;
+
+  return target;
+}
+
+// Perform DNS queries for each type and return the full response details per type:
+// { TYPE: { status, rcode, flags, answers, authority, additional, edns } } or { TYPE: { error } }
+export async function performDNSQueries(target, dnsTypes, options = {}) {
+  const results = {};
+
+  await Promise.all(
+    dnsTypes.map(async (type) => {
+      const queryName = queryNameFor(target, type);
+      if (!queryName) {
+        results[type] = { skipped: true, answers: [] };
+        return;
+      }
+      if (typeCode(type) === undefined) {
+        results[type] = { error: `Unknown record type: ${type}`, answers: [] };
+        return;
+      }
+
+      try {
+        const message = await queryDoH(queryName, type, options);
+        results[type] = { ...summarizeMessage(message), answers: message.answers };
+      } catch (e) {
+        results[type] = { error: e.message, answers: [] };
+      }
+    })
+  );
+  return results;
+}
+
+// Helper function to split performDNSQueries output into answers per type and
+// the remaining per-query details (status, flags, authority, additional, EDNS)
+export function splitDNSResults(queries) {
+  const dns = {};
+  const details = {};
+  for (const [type, result] of Object.entries(queries)) {
+    const { answers, ...rest } = result;
+    dns[type] = answers;
+    details[type] = rest;
+  }
+  return { dns, details };
+}
+
+// Helper function to perform DNS lookups with special PTR handling; returns answers per type
+export async function performDNSLookups(target, dnsTypes, options = {}) {
+  return splitDNSResults(await performDNSQueries(target, dnsTypes, options)).dns;
+}
@@ -0,0 +1,428 @@
+import { queryDoH } from "./dns.js";
+import {
+  DIGEST_TYPES,
+  DNSSEC_ALGORITHMS,
+  TYPES,
+  canonicalName,
+  canonicalRData,
+  encodeName,
+  fromBase64,
+  toBase64Url,
+  toHex,
+} from "./dnswire.js";
+
+// DNSSEC chain-of-trust validation from the root down to a domain, using DoH queries
+// with the DO and CD bits set (so bogus data is returned to us instead of SERVFAIL)
+// and WebCrypto for signature checks.
+
+// Root zone trust anchors (KSK-2017 and KSK-2024), https://data.iana.org/root-anchors/
+export const ROOT_TRUST_ANCHORS = [
+  { keyTag: 20326, algorithm: 8, digestType: 2, digest: "E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D" },
+  { keyTag: 38696, algorithm: 8, digestType: 2, digest: "683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16" },
+];
+
+// WebCrypto parameters per DNSSEC algorithm number
+const ALGORITHMS = {
+  5: { kind: "RSA", hash: "SHA-1" },
+  7: { kind: "RSA", hash: "SHA-1" },
+  8: { kind: "RSA", hash: "SHA-256" },
+  10: { kind: "RSA", hash: "SHA-512" },
+  13: { kind: "EC", curve: "P-256", hash: "SHA-256", size: 32 },
+  14: { kind: "EC", curve: "P-384", hash: "SHA-384", size: 48 },
+  15: { kind: "Ed25519" },
+};
+
+// Algorithms that validate but should no longer be used for signing (RFC 8624)
+const DEPRECATED_ALGORITHMS = [1, 3, 5, 6, 7, 12];
+
+// Digest algorithms for DS records
+const DS_DIGESTS = { 1: "SHA-1", 2: "SHA-256", 4: "SHA-384" };
+
+// DNSKEY flags: Zone Key (bit 7) and REVOKE (bit 8, RFC 5011)
+const DNSKEY_FLAG_ZONE = 0x0100;
+const DNSKEY_FLAG_REVOKE = 0x0080;
+
+// Warn when a signature expires sooner than this
+const EXPIRY_WARNING_SECONDS = 7 * 24 * 3600;
+
+// Helper function to get the parent of a fully-qualified name ("example.com." -> "com.")
+function parentName(name) {
+  if (name === ".") return null;
+  const index = name.indexOf(".");
+  return index === name.length - 1 ? "." : name.slice(index + 1);
+}
+
+// Helper function to check whether `name` is `zone` or below it (both fully qualified)
+function isWithin(name, zone) {
+  return zone === "." || name === zone || name.endsWith("." + zone);
+}
+
+// Helper function to count labels as RRSIG does (root and leading wildcard excluded)
+function labelCount(name) {
+  if (name === ".") return 0;
+  const labels = name.replace(/\.$/, "").split(".");
+  return labels[0] === "*" ? labels.length - 1 : labels.length;
+}
+
+// Helper function to check whether a DNSKEY may validate signatures: only zone keys that are not
+// revoked (RFC 4035 section 5.3.1, RFC 5011 section 2.1)
+function isUsableKey(dnskey) {
+  return Boolean(dnskey.fields.flags & DNSKEY_FLAG_ZONE) && !(dnskey.fields.flags & DNSKEY_FLAG_REVOKE);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function uint16(value) {
+  return Uint8Array.of(value >> 8, value & 0xff);
+}
+
+function uint32(value) {
+  return Uint8Array.of(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+// Helper function to compare byte strings in canonical (unsigned, left-justified) order
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+// Helper function to import a DNSKEY as a WebCrypto verification key
+async function importDNSKEY(fields) {
+  const params = ALGORITHMS[fields.algorithm];
+  if (!params) throw new Error(`Unsupported algorithm ${fields.algorithm}`);
+  const key = fromBase64(fields.publicKey);
+
+  if (params.kind === "RSA") {
+    // RFC 3110: exponent length (1 or 3 bytes), exponent, modulus
+    let offset = 1;
+    let exponentLength = key[0];
+    if (exponentLength === 0) {
+      exponentLength = (key[1] << 8) | key[2];
+      offset = 3;
+    }
+    const jwk = {
+      kty: "RSA",
+      e: toBase64Url(key.subarray(offset, offset + exponentLength)),
+      n: toBase64Url(key.subarray(offset + exponentLength)),
+      ext: true,
+    };
+    return crypto.subtle.importKey("jwk", jwk, { name: "RSASSA-PKCS1-v1_5", hash: params.hash }, false, ["verify"]);
+  }
+
+  if (params.kind === "EC") {
+    // RFC 6605: uncompressed point without the 0x04 prefix
+    const jwk = {
+      kty: "EC",
+      crv: params.curve,
+      x: toBase64Url(key.subarray(0, params.size)),
+      y: toBase64Url(key.subarray(params.size, params.size * 2)),
+      ext: true,
+    };
+    return crypto.subtle.importKey("jwk", jwk, { name: "ECDSA", namedCurve: params.curve }, false, ["verify"]);
+  }
+
+  // RFC 8080: raw 32-byte Ed25519 public key
+  return crypto.subtle.importKey("jwk", { kty: "OKP", crv: "Ed25519", x: toBase64Url(key), ext: true }, { name: "Ed25519" }, false, ["verify"]);
+}
+
+// Helper function to build the data an RRSIG signs (RFC 4034 section 3.1.8.1)
+function signedData(rrsig, rrset) {
+  const sig = rrsig.fields;
+  const header = concatBytes([
+    uint16(TYPES[sig.typeCovered]),
+    Uint8Array.of(sig.algorithm, sig.labels),
+    uint32(sig.originalTTL),
+    uint32(sig.expiration),
+    uint32(sig.inception),
+    uint16(sig.keyTag),
+    encodeName(sig.signerName),
+  ]);
+
+  // Wildcard expansions are signed with the wildcard owner name
+  let owner = canonicalName(rrset[0].name);
+  if (labelCount(owner) > sig.labels) {
+    owner = "*." + owner.split(".").slice(-sig.labels - 1).join(".");
+  }
+  const ownerBytes = encodeName(owner);
+
+  const records = rrset
+    .map(record => canonicalRData(record))
+    .sort(compareBytes)
+    .filter((rdata, i, all) => i === 0 || compareBytes(rdata, all[i - 1]) !== 0)
+    .map(rdata => concatBytes([
+      ownerBytes,
+      uint16(rrset[0].type),
+      uint16(rrset[0].class),
+      uint32(sig.originalTTL),
+      uint16(rdata.length),
+      rdata,
+    ]));
+
+  return concatBytes([header, ...records]);
+}
+
+// Helper function to verify one RRSIG over an RRset with the given DNSKEY records.
+// Returns { valid, keyTag, error }.
+async function verifyRRSIG(rrsig, rrset, dnskeys, now) {
+  const sig = rrsig.fields;
+  const result = {
+    typeCovered: sig.typeCovered,
+    keyTag: sig.keyTag,
+    algorithm: sig.algorithm,
+    algorithmName: sig.algorithmName,
+    signer: sig.signerName,
+    inception: sig.inceptionDate,
+    expiration: sig.expirationDate,
+    valid: false,
+  };
+
+  if (now < sig.inception) {
+    result.error = "Signature not yet valid";
+    return result;
+  }
+  if (now > sig.expiration) {
+    result.error = "Signature expired";
+    return result;
+  }
+
+  const matching = dnskeys.filter(k => k.fields.keyTag === sig.keyTag && k.fields.algorithm === sig.algorithm);
+  const candidates = matching.filter(isUsableKey);
+  if (candidates.length === 0) {
+    result.error = matching.length > 0
+      ? "The DNSKEY with matching key tag is revoked or not a zone key"
+      : "No DNSKEY with matching key tag";
+    return result;
+  }
+
+  const params = ALGORITHMS[sig.algorithm];
+  if (!params) {
+    result.error = `Unsupported algorithm ${sig.algorithm}`;
+    return result;
+  }
+
+  const data = signedData(rrsig, rrset);
+  const signature = fromBase64(sig.signature);
+  const verifyParams = params.kind === "RSA"
+    ? { name: "RSASSA-PKCS1-v1_5" }
+    : params.kind === "EC" ? { name: "ECDSA", hash: params.hash } : { name: "Ed25519" };
+
+  for (const candidate of candidates) {
+    try {
+      const key = await importDNSKEY(candidate.fields);
+      if (await crypto.subtle.verify(verifyParams, key, signature, data)) {
+        result.valid = true;
+        return result;
+      }
+    } catch (e) {
+      result.error = e.message;
+    }
+  }
+  result.error = result.error || "Signature does not verify";
+  return result;
+}
+
+// Helper function to verify an RRset: valid if any covering RRSIG verifies
+async function verifyRRset(rrset, rrsigs, dnskeys, now) {
+  const signatures = await Promise.all(rrsigs.map(rrsig => verifyRRSIG(rrsig, rrset, dnskeys, now)));
+  return { valid: signatures.some(s => s.valid), signatures };
+}
+
+// Helper function to compute a DS digest for a DNSKEY (RFC 4034 section 5.1.4)
+async function dsDigest(owner, dnskey, digestType) {
+  const hash = DS_DIGESTS[digestType];
+  if (!hash) return null;
+  const data = concatBytes([encodeName(owner), dnskey.rdata]);
+  return toHex(new Uint8Array(await crypto.subtle.digest(hash, data)));
+}
+
+// Helper function to split a response into the RRset of `type` at `name` and its RRSIGs
+function extractRRset(message, name, type) {
+  const owner = canonicalName(name);
+  const atOwner = message.answers.filter(r => canonicalName(r.name) === owner);
+  return {
+    rrset: atOwner.filter(r => r.type === TYPES[type]),
+    rrsigs: atOwner.filter(r => r.type === TYPES.RRSIG && r.fields?.typeCovered === type),
+  };
+}
+
+// Helper function to find the zone cuts above and including `name`: [".", "com.", "example.com."]
+async function findZones(name, query) {
+  const zones = [];
+  let current = name;
+
+  while (current && current !== ".") {
+    const message = await query(current, "SOA");
+    const soa = [...message.answers, ...message.authority]
+      .find(r => r.type === TYPES.SOA && isWithin(current, canonicalName(r.name)));
+    const apex = soa ? canonicalName(soa.name) : null;
+    if (!apex || apex === ".") break;
+    zones.unshift(apex);
+    current = parentName(apex);
+  }
+
+  zones.unshift(".");
+  return zones;
+}
+
+// Helper function to summarize DNSKEYs for the report
+function describeKeys(dnskeys, usedKeyTags) {
+  return dnskeys.map(k => ({
+    keyTag: k.fields.keyTag,
+    role: k.fields.role,
+    flags: k.fields.flags,
+    algorithm: k.fields.algorithm,
+    algorithmName: k.fields.algorithmName,
+    revoked: k.fields.revoked,
+    trusted: usedKeyTags.includes(k.fields.keyTag),
+  }));
+}
+
+// Helper function to add algorithm and expiry warnings for a zone
+function addWarnings(zone, now) {
+  for (const key of zone.dnskeys) {
+    if (DEPRECATED_ALGORITHMS.includes(key.algorithm)) {
+      zone.warnings.push(`DNSKEY ${key.keyTag} uses deprecated algorithm ${key.algorithmName || key.algorithm}`);
+    }
+  }
+  for (const sig of zone.signatures) {
+    const expires = Date.parse(sig.expiration) / 1000;
+    if (sig.valid && expires - now < EXPIRY_WARNING_SECONDS) {
+      zone.warnings.push(`RRSIG over ${sig.typeCovered} (key ${sig.keyTag}) expires ${sig.expiration}`);
+    }
+  }
+}
+
+// Validate the chain of trust for `domain`. Options: `endpoint`/`fetcher` (passed to queryDoH),
+// `now` (seconds since epoch, for testing) and `trustAnchors` (root DS records).
+// Returns { domain, status, zones: [...], answer }.
+export async function validateDNSSEC(domain, options = {}) {
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const trustAnchors = options.trustAnchors || ROOT_TRUST_ANCHORS;
+  const query = (name, type) => queryDoH(name, type, { ...options, dnssec: true, checkingDisabled: true });
+
+  const name = canonicalName(domain);
+  const zoneNames = await findZones(name, query);
+
+  const zones = [];
+  let parentKeys = null;
+  let chain = "secure";
+
+  for (const zoneName of zoneNames) {
+    const zone = { zone: zoneName, status: chain, ds: [], dnskeys: [], signatures: [], errors: [], warnings: [] };
+    zones.push(zone);
+
+    // Below an insecure delegation everything is insecure; below a bogus one nothing can be proven
+    if (chain !== "secure") {
+      if (chain === "bogus") zone.status = "indeterminate";
+      continue;
+    }
+
+    // 1. DS records: from the trust anchor for the root, from the parent zone otherwise
+    let dsRecords;
+    if (zoneName === ".") {
+      dsRecords = trustAnchors.map(anchor => ({ fields: anchor }));
+    } else {
+      const { rrset, rrsigs } = extractRRset(await query(zoneName, "DS"), zoneName, "DS");
+      if (rrset.length === 0) {
+        // Unsigned delegation: a valid insecure answer, not an error (the parent's NSEC/NSEC3
+        // denial is not verified here)
+        zone.status = chain = "insecure";
+        zone.warnings.push("No DS records at the parent: delegation is unsigned");
+        continue;
+      }
+      const dsCheck = await verifyRRset(rrset, rrsigs, parentKeys, now);
+      zone.signatures.push(...dsCheck.signatures);
+      if (!dsCheck.valid) {
+        zone.errors.push("DS RRset signature from the parent zone does not verify");
+      }
+      dsRecords = rrset;
+    }
+
+    // 2. DNSKEY RRset of the zone
+    const { rrset: dnskeys, rrsigs: keySigs } = extractRRset(await query(zoneName, "DNSKEY"), zoneName, "DNSKEY");
+    if (dnskeys.length === 0) {
+      zone.ds = dsRecords.map(ds => ({ ...pickDS(ds.fields), matched: false }));
+      zone.errors.push("DS records exist but the zone publishes no DNSKEY");
+      zone.status = chain = "bogus";
+      continue;
+    }
+
+    // 3. Match DS digests to DNSKEYs
+    const trustedKeys = [];
+    for (const ds of dsRecords) {
+      const key = dnskeys.find(k => k.fields.keyTag === ds.fields.keyTag && k.fields.algorithm === ds.fields.algorithm && isUsableKey(k));
+      const digest = key ? await dsDigest(zoneName, key, ds.fields.digestType) : null;
+      const matched = Boolean(digest && digest === ds.fields.digest.toUpperCase());
+      if (matched && !trustedKeys.includes(key)) trustedKeys.push(key);
+      zone.ds.push({ ...pickDS(ds.fields), matched });
+    }
+
+    // 4. DNSKEY RRset must be signed by a key the DS vouches for
+    const keyCheck = trustedKeys.length > 0
+      ? await verifyRRset(dnskeys, keySigs, trustedKeys, now)
+      : { valid: false, signatures: [] };
+    zone.signatures.push(...keyCheck.signatures);
+    zone.dnskeys = describeKeys(dnskeys, trustedKeys.map(k => k.fields.keyTag));
+
+    if (trustedKeys.length === 0) {
+      zone.errors.push("No DNSKEY matches the DS records");
+    } else if (!keyCheck.valid) {
+      zone.errors.push("DNSKEY RRset is not validly signed by a key matching the DS");
+    }
+
+    addWarnings(zone, now);
+    zone.status = chain = zone.errors.length === 0 ? "secure" : "bogus";
+    parentKeys = dnskeys;
+  }
+
+  // 5. Finally, the domain's own data (SOA at a zone apex, A otherwise). An alias answers with its
+  // CNAME, which is validated in place of the A records; the target is not followed.
+  const answerType = zoneNames[zoneNames.length - 1] === name ? "SOA" : "A";
+  const answer = { name, type: answerType, status: chain === "secure" ? "secure" : chain };
+  if (chain === "secure") {
+    const message = await query(name, answerType);
+    let { rrset, rrsigs } = extractRRset(message, name, answerType);
+    if (rrset.length === 0 && answerType === "A") {
+      ({ rrset, rrsigs } = extractRRset(message, name, "CNAME"));
+      if (rrset.length > 0) answer.type = "CNAME";
+    }
+    if (rrset.length === 0) {
+      answer.status = "nodata";
+    } else {
+      const check = await verifyRRset(rrset, rrsigs, parentKeys, now);
+      answer.signatures = check.signatures;
+      answer.status = check.valid ? "secure" : "bogus";
+    }
+  }
+
+  // Without the record there is nothing signed to check, and denial of existence (NSEC/NSEC3)
+  // is not validated, so a secure chain ending in no data is indeterminate
+  const statuses = [...zones.map(z => z.status), answer.status];
+  const status = statuses.includes("bogus") ? "bogus"
+    : statuses.includes("insecure") ? "insecure"
+    : statuses.includes("nodata") ? "indeterminate"
+    : "secure";
+
+  return { domain: name, status, zones, answer };
+}
+
+// Helper function to summarize a DS record for the report
+function pickDS(fields) {
+  return {
+    keyTag: fields.keyTag,
+    algorithm: fields.algorithm,
+    algorithmName: DNSSEC_ALGORITHMS[fields.algorithm] || null,
+    digestType: fields.digestType,
+    digestTypeName: DIGEST_TYPES[fields.digestType] || null,
+  };
+}
@@ -0,0 +1,882 @@
+import { compressIPv6, expandIPv6 } from "./ip.js";
+
+// DNS message encoder/decoder (RFC 1035 wire format), used for RFC 8484 DoH queries.
+// Pure functions on Uint8Arrays: no network access, so packets can be decoded offline.
+
+// Resource record types by mnemonic
+export const TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, HINFO: 13, MX: 15, TXT: 16, RP: 17,
+  AAAA: 28, LOC: 29, SRV: 33, NAPTR: 35, DNAME: 39, OPT: 41, DS: 43, SSHFP: 44,
+  RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, NSEC3PARAM: 51, TLSA: 52, CDS: 59,
+  CDNSKEY: 60, OPENPGPKEY: 61, SVCB: 64, HTTPS: 65, SPF: 99, ANY: 255, CAA: 257,
+};
+
+export const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+// Response codes (RFC 1035, RFC 2136, RFC 6891)
+export const RCODES = {
+  0: "NOERROR", 1: "FORMERR", 2: "SERVFAIL", 3: "NXDOMAIN", 4: "NOTIMP", 5: "REFUSED",
+  6: "YXDOMAIN", 7: "YXRRSET", 8: "NXRRSET", 9: "NOTAUTH", 10: "NOTZONE", 16: "BADVERS",
+};
+
+// EDNS option codes we know how to name
+const EDNS_OPTIONS = { 3: "NSID", 8: "ECS", 10: "COOKIE", 12: "PADDING", 15: "EDE" };
+
+// SvcParamKeys for SVCB/HTTPS records (RFC 9460)
+const SVC_PARAM_KEYS = ["mandatory", "alpn", "no-default-alpn", "port", "ipv4hint", "ech", "ipv6hint", "dohpath"];
+
+// DNSSEC algorithm numbers (RFC 8624) and DS digest types
+export const DNSSEC_ALGORITHMS = {
+  1: "RSAMD5", 3: "DSA", 5: "RSASHA1", 6: "DSA-NSEC3-SHA1", 7: "RSASHA1-NSEC3-SHA1",
+  8: "RSASHA256", 10: "RSASHA512", 12: "ECC-GOST", 13: "ECDSAP256SHA256",
+  14: "ECDSAP384SHA384", 15: "ED25519", 16: "ED448",
+};
+export const DIGEST_TYPES = { 1: "SHA-1", 2: "SHA-256", 3: "GOST R 34.11-94", 4: "SHA-384" };
+
+// Mnemonics for TLSA (RFC 7218) and SSHFP (RFC 4255, RFC 7479) parameters
+const TLSA_USAGES = { 0: "PKIX-TA", 1: "PKIX-EE", 2: "DANE-TA", 3: "DANE-EE" };
+const TLSA_SELECTORS = { 0: "Cert", 1: "SPKI" };
+const TLSA_MATCHING_TYPES = { 0: "Full", 1: "SHA2-256", 2: "SHA2-512" };
+const SSHFP_ALGORITHMS = { 1: "RSA", 2: "DSA", 3: "ECDSA", 4: "Ed25519", 6: "Ed448" };
+const SSHFP_FINGERPRINT_TYPES = { 1: "SHA-1", 2: "SHA-256" };
+
+const CLASS_IN = 1;
+
+// Helper function to get the mnemonic for a type code (RFC 3597 TYPEnnn for unknown types)
+export function typeName(code) {
+  return TYPE_NAMES[code] || `TYPE${code}`;
+}
+
+// Helper function to get the numeric code for a type mnemonic, or undefined if unknown
+export function typeCode(name) {
+  const upper = String(name).toUpperCase();
+  if (TYPES[upper] !== undefined) return TYPES[upper];
+  const generic = /^TYPE(\d{1,5})$/.exec(upper);
+  return generic && Number(generic[1]) <= 0xffff ? Number(generic[1]) : undefined;
+}
+
+// --- Encoding helpers ---
+
+export function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+}
+
+export function fromHex(hex) {
+  const clean = hex.replace(/\s+/g, "");
+  const out = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(clean.substr(i * 2, 2), 16);
+  return out;
+}
+
+export function toBase64(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+export function fromBase64(str) {
+  const binary = atob(str.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+export function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Base32 with extended hex alphabet, no padding (used by NSEC3 hashed owner names)
+export function toBase32Hex(bytes) {
+  const alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUV";
+  let out = "", bits = 0, value = 0;
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// Helper function to compute the key tag of a DNSKEY from its RDATA (RFC 4034 appendix B)
+export function computeKeyTag(rdata) {
+  let ac = 0;
+  for (let i = 0; i < rdata.length; i++) {
+    ac += i & 1 ? rdata[i] : rdata[i] << 8;
+  }
+  ac += (ac >> 16) & 0xffff;
+  return ac & 0xffff;
+}
+
+// Helper function to format a DNSSEC timestamp (seconds since epoch) as YYYYMMDDHHmmSS
+export function formatDNSTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+// --- Names ---
+
+// Helper function to escape a raw label for presentation format (RFC 1035 section 5.1)
+function escapeLabel(bytes) {
+  let out = "";
+  for (const b of bytes) {
+    if (b === 0x2e || b === 0x5c || b === 0x22 || b === 0x28 || b === 0x29 || b === 0x3b) {
+      out += "\\" + String.fromCharCode(b);
+    } else if (b < 0x21 || b > 0x7e) {
+      out += "\\" + String(b).padStart(3, "0");
+    } else {
+      out += String.fromCharCode(b);
+    }
+  }
+  return out;
+}
+
+// Helper function to split a presentation-format name into raw label byte arrays
+export function parseName(name) {
+  const labels = [];
+  let current = [];
+  for (let i = 0; i < name.length; i++) {
+    const ch = name[i];
+    if (ch === "\\") {
+      const digits = /^\d{3}/.exec(name.slice(i + 1));
+      if (digits) {
+        current.push(Number(digits[0]));
+        i += 3;
+      } else {
+        current.push(name.charCodeAt(++i));
+      }
+    } else if (ch === ".") {
+      if (current.length === 0) {
+        if (i === name.length - 1 && labels.length > 0) break;
+        if (name === ".") break;
+        throw new Error(`Empty label in name: ${name}`);
+      }
+      labels.push(Uint8Array.from(current));
+      current = [];
+    } else {
+      current.push(name.charCodeAt(i));
+    }
+  }
+  if (current.length > 0) labels.push(Uint8Array.from(current));
+  for (const label of labels) {
+    if (label.length > 63) throw new Error(`Label too long in name: ${name}`);
+  }
+  return labels;
+}
+
+// Helper function to normalize a name to lowercase fully-qualified form ("example.com.")
+export function canonicalName(name) {
+  if (!name || name === ".") return ".";
+  return (name.endsWith(".") ? name : name + ".").toLowerCase();
+}
+
+// Helper function to read a (possibly compressed) name; returns { name, offset }
+function readName(buf, offset) {
+  const labels = [];
+  let end = -1;
+  let jumps = 0;
+  let position = offset;
+
+  for (;;) {
+    if (position >= buf.length) throw new Error("Name extends past end of message");
+    const length = buf[position];
+
+    if ((length & 0xc0) === 0xc0) {
+      // Compression pointer (RFC 1035 section 4.1.4)
+      if (position + 1 >= buf.length) throw new Error("Truncated compression pointer");
+      if (++jumps > 64) throw new Error("Compression pointer loop");
+      if (end === -1) end = position + 2;
+      position = ((length & 0x3f) << 8) | buf[position + 1];
+      continue;
+    }
+    if (length & 0xc0) throw new Error(`Unsupported label type 0x${length.toString(16)}`);
+
+    position++;
+    if (length === 0) break;
+    if (position + length > buf.length) throw new Error("Label extends past end of message");
+    labels.push(escapeLabel(buf.subarray(position, position + length)));
+    position += length;
+  }
+
+  return {
+    name: labels.length > 0 ? labels.join(".") + "." : ".",
+    offset: end === -1 ? position : end,
+  };
+}
+
+// --- RDATA decoding ---
+
+// Helper function to read length-prefixed character-strings until `end`
+function readCharacterStrings(buf, offset, end) {
+  const strings = [];
+  while (offset < end) {
+    const length = buf[offset++];
+    strings.push(new TextDecoder().decode(buf.subarray(offset, offset + length)));
+    offset += length;
+  }
+  return strings;
+}
+
+// Helper function to quote a character-string for presentation format
+export function quoteString(str) {
+  return `"${str.replace(/[\\"]/g, "\\$&").replace(/[\x00-\x1f\x7f]/g, c => "\\" + String(c.charCodeAt(0)).padStart(3, "0"))}"`;
+}
+
+// Helper function to decode an NSEC/NSEC3 type bitmap (RFC 4034 section 4.1.2)
+function readTypeBitmap(buf, offset, end) {
+  const types = [];
+  while (offset + 2 <= end) {
+    const window = buf[offset];
+    const length = buf[offset + 1];
+    offset += 2;
+    for (let i = 0; i < length && offset + i < end; i++) {
+      for (let bit = 0; bit < 8; bit++) {
+        if (buf[offset + i] & (0x80 >> bit)) {
+          types.push(typeName(window * 256 + i * 8 + bit));
+        }
+      }
+    }
+    offset += length;
+  }
+  return types;
+}
+
+function readIPv4(buf, offset) {
+  return Array.from(buf.subarray(offset, offset + 4)).join(".");
+}
+
+function readIPv6(view, offset) {
+  const groups = [];
+  for (let i = 0; i < 8; i++) groups.push(view.getUint16(offset + i * 2));
+  return compressIPv6(groups);
+}
+
+// LOC precision bytes: mantissa in the high nibble, power of ten in the low nibble (centimetres)
+function decodeLocPrecision(byte) {
+  return ((byte >> 4) * Math.pow(10, byte & 0x0f)) / 100;
+}
+
+function formatLocCoordinate(value, positive, negative) {
+  const offset = value - 2 ** 31;
+  const hemisphere = offset >= 0 ? positive : negative;
+  let ms = Math.abs(offset);
+  const degrees = Math.floor(ms / 3600000);
+  ms -= degrees * 3600000;
+  const minutes = Math.floor(ms / 60000);
+  ms -= minutes * 60000;
+  return { degrees, minutes, seconds: ms / 1000, hemisphere, decimal: offset / 3600000 };
+}
+
+// Helper function to decode SVCB/HTTPS SvcParams into { key: value } pairs
+function readSvcParams(buf, view, offset, end) {
+  const params = {};
+  while (offset + 4 <= end) {
+    const key = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    const value = buf.subarray(offset + 4, Math.min(offset + 4 + length, end));
+    const name = SVC_PARAM_KEYS[key] || `key${key}`;
+    offset += 4 + length;
+
+    switch (name) {
+      case "mandatory": {
+        const keys = [];
+        for (let i = 0; i + 1 < value.length; i += 2) {
+          const k = (value[i] << 8) | value[i + 1];
+          keys.push(SVC_PARAM_KEYS[k] || `key${k}`);
+        }
+        params[name] = keys;
+        break;
+      }
+      case "alpn":
+        params[name] = readCharacterStrings(value, 0, value.length);
+        break;
+      case "no-default-alpn":
+        params[name] = true;
+        break;
+      case "port":
+        params[name] = (value[0] << 8) | value[1];
+        break;
+      case "ipv4hint": {
+        const hints = [];
+        for (let i = 0; i + 4 <= value.length; i += 4) hints.push(readIPv4(value, i));
+        params[name] = hints;
+        break;
+      }
+      case "ipv6hint": {
+        const hints = [];
+        const hintView = new DataView(value.buffer, value.byteOffset, value.byteLength);
+        for (let i = 0; i + 16 <= value.length; i += 16) hints.push(readIPv6(hintView, i));
+        params[name] = hints;
+        break;
+      }
+      case "ech":
+        params[name] = toBase64(value);
+        break;
+      case "dohpath":
+        params[name] = new TextDecoder().decode(value);
+        break;
+      default:
+        params[name] = toHex(value);
+    }
+  }
+  return params;
+}
+
+function formatSvcParams(params) {
+  return Object.entries(params).map(([key, value]) => {
+    if (value === true) return key;
+    if (Array.isArray(value)) return `${key}=${value.join(",")}`;
+    return `${key}=${value}`;
+  }).join(" ");
+}
+
+// Per-type RDATA decoders: (buf, view, start, end) -> fields
+const RDATA_DECODERS = {
+  A: (buf, view, start) => ({ address: readIPv4(buf, start) }),
+  AAAA: (buf, view, start) => ({ address: readIPv6(view, start) }),
+  NS: (buf, view, start) => ({ host: readName(buf, start).name }),
+  CNAME: (buf, view, start) => ({ target: readName(buf, start).name }),
+  DNAME: (buf, view, start) => ({ target: readName(buf, start).name }),
+  PTR: (buf, view, start) => ({ host: readName(buf, start).name }),
+  MX: (buf, view, start) => ({
+    preference: view.getUint16(start),
+    exchange: readName(buf, start + 2).name,
+  }),
+  TXT: (buf, view, start, end) => ({ strings: readCharacterStrings(buf, start, end) }),
+  SPF: (buf, view, start, end) => ({ strings: readCharacterStrings(buf, start, end) }),
+  HINFO: (buf, view, start, end) => {
+    const [cpu, os] = readCharacterStrings(buf, start, end);
+    return { cpu, os };
+  },
+  RP: (buf, view, start) => {
+    const mbox = readName(buf, start);
+    return { mbox: mbox.name, txt: readName(buf, mbox.offset).name };
+  },
+  SOA: (buf, view, start) => {
+    const mname = readName(buf, start);
+    const rname = readName(buf, mname.offset);
+    const o = rname.offset;
+    return {
+      mname: mname.name,
+      rname: rname.name,
+      serial: view.getUint32(o),
+      refresh: view.getUint32(o + 4),
+      retry: view.getUint32(o + 8),
+      expire: view.getUint32(o + 12),
+      minimum: view.getUint32(o + 16),
+    };
+  },
+  SRV: (buf, view, start) => ({
+    priority: view.getUint16(start),
+    weight: view.getUint16(start + 2),
+    port: view.getUint16(start + 4),
+    target: readName(buf, start + 6).name,
+  }),
+  NAPTR: (buf, view, start, end) => {
+    let offset = start + 4;
+    const strings = [];
+    for (let i = 0; i < 3; i++) {
+      const length = buf[offset];
+      strings.push(new TextDecoder().decode(buf.subarray(offset + 1, offset + 1 + length)));
+      offset += 1 + length;
+    }
+    return {
+      order: view.getUint16(start),
+      preference: view.getUint16(start + 2),
+      flags: strings[0],
+      services: strings[1],
+      regexp: strings[2],
+      replacement: readName(buf, offset).name,
+    };
+  },
+  CAA: (buf, view, start, end) => {
+    const tagLength = buf[start + 1];
+    return {
+      flags: buf[start],
+      tag: new TextDecoder().decode(buf.subarray(start + 2, start + 2 + tagLength)),
+      value: new TextDecoder().decode(buf.subarray(start + 2 + tagLength, end)),
+    };
+  },
+  DS: (buf, view, start, end) => ({
+    keyTag: view.getUint16(start),
+    algorithm: buf[start + 2],
+    algorithmName: DNSSEC_ALGORITHMS[buf[start + 2]] || null,
+    digestType: buf[start + 3],
+    digestTypeName: DIGEST_TYPES[buf[start + 3]] || null,
+    digest: toHex(buf.subarray(start + 4, end)),
+  }),
+  DNSKEY: (buf, view, start, end) => {
+    const flags = view.getUint16(start);
+    return {
+      flags,
+      // Zone Key with the SEP bit is conventionally the key-signing key
+      role: flags & 0x0001 ? "KSK" : "ZSK",
+      revoked: Boolean(flags & 0x0080),
+      protocol: buf[start + 2],
+      algorithm: buf[start + 3],
+      algorithmName: DNSSEC_ALGORITHMS[buf[start + 3]] || null,
+      keyTag: computeKeyTag(buf.subarray(start, end)),
+      publicKey: toBase64(buf.subarray(start + 4, end)),
+    };
+  },
+  RRSIG: (buf, view, start, end) => {
+    const signer = readName(buf, start + 18);
+    const expiration = view.getUint32(start + 8);
+    const inception = view.getUint32(start + 12);
+    return {
+      typeCovered: typeName(view.getUint16(start)),
+      algorithm: buf[start + 2],
+      algorithmName: DNSSEC_ALGORITHMS[buf[start + 2]] || null,
+      labels: buf[start + 3],
+      originalTTL: view.getUint32(start + 4),
+      expiration,
+      expirationDate: new Date(expiration * 1000).toISOString(),
+      inception,
+      inceptionDate: new Date(inception * 1000).toISOString(),
+      keyTag: view.getUint16(start + 16),
+      signerName: signer.name,
+      signature: toBase64(buf.subarray(signer.offset, end)),
+    };
+  },
+  NSEC: (buf, view, start, end) => {
+    const next = readName(buf, start);
+    return { nextDomain: next.name, types: readTypeBitmap(buf, next.offset, end) };
+  },
+  NSEC3: (buf, view, start, end) => {
+    const saltLength = buf[start + 4];
+    const hashOffset = start + 5 + saltLength;
+    const hashLength = buf[hashOffset];
+    return {
+      hashAlgorithm: buf[start],
+      flags: buf[start + 1],
+      iterations: view.getUint16(start + 2),
+      salt: saltLength ? toHex(buf.subarray(start + 5, hashOffset)) : "-",
+      nextHashedOwner: toBase32Hex(buf.subarray(hashOffset + 1, hashOffset + 1 + hashLength)),
+      types: readTypeBitmap(buf, hashOffset + 1 + hashLength, end),
+    };
+  },
+  NSEC3PARAM: (buf, view, start) => {
+    const saltLength = buf[start + 4];
+    return {
+      hashAlgorithm: buf[start],
+      flags: buf[start + 1],
+      iterations: view.getUint16(start + 2),
+      salt: saltLength ? toHex(buf.subarray(start + 5, start + 5 + saltLength)) : "-",
+    };
+  },
+  TLSA: (buf, view, start, end) => ({
+    usage: buf[start],
+    usageName: TLSA_USAGES[buf[start]] || null,
+    selector: buf[start + 1],
+    selectorName: TLSA_SELECTORS[buf[start + 1]] || null,
+    matchingType: buf[start + 2],
+    matchingTypeName: TLSA_MATCHING_TYPES[buf[start + 2]] || null,
+    certificateData: toHex(buf.subarray(start + 3, end)),
+  }),
+  SSHFP: (buf, view, start, end) => ({
+    algorithm: buf[start],
+    algorithmName: SSHFP_ALGORITHMS[buf[start]] || null,
+    fingerprintType: buf[start + 1],
+    fingerprintTypeName: SSHFP_FINGERPRINT_TYPES[buf[start + 1]] || null,
+    fingerprint: toHex(buf.subarray(start + 2, end)),
+  }),
+  SVCB: (buf, view, start, end) => {
+    const target = readName(buf, start + 2);
+    return {
+      priority: view.getUint16(start),
+      target: target.name,
+      params: readSvcParams(buf, view, target.offset, end),
+    };
+  },
+  LOC: (buf, view, start) => {
+    const latitude = formatLocCoordinate(view.getUint32(start + 4), "N", "S");
+    const longitude = formatLocCoordinate(view.getUint32(start + 8), "E", "W");
+    return {
+      version: buf[start],
+      size: decodeLocPrecision(buf[start + 1]),
+      horizontalPrecision: decodeLocPrecision(buf[start + 2]),
+      verticalPrecision: decodeLocPrecision(buf[start + 3]),
+      latitude,
+      longitude,
+      altitude: (view.getUint32(start + 12) - 10000000) / 100,
+    };
+  },
+  OPENPGPKEY: (buf, view, start, end) => ({ publicKey: toBase64(buf.subarray(start, end)) }),
+};
+RDATA_DECODERS.HTTPS = RDATA_DECODERS.SVCB;
+RDATA_DECODERS.CDS = RDATA_DECODERS.DS;
+RDATA_DECODERS.CDNSKEY = RDATA_DECODERS.DNSKEY;
+
+function formatLoc(f) {
+  const coordinate = c => `${c.degrees} ${c.minutes} ${c.seconds.toFixed(3)} ${c.hemisphere}`;
+  return `${coordinate(f.latitude)} ${coordinate(f.longitude)} ${f.altitude.toFixed(2)}m ` +
+    `${f.size}m ${f.horizontalPrecision}m ${f.verticalPrecision}m`;
+}
+
+// Per-type presentation formatters: fields -> zone file RDATA text
+const RDATA_PRESENTERS = {
+  A: f => f.address,
+  AAAA: f => f.address,
+  NS: f => f.host,
+  CNAME: f => f.target,
+  DNAME: f => f.target,
+  PTR: f => f.host,
+  MX: f => `${f.preference} ${f.exchange}`,
+  TXT: f => f.strings.map(quoteString).join(" "),
+  SPF: f => f.strings.map(quoteString).join(" "),
+  HINFO: f => `${quoteString(f.cpu || "")} ${quoteString(f.os || "")}`,
+  RP: f => `${f.mbox} ${f.txt}`,
+  SOA: f => `${f.mname} ${f.rname} ${f.serial} ${f.refresh} ${f.retry} ${f.expire} ${f.minimum}`,
+  SRV: f => `${f.priority} ${f.weight} ${f.port} ${f.target}`,
+  NAPTR: f => `${f.order} ${f.preference} ${quoteString(f.flags)} ${quoteString(f.services)} ${quoteString(f.regexp)} ${f.replacement}`,
+  CAA: f => `${f.flags} ${f.tag} ${quoteString(f.value)}`,
+  DS: f => `${f.keyTag} ${f.algorithm} ${f.digestType} ${f.digest}`,
+  DNSKEY: f => `${f.flags} ${f.protocol} ${f.algorithm} ${f.publicKey}`,
+  RRSIG: f => `${f.typeCovered} ${f.algorithm} ${f.labels} ${f.originalTTL} ${formatDNSTime(f.expiration)} ` +
+    `${formatDNSTime(f.inception)} ${f.keyTag} ${f.signerName} ${f.signature}`,
+  NSEC: f => [f.nextDomain, ...f.types].join(" "),
+  NSEC3: f => [f.hashAlgorithm, f.flags, f.iterations, f.salt, f.nextHashedOwner, ...f.types].join(" "),
+  NSEC3PARAM: f => `${f.hashAlgorithm} ${f.flags} ${f.iterations} ${f.salt}`,
+  TLSA: f => `${f.usage} ${f.selector} ${f.matchingType} ${f.certificateData}`,
+  SSHFP: f => `${f.algorithm} ${f.fingerprintType} ${f.fingerprint}`,
+  SVCB: f => [f.priority, f.target, formatSvcParams(f.params)].filter(part => part !== "").join(" "),
+  LOC: formatLoc,
+  OPENPGPKEY: f => f.publicKey,
+};
+RDATA_PRESENTERS.HTTPS = RDATA_PRESENTERS.SVCB;
+RDATA_PRESENTERS.CDS = RDATA_PRESENTERS.DS;
+RDATA_PRESENTERS.CDNSKEY = RDATA_PRESENTERS.DNSKEY;
+
+// Helper function to read one resource record; returns { record, offset }
+function readRecord(buf, view, offset) {
+  const owner = readName(buf, offset);
+  offset = owner.offset;
+  if (offset + 10 > buf.length) throw new Error("Truncated resource record");
+
+  const type = view.getUint16(offset);
+  const rrclass = view.getUint16(offset + 2);
+  const ttl = view.getUint32(offset + 4);
+  const rdlength = view.getUint16(offset + 8);
+  const start = offset + 10;
+  const end = start + rdlength;
+  if (end > buf.length) throw new Error("RDATA extends past end of message");
+
+  const mnemonic = typeName(type);
+  const record = { name: owner.name, type, class: rrclass, TTL: ttl, data: "", fields: null };
+  const rdata = buf.slice(start, end);
+
+  if (type !== TYPES.OPT) {
+    const decoder = RDATA_DECODERS[mnemonic];
+    try {
+      if (decoder && rdlength > 0) record.fields = decoder(buf, view, start, end);
+    } catch (e) {
+      record.fields = null;
+    }
+    // `data` keeps the zone-file presentation; `fields` holds the type-specific parsed values
+    record.data = record.fields
+      ? RDATA_PRESENTERS[mnemonic](record.fields)
+      : `\\# ${rdlength}${rdlength ? " " + toHex(rdata) : ""}`;
+  }
+
+  // Raw RDATA stays off the JSON output but is available to callers (e.g. DNSSEC validation)
+  Object.defineProperty(record, "rdata", { value: rdata, enumerable: false });
+
+  return { record, offset: end };
+}
+
+// Helper function to decode an OPT pseudo-record into EDNS information (RFC 6891)
+function decodeEDNS(record) {
+  const rdata = record.rdata;
+  const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+  const options = [];
+  for (let offset = 0; offset + 4 <= rdata.length;) {
+    const code = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    const value = rdata.subarray(offset + 4, offset + 4 + length);
+    const option = { code, name: EDNS_OPTIONS[code] || `OPT${code}` };
+    if (code === 15 && value.length >= 2) {
+      // Extended DNS Errors (RFC 8914)
+      option.infoCode = (value[0] << 8) | value[1];
+      option.extraText = new TextDecoder().decode(value.subarray(2));
+    } else if (code === 3) {
+      option.data = new TextDecoder().decode(value);
+    } else {
+      option.data = toHex(value);
+    }
+    options.push(option);
+    offset += 4 + length;
+  }
+
+  return {
+    udpSize: record.class,
+    extendedRcode: record.TTL >>> 24,
+    version: (record.TTL >>> 16) & 0xff,
+    dnssecOK: Boolean(record.TTL & 0x8000),
+    options,
+  };
+}
+
+// Decode a DNS message from wire format
+export function decodeMessage(bytes) {
+  const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (buf.length < 12) throw new Error("DNS message too short");
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+
+  const flagBits = view.getUint16(2);
+  const counts = [view.getUint16(4), view.getUint16(6), view.getUint16(8), view.getUint16(10)];
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const qname = readName(buf, offset);
+    questions.push({
+      name: qname.name,
+      type: view.getUint16(qname.offset),
+      class: view.getUint16(qname.offset + 2),
+    });
+    offset = qname.offset + 4;
+  }
+
+  const sections = [[], [], []];
+  for (let s = 0; s < 3; s++) {
+    for (let i = 0; i < counts[s + 1]; i++) {
+      const result = readRecord(buf, view, offset);
+      sections[s].push(result.record);
+      offset = result.offset;
+    }
+  }
+
+  const [answers, authority, allAdditional] = sections;
+  const opt = allAdditional.find(r => r.type === TYPES.OPT);
+  const additional = allAdditional.filter(r => r.type !== TYPES.OPT);
+  const edns = opt ? decodeEDNS(opt) : null;
+
+  const rcode = (flagBits & 0x0f) | ((edns?.extendedRcode || 0) << 4);
+
+  return {
+    id: view.getUint16(0),
+    flags: {
+      qr: Boolean(flagBits & 0x8000),
+      opcode: (flagBits >> 11) & 0x0f,
+      aa: Boolean(flagBits & 0x0400),
+      tc: Boolean(flagBits & 0x0200),
+      rd: Boolean(flagBits & 0x0100),
+      ra: Boolean(flagBits & 0x0080),
+      ad: Boolean(flagBits & 0x0020),
+      cd: Boolean(flagBits & 0x0010),
+    },
+    rcode,
+    status: RCODES[rcode] || `RCODE${rcode}`,
+    questions,
+    answers,
+    authority,
+    additional,
+    edns,
+  };
+}
+
+// --- Encoding ---
+
+// Growable byte buffer with name compression state.
+// A `canonical` writer emits lowercase, uncompressed names (RFC 4034 section 6.2).
+function createWriter({ canonical = false } = {}) {
+  let bytes = new Uint8Array(512);
+  let length = 0;
+  const names = new Map();
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+  };
+
+  const writer = {
+    get length() { return length; },
+    u8(value) { ensure(1); bytes[length++] = value & 0xff; },
+    u16(value) { writer.u8(value >> 8); writer.u8(value); },
+    u32(value) { writer.u16(value >>> 16); writer.u16(value & 0xffff); },
+    bytes(data) { ensure(data.length); bytes.set(data, length); length += data.length; },
+    setU16(position, value) { bytes[position] = (value >> 8) & 0xff; bytes[position + 1] = value & 0xff; },
+    // Write a domain name, reusing earlier suffixes via compression pointers when `compress` is set
+    name(name, compress = true) {
+      const labels = parseName(name).map(label => (canonical
+        ? label.map(b => (b >= 0x41 && b <= 0x5a ? b + 0x20 : b))
+        : label));
+      for (let i = 0; i < labels.length; i++) {
+        const key = labels.slice(i).map(l => escapeLabel(l).toLowerCase()).join(".");
+        if (compress && !canonical && names.has(key)) {
+          writer.u16(0xc000 | names.get(key));
+          return;
+        }
+        if (length < 0x3fff) names.set(key, length);
+        writer.u8(labels[i].length);
+        writer.bytes(labels[i]);
+      }
+      writer.u8(0);
+    },
+    characterString(str) {
+      const data = new TextEncoder().encode(str);
+      if (data.length > 255) throw new Error("Character-string longer than 255 bytes");
+      writer.u8(data.length);
+      writer.bytes(data);
+    },
+    result() { return bytes.slice(0, length); },
+  };
+  return writer;
+}
+
+// Helper function to split presentation RDATA into tokens, honouring quoted strings
+function tokenize(data) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(data)) !== null) {
+    tokens.push(match[1] !== undefined
+      ? match[1].replace(/\\(\d{3}|.)/g, (_, esc) => (esc.length === 3 ? String.fromCharCode(Number(esc)) : esc))
+      : match[2]);
+  }
+  return tokens;
+}
+
+// Per-type RDATA encoders from presentation text; other types need a raw `rdata` Uint8Array
+const RDATA_ENCODERS = {
+  A: (w, t) => t[0].split(".").forEach(octet => w.u8(Number(octet))),
+  AAAA: (w, t) => expandIPv6(t[0]).split(":").forEach(group => w.u16(parseInt(group, 16))),
+  NS: (w, t) => w.name(t[0]),
+  CNAME: (w, t) => w.name(t[0]),
+  PTR: (w, t) => w.name(t[0]),
+  DNAME: (w, t) => w.name(t[0], false),
+  MX: (w, t) => { w.u16(Number(t[0])); w.name(t[1]); },
+  TXT: (w, t) => t.forEach(s => w.characterString(s)),
+  SPF: (w, t) => t.forEach(s => w.characterString(s)),
+  SOA: (w, t) => {
+    w.name(t[0]);
+    w.name(t[1]);
+    t.slice(2, 7).forEach(n => w.u32(Number(n)));
+  },
+  SRV: (w, t) => { w.u16(Number(t[0])); w.u16(Number(t[1])); w.u16(Number(t[2])); w.name(t[3], false); },
+  RP: (w, t) => { w.name(t[0], false); w.name(t[1], false); },
+  NAPTR: (w, t) => {
+    w.u16(Number(t[0]));
+    w.u16(Number(t[1]));
+    t.slice(2, 5).forEach(s => w.characterString(s));
+    w.name(t[5], false);
+  },
+  CAA: (w, t) => {
+    w.u8(Number(t[0]));
+    w.characterString(t[1]);
+    w.bytes(new TextEncoder().encode(t.slice(2).join(" ")));
+  },
+  DS: (w, t) => { w.u16(Number(t[0])); w.u8(Number(t[1])); w.u8(Number(t[2])); w.bytes(fromHex(t.slice(3).join(""))); },
+  DNSKEY: (w, t) => { w.u16(Number(t[0])); w.u8(Number(t[1])); w.u8(Number(t[2])); w.bytes(fromBase64(t.slice(3).join(""))); },
+};
+
+// Types whose RDATA embeds names that are lowercased in canonical form (RFC 4034 section 6.2; NSEC
+// was dropped from that list by RFC 6840 section 5.1). The other listed types (MD, MF, MB, MG, MR,
+// MINFO, AFSDB, RT, SIG, PX, NXT, KX, A6) are obsolete or not decoded here and pass through as received.
+const CANONICAL_NAME_TYPES = ["NS", "CNAME", "SOA", "PTR", "MX", "SRV", "DNAME", "RP", "NAPTR"];
+
+// Helper function to encode a name in canonical wire form (lowercase, uncompressed)
+export function encodeName(name) {
+  const w = createWriter({ canonical: true });
+  w.name(name);
+  return w.result();
+}
+
+// Helper function to get the canonical RDATA of a decoded record, as used for DNSSEC signatures.
+// Names inside RDATA may have been compressed in the message, so those types are re-encoded.
+export function canonicalRData(record) {
+  const mnemonic = typeName(record.type);
+  if (CANONICAL_NAME_TYPES.includes(mnemonic)) {
+    const w = createWriter({ canonical: true });
+    RDATA_ENCODERS[mnemonic](w, tokenize(record.data));
+    return w.result();
+  }
+  return record.rdata;
+}
+
+function writeRecord(w, record) {
+  const type = typeof record.type === "number" ? record.type : typeCode(record.type);
+  w.name(record.name);
+  w.u16(type);
+  w.u16(record.class ?? CLASS_IN);
+  w.u32(record.TTL ?? record.ttl ?? 0);
+
+  const lengthPosition = w.length;
+  w.u16(0);
+  const start = w.length;
+  if (record.rdata) {
+    w.bytes(record.rdata);
+  } else {
+    const encoder = RDATA_ENCODERS[typeName(type)];
+    if (!encoder) throw new Error(`Cannot encode ${typeName(type)} from presentation data; pass rdata`);
+    encoder(w, tokenize(record.data));
+  }
+  w.setU16(lengthPosition, w.length - start);
+}
+
+// Helper function to build the OPT pseudo-record for EDNS(0)
+function ednsRecord(edns) {
+  const options = [];
+  for (const option of edns.options || []) {
+    const data = option.data instanceof Uint8Array ? option.data : fromHex(option.data || "");
+    options.push(option.code >> 8, option.code & 0xff, data.length >> 8, data.length & 0xff, ...data);
+  }
+  return {
+    name: ".",
+    type: TYPES.OPT,
+    class: edns.udpSize || 1232,
+    TTL: ((edns.extendedRcode || 0) << 24) | ((edns.version || 0) << 16) | (edns.dnssecOK ? 0x8000 : 0),
+    rdata: Uint8Array.from(options),
+  };
+}
+
+// Encode a DNS message to wire format.
+// Records take either presentation `data` (common types) or raw `rdata` bytes.
+export function encodeMessage(message) {
+  const w = createWriter();
+  const flags = message.flags || {};
+  const additional = [...(message.additional || [])];
+  if (message.edns) additional.push(ednsRecord(message.edns));
+
+  w.u16(message.id || 0);
+  w.u16(
+    (flags.qr ? 0x8000 : 0) |
+    ((flags.opcode || 0) << 11) |
+    (flags.aa ? 0x0400 : 0) |
+    (flags.tc ? 0x0200 : 0) |
+    (flags.rd ? 0x0100 : 0) |
+    (flags.ra ? 0x0080 : 0) |
+    (flags.ad ? 0x0020 : 0) |
+    (flags.cd ? 0x0010 : 0) |
+    ((message.rcode || 0) & 0x0f)
+  );
+  w.u16((message.questions || []).length);
+  w.u16((message.answers || []).length);
+  w.u16((message.authority || []).length);
+  w.u16(additional.length);
+
+  for (const question of message.questions || []) {
+    w.name(question.name);
+    w.u16(typeof question.type === "number" ? question.type : typeCode(question.type));
+    w.u16(question.class ?? CLASS_IN);
+  }
+  for (const record of message.answers || []) writeRecord(w, record);
+  for (const record of message.authority || []) writeRecord(w, record);
+  for (const record of additional) writeRecord(w, record);
+
+  return w.result();
+}
+
+// Encode a single-question query with EDNS(0); `dnssecOK` sets the DO bit
+export function encodeQuery({ id = 0, name, type, recursionDesired = true, checkingDisabled = false, dnssecOK = false, udpSize = 1232 }) {
+  const code = typeof type === "number" ? type : typeCode(type);
+  if (code === undefined) throw new Error(`Unknown record type: ${type}`);
+  return encodeMessage({
+    id,
+    flags: { rd: recursionDesired, cd: checkingDisabled },
+    questions: [{ name, type: code }],
+    edns: { udpSize, dnssecOK },
+  });
+}
@@ -0,0 +1,75 @@
+import { mapWithConcurrency } from "./bulk.js";
+import { queryDoH } from "./dns.js";
+import { TYPES } from "./dnswire.js";
+import { bytesToIP, ipToBytes, ipv4ToReverseDNS, ipv6ToReverseDNS } from "./ip.js";
+
+// Forward-confirmed reverse DNS (FCrDNS, "iprev" in RFC 8601): an address passes when one of
+// the names in its PTR records resolves back to the same address. Mail servers check it on
+// connecting hosts, and a mismatch is a common sign of a forged or forgotten PTR record.
+
+// Most addresses checked per target, PTR names followed per address, and lookups run at once
+const FCRDNS_MAX_ADDRESSES = 8;
+const FCRDNS_MAX_NAMES = 4;
+const FCRDNS_CONCURRENCY = 4;
+
+// Helper function to compare addresses in any text form ("::ffff:1.2.3.4", "2001:DB8::1")
+function normalizeIP(ip) {
+  const bytes = ipToBytes(String(ip));
+  return bytes ? bytesToIP(bytes) : null;
+}
+
+// Helper function to list the answers of one type, without the CNAMEs leading to them
+async function lookupData(name, type, options) {
+  const message = await queryDoH(name, type, options);
+  return {
+    status: message.status,
+    data: message.answers.filter(r => r.type === TYPES[type]).map(r => r.data.replace(/\.$/, "")),
+  };
+}
+
+// Check a single address: { ip, status, confirmed, names: [{ name, addresses, confirmed }] }.
+// `status` is "confirmed", "mismatch" (PTR names do not resolve back), "no-ptr" or "error".
+// Forward lookups use the address family of `ip` (A for IPv4, AAAA for IPv6).
+export async function checkAddressFCrDNS(ip, options = {}) {
+  const address = normalizeIP(ip);
+  const ipv6 = address.includes(":");
+  const forwardType = ipv6 ? "AAAA" : "A";
+  const result = { ip: address, status: "no-ptr", confirmed: false, names: [] };
+
+  let ptr;
+  try {
+    ptr = await lookupData(ipv6 ? ipv6ToReverseDNS(address) : ipv4ToReverseDNS(address), "PTR", options);
+  } catch (e) {
+    return { ...result, status: "error", error: e.message };
+  }
+  if (ptr.data.length === 0) return result;
+
+  result.names = await Promise.all(ptr.data.slice(0, FCRDNS_MAX_NAMES).map(async (name) => {
+    try {
+      const forward = await lookupData(name, forwardType, options);
+      const addresses = forward.data.map(normalizeIP).filter(Boolean);
+      return { name, addresses, confirmed: addresses.includes(address) };
+    } catch (e) {
+      return { name, addresses: [], confirmed: false, error: e.message };
+    }
+  }));
+  result.confirmed = result.names.some(n => n.confirmed);
+  result.status = result.confirmed ? "confirmed" : "mismatch";
+  return result;
+}
+
+// Check every address of a target: { confirmed, results } where `results` holds one
+// checkAddressFCrDNS() result per address. For a domain the addresses are its A/AAAA records
+// and each result also tells whether a confirmed PTR name is the domain itself (`matchesTarget`).
+// Options are passed on to queryDoH (`endpoint`, `cache`, `fetcher`).
+export async function checkFCrDNS(target, addresses, options = {}) {
+  const unique = [...new Set(addresses.map(normalizeIP).filter(Boolean))].slice(0, FCRDNS_MAX_ADDRESSES);
+  const domain = normalizeIP(target) ? null : String(target).toLowerCase().replace(/\.$/, "");
+
+  const results = await mapWithConcurrency(unique, FCRDNS_CONCURRENCY, async (ip) => {
+    const result = await checkAddressFCrDNS(ip, options);
+    if (domain) result.matchesTarget = result.names.some(n => n.confirmed && n.name.toLowerCase() === domain);
+    return result;
+  });
+  return { confirmed: results.length > 0 && results.every(r => r.confirmed), results };
+}
@@ -0,0 +1,909 @@
+import { typeName } from "./dnswire.js";
+
+// Output formats supported by the API, with the Content-Type each one is served as
+const CONTENT_TYPES = {
+  json: "application/json",
+  text: "text/plain; charset=utf-8",
+  yaml: "application/yaml; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  markdown: "text/markdown; charset=utf-8",
+  ndjson: "application/x-ndjson",
+};
+
+// Accepted values of ?format= and the format they map to
+const FORMAT_ALIASES = {
+  json: "json",
+  text: "text",
+  txt: "text",
+  plain: "text",
+  yaml: "yaml",
+  yml: "yaml",
+  csv: "csv",
+  md: "markdown",
+  markdown: "markdown",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+};
+
+// Media types recognised in the Accept header
+const ACCEPT_TYPES = {
+  "application/json": "json",
+  "text/plain": "text",
+  "application/yaml": "yaml",
+  "application/x-yaml": "yaml",
+  "text/yaml": "yaml",
+  "text/csv": "csv",
+  "text/markdown": "markdown",
+  "application/x-ndjson": "ndjson",
+};
+
+// Helper function to detect curl and similar CLI tools from the User-Agent
+export function isCLIClient(request) {
+  const userAgent = (request.headers.get("User-Agent") || "").toLowerCase();
+  return userAgent.includes("curl") ||
+         userAgent.includes("wget") ||
+         userAgent.includes("httpie");
+}
+
+// Helper function to pick the response format for a request.
+// Priority: ?format= parameter, then the Accept header, then plain text for
+// CLI tools and JSON for everything else. Returns null for an unknown ?format=.
+export function negotiateFormat(request, url) {
+  const param = url.searchParams.get("format");
+  if (param) {
+    return FORMAT_ALIASES[param.toLowerCase()] || null;
+  }
+
+  const accepted = (request.headers.get("Accept") || "")
+    .split(",")
+    .map((part, index) => {
+      const [type, ...params] = part.trim().toLowerCase().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { type: type.trim(), q: q ? parseFloat(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => ACCEPT_TYPES[entry.type] && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  if (accepted.length > 0) {
+    return ACCEPT_TYPES[accepted[0].type];
+  }
+
+  return isCLIClient(request) ? "text" : "json";
+}
+
+// Helper function to check whether the client explicitly asked for a format
+export function hasExplicitFormat(request, url) {
+  if (url.searchParams.has("format")) return true;
+  const accept = (request.headers.get("Accept") || "").toLowerCase();
+  return Object.keys(ACCEPT_TYPES).some(type => accept.includes(type));
+}
+
+// Build a Response for `data` rendered in `format`.
+// `kind` selects the text/CSV/Markdown renderer: "analyze", "dns", "compare", "dnssec", "trace", "mail", "rdap", "cidr", "bulk", "asn", "myip", "field" or "error".
+export function formatResponse(kind, data, format, init = {}) {
+  const body = renderBody(kind, data, format);
+  return new Response(body, {
+    status: init.status || 200,
+    headers: responseHeaders(format, init.headers),
+  });
+}
+
+// Helper function to build the headers of a response in `format` (also used for streamed bodies)
+export function responseHeaders(format, headers = {}) {
+  return {
+    ...headers,
+    "Content-Type": CONTENT_TYPES[format] || CONTENT_TYPES.json,
+    "Vary": "Accept, User-Agent",
+  };
+}
+
+// Helper function to serialize data into the requested format
+export function renderBody(kind, data, format) {
+  switch (format) {
+    case "text":
+      return (TEXT_RENDERERS[kind] || renderGenericText)(data) + "\n";
+    case "yaml":
+      return toYAML(data) + "\n";
+    case "csv":
+      return (CSV_RENDERERS[kind] || renderGenericCSV)(data) + "\n";
+    case "markdown":
+      return (MARKDOWN_RENDERERS[kind] || (d => renderGenericMarkdown(kind, d)))(data) + "\n";
+    case "ndjson":
+      // One line per result for list responses, a single line otherwise
+      return (Array.isArray(data.results) ? data.results : [data]).map(item => JSON.stringify(item)).join("\n") + "\n";
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+// --- Text rendering ---
+
+// Helper function to lay out rows of cells as aligned columns
+export function alignColumns(rows, gap = 2) {
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, String(cell).length);
+    });
+  }
+  return rows
+    .map(row => row
+      .map((cell, i) => (i === row.length - 1 ? String(cell) : String(cell).padEnd(widths[i] + gap)))
+      .join("")
+      .trimEnd())
+    .join("\n");
+}
+
+// Helper function to render "key: value" pairs whois-style, skipping empty values
+export function renderKeyValues(pairs) {
+  const rows = pairs
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => [`${key}:`, String(value)]);
+  return alignColumns(rows);
+}
+
+// Helper function to render DNS answers as dig-style zone file lines
+export function renderDNSRecords(dns) {
+  const rows = [];
+  for (const type of Object.keys(dns || {})) {
+    for (const record of dns[type] || []) {
+      rows.push([record.name, record.TTL ?? "", "IN", type, record.data]);
+    }
+  }
+  return rows.length > 0 ? alignColumns(rows) : ";; no records found";
+}
+
+// Helper function to list queries that did not end in NOERROR (dig-style comments)
+export function renderDNSStatus(details) {
+  return Object.entries(details || {})
+    .filter(([, detail]) => detail.error || (detail.status && detail.status !== "NOERROR"))
+    .map(([type, detail]) => `;; ${type}: ${detail.error || detail.status}`)
+    .join("\n");
+}
+
+// Helper function to render merged IP intelligence (intel.js) as whois-style lines
+export function renderIntelText(intel) {
+  if (!intel) return ";; no IP information";
+  if (intel.error) return `;; IP information unavailable: ${intel.message || intel.error}`;
+  return renderKeyValues(intelFields(intel));
+}
+
+// Helper function to list the fields of merged IP intelligence as [label, value] pairs
+function intelFields(intel) {
+  const location = intel.location || {};
+  const network = intel.network || {};
+  const flags = ["datacenter", "proxy", "vpn", "tor", "abuser", "mobile"]
+    .filter(flag => intel.flags?.[flag]);
+  const providers = (intel.providers || [])
+    .filter(p => p.status !== "skipped")
+    .map(p => (p.status === "ok" ? p.id : `${p.id} (${p.error || p.status})`));
+
+  return [
+    ["ip", intel.ip],
+    ["hostname", intel.hostname],
+    ["country", location.country ? `${location.country} (${location.countryCode})` : location.countryCode],
+    ["region", location.region],
+    ["city", location.city],
+    ["postal", location.postalCode],
+    ["coordinates", location.latitude != null ? `${location.latitude}, ${location.longitude}` : null],
+    ["timezone", location.timezone],
+    ["asn", network.asn ? `AS${network.asn}` : null],
+    ["org", network.org],
+    ["route", network.route],
+    ["company", intel.company?.name && (intel.company.type ? `${intel.company.name} (${intel.company.type})` : intel.company.name)],
+    ["datacenter", intel.datacenter?.name],
+    ["abuse", intel.abuse?.email],
+    ["flags", flags.length > 0 ? flags.join(", ") : "none"],
+    ["sources", providers.join(", ")],
+  ];
+}
+
+// Helper function to describe the special-use ranges of a classification (special.js)
+function renderSpecialRanges(classification) {
+  return classification.ranges.map(r => `${r.name}${r.cidr ? ` (${r.cidr}, ${r.rfc})` : ` (${r.rfc})`}`).join("; ");
+}
+
+// Helper function to render forward-confirmed reverse DNS results (fcrdns.js), one line per PTR name
+function renderFCrDNSText(fcrdns) {
+  const rows = [];
+  for (const result of fcrdns.results) {
+    if (result.names.length === 0) {
+      rows.push([result.ip, "-", result.error ? `error: ${result.error}` : result.status]);
+      continue;
+    }
+    for (const name of result.names) {
+      rows.push([result.ip, name.name, name.confirmed ? "confirmed" : `mismatch (${name.addresses.join(", ") || "no address"})`]);
+    }
+  }
+  return alignColumns(rows);
+}
+
+function renderAnalyzeText(data) {
+  const { classification, embedded } = data;
+  const sections = [
+    `; <<>> ip-api <<>> ${data.target}`,
+    ";; ANSWER SECTION:",
+    renderDNSRecords(data.dns),
+    renderDNSStatus(data.dnsDetails),
+    "\n;; IP INFORMATION:",
+    classification?.bogon ? ";; special-use address, not looked up" : renderIntelText(data.intel),
+  ];
+  if (data.fcrdns) {
+    sections.push(`\n;; FORWARD-CONFIRMED REVERSE DNS: ${data.fcrdns.confirmed ? "pass" : "fail"}`, renderFCrDNSText(data.fcrdns));
+  }
+  if (classification?.ranges.length > 0) {
+    sections.push("\n;; SPECIAL-USE ADDRESS:", renderKeyValues([
+      ["range", renderSpecialRanges(classification)],
+      ["bogon", classification.bogon ? "yes" : "no"],
+    ]));
+  }
+  if (embedded) {
+    sections.push(`\n;; EMBEDDED IPv4 (${embedded.mechanism}): ${embedded.ip}`, renderKeyValues([
+      ["server", embedded.server],
+      ["range", renderSpecialRanges(embedded.classification)],
+    ]));
+    if (embedded.intel) sections.push(renderIntelText(embedded.intel));
+  }
+  return sections.filter(Boolean).join("\n");
+}
+
+function renderDNSText(data) {
+  return [
+    `; <<>> ip-api <<>> ${data.target}`,
+    ";; ANSWER SECTION:",
+    renderDNSRecords(data.dns),
+  ].join("\n");
+}
+
+function renderASNText(data) {
+  const record = renderKeyValues(asnFields(data));
+  return data.bgp ? `${record}\n\n${renderBGPText(data.bgp)}` : record;
+}
+
+// Helper function to list the registry record of an AS (intel.js) as [label, value] pairs
+function asnFields(data) {
+  return [
+    ["aut-num", data.asn ? `AS${data.asn}` : null],
+    ["org", data.org],
+    ["descr", data.description],
+    ["country", data.country],
+    ["type", data.type],
+    ["rir", data.rir],
+    ["created", data.created],
+    ["updated", data.updated],
+    ["abuse", data.abuse],
+    ["domain", data.domain],
+    ["prefixes", data.prefixes ? `${data.prefixes.length} IPv4, ${data.prefixesIPv6?.length ?? 0} IPv6` : null],
+    ["sources", (data.providers || []).filter(p => p.status === "ok").map(p => p.id).join(", ")],
+  ];
+}
+
+// Helper function to render the routing data of an AS: announced prefixes, neighbours and exchanges
+function renderBGPText(bgp) {
+  if (bgp.error) return `;; BGP: ${bgp.message}`;
+
+  const lines = [renderKeyValues([
+    ["bgp source", bgp.source],
+    ["ipv4", `${bgp.prefixCounts.ipv4} prefixes, ${bgp.addresses.ipv4} addresses`],
+    ["ipv6", `${bgp.prefixCounts.ipv6} prefixes, ${bgp.addresses.ipv6} addresses`],
+  ])];
+  for (const family of ["ipv4", "ipv6"]) {
+    if (bgp.prefixes[family].length === 0) continue;
+    lines.push("", `;; ANNOUNCED ${family.toUpperCase()} PREFIXES:`);
+    lines.push(alignColumns(bgp.prefixes[family].map(p => [p.prefix, p.description || p.name || ""])));
+  }
+  for (const relation of ["upstream", "downstream", "peer", "uncertain"]) {
+    const peers = bgp.peers[relation];
+    if (peers.length === 0) continue;
+    const shown = bgp.peerCounts[relation] > peers.length ? ` (${peers.length} of ${bgp.peerCounts[relation]})` : "";
+    lines.push("", `;; ${relation.toUpperCase()} NEIGHBOURS${shown}:`);
+    lines.push(alignColumns(peers.map(p => [`AS${p.asn}`, p.name || "", p.power ?? ""])));
+  }
+  if (bgp.ixps.length > 0) {
+    lines.push("", ";; EXCHANGE POINTS:");
+    lines.push(alignColumns(bgp.ixps.map(ix => [ix.name, [ix.city, ix.country].filter(Boolean).join(", "), [...ix.ipv4, ...ix.ipv6].join(" ")])));
+  }
+  return lines.join("\n");
+}
+
+function renderMyIPText(data) {
+  return String(data.ip);
+}
+
+function renderConfigText(data) {
+  const features = Object.keys(data.features);
+  const { intel, bgp, resolvers, certificateTransparency } = data.providers;
+  return renderKeyValues([
+    ["api base", data.apiBase || "same origin"],
+    ["enabled", features.filter(id => data.features[id]).join(", ") || "none"],
+    ["disabled", features.filter(id => !data.features[id]).join(", ")],
+    ["intel", intel.map(p => p.name).join(", ")],
+    ["bgp", bgp.name],
+    ["resolvers", resolvers.map(r => (r.default ? `${r.id} (default)` : r.id)).join(", ")],
+    ["ct search", certificateTransparency],
+  ]);
+}
+
+function renderCompareText(data) {
+  const rows = [["RESOLVER", "STATUS", "TTL", "LATENCY", "ANSWER"]];
+  for (const result of data.results) {
+    const answers = (result.answers || []).map(r => r.data);
+    rows.push([
+      result.resolver.id,
+      result.error ? "ERROR" : result.status,
+      result.ttl ?? "-",
+      `${result.latencyMs}ms`,
+      result.error || answers[0] || "-",
+    ]);
+    for (const extra of answers.slice(1)) rows.push(["", "", "", "", extra]);
+  }
+
+  const lines = [
+    `; <<>> ip-api compare <<>> ${data.name} ${data.type}`,
+    alignColumns(rows),
+    "",
+    data.consistent ? ";; all resolvers agree" : ";; DISAGREEMENTS:",
+  ];
+  for (const d of data.disagreements) {
+    lines.push(`;; [${d.kind}] ${d.message}`);
+    for (const group of d.groups) {
+      const value = Array.isArray(group.value) ? group.value.join(", ") || "(empty)" : group.value;
+      lines.push(`;;   ${group.resolvers.join(", ")}: ${value}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function renderPropagationText(data) {
+  const rows = [["RESOLVER", "REGION", "STATUS", "TTL", "LATENCY", "ANSWER"]];
+  for (const result of data.results) {
+    const answers = (result.answers || []).map(r => r.data);
+    rows.push([
+      `${result.consistent ? " " : "!"} ${result.resolver.id}`,
+      result.resolver.region,
+      result.error ? "ERROR" : result.status,
+      result.ttl ?? "-",
+      `${result.latencyMs}ms`,
+      result.error || answers[0] || "-",
+    ]);
+    for (const extra of answers.slice(1)) rows.push(["", "", "", "", "", extra]);
+  }
+
+  const regions = Object.entries(data.regions).map(([region, r]) => `${region} ${r.score ?? "-"}%`);
+  const lines = [
+    `; <<>> ip-api propagation <<>> ${data.name} ${data.type}`,
+    alignColumns(rows),
+    "",
+    `;; score: ${data.score ?? "-"}% (${regions.join(", ")})`,
+  ];
+  if (data.expected) lines.push(`;; expected: ${data.expected.join(", ")}`);
+  lines.push(data.consistent ? ";; all resolvers agree" : ";; resolvers marked ! disagree");
+  return lines.join("\n");
+}
+
+function renderDNSSECText(data) {
+  const lines = [`; <<>> ip-api dnssec <<>> ${data.domain}`, `;; status: ${data.status.toUpperCase()}`, ""];
+  for (const zone of data.zones) {
+    const keys = zone.dnskeys.map(k => `${k.keyTag}/${k.role}${k.trusted ? "*" : ""}`).join(" ");
+    const expiry = zone.signatures.filter(s => s.valid).map(s => s.expiration).sort()[0];
+    lines.push(renderKeyValues([
+      ["zone", zone.zone],
+      ["status", zone.status],
+      ["ds", zone.ds.map(ds => `${ds.keyTag} ${ds.algorithmName || ds.algorithm} ${ds.digestTypeName || ds.digestType}${ds.matched ? "" : " (no match)"}`).join(", ")],
+      ["dnskey", keys],
+      ["expires", expiry],
+      ...zone.errors.map(e => ["error", e]),
+      ...zone.warnings.map(w => ["warning", w]),
+    ]));
+    lines.push("");
+  }
+  lines.push(`;; ${data.answer.name} ${data.answer.type}: ${data.answer.status}`);
+  return lines.join("\n");
+}
+
+// Helper function to describe one server's answer in a trace step
+function traceOutcome(query, referral) {
+  if (query.outcome === "error") return `error: ${query.error}`;
+  if (query.outcome === "referral") return `referral to ${referral}`;
+  if (query.outcome === "lame") return `LAME (${query.status}${query.status === "NOERROR" ? ", not authoritative" : ""})`;
+  return query.status;
+}
+
+function renderTraceText(data) {
+  const lines = [`; <<>> ip-api trace <<>> ${data.name} ${data.type} (${data.transport})`, ""];
+  for (const step of data.steps) {
+    lines.push(alignColumns(step.nameservers.map(ns => [step.zone, "NS", ns.name, ns.addresses.join(" ") || "(no address)"])));
+    if (step.mismatch) {
+      lines.push(`;; NS mismatch: parent only ${step.mismatch.parentOnly.join(", ") || "-"}; zone only ${step.mismatch.childOnly.join(", ") || "-"}`);
+    }
+    for (const query of step.queries) {
+      const from = query.address ? `${query.server} (${query.address})` : query.server;
+      lines.push(`;; ${from} in ${query.latencyMs} ms: ${traceOutcome(query, step.referral)}`);
+    }
+    lines.push("");
+  }
+  if (data.answers.length > 0) {
+    lines.push(alignColumns(data.answers.map(r => [r.name, r.TTL, "IN", typeName(r.type), r.data])), "");
+  }
+  lines.push(`;; status: ${data.status.toUpperCase()}`);
+  lines.push(...data.warnings.map(w => `;; warning: ${w}`));
+  return lines.join("\n");
+}
+
+function renderMailText(data) {
+  const lines = [`; <<>> ip-api mail <<>> ${data.domain}`, ""];
+  lines.push(renderKeyValues([
+    ["mx", data.nullMX ? "(null MX)" : data.mx.join(", ")],
+    ["spf", data.spf.record],
+    ["spf lookups", data.spf.record ? `${data.spf.lookups}/10` : undefined],
+    ["dmarc", data.dmarc.record],
+    ["dkim", data.dkim.keys.map(k => `${k.selector}${k.bits ? ` (${k.bits} bit)` : k.revoked ? " (revoked)" : ` (${k.keyType})`}`).join(", ")],
+    ["mta-sts", data.mtaSts.policy?.mode ?? data.mtaSts.record],
+    ["tls-rpt", data.tlsRpt.record],
+    ["bimi", data.bimi.record],
+  ]));
+  lines.push("", ";; FINDINGS:");
+  for (const finding of data.findings) {
+    lines.push(`[${finding.severity.toUpperCase()}] ${finding.category}: ${finding.message}`);
+  }
+  return lines.join("\n");
+}
+
+function renderHealthText(data) {
+  const lines = [`; <<>> ip-api health <<>> ${data.domain}`, ""];
+  lines.push(renderKeyValues([
+    ["score", data.score === null ? "-" : `${data.score}/100`],
+    ["soa", data.soa ? `${data.soa.mname} ${data.soa.rname} ${data.soa.serial}` : "-"],
+    ["nameservers", data.nameservers.map(ns => ns.name).join(", ")],
+  ]));
+  lines.push("", ";; CHECKS:");
+  for (const check of data.checks) {
+    lines.push(`[${check.status.toUpperCase()}] ${check.id}: ${check.message}`);
+    lines.push(...check.details.map(d => `       ${d}`));
+  }
+  return lines.join("\n");
+}
+
+function renderSubdomainsText(data) {
+  const rows = [["HOST", "ADDRESS", "ASN", "ORG", "LAST CERT"]];
+  for (const host of data.hosts) {
+    rows.push([
+      `${host.name}${host.wildcard ? " (*)" : ""}`,
+      host.addresses[0] || "-",
+      host.asn ? `AS${host.asn}` : "-",
+      host.org || "-",
+      host.lastSeen ? host.lastSeen.slice(0, 10) : "-",
+    ]);
+    for (const extra of host.addresses.slice(1)) rows.push(["", extra, "", "", ""]);
+  }
+
+  const shown = data.truncated ? `, first ${data.hosts.length} resolved` : "";
+  const lines = [
+    `; <<>> ip-api subdomains <<>> ${data.domain}`,
+    `;; ${data.total} names in CT logs (${data.source})${shown}, ${data.resolved} resolve`,
+  ];
+  if (data.hosts.some(h => h.wildcard)) lines.push(";; (*) also covered by a wildcard certificate");
+  lines.push("", alignColumns(rows));
+  return lines.join("\n");
+}
+
+function renderHTTPText(data) {
+  const lines = [`; <<>> ip-api http <<>> ${data.target}`, ";; REDIRECTS:"];
+  for (const hop of data.chain) {
+    lines.push(`${hop.status} ${hop.url}  (${hop.latencyMs}ms)${hop.location ? ` -> ${hop.location}` : ""}`);
+  }
+
+  const cert = data.certificate;
+  lines.push("", renderKeyValues([
+    ["final url", data.finalUrl],
+    ["server", data.fingerprint.server],
+    ["powered by", data.fingerprint.poweredBy],
+    ["cdn", data.fingerprint.cdn.map(c => c.name).join(", ")],
+    ["certificate", cert?.error ? `(${cert.error})` : cert?.subject.CN],
+    ["issuer", cert?.issuer?.text],
+    ["valid", cert?.notBefore && `${cert.notBefore} - ${cert.notAfter} (${cert.daysRemaining} days left)`],
+    ["key", cert?.publicKey && `${cert.publicKey.type}${cert.publicKey.curve ? ` ${cert.publicKey.curve}` : ""} ${cert.publicKey.bits ?? ""}`.trim()],
+    ["sans", cert?.sans?.join(", ")],
+  ]));
+
+  lines.push("", ";; SECURITY HEADERS:");
+  for (const item of data.security) {
+    lines.push(`[${item.status.toUpperCase()}] ${item.header}: ${item.message}`);
+  }
+  return lines.join("\n");
+}
+
+// Helper function to render an RDAP contact on one line
+function rdapContact(contact) {
+  if (!contact) return null;
+  return [contact.name, contact.org, contact.email, contact.phone, contact.country].filter(Boolean).join(", ") || contact.handle;
+}
+
+function renderRDAPText(data) {
+  const lines = [`; <<>> ip-api rdap <<>> ${data.query}`, `;; server: ${data.server}`, ""];
+  lines.push(renderKeyValues([
+    ["handle", data.handle],
+    ["name", data.name],
+    ["type", data.networkType],
+    ["range", data.startAddress && `${data.startAddress} - ${data.endAddress}`],
+    ["cidr", data.cidrs?.join(", ")],
+    ["autnum", data.startAutnum && (data.startAutnum === data.endAutnum ? `AS${data.startAutnum}` : `AS${data.startAutnum} - AS${data.endAutnum}`)],
+    ["country", data.country],
+    ["registrar", data.registrar && (data.registrar.ianaId ? `${data.registrar.name} (IANA ${data.registrar.ianaId})` : data.registrar.name)],
+    ["registrant", rdapContact(data.registrant)],
+    ["created", data.created],
+    ["updated", data.updated],
+    ["expires", data.expires],
+    ["status", data.status.join(", ")],
+    ["nameservers", data.nameservers?.join(", ")],
+    ["dnssec", data.dnssec === undefined ? undefined : data.dnssec ? "signed" : "unsigned"],
+    ["abuse", rdapContact(data.abuse)],
+  ]));
+  return lines.join("\n");
+}
+
+function renderCIDRText(data) {
+  const lines = [`; <<>> ip-api cidr <<>> ${data.query}`, ""];
+  lines.push(renderKeyValues([
+    ["cidr", data.cidrs.join(", ") + (data.cidrsTruncated ? ", ..." : "")],
+    ["netmask", data.netmask],
+    ["wildcard", data.wildcard],
+    ["network", data.network],
+    ["broadcast", data.broadcast],
+    ["first", data.firstUsable || data.start],
+    ["last", data.lastUsable || data.end],
+    ["size", data.size],
+    ["usable", data.usable],
+    ["reserved", renderSpecialRanges(data.classification) || "none"],
+    ["bogon", data.classification.bogon ? "yes" : "no"],
+    ["route", data.routing?.route],
+    ["origin", data.routing?.asn ? `AS${data.routing.asn} ${data.routing.org || ""}`.trim() : null],
+  ]));
+  if (data.ptr) {
+    lines.push("", ";; PTR SAMPLE:");
+    lines.push(alignColumns(data.ptr.map(row => [row.ip, row.ptr || row.error || row.status])));
+  }
+  return lines.join("\n");
+}
+
+// Helper function to render a bulk cell: booleans as yes/no, empty values as "-"
+function bulkCell(value) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return String(value);
+}
+
+function renderBulkText(data) {
+  const rows = [["TARGET", "IP", "CC", "ASN", "ORG", "PROXY", "VPN", "PTR", "ERROR"]];
+  for (const row of data.results) {
+    rows.push([row.target, row.ip, row.country, row.asn ? `AS${row.asn}` : null, row.org, row.isProxy, row.isVpn, row.ptr, row.error].map(bulkCell));
+  }
+  return `;; ${data.count} targets\n` + alignColumns(rows);
+}
+
+// Single-field lookups print the bare value, like ipinfo.io
+function renderFieldText(data) {
+  return String(Object.values(data)[0]);
+}
+
+function renderErrorText(data) {
+  return `error: ${data.message ? `${data.error}: ${data.message}` : data.error}`;
+}
+
+// Fallback text renderer: nested objects flattened to dotted keys
+function renderGenericText(data) {
+  return renderKeyValues(flatten(data));
+}
+
+const TEXT_RENDERERS = {
+  analyze: renderAnalyzeText,
+  dns: renderDNSText,
+  compare: renderCompareText,
+  propagation: renderPropagationText,
+  dnssec: renderDNSSECText,
+  trace: renderTraceText,
+  mail: renderMailText,
+  health: renderHealthText,
+  subdomains: renderSubdomainsText,
+  http: renderHTTPText,
+  rdap: renderRDAPText,
+  cidr: renderCIDRText,
+  bulk: renderBulkText,
+  asn: renderASNText,
+  myip: renderMyIPText,
+  config: renderConfigText,
+  field: renderFieldText,
+  error: renderErrorText,
+};
+
+// --- CSV rendering ---
+
+// Helper function to quote a single CSV field (RFC 4180)
+export function csvField(value) {
+  const str = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvField).join(",")).join("\r\n");
+}
+
+function renderAnalyzeCSV(data) {
+  const rows = [["type", "name", "ttl", "data"]];
+  for (const type of Object.keys(data.dns || {})) {
+    for (const record of data.dns[type] || []) {
+      rows.push([type, record.name, record.TTL, record.data]);
+    }
+  }
+  return toCSV(rows);
+}
+
+function renderCompareCSV(data) {
+  const rows = [["resolver", "status", "ttl", "latency_ms", "type", "data", "error"]];
+  for (const result of data.results) {
+    const answers = result.answers?.length ? result.answers : [null];
+    for (const record of answers) {
+      rows.push([
+        result.resolver.id,
+        result.status || "",
+        result.ttl ?? "",
+        result.latencyMs,
+        record ? record.type : "",
+        record ? record.data : "",
+        result.error || "",
+      ]);
+    }
+  }
+  return toCSV(rows);
+}
+
+function renderPropagationCSV(data) {
+  const rows = [["resolver", "region", "status", "ttl", "latency_ms", "consistent", "data", "error"]];
+  for (const result of data.results) {
+    const answers = result.answers?.length ? result.answers : [null];
+    for (const record of answers) {
+      rows.push([
+        result.resolver.id,
+        result.resolver.region,
+        result.status || "",
+        result.ttl ?? "",
+        result.latencyMs,
+        result.consistent,
+        record ? record.data : "",
+        result.error || "",
+      ]);
+    }
+  }
+  return toCSV(rows);
+}
+
+function renderMailCSV(data) {
+  return toCSV([
+    ["domain", "category", "severity", "message"],
+    ...data.findings.map(f => [data.domain, f.category, f.severity, f.message]),
+  ]);
+}
+
+function renderHealthCSV(data) {
+  return toCSV([
+    ["domain", "check", "category", "status", "message", "details"],
+    ...data.checks.map(c => [data.domain, c.id, c.category, c.status, c.message, c.details.join("; ")]),
+  ]);
+}
+
+function renderSubdomainsCSV(data) {
+  const rows = [["host", "wildcard", "address", "asn", "org", "certificates", "first_seen", "last_seen"]];
+  for (const host of data.hosts) {
+    for (const address of host.addresses.length > 0 ? host.addresses : [""]) {
+      rows.push([host.name, host.wildcard, address, host.asn ?? "", host.org ?? "", host.certificates, host.firstSeen ?? "", host.lastSeen ?? ""]);
+    }
+  }
+  return toCSV(rows);
+}
+
+function renderBulkCSV(data) {
+  const columns = ["target", "ip", "country", "asn", "org", "isProxy", "isVpn", "isTor", "isDatacenter", "ptr", "error"];
+  return toCSV([
+    ["target", "ip", "country", "asn", "org", "is_proxy", "is_vpn", "is_tor", "is_datacenter", "ptr", "error"],
+    ...data.results.map(row => columns.map(c => row[c] ?? "")),
+  ]);
+}
+
+function renderGenericCSV(data) {
+  return toCSV([["field", "value"], ...flatten(data)]);
+}
+
+const CSV_RENDERERS = {
+  analyze: renderAnalyzeCSV,
+  dns: renderAnalyzeCSV,
+  compare: renderCompareCSV,
+  propagation: renderPropagationCSV,
+  mail: renderMailCSV,
+  health: renderHealthCSV,
+  subdomains: renderSubdomainsCSV,
+  bulk: renderBulkCSV,
+};
+
+// Helper function to flatten nested objects into [dotted.key, value] pairs
+function flatten(value, prefix = "", out = []) {
+  if (value !== null && typeof value === "object") {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (entries.length === 0) {
+      if (prefix) out.push([prefix, ""]);
+      return out;
+    }
+    for (const [key, child] of entries) {
+      flatten(child, prefix ? `${prefix}.${key}` : String(key), out);
+    }
+  } else if (prefix) {
+    out.push([prefix, value === null || value === undefined ? "" : value]);
+  }
+  return out;
+}
+
+// --- Markdown rendering ---
+
+// Neighbours listed per relation in Markdown reports
+const MD_MAX_NEIGHBOURS = 10;
+
+// Helper function to escape a value for a Markdown table cell
+function mdCell(value) {
+  if (value === undefined || value === null || value === "") return "-";
+  return String(value).replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+// Helper function to render a Markdown (GFM) table
+function mdTable(header, rows) {
+  const line = cells => `| ${cells.map(mdCell).join(" | ")} |`;
+  return [line(header), `|${header.map(() => "---").join("|")}|`, ...rows.map(line)].join("\n");
+}
+
+// Helper function to render [label, value] pairs as a two-column table, skipping empty values
+function mdFields(pairs) {
+  return mdTable(["Field", "Value"], pairs.filter(([, value]) => value !== undefined && value !== null && value !== ""));
+}
+
+// Helper function to render DNS answers as a table, CNAMEs followed on the way included
+function mdDNSRecords(dns) {
+  const records = [];
+  for (const type of Object.keys(dns || {})) {
+    for (const record of dns[type] || []) {
+      records.push([typeName(record.type) || type, record.name, record.TTL, record.data]);
+    }
+  }
+  return records.length > 0 ? mdTable(["Type", "Name", "TTL", "Data"], records) : "_No records found._";
+}
+
+function renderDNSMarkdown(data) {
+  return `# DNS: ${data.target}\n\n${mdDNSRecords(data.dns)}`;
+}
+
+// Report for tickets: DNS records, IP information, FCrDNS, special-use ranges and, with ?asn=1,
+// the AS of the address with its routing data
+function renderAnalyzeMarkdown(data) {
+  const { classification, embedded } = data;
+  const sections = [`# ip-api report: ${data.target}`];
+  if (data.resolver) sections.push(`Resolver: ${data.resolver.name || data.resolver.id}`);
+
+  sections.push("## DNS records", mdDNSRecords(data.dns));
+  const problems = Object.entries(data.dnsDetails || {})
+    .filter(([, detail]) => detail.error || (detail.status && detail.status !== "NOERROR"))
+    .map(([type, detail]) => `- ${type}: ${detail.error || detail.status}`);
+  if (problems.length > 0) sections.push(problems.join("\n"));
+
+  sections.push("## IP information");
+  if (classification?.bogon) {
+    sections.push("_Special-use address, not looked up._");
+  } else if (!data.intel || data.intel.error) {
+    sections.push(`_IP information unavailable${data.intel?.message ? `: ${data.intel.message}` : ""}._`);
+  } else {
+    sections.push(mdFields(intelFields(data.intel)));
+  }
+
+  if (data.fcrdns) {
+    const rows = data.fcrdns.results.flatMap(result => (result.names.length > 0
+      ? result.names.map(name => [result.ip, name.name, name.confirmed ? "confirmed" : `mismatch (${name.addresses.join(", ") || "no address"})`])
+      : [[result.ip, "-", result.error ? `error: ${result.error}` : result.status]]));
+    sections.push(`## Forward-confirmed reverse DNS: ${data.fcrdns.confirmed ? "pass" : "fail"}`, mdTable(["Address", "PTR", "Result"], rows));
+  }
+  if (classification?.ranges.length > 0) {
+    sections.push("## Special-use address", mdFields([
+      ["range", renderSpecialRanges(classification)],
+      ["bogon", classification.bogon ? "yes" : "no"],
+    ]));
+  }
+  if (embedded) {
+    sections.push(`## Embedded IPv4 (${embedded.mechanism}): ${embedded.ip}`, mdFields([
+      ["server", embedded.server],
+      ["range", renderSpecialRanges(embedded.classification)],
+      ...(embedded.intel && !embedded.intel.error ? intelFields(embedded.intel) : []),
+    ]));
+  }
+
+  if (data.asnDetails) {
+    sections.push(data.asnDetails.error
+      ? `## Autonomous system\n\n_ASN details unavailable: ${data.asnDetails.message}._`
+      : renderASNMarkdown(data.asnDetails).replace(/^# /, "## "));
+  }
+  return sections.join("\n\n");
+}
+
+// Registry record of an AS with its announced prefixes, neighbours and exchange points
+function renderASNMarkdown(data) {
+  const sections = [`# AS${data.asn}${data.org ? ` ${data.org}` : ""}`, mdFields(asnFields(data))];
+  const bgp = data.bgp;
+  if (!bgp) return sections.join("\n\n");
+  if (bgp.error) {
+    sections.push(`_BGP data unavailable: ${bgp.message}._`);
+    return sections.join("\n\n");
+  }
+
+  sections.push(`Routing data from ${bgp.source}: ${bgp.prefixCounts.ipv4} IPv4 prefixes (${bgp.addresses.ipv4} addresses), ` +
+    `${bgp.prefixCounts.ipv6} IPv6 prefixes.`);
+  // The strongest neighbours of each relation; the JSON output has the full lists
+  const neighbours = ["upstream", "downstream", "peer", "uncertain"].flatMap(relation => [
+    ...bgp.peers[relation].slice(0, MD_MAX_NEIGHBOURS).map(peer => [`AS${peer.asn}`, peer.name, relation]),
+    ...(bgp.peerCounts[relation] > MD_MAX_NEIGHBOURS ? [[`+${bgp.peerCounts[relation] - MD_MAX_NEIGHBOURS} more`, null, relation]] : []),
+  ]);
+  if (neighbours.length > 0) sections.push(mdTable(["Neighbour", "Name", "Relation"], neighbours));
+  if (bgp.ixps.length > 0) {
+    sections.push(mdTable(["Exchange point", "Location"], bgp.ixps.map(ix => [ix.name, [ix.city, ix.country].filter(Boolean).join(", ")])));
+  }
+  return sections.join("\n\n");
+}
+
+// Other responses: their text rendering in a code block
+function renderGenericMarkdown(kind, data) {
+  return "```\n" + (TEXT_RENDERERS[kind] || renderGenericText)(data) + "\n```";
+}
+
+const MARKDOWN_RENDERERS = {
+  analyze: renderAnalyzeMarkdown,
+  dns: renderDNSMarkdown,
+  asn: renderASNMarkdown,
+};
+
+// --- YAML rendering ---
+
+// Helper function to emit a YAML scalar, quoting anything that could be misread
+function yamlScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  const str = String(value);
+  if (str === "" ||
+      /^[\s-?:,\[\]{}#&*!|>'"%@`]/.test(str) ||
+      /[:#]\s|\s$|[\n\r\t]/.test(str) ||
+      /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?)$/i.test(str) ||
+      // Dates and timestamps (RDAP events, certificate validity) would load as date objects
+      /^\d{4}-\d\d?-\d\d?(?:$|[Tt\s])/.test(str)) {
+    return JSON.stringify(str);
+  }
+  return str;
+}
+
+export function toYAML(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return value.map(item => {
+      if (item !== null && typeof item === "object" && Object.keys(item).length > 0) {
+        const nested = toYAML(item, indent + "  ");
+        return `${indent}- ${nested.slice(indent.length + 2)}`;
+      }
+      return `${indent}- ${toYAML(item, indent + "  ")}`;
+    }).join("\n");
+  }
+
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return "{}";
+    return entries.map(([key, child]) => {
+      const name = yamlScalar(key);
+      if (child !== null && typeof child === "object" && Object.keys(child).length > 0) {
+        return `${indent}${name}:\n${toYAML(child, indent + "  ")}`;
+      }
+      return `${indent}${name}: ${toYAML(child, indent + "  ")}`;
+    }).join("\n");
+  }
+
+  return yamlScalar(value);
+}
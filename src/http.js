@@ -0,0 +1,264 @@
+import { isIPv6 } from "./ip.js";
+import { fetchCertificate } from "./tls.js";
+
+// HTTP endpoint inspection: the redirect chain from the first URL to the final page, the
+// security headers of the final response, a server/CDN fingerprint and the TLS certificate.
+// Security headers yield { header, value, status, message } items with status "pass", "warn"
+// or "fail", like the checks of the domain health report.
+
+// Redirects followed before giving up, and how long each request may take in milliseconds
+const HTTP_MAX_REDIRECTS = 10;
+const HTTP_TIMEOUT_MS = 8000;
+
+// HSTS max-age below which the policy counts as short (180 days, the HSTS preload minimum is a year)
+const HSTS_MIN_MAX_AGE = 15552000;
+
+const USER_AGENT = "ip-api-http-inspector/1.0";
+
+// CDNs and hosting platforms recognized by their response headers
+const CDN_FINGERPRINTS = [
+  { id: "cloudflare", name: "Cloudflare", test: h => h.has("cf-ray") || /^cloudflare/i.test(h.get("server") || "") },
+  { id: "cloudfront", name: "Amazon CloudFront", test: h => h.has("x-amz-cf-id") || /cloudfront/i.test(h.get("via") || "") },
+  { id: "fastly", name: "Fastly", test: h => h.has("x-fastly-request-id") || /^cache-\w+/.test(h.get("x-served-by") || "") },
+  { id: "akamai", name: "Akamai", test: h => /akamai/i.test(h.get("server") || "") || h.has("x-akamai-transformed") || h.has("akamai-grn") },
+  { id: "azure", name: "Azure Front Door", test: h => h.has("x-azure-ref") || h.has("x-fd-int-roxy-purgeid") },
+  { id: "google", name: "Google", test: h => /^(gws|esf|google frontend)/i.test(h.get("server") || "") || /google/i.test(h.get("via") || "") },
+  { id: "vercel", name: "Vercel", test: h => h.has("x-vercel-id") },
+  { id: "netlify", name: "Netlify", test: h => h.has("x-nf-request-id") },
+  { id: "github-pages", name: "GitHub Pages", test: h => h.has("x-github-request-id") },
+  { id: "bunny", name: "Bunny CDN", test: h => /bunnycdn/i.test(h.get("server") || "") },
+  { id: "sucuri", name: "Sucuri", test: h => h.has("x-sucuri-id") },
+  { id: "imperva", name: "Imperva", test: h => h.has("x-iinfo") || /incap_ses|visid_incap/.test(h.get("set-cookie") || "") },
+  { id: "varnish", name: "Varnish", test: h => h.has("x-varnish") || /varnish/i.test(h.get("via") || "") },
+];
+
+// Helper function to build an error carrying the HTTP status the API should answer with
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Helper function to turn a target (URL, domain or address) into the first URL to request
+export function targetURL(target) {
+  const value = String(target).trim();
+  if (/^https?:\/\//i.test(value)) return new URL(value);
+  return new URL(`https://${isIPv6(value) ? `[${value}]` : value}/`);
+}
+
+// Helper function to get the host of a URL without the brackets around IPv6 addresses
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
+
+// Helper function to describe a CDN or server software from response headers
+export function fingerprint(headers) {
+  return {
+    server: headers.get("server"),
+    poweredBy: headers.get("x-powered-by"),
+    cdn: CDN_FINGERPRINTS.filter(f => f.test(headers)).map(({ id, name }) => ({ id, name })),
+  };
+}
+
+// Helper function to read the directives of a header: "max-age=1; preload" -> { "max-age": "1", preload: "" }
+function directives(value, separator) {
+  const result = {};
+  for (const part of value.split(separator)) {
+    const [name, ...rest] = part.trim().split(/[=\s]+/);
+    if (name) result[name.toLowerCase()] = rest.join(" ").replace(/^"|"$/g, "");
+  }
+  return result;
+}
+
+// Grade the security headers of a response: [{ header, value, status, message }]
+export function checkSecurityHeaders(headers, url) {
+  const items = [];
+  const add = (header, status, message) => items.push({ header, value: headers.get(header), status, message });
+  const https = url.protocol === "https:";
+
+  const hsts = headers.get("strict-transport-security");
+  if (!https) {
+    add("strict-transport-security", "fail", "The page is served over plain HTTP");
+  } else if (!hsts) {
+    add("strict-transport-security", "fail", "No HSTS: the first visit can be downgraded to HTTP");
+  } else {
+    const policy = directives(hsts, ";");
+    const maxAge = Number(policy["max-age"]);
+    const extras = ["includesubdomains", "preload"].filter(d => d in policy).join(", ");
+    if (!Number.isFinite(maxAge) || maxAge <= 0) {
+      add("strict-transport-security", "fail", "HSTS max-age is missing or 0, which turns the policy off");
+    } else if (maxAge < HSTS_MIN_MAX_AGE) {
+      add("strict-transport-security", "warn", `HSTS max-age ${maxAge}s is shorter than 180 days`);
+    } else {
+      add("strict-transport-security", "pass", `HSTS for ${Math.round(maxAge / 86400)} days${extras ? ` (${extras})` : ""}`);
+    }
+  }
+
+  const csp = headers.get("content-security-policy");
+  const cspPolicy = csp ? directives(csp, ";") : {};
+  if (!csp) {
+    const reportOnly = headers.has("content-security-policy-report-only");
+    add("content-security-policy", "warn", reportOnly ? "CSP is only reported, not enforced" : "No Content Security Policy");
+  } else {
+    const scripts = cspPolicy["script-src"] ?? cspPolicy["default-src"] ?? "";
+    if (!("script-src" in cspPolicy) && !("default-src" in cspPolicy)) {
+      add("content-security-policy", "warn", "CSP does not restrict scripts (no script-src or default-src)");
+    } else if (/'unsafe-inline'/.test(scripts) && !/'nonce-|'sha(256|384|512)-|'strict-dynamic'/.test(scripts)) {
+      add("content-security-policy", "warn", "CSP allows inline scripts ('unsafe-inline')");
+    } else {
+      add("content-security-policy", "pass", "CSP restricts scripts");
+    }
+  }
+
+  const frameOptions = (headers.get("x-frame-options") || "").toUpperCase();
+  if (["DENY", "SAMEORIGIN"].includes(frameOptions)) {
+    add("x-frame-options", "pass", `Framing limited (${frameOptions})`);
+  } else if ("frame-ancestors" in cspPolicy) {
+    add("x-frame-options", "pass", "Framing limited by CSP frame-ancestors");
+  } else {
+    add("x-frame-options", "warn", "Any site may frame the page (clickjacking)");
+  }
+
+  if ((headers.get("x-content-type-options") || "").toLowerCase() === "nosniff") {
+    add("x-content-type-options", "pass", "MIME sniffing disabled");
+  } else {
+    add("x-content-type-options", "warn", "No X-Content-Type-Options: nosniff");
+  }
+
+  if (headers.has("referrer-policy")) {
+    add("referrer-policy", "pass", `Referrer policy ${headers.get("referrer-policy")}`);
+  } else {
+    add("referrer-policy", "warn", "No Referrer-Policy (browsers default to strict-origin-when-cross-origin)");
+  }
+
+  if (headers.has("permissions-policy")) {
+    add("permissions-policy", "pass", "Browser features restricted by Permissions-Policy");
+  } else {
+    add("permissions-policy", "warn", "No Permissions-Policy");
+  }
+  return items;
+}
+
+// Helper function to request a URL without following redirects: { hop, response } where hop is
+// { url, status, statusText, location, latencyMs }. `checkHost(hostname)` may throw to refuse the
+// request (the worker refuses special-use addresses); the body is never read.
+async function request(url, { fetcher, checkHost, timeout }) {
+  await checkHost(hostOf(url));
+  const started = Date.now();
+  let response;
+  try {
+    response = await fetcher(url.toString(), {
+      method: "GET",
+      redirect: "manual",
+      headers: { "user-agent": USER_AGENT, accept: "text/html,*/*" },
+      signal: AbortSignal.timeout(timeout),
+    });
+  } catch (e) {
+    throw new Error(e.name === "TimeoutError" ? `${url.host} did not answer within ${timeout}ms` : `${url.host}: ${e.message}`);
+  }
+  response.body?.cancel().catch(() => {});
+
+  const location = response.status >= 300 && response.status < 400 ? response.headers.get("location") : null;
+  const hop = { url: url.toString(), status: response.status, statusText: response.statusText, location, latencyMs: Date.now() - started };
+  return { hop, response };
+}
+
+// Follow redirects from `url`: { chain, response, url } with the final response and its URL
+async function followRedirects(url, options) {
+  const chain = [];
+  const visited = new Set();
+  for (;;) {
+    const { hop, response } = await request(url, options);
+    chain.push(hop);
+    visited.add(url.toString());
+    if (!hop.location) return { chain, response, url };
+
+    const next = new URL(hop.location, url);
+    if (visited.has(next.toString())) throw httpError(`Redirect loop at ${next}`, 502);
+    if (chain.length > options.maxRedirects) throw httpError(`More than ${options.maxRedirects} redirects`, 502);
+    url = next;
+  }
+}
+
+// Inspect an HTTP endpoint: { target, url, finalUrl, status, chain, httpRedirect, security,
+// summary, fingerprint, headers, certificate }. A target without a scheme is fetched over
+// https:// (and over http:// when that fails), and its plain-HTTP URL is checked for an upgrade
+// redirect. Options: `fetcher`, `connect` (from "cloudflare:sockets"; without it the certificate
+// is not read), `checkHost`, `maxRedirects` and `timeout`.
+export async function inspectHTTP(target, options = {}) {
+  const {
+    fetcher = fetch,
+    connect,
+    checkHost = async () => {},
+    maxRedirects = HTTP_MAX_REDIRECTS,
+    timeout = HTTP_TIMEOUT_MS,
+  } = options;
+  const requestOptions = { fetcher, checkHost, maxRedirects, timeout };
+  const explicit = /^https?:\/\//i.test(String(target).trim());
+  const start = targetURL(target);
+  const insecure = new URL(start);
+  insecure.protocol = "http:";
+
+  // Network failures over HTTPS fall back to plain HTTP; refused hosts and redirect loops do not
+  let visit;
+  try {
+    visit = await followRedirects(start, requestOptions);
+  } catch (e) {
+    if (explicit || e.status) throw e;
+    visit = await followRedirects(insecure, requestOptions);
+  }
+  const { chain, response, url: finalUrl } = visit;
+
+  // Whether plain HTTP sends visitors on to HTTPS (checked unless an https:// URL was given)
+  let httpRedirect = null;
+  if (!explicit || start.protocol === "http:") {
+    try {
+      const first = chain[0].url === insecure.toString() ? chain[0] : (await request(insecure, requestOptions)).hop;
+      const upgrades = Boolean(first.location && new URL(first.location, insecure).protocol === "https:");
+      httpRedirect = { status: first.status, location: first.location, upgrades };
+    } catch (e) {
+      if (e.status) throw e;
+      httpRedirect = { error: e.message };
+    }
+  }
+
+  const security = checkSecurityHeaders(response.headers, finalUrl);
+  if (httpRedirect && !httpRedirect.error) {
+    security.unshift({
+      header: "location",
+      value: httpRedirect.location,
+      status: httpRedirect.upgrades ? "pass" : "fail",
+      message: httpRedirect.upgrades ? "Plain HTTP redirects to HTTPS" : "Plain HTTP does not redirect to HTTPS",
+    });
+  }
+
+  let certificate = null;
+  if (finalUrl.protocol === "https:") {
+    if (!connect) {
+      certificate = { error: "Reading certificates needs direct TCP connections, which this runtime does not offer" };
+    } else {
+      try {
+        certificate = await fetchCertificate(connect, hostOf(finalUrl), { port: Number(finalUrl.port) || 443 });
+        const now = Date.now();
+        certificate.daysRemaining = Math.floor((Date.parse(certificate.notAfter) - now) / 86400000);
+        certificate.valid = Date.parse(certificate.notBefore) <= now && now <= Date.parse(certificate.notAfter);
+      } catch (e) {
+        certificate = { error: e.message };
+      }
+    }
+  }
+
+  return {
+    target: String(target).trim(),
+    url: start.toString(),
+    finalUrl: finalUrl.toString(),
+    status: response.status,
+    chain,
+    httpRedirect,
+    security,
+    summary: Object.fromEntries(["pass", "warn", "fail"].map(s => [s, security.filter(i => i.status === s).length])),
+    fingerprint: fingerprint(response.headers),
+    headers: Object.fromEntries(response.headers),
+    certificate,
+  };
+}
@@ -0,0 +1,425 @@
+import { IP_REGEX } from "./ip.js";
+import { asnPrefixes, loadMMDB } from "./mmdb.js";
+
+// IP intelligence from several providers, normalized to one schema and merged:
+//
+//   { ip, hostname,
+//     location:   { country, countryCode, region, city, postalCode, latitude, longitude,
+//                   timezone, localTime, currency, callingCode, isEU },
+//     network:    { asn, org, route, domain, type, abuserScore },
+//     company:    { name, domain, type, abuserScore },
+//     datacenter: { name, service, network },
+//     abuse:      { name, email, phone, address },
+//     flags:      { datacenter, proxy, vpn, tor, abuser, mobile, bogon, crawler },
+//     sources:    { "location.city": "ipinfo", ... },
+//     providers:  [{ id, status, latencyMs, error }] }
+//
+// Providers are asked in order; each one only fills in values the previous ones left empty,
+// and later providers are skipped once the essential fields are known. `sources` records
+// which provider supplied each value.
+
+// Fields that make further providers unnecessary once filled
+const ESSENTIAL_FIELDS = ["location.countryCode", "location.latitude", "network.asn", "network.org"];
+const ASN_ESSENTIAL_FIELDS = ["org", "country", "prefixes"];
+
+// Order used when INTEL_PROVIDERS is not set; the local databases are the last resort
+export const DEFAULT_PROVIDERS = ["ipapi", "ipinfo", "ripestat", "mmdb"];
+
+// Identifies us to RIPEstat, as its usage policy asks
+const RIPESTAT_SOURCEAPP = "ip-api";
+
+// Helper function to fetch JSON from a provider, throwing on HTTP errors
+async function fetchJSON(url, fetcher) {
+  const res = await fetcher(url, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+// Helper function to turn a country code into an English name (ipinfo.io and RIPEstat only give codes)
+function countryName(code) {
+  if (!code) return undefined;
+  try {
+    return new Intl.DisplayNames(["en"], { type: "region" }).of(code.toUpperCase());
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Helper function to split a RIPEstat holder ("GOOGLE - Google LLC") into its organisation name
+function holderOrg(holder) {
+  if (!holder) return undefined;
+  const index = holder.indexOf(" - ");
+  return index === -1 ? holder : holder.slice(index + 3);
+}
+
+// --- ipapi.is ---
+
+function normalizeIpapi(d) {
+  const l = d.location;
+  return {
+    ip: d.ip,
+    location: l && {
+      country: l.country,
+      countryCode: l.country_code,
+      region: l.state,
+      city: l.city,
+      postalCode: l.zip,
+      latitude: l.latitude,
+      longitude: l.longitude,
+      timezone: l.timezone,
+      localTime: l.local_time,
+      currency: l.currency_code,
+      callingCode: l.calling_code,
+      isEU: l.is_eu_member,
+    },
+    network: d.asn && {
+      asn: d.asn.asn,
+      org: d.asn.org,
+      route: d.asn.route,
+      domain: d.asn.domain,
+      type: d.asn.type,
+      abuserScore: d.asn.abuser_score,
+    },
+    company: d.company && {
+      name: d.company.name,
+      domain: d.company.domain,
+      type: d.company.type,
+      abuserScore: d.company.abuser_score,
+    },
+    datacenter: d.datacenter && {
+      name: d.datacenter.datacenter,
+      service: d.datacenter.service,
+      network: d.datacenter.network,
+    },
+    abuse: d.abuse && { name: d.abuse.name, email: d.abuse.email, phone: d.abuse.phone, address: d.abuse.address },
+    flags: {
+      datacenter: d.is_datacenter,
+      proxy: d.is_proxy,
+      vpn: d.is_vpn,
+      tor: d.is_tor,
+      abuser: d.is_abuser,
+      mobile: d.is_mobile,
+      bogon: d.is_bogon,
+      crawler: d.is_crawler,
+    },
+  };
+}
+
+function normalizeIpapiASN(d) {
+  return {
+    asn: d.asn,
+    org: d.org,
+    description: d.descr,
+    country: d.country?.toUpperCase(),
+    type: d.type,
+    rir: d.rir,
+    created: d.created,
+    updated: d.updated,
+    domain: d.domain,
+    abuse: d.abuse,
+    active: d.active,
+    abuserScore: d.abuser_score,
+    prefixes: d.prefixes,
+    prefixesIPv6: d.prefixesIPv6,
+  };
+}
+
+async function ipapiQuery(query, { env, fetcher }) {
+  const url = new URL("https://api.ipapi.is/");
+  url.searchParams.set("q", query);
+  if (env.IPAPI_KEY) url.searchParams.set("key", env.IPAPI_KEY);
+  const data = await fetchJSON(url.toString(), fetcher);
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// --- ipinfo.io ---
+
+function normalizeIpinfo(d) {
+  const [latitude, longitude] = (d.loc || "").split(",").map(Number);
+  // Free plans only have "AS15169 Google LLC" in `org`; paid ones add an `asn` object
+  const org = /^AS(\d+)\s+(.*)$/.exec(d.org || "");
+  return {
+    ip: d.ip,
+    hostname: d.hostname,
+    location: d.country && {
+      country: countryName(d.country),
+      countryCode: d.country,
+      region: d.region,
+      city: d.city,
+      postalCode: d.postal,
+      latitude: d.loc ? latitude : undefined,
+      longitude: d.loc ? longitude : undefined,
+      timezone: d.timezone,
+    },
+    network: d.asn
+      ? { asn: Number(String(d.asn.asn).replace(/^AS/i, "")), org: d.asn.name, route: d.asn.route, domain: d.asn.domain, type: d.asn.type }
+      : org && { asn: Number(org[1]), org: org[2] },
+    company: d.company && { name: d.company.name, domain: d.company.domain, type: d.company.type },
+    abuse: d.abuse && { name: d.abuse.name, email: d.abuse.email, phone: d.abuse.phone, address: d.abuse.address },
+    flags: {
+      bogon: d.bogon,
+      ...(d.privacy && { datacenter: d.privacy.hosting, proxy: d.privacy.proxy, vpn: d.privacy.vpn, tor: d.privacy.tor }),
+    },
+  };
+}
+
+function normalizeIpinfoASN(d) {
+  return {
+    asn: Number(String(d.asn).replace(/^AS/i, "")),
+    org: d.name,
+    country: d.country?.toUpperCase(),
+    type: d.type,
+    rir: d.registry?.toUpperCase(),
+    created: d.allocated,
+    domain: d.domain,
+    prefixes: d.prefixes?.map(p => p.netblock),
+    prefixesIPv6: d.prefixes6?.map(p => p.netblock),
+  };
+}
+
+function ipinfoURL(path, env) {
+  const url = new URL(`https://ipinfo.io/${path}/json`);
+  if (env.IPINFO_TOKEN) url.searchParams.set("token", env.IPINFO_TOKEN);
+  return url.toString();
+}
+
+// --- RIPEstat ---
+
+function ripestatURL(endpoint, resource) {
+  const url = new URL(`https://stat.ripe.net/data/${endpoint}/data.json`);
+  url.searchParams.set("resource", resource);
+  url.searchParams.set("sourceapp", RIPESTAT_SOURCEAPP);
+  return url.toString();
+}
+
+async function ripestatIP(ip, { fetcher }) {
+  // Only the routing data is required; geolocation and abuse contacts are best effort
+  const [prefix, geo, abuse] = await Promise.allSettled([
+    fetchJSON(ripestatURL("prefix-overview", ip), fetcher),
+    fetchJSON(ripestatURL("maxmind-geo-lite", ip), fetcher),
+    fetchJSON(ripestatURL("abuse-contact-finder", ip), fetcher),
+  ]);
+  if (prefix.status === "rejected") throw prefix.reason;
+
+  const overview = prefix.value.data || {};
+  const origin = overview.asns?.[0];
+  const location = geo.status === "fulfilled" ? geo.value.data?.located_resources?.[0]?.locations?.[0] : undefined;
+  const abuseEmail = abuse.status === "fulfilled" ? abuse.value.data?.abuse_contacts?.[0] : undefined;
+
+  return {
+    ip,
+    location: location && {
+      country: countryName(location.country),
+      countryCode: location.country,
+      city: location.city || undefined,
+      latitude: location.latitude,
+      longitude: location.longitude,
+    },
+    network: {
+      asn: origin?.asn,
+      org: holderOrg(origin?.holder),
+      route: overview.announced ? overview.resource : undefined,
+    },
+    abuse: abuseEmail && { email: abuseEmail },
+  };
+}
+
+async function ripestatASN(asn, { fetcher }) {
+  const [overview, announced] = await Promise.all([
+    fetchJSON(ripestatURL("as-overview", `AS${asn}`), fetcher),
+    fetchJSON(ripestatURL("announced-prefixes", `AS${asn}`), fetcher).catch(() => null),
+  ]);
+  const prefixes = (announced?.data?.prefixes || []).map(p => p.prefix);
+  return {
+    asn,
+    org: holderOrg(overview.data?.holder),
+    description: overview.data?.holder,
+    active: overview.data?.announced,
+    prefixes: announced ? prefixes.filter(p => !p.includes(":")) : undefined,
+    prefixesIPv6: announced ? prefixes.filter(p => p.includes(":")) : undefined,
+  };
+}
+
+// --- Local MaxMind DB files (GeoLite2-City/ASN, DB-IP lite) ---
+
+function normalizeMMDB(ip, city, asn) {
+  const c = city?.data || {};
+  // Combined databases carry the ASN fields next to the location
+  const a = asn?.data || c;
+  return {
+    ip,
+    location: c.country && {
+      country: c.country.names?.en,
+      countryCode: c.country.iso_code,
+      region: c.subdivisions?.[0]?.names?.en,
+      city: c.city?.names?.en,
+      postalCode: c.postal?.code,
+      latitude: c.location?.latitude,
+      longitude: c.location?.longitude,
+      timezone: c.location?.time_zone,
+      isEU: Boolean(c.country.is_in_european_union),
+    },
+    network: a.autonomous_system_number && {
+      asn: a.autonomous_system_number,
+      org: a.autonomous_system_organization,
+      route: asn?.network,
+    },
+  };
+}
+
+async function mmdbIP(ip, { env }) {
+  const [cityDB, asnDB] = await Promise.all([loadMMDB(env, env.MMDB_CITY), loadMMDB(env, env.MMDB_ASN)]);
+  const city = cityDB?.lookup(ip);
+  const asn = asnDB?.lookup(ip);
+  // Nothing known about the address counts as not answering
+  if (!city && !asn) return null;
+  return normalizeMMDB(ip, city, asn);
+}
+
+async function mmdbASN(asn, { env }) {
+  const db = await loadMMDB(env, env.MMDB_ASN);
+  const entry = db && asnPrefixes(db, Number(asn));
+  if (!entry) return null;
+  return { asn: Number(asn), org: entry.org, prefixes: entry.prefixes, prefixesIPv6: entry.prefixesIPv6 };
+}
+
+// Available providers. Each has a display name, `lookupIP(ip, context)` and optionally
+// `lookupASN(asn, context)`, both returning normalized (possibly sparse) objects, or null
+// when the provider is not configured; `context` is { env, fetcher }. API keys come from env:
+// IPAPI_KEY, IPINFO_TOKEN. `local` providers answer without a subrequest and are not cached.
+// `subrequests` is the most fetches one lookup of each kind makes.
+export const PROVIDERS = {
+  ipapi: {
+    name: "ipapi.is",
+    subrequests: { ip: 1, asn: 1 },
+    lookupIP: async (ip, context) => normalizeIpapi(await ipapiQuery(ip, context)),
+    lookupASN: async (asn, context) => normalizeIpapiASN(await ipapiQuery(`AS${asn}`, context)),
+  },
+  ipinfo: {
+    name: "ipinfo.io",
+    subrequests: { ip: 1, asn: 1 },
+    lookupIP: async (ip, { env, fetcher }) => normalizeIpinfo(await fetchJSON(ipinfoURL(ip, env), fetcher)),
+    // The ASN API needs a paid token
+    lookupASN: async (asn, { env, fetcher }) => {
+      if (!env.IPINFO_TOKEN) return null;
+      return normalizeIpinfoASN(await fetchJSON(ipinfoURL(`AS${asn}`, env), fetcher));
+    },
+  },
+  ripestat: {
+    name: "RIPEstat",
+    subrequests: { ip: 3, asn: 2 },
+    lookupIP: ripestatIP,
+    lookupASN: ripestatASN,
+  },
+  // Files named by MMDB_CITY/MMDB_ASN in the MMDB_BUCKET (R2) or MMDB_KV binding
+  mmdb: {
+    name: "MaxMind DB",
+    local: true,
+    subrequests: { ip: 0, asn: 0 },
+    lookupIP: mmdbIP,
+    lookupASN: mmdbASN,
+  },
+};
+
+// Helper function to read INTEL_PROVIDERS ("ipinfo,ripestat"); unknown names are ignored
+export function resolveProviders(value) {
+  const ids = value ? value.split(",").map(s => s.trim().toLowerCase()).filter(id => PROVIDERS[id]) : [];
+  return ids.length > 0 ? ids : DEFAULT_PROVIDERS;
+}
+
+// Helper function to count the subrequests one IP lookup may make when every configured provider
+// is asked (INTEL_PROVIDERS, or the default chain)
+export function intelSubrequests(env = {}) {
+  return resolveProviders(env.INTEL_PROVIDERS).reduce((sum, id) => sum + PROVIDERS[id].subrequests.ip, 0);
+}
+
+// Helper function to copy values from `source` that are still empty in `target`, noting the provider
+function mergeInto(target, source, provider, sources, prefix = "") {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value === undefined || value === null || value === "" || Number.isNaN(value)) continue;
+    const path = prefix + key;
+    if (typeof value === "object" && !Array.isArray(value)) {
+      target[key] = target[key] || {};
+      mergeInto(target[key], value, provider, sources, path + ".");
+    } else if (target[key] === undefined) {
+      target[key] = value;
+      sources[path] = provider;
+    }
+  }
+}
+
+// Helper function to read a dotted path ("location.city")
+function getPath(object, path) {
+  return path.split(".").reduce((value, key) => value?.[key], object);
+}
+
+// Helper function to ask the providers in order and merge their answers. `lookup(provider)` returns
+// the normalized answer or null when the provider cannot answer; `essential` lists the paths that
+// end the chain once known. Answers are cached per provider with `cache` for cache.intelTTL seconds.
+async function mergeProviders(providerIds, key, lookup, essential, cache) {
+  const result = {};
+  const sources = {};
+  const providers = [];
+
+  for (const id of providerIds) {
+    if (essential.every(path => getPath(result, path) !== undefined)) {
+      providers.push({ id, status: "skipped" });
+      continue;
+    }
+
+    const start = Date.now();
+    try {
+      const load = () => lookup(PROVIDERS[id]);
+      const answer = cache && !PROVIDERS[id].local
+        ? (await cache.lookup(`intel:${id}:${key}`, value => (value ? cache.intelTTL : 0), load)).value
+        : await load();
+      if (!answer) {
+        providers.push({ id, status: "skipped" });
+        continue;
+      }
+      mergeInto(result, answer, id, sources);
+      providers.push({ id, status: "ok", latencyMs: Date.now() - start });
+    } catch (e) {
+      providers.push({ id, status: "error", latencyMs: Date.now() - start, error: e.message });
+    }
+  }
+
+  return { result, sources, providers };
+}
+
+// Look up an IP address. Options: `env` (API keys, INTEL_PROVIDERS), `cache` (createRequestCache())
+// and `fetcher`. Returns the merged record, or { error, message, providers } if nothing answered.
+export async function lookupIntel(ip, options = {}) {
+  const { env = {}, cache, fetcher = fetch } = options;
+  if (!IP_REGEX.test(ip)) {
+    return { error: "intelError", message: `No IP address to look up for ${ip}` };
+  }
+
+  const context = { env, fetcher };
+  const { result, sources, providers } = await mergeProviders(
+    resolveProviders(env.INTEL_PROVIDERS), ip, p => p.lookupIP(ip, context), ESSENTIAL_FIELDS, cache);
+
+  if (providers.every(p => p.status !== "ok")) {
+    const errors = providers.filter(p => p.error).map(p => `${p.id}: ${p.error}`);
+    return { error: "intelError", message: errors.join("; ") || "No provider returned data", providers };
+  }
+  return { ip, ...result, flags: result.flags || {}, sources, providers };
+}
+
+// Look up an autonomous system by number with the providers that support it:
+// { asn, org, description, country, type, rir, created, updated, domain, abuse, active,
+//   abuserScore, prefixes, prefixesIPv6, sources, providers }. Same options and error shape as lookupIntel().
+export async function lookupASNInfo(asn, options = {}) {
+  const { env = {}, cache, fetcher = fetch } = options;
+  const context = { env, fetcher };
+  const ids = resolveProviders(env.INTEL_PROVIDERS).filter(id => PROVIDERS[id].lookupASN);
+  const { result, sources, providers } = await mergeProviders(
+    ids, `AS${asn}`, p => p.lookupASN(asn, context), ASN_ESSENTIAL_FIELDS, cache);
+
+  if (providers.every(p => p.status !== "ok")) {
+    const errors = providers.filter(p => p.error).map(p => `${p.id}: ${p.error}`);
+    return { error: "asnInfoError", message: errors.join("; ") || "No provider returned data", providers };
+  }
+  return { ...result, asn: Number(asn), sources, providers };
+}
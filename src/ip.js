@@ -0,0 +1,135 @@
+// Comprehensive IPv4 and IPv6 regex pattern
+// Validates: standard IPv4, all IPv6 formats (full, compressed, loopback, IPv4-mapped, etc.)
+export const IP_REGEX = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$|^::(?:[0-9a-fA-F]{1,4}:){0,6}[0-9a-fA-F]{1,4}$|^[0-9a-fA-F]{1,4}::(?:[0-9a-fA-F]{1,4}:){0,5}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){2}:(?:[0-9a-fA-F]{1,4}:){0,4}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){3}:(?:[0-9a-fA-F]{1,4}:){0,3}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){4}:(?:[0-9a-fA-F]{1,4}:){0,2}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){5}:(?:[0-9a-fA-F]{1,4}:)?[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){6}:[0-9a-fA-F]{1,4}$|^::(?:ffff:)?(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){6}(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^::$|^::1$/;
+
+// Helper function to convert IPv4 address to reverse DNS format
+export function ipv4ToReverseDNS(ip) {
+  return ip.split('.').reverse().join('.') + '.in-addr.arpa';
+}
+
+// Helper function to convert IPv6 address to reverse DNS format
+export function ipv6ToReverseDNS(ip) {
+  // Expand to 32 nibbles (ipToBytes also handles embedded IPv4 such as ::ffff:1.2.3.4)
+  const hex = Array.from(ipToBytes(ip), b => b.toString(16).padStart(2, '0')).join('');
+  // Reverse nibbles
+  const nibbles = hex.split('').reverse().join('.');
+  return nibbles + '.ip6.arpa';
+}
+
+// Helper function to expand compressed IPv6 address
+export function expandIPv6(ip) {
+  // Handle special cases
+  if (ip === '::') return '0000:0000:0000:0000:0000:0000:0000:0000';
+  if (ip === '::1') return '0000:0000:0000:0000:0000:0000:0000:0001';
+
+  // Split on '::'
+  const sides = ip.split('::');
+  if (sides.length === 2) {
+    const left = sides[0] ? sides[0].split(':') : [];
+    const right = sides[1] ? sides[1].split(':') : [];
+    const missing = 8 - left.length - right.length;
+    const middle = Array(missing).fill('0000');
+    const full = [...left, ...middle, ...right];
+    return full.map(h => h.padStart(4, '0')).join(':');
+  }
+
+  // No compression, just pad each segment
+  return ip.split(':').map(h => h.padStart(4, '0')).join(':');
+}
+
+// Helper function to format eight 16-bit groups as a compressed IPv6 address (RFC 5952)
+export function compressIPv6(groups) {
+  const hex = groups.map(g => g.toString(16));
+
+  // Find the longest run of zero groups (length >= 2) to replace with '::'
+  let bestStart = -1, bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength && j - i >= 2) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  if (bestStart === -1) return hex.join(':');
+  const left = hex.slice(0, bestStart).join(':');
+  const right = hex.slice(bestStart + bestLength).join(':');
+  return `${left}::${right}`;
+}
+
+// Helper function to check if string is IPv4
+export function isIPv4(str) {
+  return /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(str);
+}
+
+// Helper function to check if string is IPv6
+export function isIPv6(str) {
+  return str.includes(':') && !isIPv4(str) && IP_REGEX.test(str);
+}
+
+// Helper function to convert an IP address to its bytes (4 for IPv4, 16 for IPv6), or null if invalid.
+// Parses every RFC 4291 text form, including ones IP_REGEX misses such as "2001:db8::".
+export function ipToBytes(ip) {
+  if (isIPv4(ip)) return Uint8Array.from(ip.split('.').map(Number));
+  if (!ip.includes(':')) return null;
+
+  // An embedded IPv4 address (::ffff:1.2.3.4) stands for the last two groups
+  let address = ip;
+  const dotted = /:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+  if (dotted) {
+    if (!isIPv4(dotted[1])) return null;
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    address = ip.slice(0, dotted.index + 1) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const sides = address.split('::');
+  if (sides.length > 2) return null;
+  const left = sides[0] ? sides[0].split(':') : [];
+  const right = sides.length === 2 && sides[1] ? sides[1].split(':') : [];
+  const missing = 8 - left.length - right.length;
+  if (sides.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...left, ...Array(sides.length === 2 ? missing : 0).fill('0'), ...right];
+  if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+
+  const bytes = new Uint8Array(16);
+  groups.forEach((group, i) => {
+    const value = parseInt(group, 16);
+    bytes[i * 2] = value >> 8;
+    bytes[i * 2 + 1] = value & 0xff;
+  });
+  return bytes;
+}
+
+// Helper function to format 4 or 16 bytes as an IP address
+export function bytesToIP(bytes) {
+  if (bytes.length === 4) return Array.from(bytes).join('.');
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push((bytes[i] << 8) | bytes[i + 1]);
+  return compressIPv6(groups);
+}
+
+// Helper function to parse "address/prefix" (a bare address is a single-host network):
+// { bytes, prefixLength }, or null if invalid
+export function parseCIDR(cidr) {
+  const [address, prefix, ...rest] = String(cidr).trim().split('/');
+  const bytes = ipToBytes(address);
+  if (!bytes || rest.length > 0) return null;
+  const bits = bytes.length * 8;
+  if (prefix === undefined) return { bytes, prefixLength: bits };
+  if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > bits) return null;
+  return { bytes, prefixLength: Number(prefix) };
+}
+
+// Helper function to check whether an address (bytes from ipToBytes) lies in a network from parseCIDR
+export function cidrContains(network, bytes) {
+  if (network.bytes.length !== bytes.length) return false;
+  for (let bit = 0; bit < network.prefixLength; bit++) {
+    const mask = 0x80 >> (bit & 7);
+    if ((network.bytes[bit >> 3] & mask) !== (bytes[bit >> 3] & mask)) return false;
+  }
+  return true;
+}
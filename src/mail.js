@@ -0,0 +1,498 @@
+import { queryDoH } from "./dns.js";
+import { TYPES, fromBase64 } from "./dnswire.js";
+
+// Email security posture of a domain: SPF (RFC 7208), DMARC (RFC 7489), DKIM (RFC 6376),
+// MTA-STS (RFC 8461), TLS-RPT (RFC 8460) and BIMI. Every check adds findings of the form
+// { category, severity, message } with severity "error", "warning", "info" or "ok".
+
+// Selectors tried for DKIM, since they cannot be enumerated through DNS
+export const DKIM_SELECTORS = [
+  "default", "dkim", "mail", "google", "selector1", "selector2", "k1", "k2", "k3", "s1", "s2",
+  "smtp", "mandrill", "mxvault", "zoho", "protonmail", "protonmail2", "protonmail3",
+  "fm1", "fm2", "fm3", "everlytickey1", "everlytickey2", "amazonses",
+];
+
+// Selectors a request may add to those above, each costing a DNS subrequest
+export const DKIM_MAX_EXTRA_SELECTORS = 10;
+
+// SPF evaluation limits (RFC 7208 section 4.6.4)
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_VOID_LOOKUP_LIMIT = 2;
+
+// SPF mechanisms and modifiers that cost a DNS lookup
+const SPF_LOOKUP_TERMS = ["include", "a", "mx", "ptr", "exists", "redirect"];
+
+const SEVERITIES = ["error", "warning", "info", "ok"];
+
+// Helper function to fetch the TXT strings at `name`, concatenated per record
+async function lookupTXT(name, options) {
+  const message = await queryDoH(name, "TXT", options);
+  return {
+    status: message.status,
+    records: message.answers.filter(r => r.type === TYPES.TXT).map(r => r.fields.strings.join("")),
+  };
+}
+
+// Helper function to parse "tag=value; tag=value" records (DMARC, DKIM, MTA-STS, TLS-RPT, BIMI)
+function parseTags(record) {
+  const tags = {};
+  for (const part of record.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+  }
+  return tags;
+}
+
+// Helper function to pick the records starting with a version tag ("v=spf1", "v=DMARC1", ...)
+function withVersion(records, version) {
+  const pattern = new RegExp(`^v=${version}(;|\\s|$)`, "i");
+  return records.filter(r => pattern.test(r.trim()));
+}
+
+// --- SPF ---
+
+// Helper function to split an SPF record into terms: { qualifier, name, value } or { modifier, value }
+export function parseSPF(record) {
+  const terms = [];
+  for (const token of record.trim().split(/\s+/).slice(1)) {
+    const modifier = token.match(/^([a-zA-Z][\w.-]*)=(.*)$/);
+    if (modifier) {
+      terms.push({ modifier: modifier[1].toLowerCase(), value: modifier[2] });
+      continue;
+    }
+    const mechanism = token.match(/^([+\-~?]?)([a-zA-Z0-9]+)(?:[:/](.*))?$/);
+    if (!mechanism) {
+      terms.push({ invalid: token });
+      continue;
+    }
+    const value = token.includes(":") ? token.slice(token.indexOf(":") + 1) : null;
+    terms.push({ qualifier: mechanism[1] || "+", name: mechanism[2].toLowerCase(), value });
+  }
+  return terms;
+}
+
+// Helper function to tell whether a DNS answer is a "void lookup" (RFC 7208 section 4.6.4):
+// NXDOMAIN, or NOERROR without any record of the queried type
+function isVoid(message, type) {
+  return message.status === "NXDOMAIN" || (message.status === "NOERROR" && !message.answers.some(r => r.type === TYPES[type]));
+}
+
+// Helper function to get the domain an "a", "mx" or "exists" term queries, without a CIDR length;
+// null when it uses macros, which depend on the sender and cannot be expanded here
+function termDomain(term, domain) {
+  const target = term.value ? term.value.replace(/\/.*$/, "") : domain;
+  return target && !target.includes("%") ? target : null;
+}
+
+// Recursively evaluate the SPF record of `domain`, counting DNS lookups and void lookups across
+// includes. `state` is shared by the whole tree: { lookups, voidLookups, findings }; `path` holds
+// the domains being evaluated above this one, so only a real include cycle counts as a loop.
+// Evaluation stops descending once the lookup limit is exceeded, as a receiver would.
+async function expandSPF(domain, state, options, path = new Set()) {
+  const node = { domain, record: null, includes: [] };
+  const add = (severity, message) => state.findings.push({ category: "spf", severity, message });
+  const over = () => state.lookups > SPF_LOOKUP_LIMIT;
+
+  let txt;
+  try {
+    txt = await lookupTXT(domain, options);
+  } catch (e) {
+    node.error = e.message;
+    add("error", `SPF lookup for ${domain} failed: ${e.message}`);
+    return node;
+  }
+  node.void = txt.status === "NXDOMAIN" || (txt.status === "NOERROR" && txt.records.length === 0);
+
+  const records = withVersion(txt.records, "spf1");
+  if (records.length === 0) {
+    node.error = "No SPF record";
+    return node;
+  }
+  if (records.length > 1) {
+    node.error = "Multiple SPF records";
+    add("error", `${domain} publishes ${records.length} SPF records (permerror)`);
+  }
+
+  node.record = records[0];
+  node.terms = parseSPF(node.record);
+  const ancestors = new Set(path).add(domain.toLowerCase());
+
+  for (const term of node.terms) {
+    if (term.invalid) {
+      add("error", `Invalid SPF term "${term.invalid}" in ${domain}`);
+      continue;
+    }
+    const name = term.name || term.modifier;
+    if (!SPF_LOOKUP_TERMS.includes(name)) continue;
+    state.lookups++;
+
+    if (name === "ptr") {
+      add("warning", `${domain} uses the deprecated "ptr" mechanism`);
+    }
+    if (over()) continue;
+
+    if (name === "a" || name === "mx" || name === "exists") {
+      const target = termDomain(term, domain);
+      if (!target) continue;
+      const type = name === "mx" ? "MX" : "A";
+      try {
+        if (isVoid(await queryDoH(target, type, options), type)) state.voidLookups++;
+      } catch (e) {
+        add("warning", `${name}:${target} in ${domain} could not be resolved: ${e.message}`);
+      }
+      continue;
+    }
+    if (name !== "include" && name !== "redirect") continue;
+
+    const target = term.value;
+    if (!target) {
+      add("error", `"${name}" without a domain in ${domain}`);
+      continue;
+    }
+    if (ancestors.has(target.toLowerCase())) {
+      add("error", `${name}:${target} in ${domain} loops back to a record being evaluated (permerror)`);
+      continue;
+    }
+
+    const child = await expandSPF(target, state, options, ancestors);
+    child.via = name;
+    node.includes.push(child);
+    if (child.void) state.voidLookups++;
+    if (child.error === "No SPF record") {
+      add("error", `${name}:${target} in ${domain} has no SPF record (permerror)`);
+    }
+  }
+
+  const all = node.terms.find(t => t.name === "all");
+  node.all = all ? all.qualifier : null;
+  return node;
+}
+
+// Check the SPF policy of `domain`
+async function checkSPF(domain, findings, options) {
+  const state = { lookups: 0, voidLookups: 0, findings };
+  const tree = await expandSPF(domain, state, options);
+  const add = (severity, message) => findings.push({ category: "spf", severity, message });
+
+  if (!tree.record) {
+    if (tree.error === "No SPF record") add("warning", "No SPF record: any server may send mail for this domain");
+    return { record: null, lookups: 0, voidLookups: 0, tree };
+  }
+
+  const redirect = tree.terms.find(t => t.modifier === "redirect");
+  const all = tree.all ?? (redirect ? tree.includes.find(c => c.via === "redirect")?.all ?? null : null);
+  if (all === "+") {
+    add("error", `"+all" allows every server on the Internet to send mail as ${domain}`);
+  } else if (all === "?") {
+    add("warning", `"?all" (neutral) gives no protection against spoofing`);
+  } else if (all === null) {
+    add("warning", `No "all" mechanism: unmatched senders default to neutral`);
+  } else if (all === "~") {
+    add("ok", `Soft fail ("~all") for unlisted senders`);
+  } else {
+    add("ok", `Hard fail ("-all") for unlisted senders`);
+  }
+
+  if (state.lookups > SPF_LOOKUP_LIMIT) {
+    add("error", `SPF needs at least ${state.lookups} DNS lookups, over the limit of ${SPF_LOOKUP_LIMIT} (permerror)`);
+  } else if (state.lookups >= SPF_LOOKUP_LIMIT - 2) {
+    add("warning", `SPF needs ${state.lookups} of ${SPF_LOOKUP_LIMIT} allowed DNS lookups`);
+  } else {
+    add("ok", `SPF needs ${state.lookups} of ${SPF_LOOKUP_LIMIT} allowed DNS lookups`);
+  }
+  if (state.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+    add("error", `${state.voidLookups} void lookups, over the limit of ${SPF_VOID_LOOKUP_LIMIT} (permerror)`);
+  }
+
+  return { record: tree.record, all, lookups: state.lookups, voidLookups: state.voidLookups, tree };
+}
+
+// --- DMARC ---
+
+async function checkDMARC(domain, findings, options) {
+  const add = (severity, message) => findings.push({ category: "dmarc", severity, message });
+  const records = withVersion((await lookupTXT(`_dmarc.${domain}`, options)).records, "DMARC1");
+
+  if (records.length === 0) {
+    add("error", `No DMARC record at _dmarc.${domain}`);
+    return { record: null };
+  }
+  if (records.length > 1) {
+    add("error", `Multiple DMARC records at _dmarc.${domain}; receivers will ignore them`);
+  }
+
+  const tags = parseTags(records[0]);
+  const policy = tags.p?.toLowerCase();
+  const result = {
+    record: records[0],
+    policy: policy || null,
+    subdomainPolicy: tags.sp?.toLowerCase() || policy || null,
+    pct: tags.pct !== undefined ? Number(tags.pct) : 100,
+    rua: tags.rua ? tags.rua.split(",").map(s => s.trim()) : [],
+    ruf: tags.ruf ? tags.ruf.split(",").map(s => s.trim()) : [],
+    adkim: tags.adkim === "s" ? "strict" : "relaxed",
+    aspf: tags.aspf === "s" ? "strict" : "relaxed",
+  };
+
+  if (!["none", "quarantine", "reject"].includes(policy)) {
+    add("error", `Missing or invalid policy "p=${tags.p ?? ""}"`);
+  } else if (policy === "none") {
+    add("warning", `Policy "p=none" only monitors; spoofed mail is still delivered`);
+  } else {
+    add("ok", `Policy "p=${policy}" is enforced`);
+  }
+  if (result.subdomainPolicy === "none" && policy !== "none") {
+    add("warning", `Subdomain policy "sp=none" leaves subdomains unprotected`);
+  }
+  if (!Number.isInteger(result.pct) || result.pct < 0 || result.pct > 100) {
+    add("error", `Invalid "pct=${tags.pct}"`);
+  } else if (result.pct < 100) {
+    add("warning", `Policy applies to ${result.pct}% of failing mail only`);
+  }
+  if (result.rua.length === 0) {
+    add("info", "No aggregate report address (rua)");
+  }
+
+  return result;
+}
+
+// --- DKIM ---
+
+// Helper function to read a DER tag-length header: { tag, start, end }
+function readDER(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = (length << 8) | bytes[start + i];
+    start += count;
+  }
+  return { tag, start, end: start + length };
+}
+
+// Helper function to get the RSA modulus size in bits from a DKIM "p=" value
+// (SubjectPublicKeyInfo, or a bare RSAPublicKey as some signers publish)
+export function rsaKeyBits(base64) {
+  try {
+    const bytes = fromBase64(base64);
+    let node = readDER(bytes, 0);
+    const first = readDER(bytes, node.start);
+    if (first.tag === 0x30) {
+      // SubjectPublicKeyInfo: SEQUENCE { algorithm, BIT STRING { RSAPublicKey } }
+      const bitString = readDER(bytes, first.end);
+      node = readDER(bytes, bitString.start + 1);
+    }
+    const modulus = readDER(bytes, node.start);
+    if (modulus.tag !== 0x02) return null;
+    let start = modulus.start;
+    while (start < modulus.end && bytes[start] === 0) start++;
+    return (modulus.end - start) * 8;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function checkDKIM(domain, selectors, findings, options) {
+  const add = (severity, message) => findings.push({ category: "dkim", severity, message });
+
+  const found = await Promise.all(selectors.map(async (selector) => {
+    try {
+      // The version tag is optional for DKIM keys, so accept any record with a "p=" tag too
+      const records = (await lookupTXT(`${selector}._domainkey.${domain}`, options)).records
+        .filter(r => /^v=DKIM1(;|\s|$)/i.test(r.trim()) || /(^|;)\s*p=/.test(r));
+      return records.length > 0 ? { selector, record: records[0] } : null;
+    } catch (e) {
+      return null;
+    }
+  }));
+
+  const keys = found.filter(Boolean).map(({ selector, record }) => {
+    const tags = parseTags(record);
+    const keyType = (tags.k || "rsa").toLowerCase();
+    const key = { selector, record, keyType, revoked: !tags.p, bits: null, testing: /(^|:)y(:|$)/.test(tags.t || "") };
+
+    if (key.revoked) {
+      add("info", `Selector "${selector}" has a revoked (empty) key`);
+    } else if (keyType === "rsa") {
+      key.bits = rsaKeyBits(tags.p);
+      if (key.bits === null) {
+        add("error", `Selector "${selector}" has an unreadable RSA key`);
+      } else if (key.bits < 1024) {
+        add("error", `Selector "${selector}" uses a ${key.bits}-bit RSA key`);
+      } else if (key.bits < 2048) {
+        add("warning", `Selector "${selector}" uses a ${key.bits}-bit RSA key; 2048 bits is recommended`);
+      } else {
+        add("ok", `Selector "${selector}" uses a ${key.bits}-bit RSA key`);
+      }
+    } else if (keyType === "ed25519") {
+      add("ok", `Selector "${selector}" uses an Ed25519 key`);
+    } else {
+      add("warning", `Selector "${selector}" has unknown key type "${keyType}"`);
+    }
+    if (key.testing) {
+      add("info", `Selector "${selector}" is in testing mode (t=y)`);
+    }
+    return key;
+  });
+
+  if (keys.length === 0) {
+    add("warning", `No DKIM key found for ${selectors.length} common selectors`);
+  }
+  return { selectorsChecked: selectors, keys };
+}
+
+// --- MTA-STS and TLS-RPT ---
+
+// Helper function to match an MX host against an MTA-STS "mx:" pattern (leading "*." wildcard)
+function matchesMXPattern(host, pattern) {
+  host = host.toLowerCase().replace(/\.$/, "");
+  pattern = pattern.toLowerCase().replace(/\.$/, "");
+  if (pattern.startsWith("*.")) {
+    const suffix = pattern.slice(1);
+    return host.endsWith(suffix) && !host.slice(0, -suffix.length).includes(".");
+  }
+  return host === pattern;
+}
+
+// Helper function to parse an MTA-STS policy file ("key: value" lines)
+function parseSTSPolicy(text) {
+  const policy = { mx: [] };
+  for (const line of text.split(/\r?\n/)) {
+    const index = line.indexOf(":");
+    if (index === -1) continue;
+    const key = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    if (key === "mx") policy.mx.push(value);
+    else if (key === "max_age") policy.maxAge = Number(value);
+    else policy[key] = value;
+  }
+  return policy;
+}
+
+async function checkMTASTS(domain, mx, findings, options) {
+  const add = (severity, message) => findings.push({ category: "mta-sts", severity, message });
+  const records = withVersion((await lookupTXT(`_mta-sts.${domain}`, options)).records, "STSv1");
+
+  if (records.length === 0) {
+    add("info", "No MTA-STS record: inbound TLS is opportunistic");
+    return { record: null, policy: null };
+  }
+
+  const result = { record: records[0], id: parseTags(records[0]).id || null, policy: null };
+  const fetcher = options.fetcher || fetch;
+  const policyUrl = `https://mta-sts.${domain}/.well-known/mta-sts.txt`;
+
+  try {
+    const res = await fetcher(policyUrl, { redirect: "manual" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    result.policy = parseSTSPolicy(await res.text());
+  } catch (e) {
+    add("error", `MTA-STS record published but ${policyUrl} is unavailable: ${e.message}`);
+    return result;
+  }
+
+  const { mode, mx: patterns, maxAge } = result.policy;
+  if (result.policy.version !== "STSv1") {
+    add("error", "MTA-STS policy is missing \"version: STSv1\"");
+  }
+  if (mode === "enforce") {
+    add("ok", "MTA-STS policy is enforced");
+  } else if (mode === "testing") {
+    add("info", "MTA-STS policy is in testing mode");
+  } else if (mode === "none") {
+    add("warning", "MTA-STS policy mode is \"none\"");
+  } else {
+    add("error", `Invalid MTA-STS mode "${mode ?? ""}"`);
+  }
+  if (!Number.isFinite(maxAge)) {
+    add("error", "MTA-STS policy has no valid max_age");
+  } else if (maxAge < 86400) {
+    add("warning", `MTA-STS max_age of ${maxAge}s is shorter than a day`);
+  }
+  for (const host of mx) {
+    if (!patterns.some(p => matchesMXPattern(host, p))) {
+      add("error", `MX ${host} is not covered by the MTA-STS policy`);
+    }
+  }
+
+  return result;
+}
+
+async function checkTLSRPT(domain, findings, options) {
+  const records = withVersion((await lookupTXT(`_smtp._tls.${domain}`, options)).records, "TLSRPTv1");
+  if (records.length === 0) {
+    findings.push({ category: "tls-rpt", severity: "info", message: "No TLS-RPT record: TLS failures are not reported" });
+    return { record: null, rua: [] };
+  }
+  const rua = (parseTags(records[0]).rua || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (rua.length === 0) {
+    findings.push({ category: "tls-rpt", severity: "error", message: "TLS-RPT record has no rua address" });
+  }
+  return { record: records[0], rua };
+}
+
+// --- BIMI ---
+
+async function checkBIMI(domain, dmarc, findings, options) {
+  const add = (severity, message) => findings.push({ category: "bimi", severity, message });
+  const records = withVersion((await lookupTXT(`default._bimi.${domain}`, options)).records, "BIMI1");
+
+  if (records.length === 0) {
+    add("info", "No BIMI record");
+    return { record: null };
+  }
+
+  const tags = parseTags(records[0]);
+  const result = { record: records[0], logo: tags.l || null, authority: tags.a || null };
+  if (result.logo && !/^https:\/\/.+\.svg$/i.test(result.logo)) {
+    add("error", "BIMI logo (l=) must be an https:// SVG URL");
+  }
+  if (!result.authority) {
+    add("info", "No Verified Mark Certificate (a=); most mailbox providers will not show the logo");
+  }
+  if (!["quarantine", "reject"].includes(dmarc.policy) || dmarc.pct < 100) {
+    add("warning", "BIMI requires an enforced DMARC policy (p=quarantine or p=reject at pct=100)");
+  }
+  return result;
+}
+
+// Run every email security check for `domain`. Options: `endpoint`/`fetcher` (passed to queryDoH;
+// `fetcher` also loads the MTA-STS policy) and `selectors` (DKIM selectors to try).
+export async function checkMailSecurity(domain, options = {}) {
+  const { selectors = DKIM_SELECTORS, ...dnsOptions } = options;
+  domain = domain.toLowerCase().replace(/\.$/, "");
+  const findings = [];
+
+  const mxMessage = await queryDoH(domain, "MX", dnsOptions);
+  const mxRecords = mxMessage.answers.filter(r => r.type === TYPES.MX);
+  const nullMX = mxRecords.length === 1 && mxRecords[0].fields.exchange === ".";
+  const mx = nullMX ? [] : mxRecords
+    .sort((a, b) => a.fields.preference - b.fields.preference)
+    .map(r => r.fields.exchange.replace(/\.$/, ""));
+
+  if (nullMX) {
+    findings.push({ category: "mx", severity: "info", message: "Null MX: the domain does not accept mail" });
+  } else if (mx.length === 0) {
+    findings.push({ category: "mx", severity: "info", message: "No MX records" });
+  }
+
+  const [spf, dmarc, dkim, mtaSts, tlsRpt] = await Promise.all([
+    checkSPF(domain, findings, dnsOptions),
+    checkDMARC(domain, findings, dnsOptions),
+    checkDKIM(domain, selectors, findings, dnsOptions),
+    checkMTASTS(domain, mx, findings, dnsOptions),
+    checkTLSRPT(domain, findings, dnsOptions),
+  ]);
+  const bimi = await checkBIMI(domain, dmarc, findings, dnsOptions);
+
+  const categories = ["mx", "spf", "dmarc", "dkim", "mta-sts", "tls-rpt", "bimi"];
+  findings.sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    categories.indexOf(a.category) - categories.indexOf(b.category));
+
+  const summary = Object.fromEntries(SEVERITIES.map(s => [s, findings.filter(f => f.severity === s).length]));
+  return { domain, mx, nullMX, spf, dmarc, dkim, mtaSts, tlsRpt, bimi, findings, summary };
+}
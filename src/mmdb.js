@@ -0,0 +1,319 @@
+import { bytesToIP, ipToBytes } from "./ip.js";
+
+// Reader for MaxMind DB files (.mmdb), the format of GeoLite2/GeoIP2 and DB-IP databases.
+// https://maxmind.github.io/MaxMind-DB/
+// A file is a binary search tree over the address bits, a 16-byte separator, a data section
+// and, at the end, a metadata map preceded by METADATA_MARKER.
+
+const METADATA_MARKER = new Uint8Array([0xab, 0xcd, 0xef, ...new TextEncoder().encode("MaxMind.com")]);
+
+// The marker is within this many bytes of the end of the file
+const METADATA_MAX_SIZE = 128 * 1024;
+
+// Bytes between the search tree and the data section
+const DATA_SECTION_SEPARATOR = 16;
+
+// Data field types (the control byte's top three bits, or 7 + the next byte when those are 0)
+const TYPES = {
+  1: "pointer", 2: "utf8", 3: "double", 4: "bytes", 5: "uint16", 6: "uint32", 7: "map",
+  8: "int32", 9: "uint64", 10: "uint128", 11: "array", 12: "container", 13: "end", 14: "boolean", 15: "float",
+};
+
+const textDecoder = new TextDecoder();
+
+// Helper function to find the last occurrence of the metadata marker
+function findMetadataStart(bytes) {
+  const stop = Math.max(0, bytes.length - METADATA_MAX_SIZE);
+  for (let i = bytes.length - METADATA_MARKER.length; i >= stop; i--) {
+    let match = true;
+    for (let j = 0; j < METADATA_MARKER.length; j++) {
+      if (bytes[i + j] !== METADATA_MARKER[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i + METADATA_MARKER.length;
+  }
+  throw new Error("Not a MaxMind DB file (metadata marker not found)");
+}
+
+// Helper function to read an unsigned big-endian integer of `size` bytes (as a decimal string beyond 2^53)
+function readUnsigned(bytes, offset, size) {
+  if (size <= 6) {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + bytes[offset + i];
+    return value;
+  }
+  let value = 0n;
+  for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(bytes[offset + i]);
+  // JSON has no BigInt; keep exact values as strings when they do not fit a Number
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+// Decoder for the data section (and the metadata, which uses the same encoding).
+// `base` is the offset pointers are relative to.
+function createDecoder(bytes, base) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // Decode the field at `offset`: returns [value, offset after the field]
+  function decode(offset) {
+    const control = bytes[offset++];
+    let type = TYPES[control >> 5];
+
+    if (type === "pointer") {
+      const size = (control >> 3) & 0x3;
+      const high = control & 0x7;
+      let pointer;
+      if (size === 0) pointer = (high << 8) | bytes[offset];
+      else if (size === 1) pointer = ((high << 16) | (bytes[offset] << 8) | bytes[offset + 1]) + 2048;
+      else if (size === 2) pointer = high * 0x1000000 + readUnsigned(bytes, offset, 3) + 526336;
+      else pointer = readUnsigned(bytes, offset, 4);
+      // Pointers are followed but the field itself ends after the pointer bytes
+      return [decode(base + pointer)[0], offset + size + 1];
+    }
+
+    if (type === undefined) {
+      type = TYPES[7 + bytes[offset++]];
+      if (!type) throw new Error(`Unknown MaxMind DB field type at offset ${offset - 2}`);
+    }
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + bytes[offset++];
+    } else if (size === 30) {
+      size = 285 + readUnsigned(bytes, offset, 2);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + readUnsigned(bytes, offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case "utf8":
+        return [textDecoder.decode(bytes.subarray(offset, offset + size)), offset + size];
+      case "double":
+        return [view.getFloat64(offset), offset + 8];
+      case "float":
+        return [view.getFloat32(offset), offset + 4];
+      case "bytes":
+        return [bytes.slice(offset, offset + size), offset + size];
+      case "uint16":
+      case "uint32":
+      case "uint64":
+      case "uint128":
+        return [readUnsigned(bytes, offset, size), offset + size];
+      case "int32": {
+        let value = 0;
+        for (let i = 0; i < size; i++) value = (value << 8) | bytes[offset + i];
+        // Shorter encodings are zero-padded on the left, so only four bytes carry a sign
+        return [size === 4 ? value | 0 : value >>> 0, offset + size];
+      }
+      case "boolean":
+        return [size !== 0, offset];
+      case "map": {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = decode(offset);
+          const [value, afterValue] = decode(afterKey);
+          map[key] = value;
+          offset = afterValue;
+        }
+        return [map, offset];
+      }
+      case "array": {
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, next] = decode(offset);
+          array.push(value);
+          offset = next;
+        }
+        return [array, offset];
+      }
+      default:
+        throw new Error(`Unsupported MaxMind DB field type "${type}"`);
+    }
+  }
+
+  return (offset) => decode(offset)[0];
+}
+
+// Helper function to format the network containing `bytes` with the given prefix length
+function formatNetwork(bytes, prefixLength) {
+  const network = Uint8Array.from(bytes);
+  for (let bit = prefixLength; bit < network.length * 8; bit++) {
+    network[bit >> 3] &= ~(0x80 >> (bit & 7));
+  }
+  return `${bytesToIP(network)}/${prefixLength}`;
+}
+
+// Open a database from an ArrayBuffer or Uint8Array. The reader has `metadata`,
+// `lookup(ip)` -> { data, network, prefixLength, offset } or null, and `networks()`, which yields
+// { network, offset } for every network in the tree (offset identifies the data record
+// for get(offset)).
+export function openMMDB(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const metadataStart = findMetadataStart(bytes);
+  const metadata = createDecoder(bytes, metadataStart)(metadataStart);
+
+  const nodeCount = metadata.node_count;
+  const recordSize = metadata.record_size;
+  if (![24, 28, 32].includes(recordSize)) {
+    throw new Error(`Unsupported MaxMind DB record size ${recordSize}`);
+  }
+
+  const nodeSize = recordSize / 4;
+  const dataStart = nodeCount * nodeSize + DATA_SECTION_SEPARATOR;
+  const decode = createDecoder(bytes, dataStart);
+
+  // Helper function to read the left (0) or right (1) record of a node
+  function readRecord(node, bit) {
+    const offset = node * nodeSize;
+    if (recordSize === 24) return readUnsigned(bytes, offset + bit * 3, 3);
+    if (recordSize === 32) return readUnsigned(bytes, offset + bit * 4, 4);
+    // 28-bit records share the middle byte's nibbles
+    const middle = bytes[offset + 3];
+    return bit === 0
+      ? (middle >> 4) * 0x1000000 + readUnsigned(bytes, offset, 3)
+      : (middle & 0x0f) * 0x1000000 + readUnsigned(bytes, offset + 4, 3);
+  }
+
+  // IPv4 addresses live under ::/96 in IPv6 trees
+  let ipv4Start = 0;
+  if (metadata.ip_version === 6) {
+    for (let i = 0; i < 96 && ipv4Start < nodeCount; i++) ipv4Start = readRecord(ipv4Start, 0);
+  }
+
+  // Helper function to turn a record pointing into the data section into a data offset
+  const dataOffset = (record) => record - nodeCount + dataStart - DATA_SECTION_SEPARATOR;
+
+  return {
+    metadata,
+
+    get: (offset) => decode(offset),
+
+    lookup(ip) {
+      const address = ipToBytes(ip);
+      if (!address) return null;
+      if (address.length === 16 && metadata.ip_version === 4) return null;
+
+      const bitCount = address.length * 8;
+      let node = address.length === 4 ? ipv4Start : 0;
+      let depth = 0;
+      for (; depth < bitCount && node < nodeCount; depth++) {
+        const bit = (address[depth >> 3] >> (7 - (depth & 7))) & 1;
+        node = readRecord(node, bit);
+      }
+
+      // node_count means "no data"; anything below it means the tree is deeper than the address
+      if (node <= nodeCount) return null;
+      const offset = dataOffset(node);
+      return { data: decode(offset), network: formatNetwork(address, depth), prefixLength: depth, offset };
+    },
+
+    *networks() {
+      const width = metadata.ip_version === 6 ? 16 : 4;
+      const stack = [{ node: 0, bits: new Uint8Array(width), depth: 0 }];
+
+      while (stack.length > 0) {
+        const { node, bits, depth } = stack.pop();
+
+        if (node > nodeCount) {
+          // Networks under ::/96 are IPv4 addresses
+          const ipv4 = width === 16 && depth >= 96 && bits.subarray(0, 12).every(b => b === 0);
+          yield ipv4
+            ? { network: formatNetwork(bits.subarray(12), depth - 96), offset: dataOffset(node) }
+            : { network: formatNetwork(bits, depth), offset: dataOffset(node) };
+          continue;
+        }
+        if (node === nodeCount || depth >= width * 8) continue;
+        // ::ffff:0:0/96 and 2002::/16 alias the IPv4 subtree; it is walked once, under ::/96
+        if (width === 16 && node === ipv4Start && depth > 0) {
+          const underZero = depth === 96 && bits.subarray(0, 12).every(b => b === 0);
+          if (!underZero) continue;
+        }
+
+        for (const bit of [1, 0]) {
+          const next = Uint8Array.from(bits);
+          if (bit) next[depth >> 3] |= 0x80 >> (depth & 7);
+          stack.push({ node: readRecord(node, bit), bits: next, depth: depth + 1 });
+        }
+      }
+    },
+  };
+}
+
+// Largest file loadMMDB() reads. A database is held in memory whole and an isolate has 128 MiB,
+// so GeoLite2-City (about 60 MiB) fits next to GeoLite2-ASN, while DB-IP City Lite does not.
+export const MMDB_MAX_BYTES = 80 * 1024 * 1024;
+
+// Databases opened by this isolate, by source and key
+const readers = new Map();
+
+// Prefixes of every autonomous system in a database, by reader, then by AS number
+const asnIndexes = new WeakMap();
+
+// Helper function to reject files too large to hold in the isolate's memory
+function checkSize(key, size) {
+  if (size > MMDB_MAX_BYTES) {
+    throw new Error(`${key} is ${Math.ceil(size / 1048576)} MiB, over the ${MMDB_MAX_BYTES / 1048576} MiB a worker can load`);
+  }
+}
+
+// Helper function to open the database stored under `key` in the MMDB_BUCKET R2 binding or,
+// without one, the MMDB_KV namespace. Files are read whole, once per isolate, and must not
+// exceed MMDB_MAX_BYTES; returns null when `key` is not set or nothing is stored under it.
+export async function loadMMDB(env, key) {
+  if (!key) return null;
+  const bucket = env.MMDB_BUCKET;
+  const namespace = env.MMDB_KV;
+  if (!bucket && !namespace) return null;
+
+  const cacheKey = `${bucket ? "r2" : "kv"}:${key}`;
+  if (!readers.has(cacheKey)) {
+    const load = (async () => {
+      let buffer;
+      if (bucket) {
+        const object = await bucket.get(key);
+        if (object && object.size > MMDB_MAX_BYTES) {
+          await object.body.cancel();
+          checkSize(key, object.size);
+        }
+        buffer = object ? await object.arrayBuffer() : null;
+      } else {
+        buffer = await namespace.get(key, "arrayBuffer");
+      }
+      if (buffer) checkSize(key, buffer.byteLength);
+      return buffer ? openMMDB(buffer) : null;
+    })();
+    readers.set(cacheKey, load);
+    // Try again on the next request rather than remembering a failure
+    load.catch(() => readers.delete(cacheKey));
+  }
+  return readers.get(cacheKey);
+}
+
+// Helper function to find the networks of one autonomous system in an ASN database:
+// { org, prefixes, prefixesIPv6 }, or null when the database has none. The first call walks the
+// tree once and indexes every AS, so later calls for any AS are a map lookup.
+export function asnPrefixes(reader, asn) {
+  let index = asnIndexes.get(reader);
+  if (!index) {
+    index = new Map();
+    // Many networks share a data record; decode each one once
+    const entries = new Map();
+    for (const { network, offset } of reader.networks()) {
+      if (!entries.has(offset)) {
+        const data = reader.get(offset);
+        const number = data.autonomous_system_number;
+        if (number !== undefined && !index.has(number)) {
+          index.set(number, { org: data.autonomous_system_organization, prefixes: [], prefixesIPv6: [] });
+        }
+        entries.set(offset, index.get(number) || null);
+      }
+      const entry = entries.get(offset);
+      if (entry) (network.includes(":") ? entry.prefixesIPv6 : entry.prefixes).push(network);
+    }
+    asnIndexes.set(reader, index);
+  }
+  return index.get(asn) || null;
+}
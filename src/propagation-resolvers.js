@@ -0,0 +1,25 @@
+// Public DoH resolvers asked by /api/propagation, grouped by region. `location` is where the
+// operator is based (anycast services answer from the site nearest the Worker) and places the
+// resolver on the map. PROPAGATION_RESOLVERS replaces this list: a JSON array of the same shape.
+export default [
+  { id: "cloudflare", name: "Cloudflare", url: "https://cloudflare-dns.com/dns-query", region: "global", location: { city: "San Francisco", country: "US", latitude: 37.77, longitude: -122.42 } },
+  { id: "google", name: "Google", url: "https://dns.google/dns-query", region: "global", location: { city: "Mountain View", country: "US", latitude: 37.39, longitude: -122.08 } },
+  { id: "quad9", name: "Quad9", url: "https://dns.quad9.net/dns-query", region: "global", location: { city: "Zurich", country: "CH", latitude: 47.37, longitude: 8.54 } },
+  { id: "nextdns", name: "NextDNS", url: "https://dns.nextdns.io/dns-query", region: "global", location: { city: "Wilmington", country: "US", latitude: 39.74, longitude: -75.55 } },
+
+  { id: "opendns", name: "OpenDNS", url: "https://doh.opendns.com/dns-query", region: "north-america", location: { city: "San Jose", country: "US", latitude: 37.34, longitude: -121.89 } },
+  { id: "cira", name: "CIRA Canadian Shield", url: "https://private.canadianshield.cira.ca/dns-query", region: "north-america", location: { city: "Ottawa", country: "CA", latitude: 45.42, longitude: -75.70 } },
+  { id: "controld", name: "Control D", url: "https://freedns.controld.com/p0", region: "north-america", location: { city: "Toronto", country: "CA", latitude: 43.65, longitude: -79.38 } },
+
+  { id: "mullvad", name: "Mullvad", url: "https://dns.mullvad.net/dns-query", region: "europe", location: { city: "Stockholm", country: "SE", latitude: 59.33, longitude: 18.07 } },
+  { id: "dns4eu", name: "DNS4EU", url: "https://unfiltered.joindns4.eu/dns-query", region: "europe", location: { city: "Prague", country: "CZ", latitude: 50.08, longitude: 14.44 } },
+  { id: "applied-privacy", name: "Applied Privacy", url: "https://doh.applied-privacy.net/query", region: "europe", location: { city: "Vienna", country: "AT", latitude: 48.21, longitude: 16.37 } },
+  { id: "digitale-gesellschaft", name: "Digitale Gesellschaft", url: "https://dns.digitale-gesellschaft.ch/dns-query", region: "europe", location: { city: "Zurich", country: "CH", latitude: 47.38, longitude: 8.53 } },
+  { id: "dnssb", name: "DNS.SB", url: "https://doh.dns.sb/dns-query", region: "europe", location: { city: "Frankfurt", country: "DE", latitude: 50.11, longitude: 8.68 } },
+  { id: "adguard", name: "AdGuard", url: "https://dns.adguard-dns.com/dns-query", region: "europe", location: { city: "Limassol", country: "CY", latitude: 34.68, longitude: 33.04 } },
+
+  { id: "alidns", name: "AliDNS", url: "https://dns.alidns.com/dns-query", region: "asia", location: { city: "Hangzhou", country: "CN", latitude: 30.27, longitude: 120.16 } },
+  { id: "dnspod", name: "DNSPod", url: "https://doh.pub/dns-query", region: "asia", location: { city: "Shenzhen", country: "CN", latitude: 22.54, longitude: 114.06 } },
+  { id: "iij", name: "IIJ", url: "https://public.dns.iij.jp/dns-query", region: "asia", location: { city: "Tokyo", country: "JP", latitude: 35.68, longitude: 139.69 } },
+  { id: "twnic", name: "TWNIC", url: "https://dns.twnic.tw/dns-query", region: "asia", location: { city: "Taipei", country: "TW", latitude: 25.03, longitude: 121.57 } },
+];
@@ -0,0 +1,148 @@
+import { mapWithConcurrency } from "./bulk.js";
+import { queryDoH, queryNameFor } from "./dns.js";
+import { typeCode } from "./dnswire.js";
+import DEFAULT_PROPAGATION_RESOLVERS from "./propagation-resolvers.js";
+import { answerKey } from "./resolvers.js";
+
+// DNS propagation check: the same query sent to public resolvers around the world, to see
+// whether a changed record has reached their caches yet. Answers are grouped into sets and
+// scored by how many resolvers agree with the majority (or with the expected values).
+
+// Resolvers queried at once (Workers allow six simultaneous outgoing connections)
+const PROPAGATION_CONCURRENCY = 6;
+
+// How long a single resolver may take before it counts as failed, in milliseconds
+const PROPAGATION_TIMEOUT = 4000;
+
+// Helper function to validate one resolver list entry; returns null when it is unusable
+function normalizeResolver(entry) {
+  if (!entry || typeof entry !== "object" || !entry.url) return null;
+  try {
+    // Plain http:// is accepted here so local stub resolvers can stand in during tests;
+    // the list comes from the deployment, never from the request
+    const url = new URL(entry.url);
+    if (!["https:", "http:"].includes(url.protocol)) return null;
+    const location = entry.location || {};
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    return {
+      id: String(entry.id || url.host),
+      name: String(entry.name || url.host),
+      url: url.toString(),
+      region: String(entry.region || "global"),
+      location: Number.isFinite(latitude) && Number.isFinite(longitude)
+        ? { city: location.city || null, country: location.country || null, latitude, longitude }
+        : null,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper function to read PROPAGATION_RESOLVERS (a [vars] array or a JSON string) into a resolver
+// list. Invalid entries are dropped; the built-in list is used when nothing usable remains.
+export function parseResolverList(value) {
+  let entries = value || [];
+  if (typeof entries === "string") {
+    try {
+      entries = JSON.parse(entries);
+    } catch (e) {
+      entries = [];
+    }
+  }
+
+  const resolvers = Array.isArray(entries) ? entries.map(normalizeResolver).filter(Boolean) : [];
+  return resolvers.length > 0 ? resolvers : DEFAULT_PROPAGATION_RESOLVERS.map(normalizeResolver);
+}
+
+// Helper function to normalize record data for comparison with expected values
+function normalizeData(data) {
+  return String(data).toLowerCase().replace(/\.$/, "");
+}
+
+// Helper function to put a share of agreeing resolvers on a 0-100 scale (null when none answered)
+function score(agreeing, answered) {
+  return answered > 0 ? Math.round((agreeing / answered) * 100) : null;
+}
+
+// Query one resolver: { resolver, status, answers, ttl, latencyMs } or { resolver, error, latencyMs }.
+// Only records of the queried type are kept, so CNAME chains that differ per region do not count.
+async function queryResolver(resolver, queryName, type, options) {
+  const { fetcher = fetch, timeout = PROPAGATION_TIMEOUT } = options;
+  const timedFetcher = (url, init = {}) => fetcher(url, { ...init, signal: AbortSignal.timeout(timeout) });
+
+  const started = Date.now();
+  try {
+    const message = await queryDoH(queryName, type, { endpoint: resolver.url, fetcher: timedFetcher });
+    const answers = message.answers.filter(r => r.type === typeCode(type));
+    return {
+      resolver,
+      status: message.status,
+      answers,
+      ttl: answers.length > 0 ? Math.min(...answers.map(r => r.TTL)) : null,
+      latencyMs: Date.now() - started,
+    };
+  } catch (e) {
+    const error = e.name === "TimeoutError" ? `No answer within ${timeout} ms` : e.message;
+    return { resolver, error, latencyMs: Date.now() - started };
+  }
+}
+
+// Check how far a record has propagated: { name, type, expected, score, consistent, groups,
+// regions, results }. Each result says whether that resolver agrees (`consistent`); `groups`
+// lists the distinct answer sets, largest first. With `expect` (a list of record values)
+// resolvers agree when they return exactly those values, otherwise when they match the most
+// common answer. Options: `resolvers` (defaults to the built-in list), `fetcher`, `timeout`.
+export async function checkPropagation(name, type, options = {}) {
+  const { resolvers = parseResolverList(), expect } = options;
+  const queryName = queryNameFor(name, type) || name;
+
+  const results = await mapWithConcurrency(resolvers, PROPAGATION_CONCURRENCY, resolver => queryResolver(resolver, queryName, type, options));
+
+  // Answer sets keyed by status and records, so NXDOMAIN never agrees with an empty NOERROR
+  const groups = new Map();
+  for (const result of results.filter(r => !r.error)) {
+    const key = `${result.status}\n${answerKey(result.answers)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { status: result.status, answers: result.answers.map(r => r.data), resolvers: [], count: 0 });
+    }
+    const group = groups.get(key);
+    group.resolvers.push(result.resolver.id);
+    group.count++;
+  }
+  const sorted = [...groups.values()].sort((a, b) => b.count - a.count);
+
+  const expected = expect?.length > 0 ? [...new Set(expect.map(normalizeData))].sort() : null;
+  const majority = sorted[0];
+  const agrees = (result) => {
+    if (result.error) return false;
+    if (!expected) return majority.resolvers.includes(result.resolver.id);
+    const values = [...new Set(result.answers.map(r => normalizeData(r.data)))].sort();
+    return values.join("\n") === expected.join("\n");
+  };
+  for (const result of results) result.consistent = agrees(result);
+
+  const answered = results.filter(r => !r.error);
+  const regions = {};
+  for (const result of results) {
+    if (!regions[result.resolver.region]) {
+      regions[result.resolver.region] = { resolvers: 0, answered: 0, agreeing: 0, score: null };
+    }
+    const region = regions[result.resolver.region];
+    region.resolvers++;
+    if (!result.error) region.answered++;
+    if (result.consistent) region.agreeing++;
+  }
+  for (const region of Object.values(regions)) region.score = score(region.agreeing, region.answered);
+
+  return {
+    name: queryName,
+    type,
+    expected,
+    score: score(answered.filter(r => r.consistent).length, answered.length),
+    consistent: answered.length > 0 && answered.every(r => r.consistent),
+    groups: sorted,
+    regions,
+    results,
+  };
+}
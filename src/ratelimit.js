@@ -0,0 +1,210 @@
+// Per-client rate limiting. Clients are identified by an X-API-Key header (looked up in the
+// API_KEYS secret) or by IP address, and each tier allows `requests` per `window` seconds and
+// at most `bulkTargets` targets per /api/bulk request. Counters live in a pluggable store with
+// a single method: hit(id, cost, windowSeconds) -> { count, resetAt } (fixed windows): a Durable
+// Object, KV or the isolate's memory.
+
+// Tiers used unless RATE_LIMIT_TIERS overrides them; `requests: 0` disables the limit
+export const DEFAULT_TIERS = {
+  anonymous: { requests: 60, window: 60, bulkTargets: 20 },
+  key: { requests: 1000, window: 60, bulkTargets: 140 },
+};
+
+// Memory stores drop expired windows once they hold this many clients
+const MEMORY_STORE_PRUNE_SIZE = 10000;
+
+// Helper function to read RATE_LIMIT_TIERS (a [vars] table or a JSON string) merged over the defaults
+export function parseTiers(value) {
+  let overrides = value || {};
+  if (typeof overrides === "string") {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (e) {
+      overrides = {};
+    }
+  }
+
+  const tiers = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TIERS), ...Object.keys(overrides)])) {
+    const tier = { ...DEFAULT_TIERS.key, ...DEFAULT_TIERS[name], ...overrides[name] };
+    tiers[name] = {
+      requests: Number(tier.requests),
+      window: Number(tier.window),
+      bulkTargets: Number(tier.bulkTargets),
+    };
+  }
+  return tiers;
+}
+
+// Helper function to read API_KEYS: comma-separated "key" or "key:tier" entries (tier defaults to "key")
+export function parseAPIKeys(value) {
+  const keys = new Map();
+  for (const entry of (value || "").split(",")) {
+    const [key, tier = "key"] = entry.trim().split(":");
+    if (key) keys.set(key, tier.trim());
+  }
+  return keys;
+}
+
+// In-memory store (per isolate); also used for tests
+export function createMemoryRateStore() {
+  const windows = new Map();
+  return {
+    async hit(id, cost, window) {
+      const now = Date.now();
+      if (windows.size > MEMORY_STORE_PRUNE_SIZE) {
+        for (const [key, entry] of windows) {
+          if (entry.resetAt <= now) windows.delete(key);
+        }
+      }
+
+      let entry = windows.get(id);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + window * 1000 };
+        windows.set(id, entry);
+      }
+      entry.count += cost;
+      return { ...entry };
+    },
+  };
+}
+
+// Durable Object holding the counter of one client. A Durable Object handles its requests one at
+// a time, so every hit is counted exactly once wherever in the world it comes from.
+export class RateLimitCounter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  // POST { cost, window } -> { count, resetAt }
+  async fetch(request) {
+    const { cost, window } = await request.json();
+    const now = Date.now();
+    let entry = await this.storage.get("entry");
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + window * 1000 };
+      await this.storage.setAlarm(entry.resetAt);
+    }
+    entry.count += cost;
+    await this.storage.put("entry", entry);
+    return Response.json(entry);
+  }
+
+  // Forget the counter once its window is over
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+// Store backed by the RateLimitCounter Durable Object namespace, one object per client
+export function createDurableObjectRateStore(namespace) {
+  return {
+    async hit(id, cost, window) {
+      const stub = namespace.get(namespace.idFromName(id));
+      const res = await stub.fetch("https://rate-limit/hit", { method: "POST", body: JSON.stringify({ cost, window }) });
+      if (!res.ok) throw new Error(`Rate limit counter answered HTTP ${res.status}`);
+      return res.json();
+    },
+  };
+}
+
+// Store backed by a KV namespace. KV is eventually consistent, has no atomic increment and
+// accepts about one write per second per key, so concurrent hits overwrite each other and a
+// burst from one client is undercounted or fails to write. Only suitable for light traffic;
+// the Durable Object store counts exactly.
+export function createKVRateStore(namespace) {
+  return {
+    async hit(id, cost, window) {
+      const now = Date.now();
+      const key = `ratelimit:${id}`;
+      let entry = await namespace.get(key, "json");
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + window * 1000 };
+      }
+      entry.count += cost;
+      await namespace.put(key, JSON.stringify(entry), {
+        expirationTtl: Math.max(60, Math.ceil((entry.resetAt - now) / 1000)),
+      });
+      return entry;
+    },
+  };
+}
+
+// Isolate-wide store used when no RATE_LIMIT namespace is bound
+const memoryStore = createMemoryRateStore();
+
+// Helper function to pick the store: RATE_LIMIT_BACKEND "off" disables limiting, "memory" forces
+// the in-memory store; otherwise the RATE_LIMITER Durable Object binding is used when present,
+// then the RATE_LIMIT KV binding.
+export function selectRateStore(env = {}) {
+  const backend = (env.RATE_LIMIT_BACKEND || "").toLowerCase();
+  if (backend === "off") return null;
+  if (backend === "memory") return memoryStore;
+  if (env.RATE_LIMITER) return createDurableObjectRateStore(env.RATE_LIMITER);
+  if (env.RATE_LIMIT) return createKVRateStore(env.RATE_LIMIT);
+  return memoryStore;
+}
+
+// Helper function to hash an API key, so stores never hold it in the clear
+async function hashKey(key) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].slice(0, 16).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Identify the client of a request: { id, tierName, tier }, or null for an unknown API key
+export async function identifyClient(request, env, clientIP) {
+  const tiers = parseTiers(env.RATE_LIMIT_TIERS);
+  const apiKey = request.headers.get("X-API-Key");
+
+  if (!apiKey) {
+    return { id: `ip:${clientIP}`, tierName: "anonymous", tier: tiers.anonymous };
+  }
+
+  const tierName = parseAPIKeys(env.API_KEYS).get(apiKey);
+  if (!tierName || !tiers[tierName]) return null;
+  return { id: `key:${await hashKey(apiKey)}`, tierName, tier: tiers[tierName] };
+}
+
+// Create the limiter for one request. consume(cost) charges the client and resolves to false
+// once the tier's budget for the current window is exhausted; headers() describes the state.
+// When the store fails the hit is counted in `fallback` (the isolate's memory) instead.
+export function createRateLimiter(store, client, fallback = memoryStore) {
+  const { tier } = client;
+  let state = null;
+
+  return {
+    client,
+
+    async consume(cost = 1) {
+      if (!store || !tier.requests) return true;
+
+      let result;
+      try {
+        result = await store.hit(client.id, cost, tier.window);
+      } catch (e) {
+        // A failing store must neither take the API down nor lift the limit
+        result = await fallback.hit(client.id, cost, tier.window);
+      }
+
+      state = {
+        remaining: Math.max(0, tier.requests - result.count),
+        reset: Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000)),
+        exceeded: result.count > tier.requests,
+      };
+      return !state.exceeded;
+    },
+
+    // RateLimit-* headers (draft-ietf-httpapi-ratelimit-headers), plus Retry-After when exceeded
+    headers() {
+      if (!state) return {};
+      const headers = {
+        "RateLimit-Limit": String(tier.requests),
+        "RateLimit-Remaining": String(state.remaining),
+        "RateLimit-Reset": String(state.reset),
+        "RateLimit-Policy": `${tier.requests};w=${tier.window}`,
+      };
+      if (state.exceeded) headers["Retry-After"] = String(state.reset);
+      return headers;
+    },
+  };
+}
@@ -0,0 +1,236 @@
+import { cidrContains, parseCIDR } from "./ip.js";
+
+// RDAP (RFC 9082/9083) lookups for domains, IP networks and autonomous systems. The server is
+// found through the IANA bootstrap registries (RFC 9224) and the answer is normalized to:
+//
+//   { query, kind, server, handle, name, status, created, updated, expires,
+//     registrar: { name, ianaId, url }, registrant: contact, abuse: contact,
+//     nameservers, dnssec,                               (domains)
+//     startAddress, endAddress, cidrs, networkType,     (IP networks)
+//     startAutnum, endAutnum,                           (autonomous systems)
+//     country, sources }
+//
+// where a contact is { handle, name, org, email, phone, address, country }.
+
+const BOOTSTRAP_URLS = {
+  domain: "https://data.iana.org/rdap/dns.json",
+  ipv4: "https://data.iana.org/rdap/ipv4.json",
+  ipv6: "https://data.iana.org/rdap/ipv6.json",
+  autnum: "https://data.iana.org/rdap/asn.json",
+};
+
+// Seconds the bootstrap files and RDAP answers are cached
+const RDAP_BOOTSTRAP_TTL = 24 * 3600;
+const RDAP_CACHE_TTL = 3600;
+
+const RDAP_ACCEPT = "application/rdap+json, application/json";
+
+// RDAP event actions and the fields they fill
+const EVENT_FIELDS = {
+  registration: "created",
+  "last changed": "updated",
+  expiration: "expires",
+};
+
+// Helper function to build an error carrying the HTTP status the API should answer with
+function rdapError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Helper function to classify a query: { kind, bootstrap, path } or null if it is not valid.
+// Accepts domains, IP addresses, CIDR networks and AS numbers ("AS13335" or "13335").
+export function parseRDAPQuery(query) {
+  const value = String(query || "").trim().replace(/\.$/, "");
+
+  const asn = /^(?:AS)?(\d{1,10})$/i.exec(value);
+  if (asn && Number(asn[1]) <= 0xffffffff) {
+    return { kind: "autnum", bootstrap: "autnum", path: `autnum/${Number(asn[1])}`, asn: Number(asn[1]) };
+  }
+
+  const network = parseCIDR(value);
+  if (network) {
+    const bootstrap = network.bytes.length === 4 ? "ipv4" : "ipv6";
+    return { kind: "ip", bootstrap, path: `ip/${value}`, network };
+  }
+
+  // Internationalized names go out in their A-label (punycode) form
+  let domain;
+  try {
+    domain = new URL(`http://${value}`).hostname;
+  } catch (e) {
+    return null;
+  }
+  if (!/^([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(domain)) return null;
+  return { kind: "domain", bootstrap: "domain", path: `domain/${domain}`, domain };
+}
+
+// Helper function to fetch RDAP JSON. Failures become errors with the status to report.
+async function fetchRDAP(url, fetcher) {
+  let res;
+  try {
+    res = await fetcher(url, { headers: { accept: RDAP_ACCEPT } });
+  } catch (e) {
+    throw rdapError(`RDAP request to ${new URL(url).host} failed: ${e.message}`, 502);
+  }
+  if (res.status === 404) throw rdapError("No RDAP record found", 404);
+  if (res.status === 429) throw rdapError(`${new URL(url).host} is rate limiting RDAP queries`, 503);
+  if (!res.ok) throw rdapError(`${new URL(url).host} answered HTTP ${res.status}`, 502);
+  return res.json();
+}
+
+// Helper function to load an IANA bootstrap registry (cached for a day)
+async function loadBootstrap(name, { cache, fetcher }) {
+  const load = () => fetchRDAP(BOOTSTRAP_URLS[name], fetcher);
+  if (!cache) return load();
+  return (await cache.lookup(`rdap:bootstrap:${name}`, RDAP_BOOTSTRAP_TTL, load)).value;
+}
+
+// Helper function to pick the base URL for a query from a bootstrap registry (preferring HTTPS)
+export function findRDAPServer(registry, parsed) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const [entries, urls] of registry.services || []) {
+    for (const entry of entries) {
+      let score = -1;
+      if (parsed.kind === "domain") {
+        // Longest matching label suffix wins
+        const suffix = entry.toLowerCase();
+        if (parsed.domain === suffix || parsed.domain.endsWith(`.${suffix}`)) score = suffix.split(".").length;
+      } else if (parsed.kind === "ip") {
+        const network = parseCIDR(entry);
+        if (network && network.prefixLength <= parsed.network.prefixLength && cidrContains(network, parsed.network.bytes)) {
+          score = network.prefixLength;
+        }
+      } else {
+        const [start, end = start] = entry.split("-").map(Number);
+        if (parsed.asn >= start && parsed.asn <= end) score = 0;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = urls.find(url => url.startsWith("https://")) || urls[0];
+      }
+    }
+  }
+
+  return best && (best.endsWith("/") ? best : `${best}/`);
+}
+
+// Helper function to read a jCard (RFC 7095) into a contact
+function parseVCard(vcardArray) {
+  const contact = {};
+  for (const [name, params = {}, , value] of vcardArray?.[1] || []) {
+    const text = Array.isArray(value) ? value.flat().filter(Boolean).join(", ") : value;
+    if (name === "fn" && text) contact.name = text;
+    else if (name === "org" && text) contact.org = text;
+    else if (name === "email" && !contact.email) contact.email = text;
+    else if (name === "tel" && !contact.phone) contact.phone = String(text).replace(/^tel:/, "");
+    else if (name === "adr") {
+      contact.address = (params.label || text || "").replace(/\n/g, ", ") || undefined;
+      // The last structured address component is the country name; params.cc is its code
+      contact.country = params.cc?.toUpperCase() || (Array.isArray(value) ? value[6] || undefined : undefined);
+    }
+  }
+  return contact;
+}
+
+// Helper function to list an object's entities, nested ones included, with their roles
+function collectEntities(object, list = []) {
+  for (const entity of object?.entities || []) {
+    list.push(entity);
+    collectEntities(entity, list);
+  }
+  return list;
+}
+
+function toContact(entity) {
+  if (!entity) return null;
+  return { handle: entity.handle, ...parseVCard(entity.vcardArray) };
+}
+
+// Helper function to reduce an RDAP object to the normalized shape
+function normalizeRDAP(data, parsed) {
+  const entities = collectEntities(data);
+  const withRole = (role) => entities.find(e => e.roles?.includes(role));
+  const registrar = withRole("registrar");
+
+  const result = {
+    handle: data.handle,
+    name: data.name,
+    status: data.status || [],
+    registrar: registrar ? {
+      name: parseVCard(registrar.vcardArray).name || registrar.handle,
+      ianaId: registrar.publicIds?.find(id => /iana/i.test(id.type))?.identifier,
+      url: registrar.links?.find(l => l.rel === "about" || l.rel === "self")?.href,
+    } : null,
+    registrant: toContact(withRole("registrant")),
+    abuse: toContact(withRole("abuse")),
+  };
+
+  for (const event of data.events || []) {
+    const field = EVENT_FIELDS[event.eventAction];
+    if (field && !result[field]) result[field] = event.eventDate;
+  }
+
+  if (parsed.kind === "domain") {
+    result.name = data.ldhName?.toLowerCase() || parsed.domain;
+    result.nameservers = (data.nameservers || []).map(ns => ns.ldhName?.toLowerCase().replace(/\.$/, "")).filter(Boolean);
+    result.dnssec = data.secureDNS?.delegationSigned;
+  } else if (parsed.kind === "ip") {
+    result.startAddress = data.startAddress;
+    result.endAddress = data.endAddress;
+    result.cidrs = (data.cidr0_cidrs || []).map(c => `${c.v4prefix || c.v6prefix}/${c.length}`);
+    result.networkType = data.type;
+    result.parentHandle = data.parentHandle;
+    result.country = data.country;
+  } else {
+    result.startAutnum = data.startAutnum;
+    result.endAutnum = data.endAutnum;
+    result.networkType = data.type;
+    result.country = data.country;
+  }
+
+  return result;
+}
+
+// Look up `query` over RDAP. Options: `cache` (createRequestCache()) and `fetcher`.
+// Throws errors with a `status` (400 invalid query, 404 unknown, 502/503 upstream problems).
+export async function lookupRDAP(query, options = {}) {
+  const { cache, fetcher = fetch } = options;
+  const parsed = parseRDAPQuery(query);
+  if (!parsed) throw rdapError("Expected a domain, IP address, CIDR network or AS number", 400);
+
+  const server = findRDAPServer(await loadBootstrap(parsed.bootstrap, { cache, fetcher }), parsed);
+  if (!server) throw rdapError(`No RDAP service is registered for ${query}`, 404);
+
+  const fetchObject = async (url) => {
+    const load = () => fetchRDAP(url, fetcher);
+    if (!cache) return load();
+    return (await cache.lookup(`rdap:${url}`, RDAP_CACHE_TTL, load)).value;
+  };
+
+  const url = server + parsed.path;
+  const data = await fetchObject(url);
+  const result = normalizeRDAP(data, parsed);
+  const sources = [url];
+
+  // Thin registries (.com, .net) leave registrant and abuse details to the registrar's RDAP server
+  const related = parsed.kind === "domain" && data.links?.find(l =>
+    l.rel === "related" && l.href?.includes("/domain/") && (!l.type || l.type.includes("rdap")));
+  if (related && related.href !== url) {
+    try {
+      const registrarData = normalizeRDAP(await fetchObject(related.href), parsed);
+      for (const key of ["registrant", "abuse", "registrar"]) {
+        result[key] = result[key] || registrarData[key];
+      }
+      sources.push(related.href);
+    } catch (e) {
+      // The registry answer is still useful on its own
+    }
+  }
+
+  return { query: String(query).trim(), kind: parsed.kind, server, ...result, sources };
+}
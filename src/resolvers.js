@@ -0,0 +1,150 @@
+import { DEFAULT_DOH_ENDPOINT, queryDoH, queryNameFor } from "./dns.js";
+import { typeCode } from "./dnswire.js";
+
+// Public DoH resolvers selectable by name (?resolver=google)
+export const RESOLVERS = {
+  cloudflare: { name: "Cloudflare", url: DEFAULT_DOH_ENDPOINT },
+  google: { name: "Google", url: "https://dns.google/dns-query" },
+  quad9: { name: "Quad9", url: "https://dns.quad9.net/dns-query" },
+  adguard: { name: "AdGuard", url: "https://dns.adguard-dns.com/dns-query" },
+  opendns: { name: "OpenDNS", url: "https://doh.opendns.com/dns-query" },
+};
+
+export const DEFAULT_RESOLVER = "cloudflare";
+
+// Resolvers used by /api/dns/compare when none are given
+const DEFAULT_COMPARE_RESOLVERS = ["cloudflare", "google", "quad9"];
+
+// Helper function to turn a resolver name or custom https:// URL into { id, name, url }.
+// Returns null for anything else.
+export function resolveResolver(value) {
+  const id = (value || DEFAULT_RESOLVER).trim();
+  const known = RESOLVERS[id.toLowerCase()];
+  if (known) return { id: id.toLowerCase(), ...known };
+
+  try {
+    const url = new URL(id);
+    if (url.protocol !== "https:" || url.username || url.password) return null;
+    return { id: url.toString(), name: url.host, url: url.toString() };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Most resolvers one comparison may ask, custom URLs included (each one is a parallel subrequest)
+export const MAX_COMPARE_RESOLVERS = Object.keys(RESOLVERS).length;
+
+// Helper function to parse a comma-separated resolver list without duplicates; returns null if
+// any entry is invalid. Callers check the length against MAX_COMPARE_RESOLVERS.
+export function resolveResolverList(value) {
+  const ids = value ? value.split(",").map(s => s.trim()).filter(Boolean) : DEFAULT_COMPARE_RESOLVERS;
+  const resolvers = ids.map(resolveResolver);
+  if (!resolvers.every(Boolean) || resolvers.length === 0) return null;
+  return [...new Map(resolvers.map(resolver => [resolver.id, resolver])).values()];
+}
+
+// Helper function to give an answer set a comparable key (order-insensitive)
+export function answerKey(answers) {
+  return answers.map(r => `${r.type} ${r.data.toLowerCase()}`).sort().join("\n");
+}
+
+// Helper function to group resolver ids by a computed key, keeping only keys with values
+function groupBy(results, keyFn) {
+  const groups = new Map();
+  for (const result of results) {
+    const key = keyFn(result);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result.resolver.id);
+  }
+  return groups;
+}
+
+// Helper function to find disagreements between resolver results
+function findDisagreements(results) {
+  const disagreements = [];
+  const answered = results.filter(r => !r.error);
+
+  const failed = results.filter(r => r.error);
+  if (failed.length > 0) {
+    disagreements.push({
+      kind: "error",
+      message: `${failed.length} resolver(s) failed to answer`,
+      groups: failed.map(r => ({ value: r.error, resolvers: [r.resolver.id] })),
+    });
+  }
+
+  const statuses = groupBy(answered, r => r.status);
+  if (statuses.size > 1) {
+    disagreements.push({
+      kind: "status",
+      message: `Response codes differ: ${[...statuses.keys()].join(" vs ")}`,
+      groups: [...statuses].map(([value, resolvers]) => ({ value, resolvers })),
+    });
+  }
+
+  const answerSets = groupBy(answered.filter(r => r.status === "NOERROR"), r => answerKey(r.answers));
+  if (answerSets.size > 1) {
+    disagreements.push({
+      kind: "answers",
+      message: `${answerSets.size} different answer sets returned`,
+      groups: [...answerSets].map(([value, resolvers]) => ({ value: value ? value.split("\n") : [], resolvers })),
+    });
+  }
+
+  const ttls = answered.filter(r => r.ttl !== null);
+  if (ttls.length > 1) {
+    const values = ttls.map(r => r.ttl);
+    const spread = Math.max(...values) - Math.min(...values);
+    if (spread > 0) {
+      disagreements.push({
+        kind: "ttl",
+        message: `TTLs differ by up to ${spread}s (cached copies of different age or different zone data)`,
+        groups: [...groupBy(ttls, r => r.ttl)].map(([value, resolvers]) => ({ value, resolvers })),
+      });
+    }
+  }
+
+  const validated = groupBy(answered, r => r.flags.ad);
+  if (validated.size > 1) {
+    disagreements.push({
+      kind: "dnssec",
+      message: "Resolvers disagree on DNSSEC validation (AD flag)",
+      groups: [...validated].map(([value, resolvers]) => ({ value, resolvers })),
+    });
+  }
+
+  return disagreements;
+}
+
+// Query the same name/type against several resolvers in parallel and compare the answers
+export async function compareResolvers(name, type, resolvers, options = {}) {
+  const queryName = queryNameFor(name, type) || name;
+
+  const results = await Promise.all(resolvers.map(async (resolver) => {
+    const started = Date.now();
+    try {
+      const message = await queryDoH(queryName, type, { ...options, endpoint: resolver.url });
+      const answers = message.answers.filter(r => r.type === typeCode(type));
+      return {
+        resolver,
+        status: message.status,
+        flags: message.flags,
+        answers: message.answers,
+        ttl: answers.length > 0 ? Math.min(...answers.map(r => r.TTL)) : null,
+        latencyMs: Date.now() - started,
+      };
+    } catch (e) {
+      return { resolver, error: e.message, latencyMs: Date.now() - started };
+    }
+  }));
+
+  const disagreements = findDisagreements(results);
+  return {
+    name: queryName,
+    type,
+    // TTL drift alone is expected between caches, so it does not make the results inconsistent
+    consistent: disagreements.every(d => d.kind === "ttl"),
+    disagreements,
+    results,
+  };
+}
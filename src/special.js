@@ -0,0 +1,102 @@
+import { bytesToIP, cidrContains, ipToBytes, parseCIDR } from "./ip.js";
+
+// Special-purpose address ranges (IANA IPv4/IPv6 Special-Purpose Address Registries, RFC 6890,
+// plus multicast and the reserved class E space). `category` groups them; `global` tells
+// whether addresses in the range can appear on the public internet. Ranges that are not global
+// are bogons: they should never be routed or seen as a source address.
+export const SPECIAL_RANGES = [
+  { cidr: "0.0.0.0/8", name: "This network", rfc: "RFC 791", category: "reserved", global: false },
+  { cidr: "10.0.0.0/8", name: "Private network", rfc: "RFC 1918", category: "private", global: false },
+  { cidr: "100.64.0.0/10", name: "Shared address space (CGNAT)", rfc: "RFC 6598", category: "cgnat", global: false },
+  { cidr: "127.0.0.0/8", name: "Loopback", rfc: "RFC 1122", category: "loopback", global: false },
+  { cidr: "169.254.0.0/16", name: "Link-local", rfc: "RFC 3927", category: "link-local", global: false },
+  { cidr: "172.16.0.0/12", name: "Private network", rfc: "RFC 1918", category: "private", global: false },
+  { cidr: "192.0.0.0/24", name: "IETF protocol assignments", rfc: "RFC 6890", category: "reserved", global: false },
+  { cidr: "192.0.2.0/24", name: "Documentation (TEST-NET-1)", rfc: "RFC 5737", category: "documentation", global: false },
+  { cidr: "192.88.99.0/24", name: "6to4 relay anycast (deprecated)", rfc: "RFC 7526", category: "reserved", global: false },
+  { cidr: "192.168.0.0/16", name: "Private network", rfc: "RFC 1918", category: "private", global: false },
+  { cidr: "198.18.0.0/15", name: "Benchmarking", rfc: "RFC 2544", category: "benchmarking", global: false },
+  { cidr: "198.51.100.0/24", name: "Documentation (TEST-NET-2)", rfc: "RFC 5737", category: "documentation", global: false },
+  { cidr: "203.0.113.0/24", name: "Documentation (TEST-NET-3)", rfc: "RFC 5737", category: "documentation", global: false },
+  { cidr: "224.0.0.0/4", name: "Multicast", rfc: "RFC 5771", category: "multicast", global: false },
+  { cidr: "240.0.0.0/4", name: "Reserved for future use", rfc: "RFC 1112", category: "reserved", global: false },
+  { cidr: "255.255.255.255/32", name: "Limited broadcast", rfc: "RFC 919", category: "broadcast", global: false },
+
+  { cidr: "::/128", name: "Unspecified address", rfc: "RFC 4291", category: "unspecified", global: false },
+  { cidr: "::1/128", name: "Loopback", rfc: "RFC 4291", category: "loopback", global: false },
+  { cidr: "::ffff:0:0/96", name: "IPv4-mapped address", rfc: "RFC 4291", category: "translation", global: false },
+  { cidr: "64:ff9b::/96", name: "NAT64 well-known prefix", rfc: "RFC 6052", category: "translation", global: true },
+  { cidr: "64:ff9b:1::/48", name: "Local-use NAT64", rfc: "RFC 8215", category: "translation", global: false },
+  { cidr: "100::/64", name: "Discard-only", rfc: "RFC 6666", category: "reserved", global: false },
+  { cidr: "2001::/32", name: "Teredo", rfc: "RFC 4380", category: "translation", global: true },
+  { cidr: "2001:2::/48", name: "Benchmarking", rfc: "RFC 5180", category: "benchmarking", global: false },
+  { cidr: "2001:db8::/32", name: "Documentation", rfc: "RFC 3849", category: "documentation", global: false },
+  { cidr: "2002::/16", name: "6to4", rfc: "RFC 3056", category: "translation", global: true },
+  { cidr: "3fff::/20", name: "Documentation", rfc: "RFC 9637", category: "documentation", global: false },
+  { cidr: "5f00::/16", name: "Segment routing (SRv6) SIDs", rfc: "RFC 9602", category: "reserved", global: false },
+  { cidr: "fc00::/7", name: "Unique local address", rfc: "RFC 4193", category: "private", global: false },
+  { cidr: "fe80::/10", name: "Link-local", rfc: "RFC 4291", category: "link-local", global: false },
+  { cidr: "ff00::/8", name: "Multicast", rfc: "RFC 4291", category: "multicast", global: false },
+].map(range => ({ ...range, network: parseCIDR(range.cidr) }));
+
+// IPv6 global unicast space; anything else that is not listed above is unallocated
+const IPV6_GLOBAL_UNICAST = parseCIDR("2000::/3");
+
+// Helper function to check whether two networks from parseCIDR overlap (one contains the other)
+function overlaps(a, b) {
+  if (a.bytes.length !== b.bytes.length) return false;
+  const shorter = a.prefixLength <= b.prefixLength ? a : b;
+  const longer = shorter === a ? b : a;
+  return cidrContains(shorter, longer.bytes);
+}
+
+// Classify a network ({ bytes, prefixLength } from parseCIDR; a single address is a /32 or /128):
+// { ranges, bogon, global }. `ranges` lists the special ranges it overlaps, `bogon` is true when
+// the whole network lies in non-global space, `global` when none of it does.
+export function classifyNetwork(network) {
+  const matches = SPECIAL_RANGES.filter(range => overlaps(range.network, network));
+  const containing = matches.filter(range => range.network.prefixLength <= network.prefixLength);
+  const ranges = matches.map(({ cidr, name, rfc, category, global }) => ({ cidr, name, rfc, category, global }));
+  let bogon = containing.some(range => !range.global);
+
+  if (network.bytes.length === 16 && containing.length === 0 && !overlaps(IPV6_GLOBAL_UNICAST, network)) {
+    ranges.push({ cidr: null, name: "Unallocated (outside 2000::/3)", rfc: "RFC 4291", category: "reserved", global: false });
+    bogon = true;
+  }
+
+  return { ranges, bogon, global: ranges.every(range => range.global) };
+}
+
+// Translation prefixes carrying an IPv4 address, and where it sits in the 16 address bytes.
+// Teredo (RFC 4380) stores the server address in bytes 4-7 and the client's public address,
+// bit-inverted, in bytes 12-15. RFC 6052 skips byte 8 (bits 64-71) for prefixes shorter than /64.
+const EMBEDDING_PREFIXES = [
+  { cidr: "::ffff:0:0/96", mechanism: "ipv4-mapped", offsets: [12, 13, 14, 15] },
+  { cidr: "64:ff9b::/96", mechanism: "nat64", offsets: [12, 13, 14, 15] },
+  { cidr: "64:ff9b:1::/48", mechanism: "nat64", offsets: [6, 7, 9, 10] },
+  { cidr: "2002::/16", mechanism: "6to4", offsets: [2, 3, 4, 5] },
+  { cidr: "2001::/32", mechanism: "teredo", offsets: [12, 13, 14, 15], inverted: true, server: [4, 5, 6, 7] },
+].map(prefix => ({ ...prefix, network: parseCIDR(prefix.cidr) }));
+
+// Find the IPv4 address embedded in an IPv6 address (bytes from ipToBytes):
+// { ip, mechanism, server? } or null when it is not a translation address
+export function embeddedIPv4(bytes) {
+  if (bytes.length !== 16) return null;
+  const prefix = EMBEDDING_PREFIXES.find(p => cidrContains(p.network, bytes));
+  if (!prefix) return null;
+
+  const ip = Uint8Array.from(prefix.offsets, i => (prefix.inverted ? ~bytes[i] & 0xff : bytes[i]));
+  const embedded = { ip: bytesToIP(ip), mechanism: prefix.mechanism };
+  if (prefix.server) embedded.server = bytesToIP(Uint8Array.from(prefix.server, i => bytes[i]));
+  return embedded;
+}
+
+// Classify a single address: classifyNetwork() plus `embedded` for translation addresses.
+// Returns null when `ip` is not an address.
+export function classifyAddress(ip) {
+  const bytes = ipToBytes(String(ip || "").trim());
+  if (!bytes) return null;
+  const classification = classifyNetwork({ bytes, prefixLength: bytes.length * 8 });
+  const embedded = embeddedIPv4(bytes);
+  return embedded ? { ...classification, embedded } : classification;
+}
@@ -0,0 +1,154 @@
+import { DEFAULT_SUBREQUEST_LIMIT, mapWithConcurrency } from "./bulk.js";
+import { performDNSLookups } from "./dns.js";
+import { TYPES } from "./dnswire.js";
+import { intelSubrequests, lookupIntel } from "./intel.js";
+
+// Subdomain discovery through certificate transparency: every publicly trusted certificate is
+// logged (RFC 6962), so the names on certificates issued for a domain reveal its hosts. Names
+// come from a crt.sh-compatible search API (`?q=%.example.com&output=json`), are resolved and
+// grouped by address and network. Hosts that never had a certificate stay invisible.
+
+export const DEFAULT_CT_SEARCH_URL = "https://crt.sh/";
+
+// Seconds the name list of a domain is cached (new certificates show up within minutes to hours)
+const CT_CACHE_TTL = 3600;
+
+// Most names resolved per request (the most recently certified first), lookups run at once,
+// and distinct addresses looked up for their network
+const SUBDOMAINS_MAX_RESOLVED = 200;
+const SUBDOMAINS_CONCURRENCY = 6;
+const SUBDOMAINS_MAX_INTEL = 50;
+
+// Subrequests per resolved name (A and AAAA), and those kept back for the CT search and the
+// rest of the request
+const SUBDOMAINS_SUBREQUESTS_PER_NAME = 2;
+const SUBDOMAINS_RESERVED_SUBREQUESTS = 11;
+
+// Helper function to split the subrequests of one invocation between name resolution (two
+// thirds) and network lookups: { names, intel }, each within its own cap. `intelSubrequests` is
+// what one address lookup costs with the configured providers (intelSubrequests() in intel.js).
+export function subdomainBudget(subrequests, intelSubrequests) {
+  const budget = Math.max(0, subrequests - SUBDOMAINS_RESERVED_SUBREQUESTS);
+  const names = Math.min(SUBDOMAINS_MAX_RESOLVED, Math.floor((budget * 2) / 3 / SUBDOMAINS_SUBREQUESTS_PER_NAME));
+  const left = budget - names * SUBDOMAINS_SUBREQUESTS_PER_NAME;
+  const intel = intelSubrequests > 0 ? Math.min(SUBDOMAINS_MAX_INTEL, Math.floor(left / intelSubrequests)) : SUBDOMAINS_MAX_INTEL;
+  return { names, intel };
+}
+
+// Helper function to build an error carrying the HTTP status the API should answer with
+function ctError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Helper function to read the CT search results into one entry per name:
+// { name, wildcard, certificates, firstSeen, lastSeen } sorted by lastSeen, newest first.
+// "*.name" is folded into "name" with `wildcard` set: a certificate covers the names below it.
+export function collectCTNames(entries, domain) {
+  const names = new Map();
+  for (const entry of entries) {
+    const values = String(entry.name_value || "").split(/\s+/).concat(entry.common_name || []);
+    for (const value of new Set(values.map(v => v.trim().toLowerCase().replace(/\.$/, "")))) {
+      const wildcard = value.startsWith("*.");
+      const name = wildcard ? value.slice(2) : value;
+      if (name !== domain && !name.endsWith(`.${domain}`)) continue;
+
+      if (!names.has(name)) names.set(name, { name, wildcard: false, certificates: 0, firstSeen: null, lastSeen: null });
+      const host = names.get(name);
+      if (wildcard) host.wildcard = true;
+      host.certificates++;
+      if (entry.not_before && (!host.firstSeen || entry.not_before < host.firstSeen)) host.firstSeen = entry.not_before;
+      if (entry.not_after && (!host.lastSeen || entry.not_after > host.lastSeen)) host.lastSeen = entry.not_after;
+    }
+  }
+  return [...names.values()].sort((a, b) => (b.lastSeen || "").localeCompare(a.lastSeen || "") || a.name.localeCompare(b.name));
+}
+
+// Helper function to query the CT search API for every certificate naming the domain or a subdomain
+async function searchCT(domain, { baseUrl, fetcher }) {
+  const url = new URL(baseUrl);
+  url.searchParams.set("q", `%.${domain}`);
+  url.searchParams.set("output", "json");
+
+  let res;
+  try {
+    res = await fetcher(url.toString(), { headers: { accept: "application/json" } });
+  } catch (e) {
+    throw ctError(`CT log search at ${url.host} failed: ${e.message}`, 502);
+  }
+  if (res.status === 429) throw ctError(`${url.host} is rate limiting CT log searches`, 503);
+  if (!res.ok) throw ctError(`${url.host} answered HTTP ${res.status}`, 502);
+
+  // crt.sh answers an empty body instead of [] when nothing matches
+  const text = await res.text();
+  try {
+    return text.trim() ? JSON.parse(text) : [];
+  } catch (e) {
+    throw ctError(`${url.host} returned invalid JSON`, 502);
+  }
+}
+
+// Helper function to group hosts by a key computed from each, largest group first
+function groupHosts(hosts, keyFn, describe) {
+  const groups = new Map();
+  for (const host of hosts) {
+    for (const key of keyFn(host)) {
+      if (!groups.has(key)) groups.set(key, { ...describe(key), hosts: [] });
+      groups.get(key).hosts.push(host.name);
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.hosts.length - a.hosts.length);
+}
+
+// Discover the subdomains of `domain`: { domain, source, total, resolved, truncated, hosts,
+// byIP, byASN }. Each host is { name, wildcard, certificates, firstSeen, lastSeen, addresses,
+// asn, org }; names on certificates that no longer resolve have no addresses. `truncated` is set
+// when names were left unresolved or addresses without a network lookup, to stay within the
+// subrequests of one invocation. Options: `baseUrl` (crt.sh-compatible search), `fetcher`, `cache`,
+// `endpoint` (DoH resolver), `env` (IP intelligence) and `subrequests` (per-invocation limit).
+export async function discoverSubdomains(domain, options = {}) {
+  const { baseUrl = DEFAULT_CT_SEARCH_URL, fetcher = fetch, cache, endpoint, env, subrequests = DEFAULT_SUBREQUEST_LIMIT } = options;
+  const budget = subdomainBudget(subrequests, intelSubrequests(env));
+  domain = domain.toLowerCase().replace(/\.$/, "");
+
+  const load = async () => collectCTNames(await searchCT(domain, { baseUrl, fetcher }), domain);
+  const names = cache ? (await cache.lookup(`ct:${baseUrl}|${domain}`, CT_CACHE_TTL, load)).value : await load();
+
+  const selected = names.slice(0, budget.names);
+  const hosts = await mapWithConcurrency(selected, SUBDOMAINS_CONCURRENCY, async (entry) => {
+    try {
+      const dns = await performDNSLookups(entry.name, ["A", "AAAA"], { endpoint, cache });
+      const addresses = [...dns.A, ...dns.AAAA].filter(r => r.type === TYPES.A || r.type === TYPES.AAAA).map(r => r.data);
+      return { ...entry, addresses: [...new Set(addresses)] };
+    } catch (e) {
+      return { ...entry, addresses: [], error: e.message };
+    }
+  });
+
+  // The network of each host is that of its first address
+  const addressed = [...new Set(hosts.map(h => h.addresses[0]).filter(Boolean))];
+  const ips = addressed.slice(0, budget.intel);
+  const intel = new Map(await mapWithConcurrency(ips, SUBDOMAINS_CONCURRENCY, async (ip) => {
+    const result = await lookupIntel(ip, { env, cache });
+    return [ip, result.error ? null : result.network];
+  }));
+  for (const host of hosts) {
+    const network = intel.get(host.addresses[0]);
+    host.asn = network?.asn ?? null;
+    host.org = network?.org ?? null;
+  }
+
+  const resolved = hosts.filter(h => h.addresses.length > 0);
+  const orgs = new Map(resolved.map(h => [h.asn, h.org]));
+  return {
+    domain,
+    source: new URL(baseUrl).host,
+    total: names.length,
+    resolved: resolved.length,
+    truncated: names.length > selected.length || addressed.length > ips.length,
+    hosts,
+    byIP: groupHosts(resolved, h => h.addresses, ip => ({ ip })),
+    byASN: groupHosts(resolved.filter(h => h.asn), h => [h.asn], asn => ({ asn, org: orgs.get(asn) })),
+  };
+}
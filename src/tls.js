@@ -0,0 +1,353 @@
+import { bytesToIP } from "./ip.js";
+
+// Certificate retrieval without a TLS library: a TLS 1.2 ClientHello goes out over a raw TCP
+// socket and the handshake is read only up to the server's Certificate message, which TLS 1.2
+// still sends in the clear (TLS 1.3 encrypts it, so servers that only speak 1.3 cannot be read).
+// The leaf certificate is then parsed as X.509 (RFC 5280) with a small DER reader.
+
+// How long the handshake may take before giving up, in milliseconds
+const TLS_TIMEOUT_MS = 5000;
+
+// Largest handshake buffered while waiting for the certificate chain
+const TLS_MAX_HANDSHAKE = 64 * 1024;
+
+// ECDHE/RSA suites with AES-GCM, ChaCha20 and AES-CBC, so nearly any TLS 1.2 server finds a match
+const CIPHER_SUITES = [
+  0xc02b, 0xc02f, 0xc02c, 0xc030, 0xcca9, 0xcca8, 0xc009, 0xc013, 0xc00a, 0xc014, 0x009c, 0x009d, 0x002f, 0x0035,
+];
+
+// x25519, secp256r1, secp384r1
+const SUPPORTED_GROUPS = [0x001d, 0x0017, 0x0018];
+
+// ECDSA, RSA-PSS and RSA PKCS#1 with SHA-256/384/512, then RSA with SHA-1
+const SIGNATURE_ALGORITHMS = [0x0403, 0x0503, 0x0603, 0x0804, 0x0805, 0x0806, 0x0401, 0x0501, 0x0601, 0x0201];
+
+// TLS alert descriptions worth naming in errors (RFC 8446 section 6)
+const ALERTS = {
+  40: "handshake_failure",
+  70: "protocol_version",
+  71: "insufficient_security",
+  80: "internal_error",
+  112: "unrecognized_name",
+};
+
+// Object identifiers read from certificates
+const OIDS = {
+  "2.5.4.3": "CN",
+  "2.5.4.6": "C",
+  "2.5.4.7": "L",
+  "2.5.4.8": "ST",
+  "2.5.4.10": "O",
+  "2.5.4.11": "OU",
+  "2.5.29.17": "subjectAltName",
+  "1.2.840.113549.1.1.1": "RSA",
+  "1.2.840.10045.2.1": "EC",
+  "1.3.101.112": "Ed25519",
+  "1.3.101.113": "Ed448",
+  "1.2.840.10045.3.1.7": "P-256",
+  "1.3.132.0.34": "P-384",
+  "1.3.132.0.35": "P-521",
+  "1.2.840.113549.1.1.5": "sha1WithRSAEncryption",
+  "1.2.840.113549.1.1.11": "sha256WithRSAEncryption",
+  "1.2.840.113549.1.1.12": "sha384WithRSAEncryption",
+  "1.2.840.113549.1.1.13": "sha512WithRSAEncryption",
+  "1.2.840.113549.1.1.10": "rsassa-pss",
+  "1.2.840.10045.4.3.2": "ecdsa-with-SHA256",
+  "1.2.840.10045.4.3.3": "ecdsa-with-SHA384",
+  "1.2.840.10045.4.3.4": "ecdsa-with-SHA512",
+};
+
+// Helper function to write a big-endian integer of `size` bytes
+function uint(value, size) {
+  return Array.from({ length: size }, (_, i) => (value >> (8 * (size - 1 - i))) & 0xff);
+}
+
+// Helper function to prefix bytes with their length
+function vector(bytes, lengthSize) {
+  return [...uint(bytes.length, lengthSize), ...bytes];
+}
+
+// Build a TLS 1.2 ClientHello record for `serverName` (SNI is left out for IP addresses)
+export function buildClientHello(serverName) {
+  const extension = (type, data) => [...uint(type, 2), ...vector(data, 2)];
+  const extensions = [
+    ...extension(0x000a, vector(SUPPORTED_GROUPS.flatMap(g => uint(g, 2)), 2)),
+    ...extension(0x000b, vector([0], 1)),
+    ...extension(0x000d, vector(SIGNATURE_ALGORITHMS.flatMap(a => uint(a, 2)), 2)),
+    ...extension(0xff01, [0]),
+  ];
+  if (serverName && !/^[\d.]+$|:/.test(serverName)) {
+    const name = [...new TextEncoder().encode(serverName)];
+    extensions.unshift(...extension(0x0000, vector([0, ...vector(name, 2)], 2)));
+  }
+
+  const random = crypto.getRandomValues(new Uint8Array(32));
+  const body = [
+    0x03, 0x03,
+    ...random,
+    0,
+    ...vector(CIPHER_SUITES.flatMap(s => uint(s, 2)), 2),
+    1, 0,
+    ...vector(extensions, 2),
+  ];
+  const handshake = [1, ...uint(body.length, 3), ...body];
+  return new Uint8Array([0x16, 0x03, 0x01, ...vector(handshake, 2)]);
+}
+
+// Helper function to split a buffer of TLS records into complete records and the remainder
+function readRecords(buffer) {
+  const records = [];
+  let offset = 0;
+  while (buffer.length - offset >= 5) {
+    const length = (buffer[offset + 3] << 8) | buffer[offset + 4];
+    if (buffer.length - offset < 5 + length) break;
+    records.push({ type: buffer[offset], fragment: buffer.subarray(offset + 5, offset + 5 + length) });
+    offset += 5 + length;
+  }
+  return { records, rest: buffer.subarray(offset) };
+}
+
+// Helper function to read complete handshake messages: [{ type, body }] and the bytes consumed
+function readHandshakes(buffer) {
+  const messages = [];
+  let offset = 0;
+  while (buffer.length - offset >= 4) {
+    const length = (buffer[offset + 1] << 16) | (buffer[offset + 2] << 8) | buffer[offset + 3];
+    if (buffer.length - offset < 4 + length) break;
+    messages.push({ type: buffer[offset], body: buffer.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+  return { messages, consumed: offset };
+}
+
+// Helper function to append bytes to a buffer
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+// Read the server's certificate chain from a stream of TLS records:
+// { version, cipherSuite, certificates: [Uint8Array DER, leaf first] }
+export async function readServerCertificates(reader) {
+  let buffer = new Uint8Array(0);
+  let handshake = new Uint8Array(0);
+  const result = { version: null, cipherSuite: null, certificates: null };
+
+  while (!result.certificates) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error("Connection closed before the certificate was sent");
+    const { records, rest } = readRecords(concat(buffer, value));
+    buffer = rest;
+
+    for (const record of records) {
+      if (record.type === 0x15) {
+        const description = record.fragment[1];
+        throw new Error(`Server refused the TLS 1.2 handshake (alert ${ALERTS[description] || description})`);
+      }
+      if (record.type !== 0x16) continue;
+      handshake = concat(handshake, record.fragment);
+    }
+    if (handshake.length > TLS_MAX_HANDSHAKE) throw new Error("Handshake too large");
+
+    const { messages, consumed } = readHandshakes(handshake);
+    handshake = handshake.subarray(consumed);
+    for (const message of messages) {
+      if (message.type === 2) {
+        result.version = (message.body[0] << 8) | message.body[1];
+        const sessionIdLength = message.body[34];
+        result.cipherSuite = (message.body[35 + sessionIdLength] << 8) | message.body[36 + sessionIdLength];
+      } else if (message.type === 11) {
+        const certificates = [];
+        let offset = 3;
+        while (offset < message.body.length) {
+          const length = (message.body[offset] << 16) | (message.body[offset + 1] << 8) | message.body[offset + 2];
+          certificates.push(message.body.slice(offset + 3, offset + 3 + length));
+          offset += 3 + length;
+        }
+        result.certificates = certificates;
+      }
+    }
+  }
+  return result;
+}
+
+// --- X.509 ---
+
+// Helper function to read a DER element at `offset`: { tag, start, end } (content bounds)
+function readDER(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[start + i];
+    start += count;
+  }
+  if (start + length > bytes.length) throw new Error("Truncated DER element");
+  return { tag, start, end: start + length };
+}
+
+// Helper function to list the elements inside a constructed DER element
+function children(bytes, node) {
+  const items = [];
+  for (let offset = node.start; offset < node.end;) {
+    const child = readDER(bytes, offset);
+    items.push(child);
+    offset = child.end;
+  }
+  return items;
+}
+
+// Helper function to decode an OBJECT IDENTIFIER
+function readOID(bytes, node) {
+  const parts = [Math.floor(bytes[node.start] / 40), bytes[node.start] % 40];
+  let value = 0;
+  for (let i = node.start + 1; i < node.end; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join(".");
+}
+
+// Helper function to decode a string element (UTF8String, PrintableString, IA5String, BMPString...)
+function readString(bytes, node) {
+  const content = bytes.subarray(node.start, node.end);
+  if (node.tag === 0x1e) {
+    return String.fromCharCode(...Array.from({ length: content.length / 2 }, (_, i) => (content[2 * i] << 8) | content[2 * i + 1]));
+  }
+  return new TextDecoder().decode(content);
+}
+
+// Helper function to decode UTCTime/GeneralizedTime as an ISO 8601 string
+function readTime(bytes, node) {
+  const text = readString(bytes, node);
+  const digits = node.tag === 0x17 ? `${Number(text.slice(0, 2)) < 50 ? "20" : "19"}${text}` : text;
+  const [year, month, day, hour, minute, second] = [0, 4, 6, 8, 10, 12].map((at, i) => digits.slice(at, at + (i === 0 ? 4 : 2)));
+  return `${year}-${month}-${day}T${hour}:${minute}:${second || "00"}Z`;
+}
+
+// Helper function to read a distinguished name: { CN, O, C, ... } plus the whole name as text
+function readName(bytes, node) {
+  const fields = {};
+  const parts = [];
+  for (const set of children(bytes, node)) {
+    for (const attribute of children(bytes, set)) {
+      const [type, value] = children(bytes, attribute);
+      const oid = readOID(bytes, type);
+      const key = OIDS[oid] || oid;
+      const text = readString(bytes, value);
+      fields[key] = fields[key] ?? text;
+      parts.push(`${key}=${text}`);
+    }
+  }
+  return { ...fields, text: parts.join(", ") };
+}
+
+// Helper function to read the key type and size from a SubjectPublicKeyInfo
+function readPublicKey(bytes, node) {
+  const [algorithm, key] = children(bytes, node);
+  const [oid, parameters] = children(bytes, algorithm);
+  const type = OIDS[readOID(bytes, oid)] || readOID(bytes, oid);
+
+  if (type === "RSA") {
+    // BIT STRING (one byte of unused bits) wrapping SEQUENCE { modulus, exponent }
+    const sequence = readDER(bytes, key.start + 1);
+    const modulus = readDER(bytes, sequence.start);
+    let start = modulus.start;
+    while (start < modulus.end && bytes[start] === 0) start++;
+    return { type, bits: (modulus.end - start) * 8 };
+  }
+  if (type === "EC") {
+    const curve = parameters?.tag === 0x06 ? OIDS[readOID(bytes, parameters)] || readOID(bytes, parameters) : null;
+    const bits = { "P-256": 256, "P-384": 384, "P-521": 521 }[curve] || null;
+    return { type, curve, bits };
+  }
+  return { type, bits: type === "Ed25519" ? 256 : type === "Ed448" ? 456 : null };
+}
+
+// Helper function to read the DNS names and addresses of a subjectAltName extension
+function readSubjectAltNames(bytes, node) {
+  const names = [];
+  for (const name of children(bytes, readDER(bytes, node.start))) {
+    if (name.tag === 0x82) names.push(new TextDecoder().decode(bytes.subarray(name.start, name.end)));
+    if (name.tag === 0x87) names.push(bytesToIP(bytes.subarray(name.start, name.end)));
+  }
+  return names;
+}
+
+// Parse a DER certificate: { subject, issuer, serialNumber, notBefore, notAfter, sans,
+// publicKey: { type, bits, curve? }, signatureAlgorithm, selfSigned, fingerprint (SHA-256) }
+export async function parseCertificate(der) {
+  const certificate = readDER(der, 0);
+  const [tbs, signatureAlgorithm] = children(der, certificate);
+  const fields = children(der, tbs);
+  if (fields[0].tag === 0xa0) fields.shift();
+  const [serial, , issuer, validity, subject, publicKey, ...rest] = fields;
+
+  const [notBefore, notAfter] = children(der, validity);
+  const extensions = rest.find(node => node.tag === 0xa3);
+  let sans = [];
+  if (extensions) {
+    for (const extension of children(der, readDER(der, extensions.start))) {
+      const [oid, ...values] = children(der, extension);
+      if (OIDS[readOID(der, oid)] === "subjectAltName") sans = readSubjectAltNames(der, values[values.length - 1]);
+    }
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", der));
+  const subjectName = readName(der, subject);
+  const issuerName = readName(der, issuer);
+  const signatureOID = readOID(der, children(der, signatureAlgorithm)[0]);
+  return {
+    subject: subjectName,
+    issuer: issuerName,
+    serialNumber: Array.from(der.subarray(serial.start, serial.end), b => b.toString(16).padStart(2, "0")).join(":"),
+    notBefore: readTime(der, notBefore),
+    notAfter: readTime(der, notAfter),
+    sans,
+    publicKey: readPublicKey(der, publicKey),
+    signatureAlgorithm: OIDS[signatureOID] || signatureOID,
+    selfSigned: subjectName.text === issuerName.text,
+    fingerprint: Array.from(digest, b => b.toString(16).padStart(2, "0").toUpperCase()).join(":"),
+  };
+}
+
+// Helper function to time out a promise
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Fetch and parse the certificate a server presents for `hostname` with `connect` from
+// "cloudflare:sockets": { version, cipherSuite, chainLength, ...parseCertificate() }
+export async function fetchCertificate(connect, hostname, { port = 443, timeout = TLS_TIMEOUT_MS } = {}) {
+  const exchange = async () => {
+    const socket = connect({ hostname, port });
+    try {
+      const writer = socket.writable.getWriter();
+      await writer.write(buildClientHello(hostname));
+      const { version, cipherSuite, certificates } = await readServerCertificates(socket.readable.getReader());
+      if (certificates.length === 0) throw new Error("Server sent no certificate");
+      return {
+        version: version === 0x0303 ? "TLS 1.2" : `0x${version.toString(16)}`,
+        cipherSuite: `0x${cipherSuite.toString(16).padStart(4, "0")}`,
+        chainLength: certificates.length,
+        ...(await parseCertificate(certificates[0])),
+      };
+    } finally {
+      socket.close().catch(() => {});
+    }
+  };
+  return withTimeout(exchange(), timeout, `No TLS handshake with ${hostname} within ${timeout}ms`);
+}
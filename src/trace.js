@@ -0,0 +1,299 @@
+import { mapWithConcurrency } from "./bulk.js";
+import { queryDoH } from "./dns.js";
+import { TYPES, canonicalName, decodeMessage, encodeQuery } from "./dnswire.js";
+
+// Iterative delegation trace in the style of `dig +trace`: starting at the root servers, the
+// query is sent without recursion to the nameservers of each zone, following NS referrals down
+// to the zone that answers. Every zone cut is reported with its nameservers and glue, the
+// answer of each server asked, lame servers and NS sets that differ between parent and child.
+//
+// Queries go through a transport: { id, direct, query({ zone, server, name, type }) -> message }
+// where `server` is { name, address } and the message is decoded by decodeMessage(). A direct
+// transport reaches the nameservers themselves; createTCPTransport() does so over TCP port 53.
+// createDoHTransport() cannot, since nameservers do not speak DoH: it rebuilds each referral
+// from a recursive resolver, which shows the zone cuts but not lame servers or parent-side data.
+
+// Root servers (https://www.iana.org/domains/root/servers)
+export const ROOT_SERVERS = [
+  { name: "a.root-servers.net.", addresses: ["198.41.0.4", "2001:503:ba3e::2:30"] },
+  { name: "b.root-servers.net.", addresses: ["170.247.170.2", "2801:1b8:10::b"] },
+  { name: "c.root-servers.net.", addresses: ["192.33.4.12", "2001:500:2::c"] },
+  { name: "d.root-servers.net.", addresses: ["199.7.91.13", "2001:500:2d::d"] },
+  { name: "e.root-servers.net.", addresses: ["192.203.230.10", "2001:500:a8::e"] },
+  { name: "f.root-servers.net.", addresses: ["192.5.5.241", "2001:500:2f::f"] },
+  { name: "g.root-servers.net.", addresses: ["192.112.36.4", "2001:500:12::d0d"] },
+  { name: "h.root-servers.net.", addresses: ["198.97.190.53", "2001:500:1::53"] },
+  { name: "i.root-servers.net.", addresses: ["192.36.148.17", "2001:7fe::53"] },
+  { name: "j.root-servers.net.", addresses: ["192.58.128.30", "2001:503:c27::2:30"] },
+  { name: "k.root-servers.net.", addresses: ["193.0.14.129", "2001:7fd::1"] },
+  { name: "l.root-servers.net.", addresses: ["199.7.83.42", "2001:500:9f::42"] },
+  { name: "m.root-servers.net.", addresses: ["202.12.27.33", "2001:dc3::35"] },
+];
+
+// Zone cuts followed before giving up (guards against referral loops)
+const TRACE_MAX_STEPS = 12;
+
+// Servers asked per zone: a couple of root servers, more further down where lame ones matter.
+// Workers allow six open connections at once, so fewer than that run in parallel.
+const TRACE_ROOT_SERVERS = 2;
+const TRACE_MAX_SERVERS = 4;
+const TRACE_CONCURRENCY = 4;
+
+// Milliseconds a direct query may take
+const TRACE_TIMEOUT_MS = 3000;
+
+// Response codes meaning the server does not serve the zone
+const LAME_RCODES = ["REFUSED", "SERVFAIL", "NOTAUTH", "NOTIMP"];
+
+// Helper function to check whether `name` is `zone` or below it (both canonical)
+function isWithin(name, zone) {
+  return zone === "." || name === zone || name.endsWith("." + zone);
+}
+
+// Helper function to list the names between `zone` (exclusive) and `name` (inclusive), top-down:
+// ("www.example.com.", "com.") -> ["example.com.", "www.example.com."]
+function namesBelow(zone, name) {
+  const labels = name === "." ? [] : name.slice(0, -1).split(".");
+  const depth = zone === "." ? 0 : zone.slice(0, -1).split(".").length;
+  const names = [];
+  for (let i = labels.length - depth - 1; i >= 0; i--) names.push(labels.slice(i).join(".") + ".");
+  return names;
+}
+
+// Helper function to time out a promise
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Transport sending queries over TCP port 53 (RFC 7766) with `connect` from "cloudflare:sockets"
+export function createTCPTransport(connect, { timeout = TRACE_TIMEOUT_MS } = {}) {
+  async function exchange(address, query) {
+    const socket = connect({ hostname: address, port: 53 });
+    try {
+      const writer = socket.writable.getWriter();
+      const framed = new Uint8Array(query.length + 2);
+      framed[0] = query.length >> 8;
+      framed[1] = query.length & 0xff;
+      framed.set(query, 2);
+      await writer.write(framed);
+
+      // The answer is prefixed with its two-byte length and may arrive in several chunks
+      const reader = socket.readable.getReader();
+      let buffer = new Uint8Array(0);
+      while (buffer.length < 2 || buffer.length < 2 + ((buffer[0] << 8) | buffer[1])) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error("Connection closed before the answer was complete");
+        const grown = new Uint8Array(buffer.length + value.length);
+        grown.set(buffer);
+        grown.set(value, buffer.length);
+        buffer = grown;
+      }
+      return decodeMessage(buffer.subarray(2, 2 + ((buffer[0] << 8) | buffer[1])));
+    } finally {
+      socket.close().catch(() => {});
+    }
+  }
+
+  return {
+    id: "tcp",
+    direct: true,
+    query({ server, name, type }) {
+      const query = encodeQuery({ id: Math.floor(Math.random() * 0x10000), name, type, recursionDesired: false });
+      return withTimeout(exchange(server.address, query), timeout, `No answer from ${server.address} within ${timeout}ms`);
+    },
+  };
+}
+
+// Transport rebuilding each hop from a recursive DoH resolver. Options are passed to queryDoH.
+export function createDoHTransport(options = {}) {
+  const lookup = (name, type) => queryDoH(name, type, options);
+  return {
+    id: "doh",
+    direct: false,
+    async query({ zone, name, type }) {
+      // The first name below the zone with NS records of its own is the next zone cut
+      for (const candidate of namesBelow(zone, name)) {
+        const message = await lookup(candidate, "NS");
+        if (message.rcode === 3) return { ...message, flags: { ...message.flags, aa: true } };
+        const ns = message.answers.filter(r => r.type === TYPES.NS && canonicalName(r.name) === candidate);
+        if (ns.length === 0) continue;
+
+        // Glue for nameservers inside the child zone, as the parent would send it
+        const inBailiwick = ns.map(r => canonicalName(r.data)).filter(host => isWithin(host, candidate));
+        const glue = await Promise.all(inBailiwick.flatMap(host => ["A", "AAAA"].map(async (glueType) =>
+          (await lookup(host, glueType)).answers.filter(r => r.type === TYPES[glueType]))));
+        return { rcode: 0, status: "NOERROR", flags: { aa: false }, answers: [], authority: ns, additional: glue.flat() };
+      }
+
+      const message = await lookup(name, type);
+      return { ...message, flags: { ...message.flags, aa: true } };
+    },
+  };
+}
+
+// Helper function to read a referral from a response: { zone, nameservers: [{ name, addresses, glue }] }
+// or null. Only referrals to a zone below `zone` and above or at `name` count.
+function readReferral(message, zone, name) {
+  const ns = message.authority.filter(r => r.type === TYPES.NS);
+  const child = ns.length > 0 ? canonicalName(ns[0].name) : null;
+  if (!child || child === zone || !isWithin(child, zone) || !isWithin(name, child)) return null;
+
+  const nameservers = ns
+    .filter(r => canonicalName(r.name) === child)
+    .map(r => {
+      const host = canonicalName(r.data);
+      const addresses = message.additional
+        .filter(g => (g.type === TYPES.A || g.type === TYPES.AAAA) && canonicalName(g.name) === host)
+        .map(g => g.data);
+      return { name: host, addresses, glue: addresses.length > 0 };
+    });
+  return { zone: child, nameservers };
+}
+
+// Helper function to classify one server's response while tracing `name` in `zone`:
+// "referral", "answer", "nxdomain", "nodata" or "lame"
+function classifyResponse(message, zone, name) {
+  if (LAME_RCODES.includes(message.status)) return "lame";
+  if (message.flags.aa) {
+    if (message.rcode === 3) return "nxdomain";
+    return message.answers.length > 0 ? "answer" : "nodata";
+  }
+  if (message.rcode === 0 && readReferral(message, zone, name)) return "referral";
+  // Not authoritative and no referral down the tree: an upward referral or a cached answer
+  return "lame";
+}
+
+// Helper function to pick the address a direct transport should use (IPv4 first)
+function pickAddress(addresses) {
+  return addresses.find(a => !a.includes(":")) || addresses[0];
+}
+
+// Helper function to find addresses for nameservers that came without glue, through the resolver
+async function resolveNameservers(nameservers, resolve) {
+  return Promise.all(nameservers.map(async (ns) => {
+    if (ns.addresses.length > 0) return ns;
+    try {
+      const message = await resolve(ns.name, "A");
+      return { ...ns, addresses: message.answers.filter(r => r.type === TYPES.A).map(r => r.data) };
+    } catch (e) {
+      return ns;
+    }
+  }));
+}
+
+// Helper function to ask a zone's server for the zone's own NS set; empty when that fails
+async function fetchZoneNameservers(transport, zone, server) {
+  try {
+    const message = await transport.query({ zone, server, name: zone, type: "NS" });
+    return message.answers
+      .filter(r => r.type === TYPES.NS && canonicalName(r.name) === zone)
+      .map(r => canonicalName(r.data));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Trace the delegation of `name` from the root. Options: `transport` (createTCPTransport() or
+// createDoHTransport()) and `resolve(name, type)` for addresses of nameservers without glue.
+// Returns { name, type, transport, status, answers, steps, warnings }, where `status` is
+// "answer", "nxdomain", "nodata", "lame" (no server of a zone answered properly) or "error" and
+// every step is { zone, nameservers, childNameservers, mismatch, queries, referral }.
+export async function traceDelegation(name, type, options = {}) {
+  const { transport, resolve } = options;
+  const target = canonicalName(name);
+  const result = { name: target, type, transport: transport.id, status: "error", answers: [], steps: [], warnings: [] };
+
+  let zone = ".";
+  let nameservers = ROOT_SERVERS.map(ns => ({ ...ns, glue: true }));
+  const seen = new Set();
+
+  while (result.steps.length < TRACE_MAX_STEPS) {
+    if (seen.has(zone)) {
+      result.warnings.push(`Referral loop at ${zone}`);
+      return result;
+    }
+    seen.add(zone);
+
+    const step = { zone, nameservers, queries: [], referral: null };
+    result.steps.push(step);
+
+    // A recursive resolver stands in for every server, so one query per zone is enough
+    const servers = transport.direct
+      ? nameservers.filter(ns => ns.addresses.length > 0).slice(0, zone === "." ? TRACE_ROOT_SERVERS : TRACE_MAX_SERVERS)
+      : nameservers.slice(0, 1);
+    if (servers.length === 0) {
+      result.warnings.push(`No address found for any nameserver of ${zone}`);
+      return result;
+    }
+
+    step.queries = await mapWithConcurrency(servers, TRACE_CONCURRENCY, async (ns) => {
+      const server = { name: ns.name, address: pickAddress(ns.addresses) || null };
+      const started = Date.now();
+      try {
+        const message = await transport.query({ zone, server, name: target, type });
+        return { server: ns.name, address: server.address, status: message.status, aa: message.flags.aa,
+          latencyMs: Date.now() - started, outcome: classifyResponse(message, zone, target), message };
+      } catch (e) {
+        return { server: ns.name, address: server.address, latencyMs: Date.now() - started, outcome: "error", error: e.message };
+      }
+    });
+
+    for (const query of step.queries) {
+      if (query.outcome === "lame") {
+        const answer = LAME_RCODES.includes(query.status) ? query.status : `${query.status} without authority`;
+        result.warnings.push(`Lame delegation: ${query.server} (${query.address}) is listed for ${zone} but answered ${answer}`);
+      } else if (query.outcome === "error") {
+        result.warnings.push(`${query.server} (${query.address}) did not answer: ${query.error}`);
+      }
+    }
+
+    // The zone's own NS set, compared with what the parent delegated
+    const usable = step.queries.find(q => q.outcome !== "lame" && q.outcome !== "error");
+    if (usable && zone !== "." && transport.direct) {
+      const childNameservers = await fetchZoneNameservers(transport, zone, { name: usable.server, address: usable.address });
+      // An empty answer says nothing about the zone's NS set
+      if (childNameservers.length > 0) {
+        const parent = nameservers.map(ns => ns.name);
+        const parentOnly = parent.filter(ns => !childNameservers.includes(ns));
+        const childOnly = childNameservers.filter(ns => !parent.includes(ns));
+        step.childNameservers = childNameservers;
+        step.mismatch = parentOnly.length > 0 || childOnly.length > 0 ? { parentOnly, childOnly } : null;
+        if (step.mismatch) {
+          result.warnings.push(`NS mismatch at ${zone}: parent lists ${parent.join(", ")}; zone lists ${childNameservers.join(", ")}`);
+        }
+      }
+    }
+
+    // Raw messages are not part of the report
+    step.queries = step.queries.map(({ message, ...query }) => query);
+    if (!usable) {
+      result.status = step.queries.some(q => q.outcome === "lame") ? "lame" : "error";
+      return result;
+    }
+    if (usable.outcome !== "referral") {
+      result.status = usable.outcome;
+      result.answers = usable.message.answers;
+      return result;
+    }
+
+    const referral = readReferral(usable.message, zone, target);
+    step.referral = referral.zone;
+    for (const ns of referral.nameservers) {
+      if (!ns.glue && isWithin(ns.name, referral.zone)) {
+        result.warnings.push(`Missing glue: ${ns.name} is inside ${referral.zone} but the referral from ${zone} has no address for it`);
+      }
+    }
+
+    zone = referral.zone;
+    nameservers = await resolveNameservers(referral.nameservers, resolve);
+  }
+
+  result.warnings.push(`Gave up after ${TRACE_MAX_STEPS} zone cuts`);
+  return result;
+}
@@ -1,10 +1,36 @@
-import { getAssetFromKV } from "@cloudflare/kv-asset-handler";
+import { NotFoundError, getAssetFromKV } from "@cloudflare/kv-asset-handler";
+import { DEFAULT_INTEL_CACHE_TTL, createRequestCache, selectCacheStore } from "./cache.js";
+import { BULK_CONCURRENCY, bulkErrorRow, bulkRow, bulkTargetLimit, mapWithConcurrency, parseBulkTargets, resolveSubrequestLimit } from "./bulk.js";
+import { lookupBGP } from "./bgp.js";
+import { PTR_SWEEP_DEFAULT, analyzeNetwork, isNetworkQuery } from "./cidr.js";
+import { clientConfig, featureForPath, resolveFeatures } from "./config.js";
+import { performDNSLookups, performDNSQueries, queryDoH, queryNameFor, splitDNSResults } from "./dns.js";
+import { validateDNSSEC } from "./dnssec.js";
+import { typeCode } from "./dnswire.js";
+import { checkFCrDNS } from "./fcrdns.js";
+import { formatResponse, hasExplicitFormat, isCLIClient, negotiateFormat, responseHeaders } from "./format.js";
+import { checkDomainHealth } from "./health.js";
+import { inspectHTTP, targetURL } from "./http.js";
+import { intelSubrequests, lookupASNInfo, lookupIntel } from "./intel.js";
+import { IP_REGEX } from "./ip.js";
+import { DKIM_MAX_EXTRA_SELECTORS, DKIM_SELECTORS, checkMailSecurity } from "./mail.js";
+import { checkPropagation, parseResolverList } from "./propagation.js";
+import { createRateLimiter, identifyClient, selectRateStore } from "./ratelimit.js";
+import { lookupRDAP } from "./rdap.js";
+import { MAX_COMPARE_RESOLVERS, compareResolvers, resolveResolver, resolveResolverList } from "./resolvers.js";
+import { classifyAddress } from "./special.js";
+import { DEFAULT_CT_SEARCH_URL, discoverSubdomains } from "./subdomains.js";
+import { createDoHTransport, createTCPTransport, traceDelegation } from "./trace.js";
 
 // Constants
+// Record types queried by default
 const DNS_TYPES = ["A", "AAAA", "MX", "TXT", "NS", "CNAME", "SOA", "PTR"];
-// Comprehensive IPv4 and IPv6 regex pattern
-// Validates: standard IPv4, all IPv6 formats (full, compressed, loopback, IPv4-mapped, etc.)
-const IP_REGEX = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$|^::(?:[0-9a-fA-F]{1,4}:){0,6}[0-9a-fA-F]{1,4}$|^[0-9a-fA-F]{1,4}::(?:[0-9a-fA-F]{1,4}:){0,5}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){2}:(?:[0-9a-fA-F]{1,4}:){0,4}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){3}:(?:[0-9a-fA-F]{1,4}:){0,3}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){4}:(?:[0-9a-fA-F]{1,4}:){0,2}[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){5}:(?:[0-9a-fA-F]{1,4}:)?[0-9a-fA-F]{1,4}$|^(?:[0-9a-fA-F]{1,4}:){6}:[0-9a-fA-F]{1,4}$|^::(?:ffff:)?(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(?:[0-9a-fA-F]{1,4}:){6}(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^::$|^::1$/;
+// Every record type selectable via ?types=
+const SUPPORTED_DNS_TYPES = [
+  ...DNS_TYPES,
+  "CAA", "SRV", "DS", "DNSKEY", "RRSIG", "NSEC", "NSEC3", "NSEC3PARAM",
+  "TLSA", "HTTPS", "SVCB", "NAPTR", "SSHFP", "LOC", "SPF",
+];
 
 // Helper function to extract client IP from request headers
 function getClientIP(request) {
@@ -14,98 +40,267 @@ function getClientIP(request) {
          "Unknown";
 }
 
-// Helper function to convert IPv4 address to reverse DNS format
-function ipv4ToReverseDNS(ip) {
-  return ip.split('.').reverse().join('.') + '.in-addr.arpa';
+// Helper function to pick the first resolved address from A/AAAA answers (skipping CNAMEs)
+function firstResolvedIP(dns) {
+  const record = (dns.A || []).find(r => r.type === 1) || (dns.AAAA || []).find(r => r.type === 28);
+  return record?.data;
 }
 
-// Helper function to convert IPv6 address to reverse DNS format
-function ipv6ToReverseDNS(ip) {
-  // Remove colons and expand to full format
-  const expandedIP = ip.includes('::') ? expandIPv6(ip) : ip;
-  // Remove colons and reverse nibbles
-  const nibbles = expandedIP.replace(/:/g, '').split('').reverse().join('.');
-  return nibbles + '.ip6.arpa';
+// Helper function to parse ?types= ("MX,TXT", "all"); returns null if any type is unsupported
+function parseDNSTypes(param) {
+  if (!param) return DNS_TYPES;
+  if (param.toLowerCase() === "all") return SUPPORTED_DNS_TYPES;
+  const types = [...new Set(param.split(",").map(t => t.trim().toUpperCase()).filter(Boolean))];
+  return types.length > 0 && types.every(t => SUPPORTED_DNS_TYPES.includes(t)) ? types : null;
 }
 
-// Helper function to expand compressed IPv6 address
-function expandIPv6(ip) {
-  // Handle special cases
-  if (ip === '::') return '0000:0000:0000:0000:0000:0000:0000:0000';
-  if (ip === '::1') return '0000:0000:0000:0000:0000:0000:0000:0001';
-  
-  // Split on '::'
-  const sides = ip.split('::');
-  if (sides.length === 2) {
-    const left = sides[0] ? sides[0].split(':') : [];
-    const right = sides[1] ? sides[1].split(':') : [];
-    const missing = 8 - left.length - right.length;
-    const middle = Array(missing).fill('0000');
-    const full = [...left, ...middle, ...right];
-    return full.map(h => h.padStart(4, '0')).join(':');
+// Helper function to classify an address and look up its IP intelligence: { intel, classification, embedded? }.
+// Special-use addresses (bogons) are never sent to the providers, which know nothing about them.
+// The IPv4 address inside NAT64, 6to4, Teredo and IPv4-mapped addresses is analyzed as well, and
+// looked up too unless `lookupEmbedded` is false.
+async function analyzeAddress(ip, { env, cache, lookupEmbedded = true }) {
+  const { embedded, ...classification } = classifyAddress(ip);
+  const embeddedClassification = embedded && classifyAddress(embedded.ip);
+  const lookup = (address, known) => (known.bogon ? null : lookupIntel(address, { env, cache }));
+
+  const [intel, embeddedIntel] = await Promise.all([
+    lookup(ip, classification),
+    embedded && lookupEmbedded ? lookup(embedded.ip, embeddedClassification) : null,
+  ]);
+  const result = { intel, classification };
+  if (embedded) result.embedded = { ...embedded, classification: embeddedClassification, intel: embeddedIntel };
+  return result;
+}
+
+// Helper function to run the forward-confirmed reverse DNS check on a target's public addresses,
+// or return undefined when there are none (special-use addresses have no public PTR records)
+function checkTargetFCrDNS(target, addresses, dnsOptions) {
+  const routed = addresses.filter(ip => !classifyAddress(ip)?.bogon);
+  return routed.length > 0 ? checkFCrDNS(target, routed, dnsOptions) : undefined;
+}
+
+// Helper function to run the full analysis (DNS + IP intelligence) for an IP or domain.
+// Options: `resolver` ({ id, name, url } from resolveResolver()), `types` (record types to query),
+// `cache` (createRequestCache(), shared by the DNS and provider lookups), `env` (provider settings)
+// `fcrdns` (false to skip the forward-confirmed reverse DNS check) and `lookupEmbedded` (false to
+// skip the IP intelligence of an embedded IPv4 address).
+async function analyzeTarget(target, options = {}) {
+  const { resolver = resolveResolver(), types = DNS_TYPES, cache, env, fcrdns = true, lookupEmbedded = true } = options;
+  const dnsOptions = { endpoint: resolver.url, cache };
+
+  if (IP_REGEX.test(target)) {
+    // For IP, we can do all of it in parallel
+    const [queries, address, confirmation] = await Promise.all([
+      performDNSQueries(target, types, dnsOptions),
+      analyzeAddress(target, { env, cache, lookupEmbedded }),
+      fcrdns ? checkTargetFCrDNS(target, [target], dnsOptions) : undefined,
+    ]);
+    const { dns, details } = splitDNSResults(queries);
+    return { target, resolver, dns, dnsDetails: details, ...address, fcrdns: confirmation };
   }
-  
-  // No compression, just pad each segment
-  return ip.split(':').map(h => h.padStart(4, '0')).join(':');
+
+  // For domain, we need DNS first to find the IP
+  const { dns, details } = splitDNSResults(await performDNSQueries(target, types, dnsOptions));
+  // A/AAAA may not have been requested; look the address up separately in that case
+  const resolvedIp = firstResolvedIP(dns) ||
+    (!types.includes("A") ? firstResolvedIP(await performDNSLookups(target, ["A"], dnsOptions)) : undefined);
+  // Every A/AAAA record is checked for a PTR name pointing back to it
+  const addresses = [...(dns.A || []), ...(dns.AAAA || [])].filter(r => r.type === 1 || r.type === 28).map(r => r.data);
+  if (addresses.length === 0 && resolvedIp) addresses.push(resolvedIp);
+
+  // Without an address there is nothing to look up (lookupIntel reports that as an error)
+  const [address, confirmation] = await Promise.all([
+    resolvedIp ? analyzeAddress(resolvedIp, { env, cache, lookupEmbedded }) : lookupIntel(target, { env, cache }).then(intel => ({ intel })),
+    fcrdns ? checkTargetFCrDNS(target, addresses, dnsOptions) : undefined,
+  ]);
+  return { target, resolver, dns, dnsDetails: details, ...address, fcrdns: confirmation };
 }
 
-// Helper function to check if string is IPv4
-function isIPv4(str) {
-  return /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(str);
+// Helper function to look up an AS as /api/asn serves it. Routing data (prefixes, peers, exchange
+// points) comes from the BGP provider; its failure leaves the registry record usable and is
+// reported in `bgp.error`.
+async function lookupASNDetails(asn, { env, cache }) {
+  const [data, bgp] = await Promise.all([
+    lookupASNInfo(asn, { env, cache }),
+    lookupBGP(asn, { env, cache }),
+  ]);
+  return data.error ? data : { ...data, bgp };
 }
 
-// Helper function to check if string is IPv6
-function isIPv6(str) {
-  return str.includes(':') && !isIPv4(str) && IP_REGEX.test(str);
+// Helper function to load connect() from the Workers sockets API, or null outside Workers
+async function loadSocketConnect() {
+  try {
+    return (await import("cloudflare:sockets")).connect;
+  } catch (e) {
+    return null;
+  }
 }
 
-// Helper function to perform DNS lookups with special PTR handling
-async function performDNSLookups(target, dnsTypes) {
-  const results = {};
-  const isIp = IP_REGEX.test(target);
-  
-  await Promise.all(
-    dnsTypes.map(async (type) => {
-      try {
-        let queryName = target;
-        
-        // For PTR records, convert IP to reverse DNS format
-        if (type === "PTR") {
-          if (!isIp) {
-            // PTR only makes sense for IP addresses
-            results[type] = [];
-            return;
-          }
-          
-          if (isIPv4(target)) {
-            queryName = ipv4ToReverseDNS(target);
-          } else if (isIPv6(target)) {
-            queryName = ipv6ToReverseDNS(target);
-          }
-        } else if (isIp && (type === "A" || type === "AAAA" || type === "MX" || type === "CNAME" || type === "NS" || type === "SOA")) {
-          // Skip these record types for IP addresses (they don't make sense)
-          results[type] = [];
-          return;
-        }
-        
-        const res = await fetch(
-          `https://cloudflare-dns.com/dns-query?name=${queryName}&type=${type}`,
-          { headers: { accept: "application/dns-json" } }
-        );
-        if (!res.ok) {
-          results[type] = [];
-          return;
-        }
-        const data = await res.json();
-        results[type] = data.Answer || [];
-      } catch (e) {
-        results[type] = [];
+// Helper function to create the delegation trace transport: direct TCP through the Workers sockets
+// API unless `id` is "doh"; without the sockets API DoH stands in, or null when TCP was asked for
+async function createTraceTransport(id, dnsOptions) {
+  if (id === "doh") return createDoHTransport(dnsOptions);
+  const connect = await loadSocketConnect();
+  if (connect) return createTCPTransport(connect);
+  return id === "tcp" ? null : createDoHTransport(dnsOptions);
+}
+
+// Helper function to refuse HTTP inspection of hosts on special-use addresses (private networks,
+// loopback, link-local...), so the endpoint cannot reach into the network it runs in. Names are
+// resolved first; HTTP_ALLOW_PRIVATE = "true" lifts the check (local stubs in tests).
+function createHostGuard(env, dnsOptions) {
+  if (env.HTTP_ALLOW_PRIVATE === "true") return async () => {};
+  return async (hostname) => {
+    const addresses = IP_REGEX.test(hostname)
+      ? [hostname]
+      : (await performDNSLookups(hostname, ["A", "AAAA"], dnsOptions).then(dns => [...dns.A, ...dns.AAAA]))
+        .filter(r => r.type === 1 || r.type === 28).map(r => r.data);
+    if (addresses.some(ip => classifyAddress(ip)?.bogon)) {
+      const error = new Error(`${hostname} points to a special-use address`);
+      error.status = 403;
+      throw error;
+    }
+  };
+}
+
+// Single-field shortcuts in the style of ipinfo.io (`curl host/8.8.8.8/city`)
+const IPINFO_FIELDS = {
+  ip: (data) => data.intel?.ip || (IP_REGEX.test(data.target) ? data.target : firstResolvedIP(data.dns)),
+  hostname: (data) => data.dns.PTR?.[0]?.data?.replace(/\.$/, "") || data.intel?.hostname,
+  city: (data) => data.intel?.location?.city,
+  region: (data) => data.intel?.location?.region,
+  country: (data) => data.intel?.location?.countryCode,
+  loc: (data) => data.intel?.location?.latitude != null
+    ? `${data.intel.location.latitude},${data.intel.location.longitude}`
+    : undefined,
+  org: (data) => data.intel?.network?.asn ? `AS${data.intel.network.asn} ${data.intel.network.org}` : undefined,
+  postal: (data) => data.intel?.location?.postalCode,
+  timezone: (data) => data.intel?.location?.timezone,
+};
+
+// Fields that can follow a target in a path lookup, besides IPINFO_FIELDS
+const PATH_SECTIONS = ["json", "dns", "asn"];
+
+// Helper function to check if a path segment looks like an IP address or domain name
+function isLookupTarget(segment) {
+  return IP_REGEX.test(segment) ||
+    /^(?=.{1,253}\.?$)(?:[a-zA-Z0-9_](?:[a-zA-Z0-9_-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z][a-zA-Z0-9-]{0,62}\.?$/.test(segment);
+}
+
+// Handle path-style lookups: /<target>, /<target>/<field>, /<target>/dns/<TYPE> and /<field>
+// (the latter for the client's own IP). Returns null when the path is not a lookup.
+// `context` carries the request's resolver, cache, env and enabled features.
+async function handlePathLookup(segments, request, respond, context) {
+  const { resolver, cache, env, features } = context;
+  let target, rest;
+  if (segments.length > 0 && isLookupTarget(segments[0])) {
+    target = segments[0].replace(/\.$/, "");
+    rest = segments.slice(1);
+  } else if (segments.length > 0 && (IPINFO_FIELDS[segments[0]] || PATH_SECTIONS.includes(segments[0]))) {
+    target = getClientIP(request);
+    rest = segments;
+  } else {
+    return null;
+  }
+
+  const [field, subfield, ...extra] = rest;
+  if (extra.length > 0 || (subfield && field !== "dns")) return null;
+
+  // /<target>/asn serves what /api/asn does, so it follows the same switch
+  if (field === "asn" && !features.asn) {
+    return respond("error", { error: "featureDisabled", message: `${new URL(request.url).pathname} is disabled on this server` }, 404);
+  }
+
+  // DNS-only lookups skip the IP intelligence providers entirely
+  if (field === "dns") {
+    const types = parseDNSTypes(subfield);
+    if (!types) {
+      return respond("error", { error: "Unsupported record type", message: `Supported types: ${SUPPORTED_DNS_TYPES.join(", ")}` }, 400);
+    }
+    const dns = await performDNSLookups(target, types, { endpoint: resolver.url, cache });
+    return respond("dns", { target, resolver, dns });
+  }
+
+  const data = await analyzeTarget(target, { resolver, cache, env });
+
+  if (!field || field === "json") {
+    return respond("analyze", data);
+  }
+
+  if (field === "asn") {
+    if (!data.intel?.network?.asn) {
+      return respond("error", { error: "asnInfoError", message: `No ASN found for ${target}` }, 404);
+    }
+    const asnInfo = await lookupASNInfo(data.intel.network.asn, { env, cache });
+    if (asnInfo.error) {
+      return respond("error", { error: "asnInfoError", message: asnInfo.message }, 500);
+    }
+    return respond("asn", asnInfo);
+  }
+
+  if (!IPINFO_FIELDS[field]) return null;
+  const value = IPINFO_FIELDS[field](data);
+  if (value === undefined || value === null) {
+    return respond("error", { error: "fieldUnavailable", message: `No ${field} for ${target}` }, 404);
+  }
+  return respond("field", { [field]: value });
+}
+
+// Helper function to check whether a request counts against the rate limit: everything except
+// the HTML page served to browsers (static assets are answered before the limiter runs)
+function isRateLimited(request, url) {
+  if (url.pathname === "/") return isCLIClient(request) || hasExplicitFormat(request, url);
+  return true;
+}
+
+// Helper function to parse an asset manifest given as JSON text or as an object
+function parseManifest(value) {
+  try {
+    return (typeof value === "string" ? JSON.parse(value) : value) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+let siteManifest;
+
+// Helper function to load the Workers Sites asset manifest ({ "script.js": "script.<hash>.js" }).
+// Module workers get it as the "__STATIC_CONTENT_MANIFEST" module, not from env; it is imported
+// dynamically (like cloudflare:sockets) so the worker still loads outside Workers. A manifest in
+// env.__STATIC_CONTENT_MANIFEST (tests) takes precedence.
+async function loadSiteManifest(env) {
+  if (env.__STATIC_CONTENT_MANIFEST) return parseManifest(env.__STATIC_CONTENT_MANIFEST);
+  if (!siteManifest) {
+    siteManifest = import("__STATIC_CONTENT_MANIFEST").then(module => parseManifest(module.default), () => ({}));
+  }
+  return siteManifest;
+}
+
+// Helper function to serve a file from Workers Sites/KV, or null when there is no such asset
+async function serveAsset(request, env, ctx) {
+  if (!env.__STATIC_CONTENT) return null;
+  try {
+    return await getAssetFromKV(
+      {
+        request,
+        waitUntil(promise) {
+          return ctx.waitUntil(promise);
+        },
+      },
+      {
+        ASSET_NAMESPACE: env.__STATIC_CONTENT,
+        ASSET_MANIFEST: await loadSiteManifest(env),
       }
-    })
-  );
-  return results;
+    );
+  } catch (e) {
+    if (e instanceof NotFoundError) return null;
+    throw e;
+  }
 }
 
+// Durable Object class behind the RATE_LIMITER binding
+export { RateLimitCounter } from "./ratelimit.js";
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -114,7 +309,8 @@ export default {
     const corsHeaders = {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, X-API-Key",
+      "Access-Control-Expose-Headers": "X-Cache, Age, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After",
     };
 
     // Handle OPTIONS
@@ -122,98 +318,99 @@ export default {
       return new Response(null, { headers: corsHeaders });
     }
 
-    // Check if request is from curl or similar CLI tool
-    const userAgent = request.headers.get("User-Agent") || "";
-    const isCurl = userAgent.toLowerCase().includes("curl") || 
-                   userAgent.toLowerCase().includes("wget") || 
-                   userAgent.toLowerCase().includes("httpie");
+    // Static assets (/script.js) come first: they are not rate limited and never taken for path
+    // lookups. Paths without a file behind them fall through to the API and path lookups.
+    if (request.method === "GET" && url.pathname !== "/" && !url.pathname.startsWith("/api/")) {
+      const asset = await serveAsset(request, env, ctx);
+      if (asset) return asset;
+    }
+
+    // Content negotiation: ?format=, Accept header, or plain text for curl & co.
+    const format = negotiateFormat(request, url);
+    if (!format) {
+      return formatResponse("error", { error: "Invalid format", message: "Supported formats: json, text, yaml, csv, ndjson" }, "json", {
+        status: 400,
+        headers: corsHeaders,
+      });
+    }
+
+    // Rate limiting per client IP, or per X-API-Key for clients with a key
+    const client = await identifyClient(request, env, getClientIP(request));
+    if (!client) {
+      return formatResponse("error", { error: "Invalid API key" }, "json", { status: 401, headers: corsHeaders });
+    }
+    const limiter = createRateLimiter(selectRateStore(env), client);
+    if (isRateLimited(request, url) && !(await limiter.consume())) {
+      const rateHeaders = limiter.headers();
+      return formatResponse("error", {
+        error: "rateLimited",
+        message: `Rate limit of ${client.tier.requests} requests per ${client.tier.window}s exceeded; retry in ${rateHeaders["Retry-After"]}s`,
+      }, "json", { status: 429, headers: { ...corsHeaders, ...rateHeaders } });
+    }
+
+    // Cache for the DoH and IP intelligence lookups made while handling this request (?nocache=1 skips reads)
+    const cache = createRequestCache(selectCacheStore(env), {
+      bypass: url.searchParams.get("nocache") === "1",
+      waitUntil: (promise) => ctx.waitUntil(promise),
+      intelTTL: env.INTEL_CACHE_TTL !== undefined ? Number(env.INTEL_CACHE_TTL) : DEFAULT_INTEL_CACHE_TTL,
+    });
+
+    // Helper to send data in the negotiated format (X-Cache/Age reflect the lookups made so far)
+    const respond = (kind, data, status = 200) =>
+      formatResponse(kind, data, format, { status, headers: { ...corsHeaders, ...limiter.headers(), ...cache.headers() } });
+
+    // Upstream DoH resolver: ?resolver=cloudflare|google|quad9|<https URL>
+    const resolver = resolveResolver(url.searchParams.get("resolver"));
+    if (!resolver) {
+      return respond("error", { error: "Invalid resolver", message: "Use a known resolver name or an https:// DoH URL" }, 400);
+    }
+
+    // Optional features switched off with DISABLED_FEATURES answer as if they did not exist
+    const features = resolveFeatures(env.DISABLED_FEATURES);
+    const feature = featureForPath(url.pathname);
+    if (feature && !features[feature]) {
+      return respond("error", { error: "featureDisabled", message: `${url.pathname} is disabled on this server` }, 404);
+    }
 
     // Handle root path
     if (url.pathname === "/" && request.method === "GET") {
-      // For curl requests, return client IP info directly as JSON
-      if (isCurl) {
-        const target = getClientIP(request);
-
-        // 1. DNS Logic
-        const dnsPromise = performDNSLookups(target, DNS_TYPES);
-
-        // 2. ipapi.is Logic
-        const ipapiPromise = (async () => {
-          try {
-            const res = await fetch(`https://api.ipapi.is/?q=${target}`);
-            if (!res.ok) return { error: "ipapiError", message: "ipapi.is failed" };
-            return await res.json();
-          } catch (e) {
-            return { error: "ipapiError", message: e.message };
-          }
-        })();
-
-        // Execute parallel
-        const [dns, ipapi] = await Promise.all([dnsPromise, ipapiPromise]);
-
-        return new Response(JSON.stringify({ target, dns, ipapi }, null, 2), {
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
+      // For curl requests (or an explicit format), return client IP info directly
+      if (isCLIClient(request) || hasExplicitFormat(request, url)) {
+        const data = await analyzeTarget(getClientIP(request), { resolver, cache, env });
+        return respond("analyze", data);
       }
       
       // For browser requests, serve the HTML page using Workers Sites/KV
-      try {
-        return await getAssetFromKV(
-          {
-            request,
-            waitUntil(promise) {
-              return ctx.waitUntil(promise);
-            },
-          },
-          {
-            ASSET_NAMESPACE: env.__STATIC_CONTENT,
-            ASSET_MANIFEST: JSON.parse(env.__STATIC_CONTENT_MANIFEST || "{}"),
-          }
-        );
-      } catch (e) {
-        return new Response("Error loading page", { status: 500 });
-      }
+      const page = await serveAsset(request, env, ctx).catch(() => null);
+      return page || new Response("Error loading page", { status: 500 });
+    }
+
+    // Deployment settings for the frontend: API base URL, enabled features and providers
+    if (url.pathname === "/api/config" && request.method === "GET") {
+      return respond("config", clientConfig(env));
     }
 
     // API endpoint to get client's IP
     if (url.pathname === "/api/myip" && request.method === "GET") {
       const clientIP = getClientIP(request);
       
-      return new Response(JSON.stringify({ ip: clientIP }), {
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
+      return respond("myip", { ip: clientIP });
     }
 
     // API endpoint to get ASN info
     if (url.pathname === "/api/asn" && request.method === "GET") {
       const asn = url.searchParams.get("asn");
       if (!asn) {
-        return new Response(JSON.stringify({ error: "asn required" }), {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
+        return respond("error", { error: "asn required" }, 400);
       }
 
       const asnNumber = asn.replace(/\D/g, "");
 
-      try {
-        const res = await fetch(`https://api.ipapi.is/?q=AS${asnNumber}`);
-        if (!res.ok) {
-           return new Response(JSON.stringify({ error: "asnInfoError", message: "ipapi.is API failed" }), {
-             status: 500,
-             headers: { ...corsHeaders, "Content-Type": "application/json" },
-           });
-        }
-        const data = await res.json();
-        return new Response(JSON.stringify(data), {
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
-      } catch (e) {
-        return new Response(JSON.stringify({ error: "asnInfoError", message: e.message }), {
-          status: 500,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
+      const data = await lookupASNDetails(asnNumber, { env, cache });
+      if (data.error) {
+        return respond("error", { error: "asnInfoError", message: data.message }, 500);
       }
+      return respond("asn", data);
     }
 
     // Only allow GET /api/analyze
@@ -221,69 +418,336 @@ export default {
       const target = url.searchParams.get("target");
 
       if (!target) {
-        return new Response(JSON.stringify({ error: "target required" }), {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
+        return respond("error", { error: "target required" }, 400);
       }
 
-      // Basic validation
-      const isIpOrDomain = /^[a-zA-Z0-9.:-]+$/.test(target);
+      if (isNetworkQuery(target)) {
+        return respond("error", { error: "Invalid target format", message: "Networks and ranges are analyzed by /api/cidr" }, 400);
+      }
+
+      // Basic validation (underscores allow service names such as _443._tcp.example.com)
+      const isIpOrDomain = /^[a-zA-Z0-9._:-]+$/.test(target);
       if (!isIpOrDomain) {
-        return new Response(JSON.stringify({ error: "Invalid target format" }), {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        });
-      }
-
-      const isIp = IP_REGEX.test(target);
-      let dns, ipapi;
-
-      if (isIp) {
-        // For IP, we can do both in parallel
-        [dns, ipapi] = await Promise.all([
-          performDNSLookups(target, DNS_TYPES),
-          fetch(`https://api.ipapi.is/?q=${target}`)
-            .then(res => res.json())
-            .catch(e => ({ error: "ipapiError", message: e.message }))
-        ]);
-      } else {
-        // For domain, we need DNS first to find the IP
-        dns = await performDNSLookups(target, DNS_TYPES);
-
-        // Find first A or AAAA record
-        const resolvedIp = dns.A?.[0]?.data || dns.AAAA?.[0]?.data;
-        // If we found an IP, use it for ipapi.is. Otherwise, fallback to domain (though it won't give geo)
-        const ipapiTarget = resolvedIp || target;
-
-        ipapi = await fetch(`https://api.ipapi.is/?q=${ipapiTarget}`)
-          .then(res => res.json())
-          .catch(e => ({ error: "ipapiError", message: e.message }));
-      }
-
-      return new Response(JSON.stringify({ target, dns, ipapi }), {
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
+        return respond("error", { error: "Invalid target format" }, 400);
+      }
+
+      const types = parseDNSTypes(url.searchParams.get("types"));
+      if (!types) {
+        return respond("error", { error: "Unsupported record type", message: `Supported types: ${SUPPORTED_DNS_TYPES.join(", ")}` }, 400);
+      }
+
+      const data = await analyzeTarget(target, { resolver, types, cache, env });
+      // ?asn=1 adds the AS of the address, as /api/asn describes it (reports and exports)
+      const asn = (data.intel || data.embedded?.intel)?.network?.asn;
+      if (url.searchParams.get("asn") === "1" && asn && features.asn) {
+        data.asnDetails = await lookupASNDetails(asn, { env, cache });
+      }
+      return respond("analyze", data);
+    }
+
+    // API endpoint comparing the same query across several resolvers
+    if (url.pathname === "/api/dns/compare" && request.method === "GET") {
+      const name = url.searchParams.get("name");
+      const type = (url.searchParams.get("type") || (IP_REGEX.test(name || "") ? "PTR" : "A")).toUpperCase();
+
+      if (!name) {
+        return respond("error", { error: "name required" }, 400);
+      }
+      if (!/^[a-zA-Z0-9._:-]+$/.test(name)) {
+        return respond("error", { error: "Invalid name format" }, 400);
+      }
+      if (typeCode(type) === undefined) {
+        return respond("error", { error: "Unsupported record type" }, 400);
+      }
+
+      const resolvers = resolveResolverList(url.searchParams.get("resolvers"));
+      if (!resolvers) {
+        return respond("error", { error: "Invalid resolver", message: "Use known resolver names or https:// DoH URLs" }, 400);
+      }
+      if (resolvers.length > MAX_COMPARE_RESOLVERS) {
+        return respond("error", { error: "Too many resolvers", message: `Compare at most ${MAX_COMPARE_RESOLVERS} resolvers at once` }, 400);
+      }
+
+      return respond("compare", await compareResolvers(name, type, resolvers));
+    }
+
+    // API endpoint checking how far a record has propagated across public resolvers worldwide
+    if (url.pathname === "/api/propagation" && request.method === "GET") {
+      const name = url.searchParams.get("name");
+      const type = (url.searchParams.get("type") || (IP_REGEX.test(name || "") ? "PTR" : "A")).toUpperCase();
+
+      if (!name) {
+        return respond("error", { error: "name required" }, 400);
+      }
+      if (!isLookupTarget(name)) {
+        return respond("error", { error: "Invalid name format" }, 400);
+      }
+      if (typeCode(type) === undefined) {
+        return respond("error", { error: "Unsupported record type" }, 400);
+      }
+
+      // Optional comma-separated values every resolver should return once the change is live
+      const expect = (url.searchParams.get("expect") || "").split(",").map(s => s.trim()).filter(Boolean);
+      const resolvers = parseResolverList(env.PROPAGATION_RESOLVERS);
+      return respond("propagation", await checkPropagation(name, type, { resolvers, expect }));
+    }
+
+    // API endpoint validating the DNSSEC chain of trust for a domain
+    if (url.pathname === "/api/dnssec" && request.method === "GET") {
+      const domain = url.searchParams.get("domain");
+
+      if (!domain) {
+        return respond("error", { error: "domain required" }, 400);
+      }
+      if (!isLookupTarget(domain) || IP_REGEX.test(domain)) {
+        return respond("error", { error: "Invalid domain format" }, 400);
+      }
+
+      try {
+        return respond("dnssec", await validateDNSSEC(domain, { endpoint: resolver.url, cache }));
+      } catch (e) {
+        return respond("error", { error: "dnssecError", message: e.message }, 502);
+      }
+    }
+
+    // API endpoint grading the health of a domain's zone (SOA, nameservers, CNAMEs, wildcard, IPv6)
+    if (url.pathname === "/api/health" && request.method === "GET") {
+      const domain = url.searchParams.get("domain");
+
+      if (!domain) {
+        return respond("error", { error: "domain required" }, 400);
+      }
+      if (!isLookupTarget(domain) || IP_REGEX.test(domain)) {
+        return respond("error", { error: "Invalid domain format" }, 400);
+      }
+
+      // Serials are compared by asking each nameserver directly, which needs the TCP transport
+      const dnsOptions = { endpoint: resolver.url, cache };
+      const transport = await createTraceTransport(env.TRACE_TRANSPORT, dnsOptions);
+      try {
+        return respond("health", await checkDomainHealth(domain, { ...dnsOptions, env, transport, subrequests: resolveSubrequestLimit(env.SUBREQUEST_LIMIT) }));
+      } catch (e) {
+        return respond("error", { error: "healthCheckError", message: e.message }, e.status || 502);
+      }
+    }
+
+    // API endpoint inspecting a website: redirects, security headers, CDN and TLS certificate
+    if (url.pathname === "/api/http" && request.method === "GET") {
+      const target = url.searchParams.get("target");
+
+      if (!target) {
+        return respond("error", { error: "target required" }, 400);
+      }
+      // A domain, an address or a full http(s):// URL
+      const isURL = /^https?:\/\//i.test(target);
+      try {
+        targetURL(target);
+      } catch (e) {
+        return respond("error", { error: "Invalid target format" }, 400);
+      }
+      if (!isURL && !isLookupTarget(target)) {
+        return respond("error", { error: "Invalid target format", message: "Use a domain, an IP address or an http(s):// URL" }, 400);
+      }
+
+      const dnsOptions = { endpoint: resolver.url, cache };
+      try {
+        return respond("http", await inspectHTTP(target, {
+          connect: await loadSocketConnect(),
+          checkHost: createHostGuard(env, dnsOptions),
+        }));
+      } catch (e) {
+        return respond("error", { error: "httpInspectError", message: e.message }, e.status || 502);
+      }
+    }
+
+    // API endpoint discovering subdomains from certificate transparency logs
+    if (url.pathname === "/api/subdomains" && request.method === "GET") {
+      const domain = url.searchParams.get("domain");
+
+      if (!domain) {
+        return respond("error", { error: "domain required" }, 400);
+      }
+      if (!isLookupTarget(domain) || IP_REGEX.test(domain)) {
+        return respond("error", { error: "Invalid domain format" }, 400);
+      }
+
+      // CT_SEARCH_URL points at another crt.sh-compatible search (or a local stub in tests)
+      const baseUrl = env.CT_SEARCH_URL || DEFAULT_CT_SEARCH_URL;
+      const subrequests = resolveSubrequestLimit(env.SUBREQUEST_LIMIT);
+      try {
+        return respond("subdomains", await discoverSubdomains(domain, { baseUrl, endpoint: resolver.url, cache, env, subrequests }));
+      } catch (e) {
+        return respond("error", { error: "subdomainsError", message: e.message }, e.status || 502);
+      }
+    }
+
+    // API endpoint tracing the delegation of a name from the root servers (`dig +trace`)
+    if (url.pathname === "/api/trace" && request.method === "GET") {
+      const name = url.searchParams.get("name");
+      const isIp = IP_REGEX.test(name || "");
+      const type = (url.searchParams.get("type") || (isIp ? "PTR" : "A")).toUpperCase();
+
+      if (!name) {
+        return respond("error", { error: "name required" }, 400);
+      }
+      if (!isLookupTarget(name)) {
+        return respond("error", { error: "Invalid name format" }, 400);
+      }
+      if (typeCode(type) === undefined) {
+        return respond("error", { error: "Unsupported record type" }, 400);
+      }
+      const transportId = url.searchParams.get("transport") || env.TRACE_TRANSPORT;
+      if (transportId && !["tcp", "doh"].includes(transportId)) {
+        return respond("error", { error: "Invalid transport", message: "Use tcp or doh" }, 400);
+      }
+
+      const dnsOptions = { endpoint: resolver.url, cache };
+      const transport = await createTraceTransport(transportId, dnsOptions);
+      if (!transport) {
+        return respond("error", { error: "Transport unavailable", message: "Direct TCP queries are not supported here; use transport=doh" }, 501);
+      }
+
+      // Addresses are traced through their reverse DNS name
+      const traceName = isIp ? queryNameFor(name, "PTR") : name;
+      try {
+        const resolve = (host, hostType) => queryDoH(host, hostType, dnsOptions);
+        return respond("trace", await traceDelegation(traceName, type, { transport, resolve }));
+      } catch (e) {
+        return respond("error", { error: "traceError", message: e.message }, 502);
+      }
+    }
+
+    // API endpoint auditing SPF, DMARC, DKIM, MTA-STS, TLS-RPT and BIMI for a domain
+    if (url.pathname === "/api/mail" && request.method === "GET") {
+      const domain = url.searchParams.get("domain");
+
+      if (!domain) {
+        return respond("error", { error: "domain required" }, 400);
+      }
+      if (!isLookupTarget(domain) || IP_REGEX.test(domain)) {
+        return respond("error", { error: "Invalid domain format" }, 400);
+      }
+
+      // Extra DKIM selectors to try on top of the common ones: ?selectors=s2024,mailjet
+      const extraSelectors = [...new Set((url.searchParams.get("selectors") || "")
+        .split(",").map(s => s.trim().toLowerCase()).filter(Boolean))];
+      if (extraSelectors.length > DKIM_MAX_EXTRA_SELECTORS) {
+        return respond("error", { error: "Too many selectors", message: `At most ${DKIM_MAX_EXTRA_SELECTORS} extra selectors per request` }, 400);
+      }
+      if (extraSelectors.some(s => !/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/.test(s))) {
+        return respond("error", { error: "Invalid selector format" }, 400);
+      }
+      const selectors = [...new Set([...extraSelectors, ...DKIM_SELECTORS])];
+
+      try {
+        return respond("mail", await checkMailSecurity(domain, { endpoint: resolver.url, selectors, cache }));
+      } catch (e) {
+        return respond("error", { error: "mailCheckError", message: e.message }, 502);
+      }
+    }
+
+    // API endpoint with registration data (RDAP) for a domain, IP address/network or AS number
+    if (url.pathname === "/api/rdap" && request.method === "GET") {
+      const query = url.searchParams.get("q");
+
+      if (!query) {
+        return respond("error", { error: "q required" }, 400);
+      }
+
+      try {
+        return respond("rdap", await lookupRDAP(query, { cache }));
+      } catch (e) {
+        return respond("error", { error: "rdapError", message: e.message }, e.status || 502);
+      }
+    }
+
+    // API endpoint describing a CIDR network, netmask or address range (subnet calculator)
+    if (url.pathname === "/api/cidr" && request.method === "GET") {
+      const query = url.searchParams.get("q");
+
+      if (!query) {
+        return respond("error", { error: "q required" }, 400);
+      }
+
+      // ?ptr=1 samples PTR_SWEEP_DEFAULT addresses; ?ptr=N picks the sample size (capped in cidr.js)
+      const ptrParam = url.searchParams.get("ptr");
+      const ptr = !ptrParam || ptrParam === "0" ? 0 : ptrParam === "1" ? PTR_SWEEP_DEFAULT : Number(ptrParam);
+      if (!Number.isInteger(ptr) || ptr < 0) {
+        return respond("error", { error: "Invalid ptr", message: "Use ptr=1 or the number of addresses to sample" }, 400);
+      }
+
+      const data = await analyzeNetwork(query, { env, cache, endpoint: resolver.url, ptr });
+      if (!data) {
+        return respond("error", { error: "Invalid network", message: "Expected a CIDR network, an address with a netmask or a range (first-last)" }, 400);
+      }
+      return respond("cidr", data);
+    }
+
+    // API endpoint analyzing a list of targets (JSON array or one per line)
+    if (url.pathname === "/api/bulk" && request.method === "POST") {
+      let targets;
+      try {
+        targets = parseBulkTargets(await request.text(), request.headers.get("Content-Type") || "");
+      } catch (e) {
+        return respond("error", { error: "Invalid body", message: e.message }, 400);
+      }
+
+      if (targets.length === 0) {
+        return respond("error", { error: "targets required" }, 400);
+      }
+      // The per-request target limit depends on the tier (an API key raises it) and is capped by
+      // the subrequests one invocation may make
+      const budget = bulkTargetLimit(resolveSubrequestLimit(env.SUBREQUEST_LIMIT), intelSubrequests(env));
+      const maxTargets = Math.min(client.tier.bulkTargets, budget);
+      if (targets.length > maxTargets) {
+        const hint = client.tierName === "anonymous" && maxTargets < budget ? "; an API key raises the limit" : "";
+        return respond("error", { error: "Too many targets", message: `At most ${maxTargets} targets per request${hint}` }, 413);
+      }
+      // Each target counts as one request (the request itself was already charged)
+      if (targets.length > 1 && !(await limiter.consume(targets.length - 1))) {
+        const rateHeaders = limiter.headers();
+        return formatResponse("error", {
+          error: "rateLimited",
+          message: `${targets.length} targets exceed the remaining rate limit; retry in ${rateHeaders["Retry-After"]}s`,
+        }, "json", { status: 429, headers: { ...corsHeaders, ...rateHeaders } });
+      }
+
+      // DNS is limited to what the table needs: PTR for IPs, A/AAAA for domains; the table has no
+      // column for embedded IPv4 addresses, so they are not looked up
+      const analyze = async (target, index) => {
+        if (!isLookupTarget(target)) return bulkErrorRow(index, target, "Invalid target format");
+        try {
+          const types = IP_REGEX.test(target) ? ["PTR"] : ["A", "AAAA"];
+          return bulkRow(index, await analyzeTarget(target, { resolver, types, cache, env, fcrdns: false, lookupEmbedded: false }));
+        } catch (e) {
+          return bulkErrorRow(index, target, e.message);
+        }
+      };
+
+      // NDJSON is streamed: one line per target, in completion order
+      if (format === "ndjson") {
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        const encoder = new TextEncoder();
+        mapWithConcurrency(targets, BULK_CONCURRENCY, analyze, row => writer.write(encoder.encode(JSON.stringify(row) + "\n")))
+          .then(() => writer.close(), (e) => writer.abort(e));
+        return new Response(readable, { headers: responseHeaders(format, { ...corsHeaders, ...limiter.headers() }) });
+      }
+
+      const results = await mapWithConcurrency(targets, BULK_CONCURRENCY, analyze);
+      return respond("bulk", { count: results.length, results });
     }
 
-    // Serve static assets for other paths (like /script.js) using Workers Sites/KV
+    // Path-style lookups for CLI users (/1.1.1.1, /example.com/dns/MX, /ip)
     if (request.method === "GET") {
+      let segments;
       try {
-        return await getAssetFromKV(
-          {
-            request,
-            waitUntil(promise) {
-              return ctx.waitUntil(promise);
-            },
-          },
-          {
-            ASSET_NAMESPACE: env.__STATIC_CONTENT,
-            ASSET_MANIFEST: JSON.parse(env.__STATIC_CONTENT_MANIFEST || "{}"),
-          }
-        );
+        segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
       } catch (e) {
-        // Asset not found, fall through to 404
+        segments = [];
       }
+      const response = await handlePathLookup(segments, request, respond, { resolver, cache, env, features });
+      if (response) return response;
     }
 
     // 404 for other routes
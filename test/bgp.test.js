@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { lookupBGP, resolveBGPProvider } from "../src/bgp.js";
+
+// Helper function to build a fetcher answering JSON by URL prefix; other URLs answer 404
+function createFetcher(routes) {
+  const calls = [];
+  const fetcher = async (url) => {
+    calls.push(url);
+    const prefix = Object.keys(routes).find(p => url.startsWith(p));
+    if (!prefix) return new Response("not found", { status: 404 });
+    return Response.json(routes[prefix]);
+  };
+  return { fetcher, calls };
+}
+
+const fixture = {
+  64500: {
+    prefixes: [{ prefix: "192.0.2.0/24" }, { prefix: "192.0.2.0/24" }, { prefix: "192.0.2.128/25" }, { prefix: "2001:db8::/32" }],
+    peers: [
+      { asn: 64501, relation: "upstream", power: 2 },
+      { asn: "AS64502", relation: "upstream", power: 9 },
+      { asn: 64501, relation: "upstream", power: 2 },
+      { asn: 64500, relation: "peer" },
+      { asn: 64503, relation: "sideways" },
+    ],
+    ixps: [{ name: "PLIX" }, { name: "DE-CIX Frankfurt" }],
+  },
+};
+
+describe("resolveBGPProvider", () => {
+  it("falls back to RIPEstat for unknown providers", () => {
+    assert.equal(resolveBGPProvider(" BGPView "), "bgpview");
+    assert.equal(resolveBGPProvider("fixture"), "fixture");
+    assert.equal(resolveBGPProvider("routeviews"), "ripestat");
+    assert.equal(resolveBGPProvider(undefined), "ripestat");
+  });
+});
+
+describe("lookupBGP", () => {
+  it("deduplicates prefixes and peers and sorts peers by power", async () => {
+    const result = await lookupBGP("64500", { env: { BGP_PROVIDER: "fixture", BGP_FIXTURE: JSON.stringify(fixture) } });
+    assert.equal(result.source, "Fixture");
+    assert.deepEqual(result.prefixCounts, { ipv4: 2, ipv6: 1 });
+    assert.deepEqual(result.addresses, { ipv4: 256, ipv6: (2n ** 96n).toString() });
+    assert.deepEqual(result.peers.upstream.map(p => p.asn), [64502, 64501]);
+    assert.deepEqual(result.peers.uncertain.map(p => p.asn), [64503]);
+    assert.deepEqual(result.peers.peer, []);
+    assert.deepEqual(result.peerCounts, { upstream: 2, downstream: 0, peer: 0, uncertain: 1 });
+    assert.deepEqual(result.ixps.map(ix => ix.name), ["DE-CIX Frankfurt", "PLIX"]);
+    assert.equal(result.truncated, false);
+  });
+
+  it("reports ASes and fixtures the provider cannot answer", async () => {
+    const missing = await lookupBGP(64511, { env: { BGP_PROVIDER: "fixture", BGP_FIXTURE: fixture } });
+    assert.deepEqual(missing, { error: "bgpError", message: "Fixture has no routing data for AS64511", provider: "fixture" });
+    const broken = await lookupBGP(64500, { env: { BGP_PROVIDER: "fixture", BGP_FIXTURE: "{" } });
+    assert.equal(broken.message, "Fixture: BGP_FIXTURE is not valid JSON");
+  });
+
+  it("places RIPEstat neighbours and merges PeeringDB ports per exchange", async () => {
+    const { fetcher, calls } = createFetcher({
+      "https://stat.ripe.net/data/announced-prefixes/": { data: { prefixes: [{ prefix: "198.51.100.0/24" }] } },
+      "https://stat.ripe.net/data/asn-neighbours/": { data: { neighbours: [
+        { asn: 64501, type: "left", power: 5 },
+        { asn: 64502, type: "right", power: 1 },
+      ] } },
+      "https://www.peeringdb.com/api/netixlan": { data: [
+        { ix_id: 1, name: "PLIX", speed: 10000, ipaddr4: "192.0.2.10" },
+        { ix_id: 1, name: "PLIX", speed: 10000, ipaddr6: "2001:db8::10" },
+      ] },
+    });
+    const result = await lookupBGP(64500, { fetcher });
+    assert.equal(result.provider, "ripestat");
+    assert.deepEqual(result.peers.upstream.map(p => p.asn), [64501]);
+    assert.deepEqual(result.peers.downstream.map(p => p.asn), [64502]);
+    assert.deepEqual(result.ixps, [{ id: 1, name: "PLIX", speed: 20000, ipv4: ["192.0.2.10"], ipv6: ["2001:db8::10"] }]);
+    assert.ok(calls.every(url => !url.includes("stat.ripe.net") || url.includes("sourceapp=ip-api")));
+  });
+
+  it("keeps RIPEstat routes when PeeringDB fails and reports RIPEstat errors", async () => {
+    const { fetcher } = createFetcher({
+      "https://stat.ripe.net/data/announced-prefixes/": { data: { prefixes: [] } },
+      "https://stat.ripe.net/data/asn-neighbours/": { data: { neighbours: [] } },
+    });
+    assert.deepEqual((await lookupBGP(64500, { fetcher })).ixps, []);
+
+    const failing = await lookupBGP(64500, { fetcher: createFetcher({}).fetcher });
+    assert.deepEqual(failing, { error: "bgpError", message: "RIPEstat: HTTP 404", provider: "ripestat" });
+  });
+
+  it("lists BGPView neighbours once per relation and reports its errors", async () => {
+    const ok = data => ({ status: "ok", data });
+    const { fetcher } = createFetcher({
+      "https://api.bgpview.io/asn/64500/prefixes": ok({ ipv4_prefixes: [{ prefix: "203.0.113.0/24", name: "NET", country_code: "PL" }], ipv6_prefixes: [] }),
+      "https://api.bgpview.io/asn/64500/upstreams": ok({
+        ipv4_upstreams: [{ asn: 64501, description: "Transit", country_code: "DE" }],
+        ipv6_upstreams: [{ asn: 64501, description: "Transit", country_code: "DE" }],
+      }),
+      "https://api.bgpview.io/asn/64500/downstreams": ok({}),
+      "https://api.bgpview.io/asn/64500/peers": ok({ ipv6_peers: [{ asn: 64503, name: "PEER" }] }),
+      "https://api.bgpview.io/asn/64500/ixs": ok([{ ix_id: 7, name: "PLIX", name_full: "Polish Internet Exchange", city: "Warsaw", country_code: "PL", speed: 1000, ipv4_address: "192.0.2.1" }]),
+    });
+    const result = await lookupBGP(64500, { env: { BGP_PROVIDER: "bgpview" }, fetcher });
+    assert.deepEqual(result.peers.upstream, [{ asn: 64501, name: "Transit", country: "DE", power: undefined }]);
+    assert.deepEqual(result.peers.peer.map(p => p.name), ["PEER"]);
+    assert.deepEqual(result.prefixes.ipv4, [{ prefix: "203.0.113.0/24", name: "NET", description: undefined, country: "PL" }]);
+    assert.equal(result.ixps[0].name, "Polish Internet Exchange");
+
+    const { fetcher: limited } = createFetcher({ "https://api.bgpview.io/": { status: "error", status_message: "Rate limited" } });
+    assert.equal((await lookupBGP(64500, { env: { BGP_PROVIDER: "bgpview" }, fetcher: limited })).message, "BGPView: Rate limited");
+  });
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createMemoryStore, createRequestCache } from "../src/cache.js";
+import { queryDoH } from "../src/dns.js";
+import { decodeMessage, encodeMessage, fromBase64 } from "../src/dnswire.js";
+
+// A DoH server answering every query with `answers` and `authority`, counting requests
+function createServer({ rcode = 0, answers = [], authority = [] }) {
+  const server = { requests: 0 };
+  server.fetcher = async (url) => {
+    server.requests++;
+    const query = decodeMessage(fromBase64(new URL(url).searchParams.get("dns")));
+    const body = encodeMessage({ id: query.id, flags: { qr: true, rd: true, ra: true }, rcode, questions: query.questions, answers, authority });
+    return new Response(body, { headers: { "content-type": "application/dns-message" } });
+  };
+  return server;
+}
+
+describe("createRequestCache", () => {
+  it("stores values for their TTL and reports hits with their age", async () => {
+    const store = createMemoryStore();
+    let produced = 0;
+    const produce = async () => `value ${++produced}`;
+
+    const first = createRequestCache(store);
+    assert.deepEqual(await first.lookup("key", 60, produce), { value: "value 1", age: 0 });
+    assert.deepEqual(first.headers(), { "X-Cache": "MISS" });
+
+    const second = createRequestCache(store);
+    assert.equal((await second.lookup("key", 60, produce)).value, "value 1");
+    assert.deepEqual(second.headers(), { "X-Cache": "HIT", "Age": "0" });
+  });
+
+  it("does not store values with a TTL of 0 and skips reads when bypassed", async () => {
+    const store = createMemoryStore();
+    const cache = createRequestCache(store);
+    await cache.lookup("key", () => 0, async () => "uncached");
+    assert.equal(await store.get("key"), null);
+
+    await createRequestCache(store).lookup("key", 60, async () => "cached");
+    const bypass = createRequestCache(store, { bypass: true });
+    assert.equal((await bypass.lookup("key", 60, async () => "fresh")).value, "fresh");
+    assert.deepEqual(bypass.headers(), { "X-Cache": "BYPASS" });
+  });
+
+  it("falls back to the lookup when the store fails", async () => {
+    const store = { get: async () => { throw new Error("unavailable"); }, put: async () => {} };
+    assert.equal((await createRequestCache(store).lookup("key", 60, async () => "value")).value, "value");
+  });
+});
+
+describe("queryDoH caching", () => {
+  it("reuses an answer for its lowest TTL", async () => {
+    const server = createServer({ answers: [{ name: "example.com", type: 1, TTL: 120, data: "192.0.2.1" }] });
+    const store = createMemoryStore();
+    for (let i = 0; i < 2; i++) {
+      const message = await queryDoH("example.com", "A", { fetcher: server.fetcher, cache: createRequestCache(store) });
+      assert.equal(message.answers[0].data, "192.0.2.1");
+    }
+    assert.equal(server.requests, 1);
+  });
+
+  it("caches NXDOMAIN for the SOA negative TTL", async () => {
+    const server = createServer({
+      rcode: 3,
+      authority: [{ name: "example.com", type: 6, TTL: 900, data: "ns1.example.com. hostmaster.example.com. 1 7200 3600 1209600 300" }],
+    });
+    const store = createMemoryStore();
+    await queryDoH("missing.example.com", "A", { fetcher: server.fetcher, cache: createRequestCache(store) });
+    const entry = await store.get("dns:https://cloudflare-dns.com/dns-query|missing.example.com|A|");
+    assert.equal(Math.round((entry.expiresAt - entry.storedAt) / 1000), 300);
+  });
+
+  it("does not cache a negative answer whose SOA cannot be parsed", async () => {
+    const server = createServer({ rcode: 3, authority: [{ name: "example.com", type: 6, TTL: 900, rdata: new Uint8Array(0) }] });
+    const store = createMemoryStore();
+    for (let i = 0; i < 2; i++) {
+      const message = await queryDoH("missing.example.com", "A", { fetcher: server.fetcher, cache: createRequestCache(store) });
+      assert.equal(message.status, "NXDOMAIN");
+    }
+    assert.equal(server.requests, 2);
+  });
+});
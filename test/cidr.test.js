@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { countAddresses, describeNetwork, isNetworkQuery, parseNetworkQuery } from "../src/cidr.js";
+
+// Helper function to describe the network written as `query`
+const describeQuery = query => describeNetwork(parseNetworkQuery(query));
+
+describe("parseNetworkQuery", () => {
+  it("reads CIDR, netmask and range notation", () => {
+    assert.equal(parseNetworkQuery("192.0.2.0/24").prefixLength, 24);
+    assert.equal(parseNetworkQuery("192.0.2.0 255.255.255.0").prefixLength, 24);
+    assert.equal(parseNetworkQuery("192.0.2.0/255.255.254.0").prefixLength, 23);
+    const range = parseNetworkQuery("192.0.2.10 - 192.0.2.20");
+    assert.equal(range.kind, "range");
+    assert.equal(range.end - range.start, 10n);
+  });
+
+  it("rejects non-contiguous masks, reversed ranges and mixed families", () => {
+    assert.equal(parseNetworkQuery("192.0.2.0 255.0.255.0"), null);
+    assert.equal(parseNetworkQuery("192.0.2.20-192.0.2.10"), null);
+    assert.equal(parseNetworkQuery("192.0.2.1-2001:db8::1"), null);
+    assert.equal(parseNetworkQuery("example.com"), null);
+  });
+
+  it("tells networks from single addresses", () => {
+    assert.equal(isNetworkQuery("2001:db8::/32"), true);
+    assert.equal(isNetworkQuery("192.0.2.1"), false);
+  });
+});
+
+describe("describeNetwork", () => {
+  it("reserves the network and broadcast addresses of an IPv4 /24", () => {
+    const network = describeQuery("192.0.2.77/24");
+    assert.equal(network.cidr, "192.0.2.0/24");
+    assert.equal(network.hostBitsSet, true);
+    assert.equal(network.netmask, "255.255.255.0");
+    assert.equal(network.wildcard, "0.0.0.255");
+    assert.equal(network.broadcast, "192.0.2.255");
+    assert.equal(network.firstUsable, "192.0.2.1");
+    assert.equal(network.lastUsable, "192.0.2.254");
+    assert.equal(network.size, 256);
+    assert.equal(network.usable, 254);
+  });
+
+  it("uses both addresses of a /31 point-to-point link (RFC 3021)", () => {
+    const network = describeQuery("198.51.100.6/31");
+    assert.equal(network.broadcast, null);
+    assert.equal(network.firstUsable, "198.51.100.6");
+    assert.equal(network.lastUsable, "198.51.100.7");
+    assert.equal(network.usable, 2);
+  });
+
+  it("treats a /32 as a single usable host", () => {
+    const network = describeQuery("203.0.113.9/32");
+    assert.equal(network.netmask, "255.255.255.255");
+    assert.equal(network.broadcast, null);
+    assert.equal(network.firstUsable, "203.0.113.9");
+    assert.equal(network.lastUsable, "203.0.113.9");
+    assert.equal(network.usable, 1);
+  });
+
+  it("counts IPv6 sizes beyond 2^53 as decimal strings", () => {
+    const network = describeQuery("2001:db8::/32");
+    assert.equal(network.size, (2n ** 96n).toString());
+    assert.equal(network.broadcast, null);
+    assert.equal(network.netmask, undefined);
+  });
+
+  it("splits a range into the fewest CIDR blocks", () => {
+    const range = describeQuery("192.0.2.10-192.0.2.20");
+    assert.deepEqual(range.cidrs, ["192.0.2.10/31", "192.0.2.12/30", "192.0.2.16/30", "192.0.2.20/32"]);
+    assert.equal(range.cidrsTruncated, false);
+    assert.equal(range.usable, 11);
+    assert.deepEqual(describeQuery("10.0.0.0-10.255.255.255").cidrs, ["10.0.0.0/8"]);
+  });
+
+  it("cuts the block list of a long range short", () => {
+    const range = describeQuery("::1-ffff:ffff:ffff:ffff:ffff:ffff:ffff:fffe");
+    assert.equal(range.cidrs.length, 64);
+    assert.equal(range.cidrsTruncated, true);
+  });
+
+  it("classifies every block of a range", () => {
+    assert.equal(describeQuery("192.168.0.0/16").classification.bogon, true);
+    assert.equal(describeQuery("8.8.8.0-8.8.8.255").classification.global, true);
+  });
+});
+
+describe("countAddresses", () => {
+  it("counts overlapping prefixes once", () => {
+    assert.equal(countAddresses(["192.0.2.0/24", "192.0.2.128/25", "198.51.100.0/24"]), 512);
+    assert.equal(countAddresses(["10.0.0.0/8", "10.0.0.0/16", "11.0.0.0/8"]), 2 ** 25);
+  });
+
+  it("counts adjacent prefixes in full and skips invalid entries", () => {
+    assert.equal(countAddresses(["192.0.2.0/25", "192.0.2.128/25", "not a prefix", "192.0.2.1-192.0.2.9"]), 256);
+    assert.equal(countAddresses([]), 0);
+  });
+
+  it("returns IPv6 totals beyond 2^53 as decimal strings", () => {
+    assert.equal(countAddresses(["2001:db8::/32", "2001:db8:1::/48"]), (2n ** 96n).toString());
+  });
+});
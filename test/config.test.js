@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FEATURES, clientConfig, featureForPath, resolveAPIBase, resolveFeatures } from "../src/config.js";
+
+describe("resolveFeatures", () => {
+  it("enables every feature by default", () => {
+    assert.ok(Object.values(resolveFeatures(undefined)).every(Boolean));
+    assert.deepEqual(Object.keys(resolveFeatures("")), Object.keys(FEATURES));
+  });
+
+  it("switches off the listed features, ignoring case, spaces and unknown names", () => {
+    const features = resolveFeatures(" Subdomains, http,teleport ");
+    assert.equal(features.subdomains, false);
+    assert.equal(features.http, false);
+    assert.equal(features.asn, true);
+    assert.equal("teleport" in features, false);
+  });
+});
+
+describe("featureForPath", () => {
+  it("maps optional endpoints to their feature and leaves the core ones alone", () => {
+    assert.equal(featureForPath("/api/dns/compare"), "compare");
+    assert.equal(featureForPath("/api/asn"), "asn");
+    assert.equal(featureForPath("/api/analyze"), null);
+    assert.equal(featureForPath("/api/dns"), null);
+  });
+});
+
+describe("resolveAPIBase", () => {
+  it("accepts http(s) URLs without the trailing slash", () => {
+    assert.equal(resolveAPIBase("https://api.example/ "), "https://api.example");
+    assert.equal(resolveAPIBase("http://localhost:8787/v1/"), "http://localhost:8787/v1");
+  });
+
+  it("falls back to the same origin for anything else", () => {
+    assert.equal(resolveAPIBase(undefined), null);
+    assert.equal(resolveAPIBase("ftp://api.example"), null);
+    assert.equal(resolveAPIBase("api.example"), null);
+  });
+});
+
+describe("clientConfig", () => {
+  it("reports the API base, features and configured providers", () => {
+    const config = clientConfig({ API_BASE_URL: "https://api.example/", DISABLED_FEATURES: "trace", INTEL_PROVIDERS: "mmdb,ipapi" });
+    assert.equal(config.apiBase, "https://api.example");
+    assert.equal(config.features.trace, false);
+    assert.deepEqual(config.providers.intel.map(p => p.id), ["mmdb", "ipapi"]);
+    assert.equal(config.providers.resolvers.filter(r => r.default).length, 1);
+  });
+});
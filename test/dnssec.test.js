@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateDNSSEC } from "../src/dnssec.js";
+import { TYPES, encodeName } from "../src/dnswire.js";
+import { createKey, soaRData, trustAnchor } from "./helpers/dnssec.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+// A root zone signed with Ed25519: a KSK the trust anchor vouches for signs the DNSKEY RRset,
+// a ZSK signs the SOA. `zskFlags` and `kskFlags` override the DNSKEY flags.
+const now = 1_760_000_000;
+const validity = { inception: now - 3600, expiration: now + 30 * 86400 };
+
+// `extra` adds names to the zone; `sign(zsk, zone)` may add RRSIGs made with the ZSK.
+async function signedRoot({ kskFlags = 257, zskFlags = 256, soa = true, extra = {}, sign } = {}) {
+  const ksk = await createKey(".", kskFlags);
+  const zsk = await createKey(".", zskFlags);
+  const keys = [ksk.rdata, zsk.rdata];
+  const soaData = soaRData("a.root-servers.net.", "nstld.verisign-grs.com.");
+  const zone = {
+    ".": {
+      DNSKEY: keys.map(rdata => ({ rdata })),
+      RRSIG: [{ covers: "DNSKEY", rdata: await ksk.sign(".", TYPES.DNSKEY, keys, validity) }],
+    },
+    ...extra,
+  };
+  if (soa) {
+    zone["."].SOA = [{ rdata: soaData }];
+    zone["."].RRSIG.push({ covers: "SOA", rdata: await zsk.sign(".", TYPES.SOA, [soaData], validity) });
+  }
+  if (sign) await sign(zsk, zone);
+  const { fetcher } = createDoHStub(zone);
+  return { fetcher, now, trustAnchors: [await trustAnchor(".", ksk)] };
+}
+
+describe("validateDNSSEC", () => {
+  it("validates a signed zone as secure", async () => {
+    const result = await validateDNSSEC(".", await signedRoot());
+    assert.equal(result.status, "secure");
+    assert.equal(result.zones[0].status, "secure");
+    assert.equal(result.answer.status, "secure");
+  });
+
+  it("does not trust a key without the Zone Key flag", async () => {
+    const result = await validateDNSSEC(".", await signedRoot({ kskFlags: 1 }));
+    assert.equal(result.status, "bogus");
+    assert.deepEqual(result.zones[0].errors, ["No DNSKEY matches the DS records"]);
+  });
+
+  it("rejects signatures made with a revoked key", async () => {
+    const result = await validateDNSSEC(".", await signedRoot({ zskFlags: 256 | 0x80 }));
+    assert.equal(result.status, "bogus");
+    assert.equal(result.zones[0].status, "secure");
+    assert.equal(result.answer.status, "bogus");
+    assert.equal(result.answer.signatures[0].valid, false);
+    assert.match(result.answer.signatures[0].error, /revoked or not a zone key/);
+  });
+
+  it("reports a secure chain without the record as indeterminate", async () => {
+    const result = await validateDNSSEC(".", await signedRoot({ soa: false }));
+    assert.equal(result.zones[0].status, "secure");
+    assert.equal(result.answer.status, "nodata");
+    assert.equal(result.status, "indeterminate");
+  });
+
+  it("validates a signed CNAME in place of the A records of an alias", async () => {
+    const options = await signedRoot({
+      extra: { "www.": { CNAME: ["host."] }, "host.": { A: ["192.0.2.1"] } },
+      async sign(zsk, zone) {
+        zone["www."].RRSIG = [{ covers: "CNAME", rdata: await zsk.sign("www.", TYPES.CNAME, [encodeName("host.")], validity) }];
+      },
+    });
+    const result = await validateDNSSEC("www.", options);
+    assert.equal(result.answer.type, "CNAME");
+    assert.equal(result.answer.status, "secure");
+    assert.equal(result.status, "secure");
+  });
+
+  it("reports an unsigned delegation as insecure rather than as an error", async () => {
+    const options = await signedRoot({
+      extra: { "example.": { SOA: ["ns.example. hostmaster.example. 1 7200 3600 1209600 300"] } },
+    });
+    const result = await validateDNSSEC("example.", options);
+    assert.equal(result.status, "insecure");
+    assert.equal(result.zones[1].status, "insecure");
+    assert.deepEqual(result.zones[1].errors, []);
+    assert.deepEqual(result.zones[1].warnings, ["No DS records at the parent: delegation is unsigned"]);
+  });
+});
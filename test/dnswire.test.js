@@ -0,0 +1,172 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TYPES, canonicalRData, decodeMessage, encodeMessage, encodeQuery, fromHex, toHex } from "../src/dnswire.js";
+import { A_WITH_EDNS, MX_COMPRESSED, NXDOMAIN_WITH_SOA } from "./fixtures/packets.js";
+
+// toHex() writes uppercase; the fixtures are lowercase
+const hex = bytes => toHex(bytes).toLowerCase();
+
+describe("decodeMessage", () => {
+  it("reads header flags, a compressed owner name and EDNS", () => {
+    const message = decodeMessage(fromHex(A_WITH_EDNS));
+    assert.equal(message.id, 0x1234);
+    assert.deepEqual(message.flags, { qr: true, opcode: 0, aa: false, tc: false, rd: true, ra: true, ad: true, cd: false });
+    assert.equal(message.status, "NOERROR");
+    assert.deepEqual(message.questions, [{ name: "example.com.", type: TYPES.A, class: 1 }]);
+    assert.equal(message.answers.length, 1);
+    assert.equal(message.answers[0].name, "example.com.");
+    assert.equal(message.answers[0].TTL, 3600);
+    assert.equal(message.answers[0].data, "93.184.216.34");
+    assert.deepEqual(message.edns, { udpSize: 1232, extendedRcode: 0, version: 0, dnssecOK: true, options: [] });
+    assert.deepEqual(message.additional, []);
+  });
+
+  it("follows compression pointers inside RDATA", () => {
+    const [mx] = decodeMessage(fromHex(MX_COMPRESSED)).answers;
+    assert.equal(mx.data, "10 mail.example.com.");
+    assert.deepEqual(mx.fields, { preference: 10, exchange: "mail.example.com." });
+  });
+
+  it("reads NXDOMAIN with the SOA in the authority section and Extended DNS Errors", () => {
+    const message = decodeMessage(fromHex(NXDOMAIN_WITH_SOA));
+    assert.equal(message.rcode, 3);
+    assert.equal(message.status, "NXDOMAIN");
+    assert.deepEqual(message.answers, []);
+    const [soa] = message.authority;
+    assert.equal(soa.name, "example.com.");
+    assert.equal(soa.data, "ns.icann.org. noc.dns.icann.org. 2024081500 7200 3600 1209600 3600");
+    assert.deepEqual(message.edns.options, [{ code: 15, name: "EDE", infoCode: 0, extraText: "" }]);
+  });
+
+  it("combines the header rcode with the EDNS extended rcode", () => {
+    // BADVERS (16): header rcode 0, extended rcode 1 in the OPT TTL
+    const bytes = encodeMessage({ id: 7, flags: { qr: true }, edns: { udpSize: 1232, extendedRcode: 1 } });
+    const message = decodeMessage(bytes);
+    assert.equal(message.rcode, 16);
+    assert.equal(message.status, "BADVERS");
+  });
+
+  it("rejects truncated packets", () => {
+    const bytes = fromHex(A_WITH_EDNS);
+    assert.throws(() => decodeMessage(bytes.subarray(0, 11)), /too short/);
+    // Cut inside the question name, inside the answer's fixed fields and inside its RDATA
+    assert.throws(() => decodeMessage(bytes.subarray(0, 20)), /past end of message/);
+    assert.throws(() => decodeMessage(bytes.subarray(0, 36)), /Truncated resource record/);
+    assert.throws(() => decodeMessage(bytes.subarray(0, 44)), /RDATA extends past end/);
+  });
+
+  it("rejects compression pointer loops", () => {
+    // The question name is a pointer to itself
+    const bytes = fromHex("000081800001000000000000c00c00010001");
+    assert.throws(() => decodeMessage(bytes), /Compression pointer loop/);
+  });
+});
+
+describe("encodeMessage", () => {
+  it("encodes the fixture packets back to the same bytes", () => {
+    const message = decodeMessage(fromHex(MX_COMPRESSED));
+    const bytes = encodeMessage({ ...message, answers: message.answers.map(({ name, type, TTL, data }) => ({ name, type, TTL, data })) });
+    assert.equal(hex(bytes), MX_COMPRESSED);
+  });
+
+  it("builds queries with the RD, CD and DO bits", () => {
+    const message = decodeMessage(encodeQuery({ id: 42, name: "Example.COM", type: "DNSKEY", checkingDisabled: true, dnssecOK: true }));
+    assert.equal(message.id, 42);
+    assert.equal(message.flags.qr, false);
+    assert.equal(message.flags.rd, true);
+    assert.equal(message.flags.cd, true);
+    assert.deepEqual(message.questions, [{ name: "Example.COM.", type: TYPES.DNSKEY, class: 1 }]);
+    assert.equal(message.edns.dnssecOK, true);
+    assert.equal(message.edns.udpSize, 1232);
+  });
+
+  it("round-trips records through presentation format", () => {
+    const answers = [
+      { name: "example.com.", type: TYPES.SOA, TTL: 60, data: "ns.example.com. hostmaster.example.com. 1 7200 3600 1209600 300" },
+      { name: "example.com.", type: TYPES.TXT, TTL: 60, data: '"v=spf1 -all" "second \\"quoted\\" string"' },
+      { name: "example.com.", type: TYPES.CAA, TTL: 60, data: '0 issue "letsencrypt.org"' },
+      { name: "_sip._udp.example.com.", type: TYPES.SRV, TTL: 60, data: "10 5 5060 sip.example.com." },
+      { name: "example.com.", type: TYPES.AAAA, TTL: 60, data: "2001:db8::1" },
+    ];
+    const decoded = decodeMessage(encodeMessage({ flags: { qr: true }, answers })).answers;
+    assert.deepEqual(decoded.map(r => r.data), answers.map(r => r.data));
+  });
+});
+
+describe("record fields", () => {
+  // Helper function to decode one answer record, given as presentation `data` or raw `rdata`
+  const decodeRecord = record => decodeMessage(encodeMessage({ flags: { qr: true }, answers: [{ name: "example.com.", TTL: 60, ...record }] })).answers[0];
+
+  it("splits MX, SOA, NAPTR and CAA into their fields", () => {
+    assert.deepEqual(decodeRecord({ type: TYPES.MX, data: "10 mail.example.com." }).fields, { preference: 10, exchange: "mail.example.com." });
+    assert.deepEqual(decodeRecord({ type: TYPES.SOA, data: "ns.example.com. hostmaster.example.com. 2024010101 7200 3600 1209600 300" }).fields, {
+      mname: "ns.example.com.",
+      rname: "hostmaster.example.com.",
+      serial: 2024010101,
+      refresh: 7200,
+      retry: 3600,
+      expire: 1209600,
+      minimum: 300,
+    });
+    assert.deepEqual(decodeRecord({ type: TYPES.NAPTR, data: '100 10 "S" "SIP+D2U" "" _sip._udp.example.com.' }).fields, {
+      order: 100,
+      preference: 10,
+      flags: "S",
+      services: "SIP+D2U",
+      regexp: "",
+      replacement: "_sip._udp.example.com.",
+    });
+    assert.deepEqual(decodeRecord({ type: TYPES.CAA, data: '128 issue "letsencrypt.org"' }).fields, { flags: 128, tag: "issue", value: "letsencrypt.org" });
+  });
+
+  it("reads the SvcParams of HTTPS records", () => {
+    // priority 1, target ".", alpn=h2,h3 port=443 ipv4hint=192.0.2.1
+    const record = decodeRecord({ type: TYPES.HTTPS, rdata: fromHex("000100" + "00010006026832026833" + "0003000201bb" + "00040004c0000201") });
+    assert.deepEqual(record.fields, { priority: 1, target: ".", params: { alpn: ["h2", "h3"], port: 443, ipv4hint: ["192.0.2.1"] } });
+    assert.equal(record.data, "1 . alpn=h2,h3 port=443 ipv4hint=192.0.2.1");
+  });
+
+  it("names TLSA and SSHFP parameters", () => {
+    const tlsa = decodeRecord({ type: TYPES.TLSA, rdata: fromHex("030101" + "ab".repeat(32)) }).fields;
+    assert.deepEqual([tlsa.usageName, tlsa.selectorName, tlsa.matchingTypeName], ["DANE-EE", "SPKI", "SHA2-256"]);
+    assert.equal(tlsa.certificateData, "AB".repeat(32));
+    const sshfp = decodeRecord({ type: TYPES.SSHFP, rdata: fromHex("0402" + "cd".repeat(32)) }).fields;
+    assert.deepEqual([sshfp.algorithmName, sshfp.fingerprintTypeName], ["Ed25519", "SHA-256"]);
+  });
+
+  it("converts LOC coordinates to degrees", () => {
+    // RFC 1876 example: 42 21 54 N 71 06 18 W -24m 30m
+    const record = decodeRecord({ type: TYPES.LOC, rdata: fromHex("00331613" + "89172dd070be15f000988d20") });
+    assert.equal(record.data, "42 21 54.000 N 71 6 18.000 W -24.00m 30m 10000m 10m");
+    assert.equal(record.fields.latitude.hemisphere, "N");
+    assert.equal(record.fields.longitude.decimal, -71.105);
+    assert.equal(record.fields.altitude, -24);
+  });
+});
+
+describe("canonicalRData", () => {
+  // Records decoded from a message, as the DNSSEC validator receives them
+  const decode = records => decodeMessage(encodeMessage({ flags: { qr: true }, answers: records })).answers;
+
+  it("lowercases and decompresses names embedded in MX RDATA", () => {
+    const [mx] = decodeMessage(fromHex(MX_COMPRESSED)).answers;
+    assert.equal(hex(mx.rdata), "000a046d61696cc00c");
+    assert.equal(hex(canonicalRData(mx)), "000a046d61696c076578616d706c6503636f6d00");
+  });
+
+  it("lowercases the names in RP and NAPTR RDATA", () => {
+    const [rp, naptr] = decode([
+      { name: "example.com.", type: TYPES.RP, TTL: 60, rdata: fromHex("0541646d696e074578616d706c6503434f4d0003545854074578616d706c6503434f4d00") },
+      { name: "example.com.", type: TYPES.NAPTR, TTL: 60, rdata: fromHex("0064000a0155075349502b44325500045f534950045f554450074578616d706c6503434f4d00") },
+    ]);
+    assert.equal(rp.data, "Admin.Example.COM. TXT.Example.COM.");
+    assert.equal(hex(canonicalRData(rp)), "0561646d696e076578616d706c6503636f6d0003747874076578616d706c6503636f6d00");
+    assert.equal(naptr.data, '100 10 "U" "SIP+D2U" "" _SIP._UDP.Example.COM.');
+    assert.equal(hex(canonicalRData(naptr)), "0064000a0155075349502b44325500045f736970045f756470076578616d706c6503636f6d00");
+  });
+
+  it("keeps RDATA without names as received", () => {
+    const [a] = decodeMessage(fromHex(A_WITH_EDNS)).answers;
+    assert.equal(canonicalRData(a), a.rdata);
+  });
+});
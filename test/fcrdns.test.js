@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkAddressFCrDNS, checkFCrDNS } from "../src/fcrdns.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+const { fetcher } = createDoHStub({
+  "1.2.0.192.in-addr.arpa.": { PTR: ["mail.example.com."] },
+  "2.2.0.192.in-addr.arpa.": { PTR: ["forgotten.example.com."] },
+  "1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa.": { PTR: ["mail.example.com."] },
+  "mail.example.com.": { A: ["192.0.2.1"], AAAA: ["2001:db8:0:0:0:0:0:1"] },
+  "forgotten.example.com.": { A: ["192.0.2.99"] },
+  "example.com.": { A: ["192.0.2.1", "192.0.2.2"] },
+});
+
+describe("checkAddressFCrDNS", () => {
+  it("confirms a PTR name that resolves back to the address", async () => {
+    const result = await checkAddressFCrDNS("192.0.2.1", { fetcher });
+    assert.equal(result.status, "confirmed");
+    assert.deepEqual(result.names, [{ name: "mail.example.com", addresses: ["192.0.2.1"], confirmed: true }]);
+  });
+
+  it("compares IPv6 addresses whatever their text form", async () => {
+    const result = await checkAddressFCrDNS("2001:DB8::1", { fetcher });
+    assert.equal(result.ip, "2001:db8::1");
+    assert.equal(result.confirmed, true);
+  });
+
+  it("reports a PTR name pointing elsewhere as a mismatch", async () => {
+    const result = await checkAddressFCrDNS("192.0.2.2", { fetcher });
+    assert.equal(result.status, "mismatch");
+    assert.deepEqual(result.names[0].addresses, ["192.0.2.99"]);
+  });
+
+  it("reports an address without PTR records", async () => {
+    const result = await checkAddressFCrDNS("192.0.2.3", { fetcher });
+    assert.equal(result.status, "no-ptr");
+    assert.equal(result.confirmed, false);
+  });
+});
+
+describe("checkFCrDNS", () => {
+  it("passes a target only when every address is confirmed", async () => {
+    const result = await checkFCrDNS("example.com", ["192.0.2.1", "192.0.2.2", "192.0.2.1"], { fetcher });
+    assert.equal(result.confirmed, false);
+    assert.deepEqual(result.results.map(r => [r.ip, r.status]), [["192.0.2.1", "confirmed"], ["192.0.2.2", "mismatch"]]);
+    assert.equal(result.results[0].matchesTarget, false);
+  });
+
+  it("tells whether a confirmed name is the domain itself", async () => {
+    const result = await checkFCrDNS("mail.example.com.", ["192.0.2.1"], { fetcher });
+    assert.equal(result.confirmed, true);
+    assert.equal(result.results[0].matchesTarget, true);
+  });
+});
@@ -0,0 +1,21 @@
+// Networks of the test MaxMind DB files, shaped like GeoLite2-ASN and GeoLite2-City records
+
+export const ASN_NETWORKS = [
+  ["1.1.1.0/24", { autonomous_system_number: 13335, autonomous_system_organization: "CLOUDFLARENET" }],
+  ["104.16.0.0/13", { autonomous_system_number: 13335, autonomous_system_organization: "CLOUDFLARENET" }],
+  ["2606:4700::/32", { autonomous_system_number: 13335, autonomous_system_organization: "CLOUDFLARENET" }],
+  ["8.8.8.0/24", { autonomous_system_number: 15169, autonomous_system_organization: "GOOGLE" }],
+  ["2001:4860::/32", { autonomous_system_number: 15169, autonomous_system_organization: "GOOGLE" }],
+];
+
+export const CITY_NETWORKS = [
+  ["81.2.69.0/24", {
+    city: { geoname_id: 2643743, names: { en: "London" } },
+    country: { geoname_id: 2635167, iso_code: "GB", names: { en: "United Kingdom" }, is_in_european_union: false },
+    location: { latitude: 51.5142, longitude: -0.0931, time_zone: "Europe/London", accuracy_radius: 10 },
+  }],
+  ["2a02:cf40::/29", {
+    country: { geoname_id: 2921044, iso_code: "DE", names: { en: "Germany" }, is_in_european_union: true },
+    location: { latitude: 51.2993, longitude: 9.491, time_zone: "Europe/Berlin", accuracy_radius: 100 },
+  }],
+];
@@ -0,0 +1,19 @@
+// DNS response packets in wire format (hex), laid out byte for byte the way public DoH resolvers
+// answer: compression pointers where resolvers use them, EDNS OPT record last.
+
+// example.com A 93.184.216.34; QR RD RA AD set, EDNS with the DO bit, owner name compressed (c00c)
+export const A_WITH_EDNS =
+  "123481a00001000100000001076578616d706c6503636f6d0000010001c00c0001000100000e1000045db8d822" +
+  "00002904d0000080000000";
+
+// example.com MX 10 mail.example.com.; the exchange is "mail" plus a pointer to the question name
+export const MX_COMPRESSED =
+  "beef81800001000100000000076578616d706c6503636f6d00000f0001c00c000f00010000012c0009000a046d61" +
+  "696cc00c";
+
+// nope.example.com A: NXDOMAIN with the zone SOA in the authority section (owner c011 points into
+// the question) and an Extended DNS Error option (info code 0) in the OPT record
+export const NXDOMAIN_WITH_SOA =
+  "000181830001000000010001046e6f7065076578616d706c6503636f6d0000010001c0110006000100000e100035" +
+  "026e73056963616e6e036f726700036e6f6303646e73056963616e6e036f72670078a5085c00001c2000000e1000" +
+  "12750000000e1000002904d0000000000006000f00020000";
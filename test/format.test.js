@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { csvField, formatResponse, negotiateFormat, renderBody, toCSV, toYAML } from "../src/format.js";
+
+// Helper function to negotiate the format of a request to `path` with the given headers
+function negotiate(path, headers = {}) {
+  const request = new Request(`https://ip.example${path}`, { headers });
+  return negotiateFormat(request, new URL(request.url));
+}
+
+const dns = {
+  A: [{ name: "example.com", type: 1, TTL: 300, data: "192.0.2.1" }],
+  TXT: [{ name: "example.com", type: 16, TTL: 60, data: '"v=spf1 -all"' }],
+};
+
+describe("negotiateFormat", () => {
+  it("prefers ?format= over the Accept header", () => {
+    assert.equal(negotiate("/api/dns?format=yml", { Accept: "text/csv" }), "yaml");
+    assert.equal(negotiate("/api/dns?format=MD"), "markdown");
+    assert.equal(negotiate("/api/dns?format=jsonl"), "ndjson");
+  });
+
+  it("rejects an unknown ?format=", () => {
+    assert.equal(negotiate("/api/dns?format=xml"), null);
+  });
+
+  it("picks the accepted type with the highest quality", () => {
+    assert.equal(negotiate("/", { Accept: "text/plain;q=0.5, text/csv" }), "csv");
+    assert.equal(negotiate("/", { Accept: "text/markdown, application/yaml" }), "markdown");
+    assert.equal(negotiate("/", { Accept: "text/csv;q=0, image/png" }), "json");
+  });
+
+  it("answers CLI tools in plain text and browsers in JSON", () => {
+    assert.equal(negotiate("/", { "User-Agent": "curl/8.5.0" }), "text");
+    assert.equal(negotiate("/", { "User-Agent": "Wget/1.21" }), "text");
+    assert.equal(negotiate("/", { "User-Agent": "Mozilla/5.0", Accept: "text/html,*/*" }), "json");
+    assert.equal(negotiate("/", { "User-Agent": "curl/8.5.0", Accept: "application/json" }), "json");
+  });
+});
+
+describe("formatResponse", () => {
+  it("serves each format with its Content-Type and varies on the negotiation headers", () => {
+    const response = formatResponse("dns", { target: "example.com", dns }, "yaml", { status: 201, headers: { "X-Cache": "MISS" } });
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.get("Content-Type"), "application/yaml; charset=utf-8");
+    assert.equal(response.headers.get("Vary"), "Accept, User-Agent");
+    assert.equal(response.headers.get("X-Cache"), "MISS");
+    assert.equal(formatResponse("dns", {}, "json").headers.get("Content-Type"), "application/json");
+  });
+});
+
+describe("toYAML", () => {
+  it("nests objects and lists", () => {
+    assert.equal(toYAML({ target: "example.com", dns: { A: ["192.0.2.1", "192.0.2.2"] }, empty: [], none: {} }), [
+      "target: example.com",
+      "dns:",
+      "  A:",
+      "    - 192.0.2.1",
+      "    - 192.0.2.2",
+      "empty: []",
+      "none: {}",
+    ].join("\n"));
+    assert.equal(toYAML([{ name: "a", ttl: 60 }]), "- name: a\n  ttl: 60");
+  });
+
+  it("quotes strings that would read as another type or break the syntax", () => {
+    assert.equal(toYAML({ a: "true", b: "null", c: "1e3", d: "", e: "- item", f: "key: value", g: "line\nbreak" }), [
+      'a: "true"',
+      'b: "null"',
+      'c: "1e3"',
+      'd: ""',
+      'e: "- item"',
+      'f: "key: value"',
+      'g: "line\\nbreak"',
+    ].join("\n"));
+    assert.equal(toYAML({ n: 1, t: false, x: null }), "n: 1\nt: false\nx: null");
+  });
+
+  it("quotes dates and timestamps so they stay strings", () => {
+    assert.equal(toYAML({ registered: "1997-09-15", expires: "2028-09-14T04:00:00Z", seen: "2024-1-5 10:00:00" }), [
+      'registered: "1997-09-15"',
+      'expires: "2028-09-14T04:00:00Z"',
+      'seen: "2024-1-5 10:00:00"',
+    ].join("\n"));
+    assert.equal(toYAML({ serial: "2024-rc1" }), "serial: 2024-rc1");
+  });
+});
+
+describe("CSV", () => {
+  it("quotes fields holding separators, quotes or line breaks", () => {
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField("a,b"), '"a,b"');
+    assert.equal(csvField(null), "");
+    assert.equal(toCSV([["a", 1], ["b\nc", ""]]), 'a,1\r\n"b\nc",');
+  });
+
+  it("lists DNS answers one per row", () => {
+    assert.equal(renderBody("dns", { target: "example.com", dns }, "csv"), [
+      "type,name,ttl,data",
+      "A,example.com,300,192.0.2.1",
+      'TXT,example.com,60,"""v=spf1 -all"""',
+    ].join("\r\n") + "\n");
+  });
+
+  it("flattens other responses into dotted fields", () => {
+    assert.equal(renderBody("myip", { ip: "192.0.2.1", location: { country: "PL" }, tags: [] }, "csv"),
+      "field,value\r\nip,192.0.2.1\r\nlocation.country,PL\r\ntags,\n");
+  });
+});
+
+describe("Markdown", () => {
+  it("renders DNS answers as a table", () => {
+    assert.equal(renderBody("dns", { target: "example.com", dns: { TXT: [{ name: "example.com", type: 16, TTL: 60, data: "a|b" }] } }, "markdown"), [
+      "# DNS: example.com",
+      "",
+      "| Type | Name | TTL | Data |",
+      "|---|---|---|---|",
+      "| TXT | example.com | 60 | a\\|b |",
+    ].join("\n") + "\n");
+  });
+
+  it("wraps responses without a report layout in a code block", () => {
+    const body = renderBody("error", { error: "Invalid domain format" }, "markdown");
+    assert.match(body, /^```\n/);
+    assert.match(body, /Invalid domain format/);
+    assert.match(body, /\n```\n$/);
+  });
+});
+
+describe("plain text", () => {
+  it("renders DNS answers dig-style", () => {
+    assert.equal(renderBody("dns", { target: "example.com", dns: { A: dns.A } }, "text"), [
+      "; <<>> ip-api <<>> example.com",
+      ";; ANSWER SECTION:",
+      "example.com  300  IN  A  192.0.2.1",
+    ].join("\n") + "\n");
+  });
+
+  it("writes one JSON line per result for NDJSON", () => {
+    assert.equal(renderBody("bulk", { results: [{ target: "a" }, { target: "b" }] }, "ndjson"), '{"target":"a"}\n{"target":"b"}\n');
+  });
+});
+
+describe("analysis exports", () => {
+  const analysis = {
+    target: "8.8.8.8",
+    dns: { PTR: [{ name: "8.8.8.8.in-addr.arpa", type: 12, TTL: 3600, data: "dns.google." }] },
+    dnsDetails: { PTR: { status: "NOERROR" }, TXT: { status: "SERVFAIL" } },
+    intel: {
+      ip: "8.8.8.8",
+      location: { country: "United States", countryCode: "US" },
+      network: { asn: 15169, org: "Google LLC", route: "8.8.8.0/24" },
+      flags: { datacenter: true },
+      providers: [{ id: "ipapi", status: "ok" }, { id: "ipinfo", status: "error", error: "quota" }],
+    },
+    fcrdns: { confirmed: true, results: [{ ip: "8.8.8.8", names: [{ name: "dns.google", confirmed: true, addresses: ["8.8.8.8"] }] }] },
+    classification: { ranges: [], bogon: false, global: true },
+    asnDetails: {
+      asn: 15169,
+      org: "GOOGLE",
+      country: "US",
+      bgp: {
+        source: "RIPEstat",
+        prefixCounts: { ipv4: 2, ipv6: 1 },
+        addresses: { ipv4: 512 },
+        peers: { upstream: [{ asn: 3356, name: "LEVEL3" }], downstream: [], peer: [], uncertain: [] },
+        peerCounts: { upstream: 1, downstream: 0, peer: 0, uncertain: 0 },
+        ixps: [{ name: "DE-CIX Frankfurt", city: "Frankfurt", country: "DE" }],
+      },
+    },
+  };
+
+  it("builds the Markdown report with DNS, IP, FCrDNS and AS sections", () => {
+    const report = renderBody("analyze", analysis, "markdown");
+    assert.match(report, /^# ip-api report: 8\.8\.8\.8\n/);
+    assert.match(report, /\| PTR \| 8\.8\.8\.8\.in-addr\.arpa \| 3600 \| dns\.google\. \|/);
+    assert.match(report, /^- TXT: SERVFAIL$/m);
+    assert.match(report, /\| asn \| AS15169 \|/);
+    assert.match(report, /\| flags \| datacenter \|/);
+    assert.match(report, /\| sources \| ipapi, ipinfo \(quota\) \|/);
+    assert.match(report, /## Forward-confirmed reverse DNS: pass/);
+    assert.match(report, /## AS15169 GOOGLE/);
+    assert.match(report, /\| AS3356 \| LEVEL3 \| upstream \|/);
+    assert.match(report, /\| DE-CIX Frankfurt \| Frankfurt, DE \|/);
+  });
+
+  it("notes special-use addresses instead of their IP information", () => {
+    const report = renderBody("analyze", {
+      target: "10.0.0.1",
+      dns: {},
+      classification: { ranges: [{ cidr: "10.0.0.0/8", name: "Private network", rfc: "RFC 1918" }], bogon: true, global: false },
+    }, "markdown");
+    assert.match(report, /_No records found\._/);
+    assert.match(report, /_Special-use address, not looked up\._/);
+    assert.match(report, /\| range \| Private network \(10\.0\.0\.0\/8, RFC 1918\) \|/);
+  });
+
+  it("exports the DNS answers as CSV", () => {
+    assert.equal(renderBody("analyze", analysis, "csv"), "type,name,ttl,data\r\nPTR,8.8.8.8.in-addr.arpa,3600,dns.google.\n");
+  });
+});
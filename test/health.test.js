@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkDomainHealth, healthBudget } from "../src/health.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+// IP intelligence from local databases only, none of which is configured: no subrequests
+const env = { INTEL_PROVIDERS: "mmdb" };
+
+describe("checkDomainHealth", () => {
+  it("fails the apex-cname check when the apex is a CNAME", async () => {
+    const { fetcher } = createDoHStub({
+      "example.com.": { CNAME: ["example.herokudns.com."] },
+      "herokudns.com.": {},
+      "example.herokudns.com.": {
+        SOA: ["ns1.herokudns.com. hostmaster.herokudns.com. 1 7200 3600 1209600 300"],
+        NS: ["ns1.herokudns.com.", "ns2.herokudns.com."],
+      },
+    });
+    const report = await checkDomainHealth("example.com", { fetcher, env });
+    const check = report.checks.find(c => c.id === "apex-cname");
+    assert.equal(check.status, "fail");
+    assert.equal(check.message, "The apex is a CNAME to example.herokudns.com, which breaks its SOA, NS and MX records");
+    assert.equal(report.soa, null);
+    assert.deepEqual(report.checks.filter(c => c.status !== "skip"), [check]);
+    assert.equal(report.score, 0);
+  });
+
+  it("passes the apex-cname check for a zone apex", async () => {
+    const { fetcher } = createDoHStub({
+      "example.com.": {
+        SOA: ["ns1.example.com. hostmaster.example.com. 2024010101 7200 3600 1209600 300"],
+        NS: ["ns1.example.com.", "ns2.example.com."],
+        A: ["192.0.2.1"],
+      },
+      "ns1.example.com.": { A: ["192.0.2.53"] },
+      "ns2.example.com.": { A: ["198.51.100.53"] },
+    });
+    const report = await checkDomainHealth("example.com", { fetcher, env });
+    assert.equal(report.soa.serial, 2024010101);
+    assert.equal(report.checks.find(c => c.id === "apex-cname").status, "pass");
+    assert.equal(report.checks.find(c => c.id === "ns-count").status, "pass");
+  });
+
+  it("stays within the free-plan subrequest limit with the default providers", async () => {
+    const zone = {
+      "example.com.": {
+        SOA: ["ns1.example.com. hostmaster.example.com. 2024010101 7200 3600 1209600 300"],
+        NS: [],
+        A: ["192.0.2.1"],
+      },
+    };
+    for (let i = 1; i <= 8; i++) {
+      zone["example.com."].NS.push(`ns${i}.example.com.`);
+      zone[`ns${i}.example.com.`] = { A: [`8.8.4.${i}`] };
+    }
+    const { fetcher, calls } = createDoHStub(zone, async () => new Response("unavailable", { status: 503 }));
+    const previous = globalThis.fetch;
+    globalThis.fetch = fetcher;
+    try {
+      const report = await checkDomainHealth("example.com", { fetcher, env: {}, subrequests: 50 });
+      assert.equal(report.truncated, true);
+      assert.equal(report.nameservers.length, 8);
+      assert.match(report.checks.find(c => c.id === "dangling-cname").message, /among 12 common hosts/);
+      assert.ok(calls.length <= 50, `${calls.length} subrequests`);
+    } finally {
+      globalThis.fetch = previous;
+    }
+  });
+
+  it("shares the subrequest limit between the checks", async () => {
+    assert.deepEqual(healthBudget(1000, { nameservers: 8, direct: true, intelSubrequests: 5 }), { nameservers: 8, intel: 8, probes: 15 });
+    assert.deepEqual(healthBudget(50, { nameservers: 8, direct: false, intelSubrequests: 5 }), { nameservers: 8, intel: 1, probes: 12 });
+    assert.deepEqual(healthBudget(20, { nameservers: 8, direct: true, intelSubrequests: 5 }), { nameservers: 1, intel: 0, probes: 0 });
+  });
+
+  it("still rejects a name below the apex", async () => {
+    const { fetcher } = createDoHStub({ "www.example.com.": { A: ["192.0.2.1"] } });
+    await assert.rejects(checkDomainHealth("www.example.com", { fetcher, env }), { status: 422 });
+  });
+});
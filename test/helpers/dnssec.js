@@ -0,0 +1,67 @@
+import { computeKeyTag, encodeName, toHex } from "../../src/dnswire.js";
+
+// Ed25519 (algorithm 15) zone signing for DNSSEC tests, following RFC 4034 and RFC 8080
+
+const ALGORITHM = 15;
+const TTL = 300;
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+const u16 = value => Uint8Array.of(value >> 8, value & 0xff);
+const u32 = value => Uint8Array.of(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+
+function compare(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function labelCount(name) {
+  return name === "." ? 0 : name.replace(/\.$/, "").split(".").length;
+}
+
+// Canonical SOA RDATA
+export function soaRData(mname, rname, serial = 1) {
+  return concat([encodeName(mname), encodeName(rname), ...[serial, 7200, 3600, 1209600, 300].map(u32)]);
+}
+
+// Create a signing key: { rdata, keyTag, sign(owner, type, rdatas) } where `flags` are the DNSKEY
+// flags (257 KSK, 256 ZSK; add 0x80 for REVOKE) and sign() returns the RDATA of an RRSIG
+export async function createKey(zone, flags) {
+  const pair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  const rdata = concat([u16(flags), Uint8Array.of(3, ALGORITHM), publicKey]);
+  const keyTag = computeKeyTag(rdata);
+
+  async function sign(owner, typeCode, rdatas, { inception, expiration }) {
+    const header = concat([
+      u16(typeCode),
+      Uint8Array.of(ALGORITHM, labelCount(owner)),
+      u32(TTL),
+      u32(expiration),
+      u32(inception),
+      u16(keyTag),
+      encodeName(zone),
+    ]);
+    const records = [...rdatas].sort(compare).map(data => concat([encodeName(owner), u16(typeCode), u16(1), u32(TTL), u16(data.length), data]));
+    const signature = new Uint8Array(await crypto.subtle.sign({ name: "Ed25519" }, pair.privateKey, concat([header, ...records])));
+    return concat([header, signature]);
+  }
+
+  return { rdata, keyTag, sign };
+}
+
+// SHA-256 DS digest of a key, as a trust anchor entry
+export async function trustAnchor(zone, key) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", concat([encodeName(zone), key.rdata])));
+  return { keyTag: key.keyTag, algorithm: ALGORITHM, digestType: 2, digest: toHex(digest) };
+}
@@ -0,0 +1,54 @@
+import { TYPES, TYPE_NAMES, decodeMessage, encodeMessage, fromBase64 } from "../../src/dnswire.js";
+
+// Helper function to build an answer record from a zone entry
+function answer(name, type, record) {
+  return typeof record === "string"
+    ? { name, type, TTL: 300, data: record }
+    : { name, type, TTL: 300, rdata: record.rdata };
+}
+
+// A fetch() stand-in for RFC 8484 DoH GET requests, answering from `zone`:
+// { "example.com.": { A: ["192.0.2.1"], MX: ["10 mail.example.com."] } }. Records are presentation
+// strings or { rdata } byte arrays; RRSIG entries are { covers: "SOA", rdata } and come with the
+// answers of the type they cover. A CNAME is followed within the zone like a recursive resolver
+// would, with its own RRSIGs; names missing from the zone are NXDOMAIN. Requests that are not DoH go to `fallback`
+// (which throws by default). `calls` lists every URL.
+export function createDoHStub(zone, fallback) {
+  const calls = [];
+  const fetcher = async (input, init) => {
+    const url = new URL(typeof input === "string" ? input : input.url);
+    calls.push(url.toString());
+    if (!url.searchParams.has("dns")) {
+      if (fallback) return fallback(url, init);
+      throw new Error(`unexpected subrequest to ${url}`);
+    }
+
+    const query = decodeMessage(fromBase64(url.searchParams.get("dns")));
+    const question = query.questions[0];
+    const type = TYPE_NAMES[question.type];
+    const answers = [];
+    let name = question.name.toLowerCase();
+    for (let hops = 0; zone[name] && hops < 8; hops++) {
+      const records = zone[name];
+      if (records[type] || !records.CNAME) {
+        answers.push(...(records[type] || []).map(record => answer(name, question.type, record)));
+        answers.push(...(records.RRSIG || []).filter(sig => sig.covers === type).map(sig => answer(name, TYPES.RRSIG, sig)));
+        break;
+      }
+      answers.push({ name, type: 5, TTL: 300, data: records.CNAME[0] });
+      answers.push(...(records.RRSIG || []).filter(sig => sig.covers === "CNAME").map(sig => answer(name, TYPES.RRSIG, sig)));
+      name = records.CNAME[0].toLowerCase();
+    }
+
+    const body = encodeMessage({
+      id: query.id,
+      flags: { qr: true, rd: true, ra: true },
+      rcode: zone[question.name.toLowerCase()] ? 0 : 3,
+      questions: query.questions,
+      answers,
+      authority: [],
+    });
+    return new Response(body, { headers: { "content-type": "application/dns-message" } });
+  };
+  return { fetcher, calls };
+}
@@ -0,0 +1,145 @@
+import { ipToBytes } from "../../src/ip.js";
+
+// Writer for small MaxMind DB files (https://maxmind.github.io/MaxMind-DB/), enough to build test
+// fixtures: an IPv6 tree with IPv4 networks under ::/96 and ::ffff:0:0/96 aliased to them, as
+// GeoLite2 databases are laid out.
+
+const METADATA_MARKER = [0xab, 0xcd, 0xef, ...new TextEncoder().encode("MaxMind.com")];
+
+// Helper function to encode one data field; repeated strings become pointers when `strings` is given
+function encodeField(value, out, strings) {
+  const push = (type, size, body) => {
+    const extended = type > 7;
+    let control = (extended ? 0 : type) << 5;
+    let sizeBytes = [];
+    if (size < 29) {
+      control |= size;
+    } else if (size < 285) {
+      control |= 29;
+      sizeBytes = [size - 29];
+    } else {
+      control |= 30;
+      sizeBytes = [(size - 285) >> 8, (size - 285) & 0xff];
+    }
+    out.push(control);
+    if (extended) out.push(type - 7);
+    out.push(...sizeBytes, ...body);
+  };
+
+  if (typeof value === "string") {
+    if (strings?.has(value)) {
+      const pointer = strings.get(value);
+      out.push(0x20 | ((pointer >> 8) & 0x7), pointer & 0xff);
+      return;
+    }
+    strings?.set(value, out.length);
+    const bytes = [...new TextEncoder().encode(value)];
+    push(2, bytes.length, bytes);
+  } else if (typeof value === "boolean") {
+    push(14, value ? 1 : 0, []);
+  } else if (typeof value === "number" && !Number.isInteger(value)) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    push(3, 8, [...new Uint8Array(view.buffer)]);
+  } else if (typeof value === "number") {
+    const bytes = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+    push(value > 0xffffffff ? 9 : 6, bytes.length, bytes);
+  } else if (Array.isArray(value)) {
+    push(11, value.length, []);
+    for (const item of value) encodeField(item, out, strings);
+  } else {
+    const keys = Object.keys(value);
+    push(7, keys.length, []);
+    for (const key of keys) {
+      encodeField(key, out, strings);
+      encodeField(value[key], out, strings);
+    }
+  }
+}
+
+// Build a database from [cidr, data] entries. Options: recordSize (24, 28 or 32) and databaseType.
+export function writeMMDB(entries, { recordSize = 24, databaseType = "Test" } = {}) {
+  // Trie nodes are { 0: child, 1: child }; a child is a node or { leaf: data offset }
+  const root = {};
+  const data = [];
+  const strings = new Map();
+  for (const [cidr, value] of entries) {
+    const [ip, length] = cidr.split("/");
+    let bytes = ipToBytes(ip);
+    let prefixLength = Number(length);
+    if (bytes.length === 4) {
+      bytes = Uint8Array.from([...new Array(12).fill(0), ...bytes]);
+      prefixLength += 96;
+    }
+    const leaf = { leaf: data.length };
+    encodeField(value, data, strings);
+
+    let node = root;
+    for (let depth = 0; depth < prefixLength; depth++) {
+      const bit = (bytes[depth >> 3] >> (7 - (depth & 7))) & 1;
+      if (depth === prefixLength - 1) node[bit] = leaf;
+      else node = node[bit] = node[bit] && node[bit].leaf === undefined ? node[bit] : {};
+    }
+  }
+
+  // ::ffff:0:0/96 points at the ::/96 node
+  let ipv4 = root;
+  for (let i = 0; i < 96 && ipv4; i++) ipv4 = ipv4[0];
+  if (ipv4) {
+    let node = root;
+    for (let i = 0; i < 80; i++) node = node[0] = node[0] || {};
+    for (let i = 80; i < 95; i++) node = node[1] = node[1] || {};
+    node[1] = ipv4;
+  }
+
+  // Number the nodes breadth first
+  const nodes = [];
+  const ids = new Map();
+  for (const queue = [root]; queue.length > 0;) {
+    const node = queue.shift();
+    if (ids.has(node)) continue;
+    ids.set(node, nodes.length);
+    nodes.push(node);
+    for (const child of [node[0], node[1]]) {
+      if (child && child.leaf === undefined) queue.push(child);
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const nodeSize = recordSize / 4;
+  const tree = new Uint8Array(nodeCount * nodeSize);
+  const record = child => !child ? nodeCount : child.leaf !== undefined ? nodeCount + 16 + child.leaf : ids.get(child);
+  nodes.forEach((node, i) => {
+    const left = record(node[0]);
+    const right = record(node[1]);
+    const offset = i * nodeSize;
+    if (recordSize === 24) {
+      tree.set([left >> 16, (left >> 8) & 0xff, left & 0xff, right >> 16, (right >> 8) & 0xff, right & 0xff], offset);
+    } else if (recordSize === 28) {
+      tree.set([
+        (left >> 16) & 0xff, (left >> 8) & 0xff, left & 0xff,
+        ((left >> 24) << 4) | (right >> 24),
+        (right >> 16) & 0xff, (right >> 8) & 0xff, right & 0xff,
+      ], offset);
+    } else {
+      const view = new DataView(tree.buffer);
+      view.setUint32(offset, left);
+      view.setUint32(offset + 4, right);
+    }
+  });
+
+  const metadata = [];
+  encodeField({
+    node_count: nodeCount,
+    record_size: recordSize,
+    ip_version: 6,
+    database_type: databaseType,
+    languages: ["en"],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1700000000,
+    description: { en: "Test database" },
+  }, metadata);
+  return Uint8Array.from([...tree, ...new Array(16).fill(0), ...data, ...METADATA_MARKER, ...metadata]);
+}
@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkSecurityHeaders, fingerprint, inspectHTTP, targetURL } from "../src/http.js";
+
+// Helper function to grade `headers` served from `url`, as { header: status }
+function grade(headers, url = "https://example.com/") {
+  return Object.fromEntries(checkSecurityHeaders(new Headers(headers), new URL(url)).map(i => [i.header, i.status]));
+}
+
+// Helper function to build a fetcher answering by URL: [status, headers]; other URLs fail to connect
+function createSite(pages) {
+  const calls = [];
+  const fetcher = async (url, init) => {
+    calls.push(url);
+    assert.equal(init.redirect, "manual");
+    if (!pages[url]) throw new Error("connection refused");
+    const [status, headers = {}] = pages[url];
+    return new Response(null, { status, headers });
+  };
+  return { fetcher, calls };
+}
+
+const SECURE_HEADERS = {
+  "strict-transport-security": "max-age=31536000; includeSubDomains; preload",
+  "content-security-policy": "default-src 'self'; frame-ancestors 'none'",
+  "x-content-type-options": "nosniff",
+  "referrer-policy": "no-referrer",
+  "permissions-policy": "camera=()",
+};
+
+describe("checkSecurityHeaders", () => {
+  it("passes a page sending every security header", () => {
+    const items = checkSecurityHeaders(new Headers(SECURE_HEADERS), new URL("https://example.com/"));
+    assert.ok(items.every(i => i.status === "pass"), JSON.stringify(items));
+    assert.equal(items[0].message, "HSTS for 365 days (includesubdomains, preload)");
+    assert.equal(items.find(i => i.header === "x-frame-options").message, "Framing limited by CSP frame-ancestors");
+  });
+
+  it("grades weak HSTS and CSP policies", () => {
+    assert.equal(grade({ "strict-transport-security": "max-age=0" })["strict-transport-security"], "fail");
+    assert.equal(grade({ "strict-transport-security": "max-age=86400" })["strict-transport-security"], "warn");
+    assert.equal(grade({}, "http://example.com/")["strict-transport-security"], "fail");
+    assert.equal(grade({ "content-security-policy": "script-src 'self' 'unsafe-inline'" })["content-security-policy"], "warn");
+    assert.equal(grade({ "content-security-policy": "script-src 'unsafe-inline' 'nonce-abc'" })["content-security-policy"], "pass");
+    assert.equal(grade({ "content-security-policy": "img-src *" })["content-security-policy"], "warn");
+  });
+});
+
+describe("fingerprint", () => {
+  it("recognizes CDNs from their headers", () => {
+    const result = fingerprint(new Headers({ server: "cloudflare", "cf-ray": "8a1b2c3d4e5f-WAW", "x-powered-by": "Next.js" }));
+    assert.deepEqual(result, { server: "cloudflare", poweredBy: "Next.js", cdn: [{ id: "cloudflare", name: "Cloudflare" }] });
+    assert.deepEqual(fingerprint(new Headers({ server: "nginx" })).cdn, []);
+  });
+});
+
+describe("targetURL", () => {
+  it("fetches bare names and addresses over HTTPS", () => {
+    assert.equal(targetURL("example.com").toString(), "https://example.com/");
+    assert.equal(targetURL("2001:db8::1").toString(), "https://[2001:db8::1]/");
+    assert.equal(targetURL("http://example.com/path").toString(), "http://example.com/path");
+  });
+});
+
+describe("inspectHTTP", () => {
+  it("follows the redirect chain and checks the plain-HTTP upgrade", async () => {
+    const { fetcher } = createSite({
+      "https://example.com/": [301, { location: "https://www.example.com/" }],
+      "https://www.example.com/": [200, { ...SECURE_HEADERS, server: "nginx" }],
+      "http://example.com/": [308, { location: "https://example.com/" }],
+    });
+    const result = await inspectHTTP("example.com", { fetcher });
+    assert.equal(result.finalUrl, "https://www.example.com/");
+    assert.deepEqual(result.chain.map(hop => hop.status), [301, 200]);
+    assert.deepEqual(result.httpRedirect, { status: 308, location: "https://example.com/", upgrades: true });
+    assert.deepEqual(result.summary, { pass: 7, warn: 0, fail: 0 });
+    assert.equal(result.fingerprint.server, "nginx");
+    assert.match(result.certificate.error, /direct TCP connections/);
+  });
+
+  it("falls back to plain HTTP when HTTPS does not connect", async () => {
+    const { fetcher } = createSite({ "http://example.com/": [200] });
+    const result = await inspectHTTP("example.com", { fetcher });
+    assert.equal(result.finalUrl, "http://example.com/");
+    assert.equal(result.certificate, null);
+    assert.equal(result.security.find(i => i.header === "location").status, "fail");
+  });
+
+  it("stops at redirect loops and refused hosts", async () => {
+    const { fetcher } = createSite({
+      "https://a.example/": [302, { location: "https://b.example/" }],
+      "https://b.example/": [302, { location: "https://a.example/" }],
+    });
+    await assert.rejects(inspectHTTP("https://a.example/", { fetcher }), { status: 502, message: "Redirect loop at https://a.example/" });
+
+    const checkHost = async (host) => {
+      if (host === "b.example") throw Object.assign(new Error("b.example resolves to a private address"), { status: 400 });
+    };
+    await assert.rejects(inspectHTTP("https://a.example/", { fetcher, checkHost }), { status: 400 });
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { intelSubrequests, lookupASNInfo, lookupIntel, resolveProviders } from "../src/intel.js";
+
+// Helper function to build a fetcher answering each provider host from `answers`
+// ({ "api.ipapi.is": body or status }); other hosts fail the test
+function createProviders(answers) {
+  const calls = [];
+  const fetcher = async (url) => {
+    const { hostname } = new URL(url);
+    calls.push(hostname);
+    if (!(hostname in answers)) throw new Error(`unexpected subrequest to ${url}`);
+    const answer = answers[hostname];
+    return typeof answer === "number" ? new Response("", { status: answer }) : Response.json(answer);
+  };
+  return { fetcher, calls };
+}
+
+const ipinfoAnswer = {
+  ip: "8.8.8.8",
+  hostname: "dns.google",
+  country: "US",
+  city: "Mountain View",
+  loc: "37.4056,-122.0775",
+  org: "AS15169 Google LLC",
+};
+
+describe("resolveProviders", () => {
+  it("keeps the configured order and falls back to the default chain", () => {
+    assert.deepEqual(resolveProviders("RIPEstat, mmdb, nosuch"), ["ripestat", "mmdb"]);
+    assert.deepEqual(resolveProviders("nosuch"), ["ipapi", "ipinfo", "ripestat", "mmdb"]);
+  });
+
+  it("counts the subrequests of one lookup over the configured providers", () => {
+    assert.equal(intelSubrequests({}), 5);
+    assert.equal(intelSubrequests({ INTEL_PROVIDERS: "ripestat" }), 3);
+    assert.equal(intelSubrequests({ INTEL_PROVIDERS: "mmdb" }), 0);
+  });
+});
+
+describe("lookupIntel", () => {
+  it("moves on after a failing provider and stops once the essential fields are known", async () => {
+    const { fetcher, calls } = createProviders({ "api.ipapi.is": 429, "ipinfo.io": ipinfoAnswer });
+    const intel = await lookupIntel("8.8.8.8", { fetcher });
+    assert.deepEqual(calls, ["api.ipapi.is", "ipinfo.io"]);
+    assert.equal(intel.location.country, "United States");
+    assert.equal(intel.location.latitude, 37.4056);
+    assert.deepEqual(intel.network, { asn: 15169, org: "Google LLC" });
+    assert.equal(intel.sources["network.asn"], "ipinfo");
+    assert.deepEqual(intel.providers.map(p => [p.id, p.status]), [["ipapi", "error"], ["ipinfo", "ok"], ["ripestat", "skipped"], ["mmdb", "skipped"]]);
+    assert.equal(intel.providers[0].error, "HTTP 429");
+  });
+
+  it("keeps the first provider's values and fills the gaps from the next", async () => {
+    const { fetcher } = createProviders({
+      "api.ipapi.is": { ip: "8.8.8.8", location: { country: "United States", country_code: "US" }, asn: { asn: 15169, org: "GOOGLE" }, is_datacenter: true },
+      "ipinfo.io": ipinfoAnswer,
+    });
+    const intel = await lookupIntel("8.8.8.8", { fetcher });
+    assert.equal(intel.network.org, "GOOGLE");
+    assert.equal(intel.location.city, "Mountain View");
+    assert.equal(intel.flags.datacenter, true);
+    assert.equal(intel.sources["network.org"], "ipapi");
+    assert.equal(intel.sources["location.city"], "ipinfo");
+  });
+
+  it("reports every provider's error when none answers", async () => {
+    const { fetcher } = createProviders({ "ipinfo.io": 503 });
+    const intel = await lookupIntel("8.8.8.8", { fetcher, env: { INTEL_PROVIDERS: "ipinfo" } });
+    assert.equal(intel.error, "intelError");
+    assert.equal(intel.message, "ipinfo: HTTP 503");
+  });
+
+  it("refuses names that are not addresses without a subrequest", async () => {
+    const intel = await lookupIntel("example.com", { fetcher: createProviders({}).fetcher });
+    assert.equal(intel.error, "intelError");
+  });
+});
+
+describe("lookupASNInfo", () => {
+  it("skips ipinfo.io without a token", async () => {
+    const { fetcher, calls } = createProviders({ "api.ipapi.is": { asn: 15169, org: "GOOGLE", country: "us", prefixes: ["8.8.8.0/24"] } });
+    const info = await lookupASNInfo(15169, { fetcher, env: { INTEL_PROVIDERS: "ipinfo,ipapi" } });
+    assert.deepEqual(calls, ["api.ipapi.is"]);
+    assert.equal(info.country, "US");
+    assert.deepEqual(info.providers.map(p => [p.id, p.status]), [["ipinfo", "skipped"], ["ipapi", "ok"]]);
+  });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkMailSecurity } from "../src/mail.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+// Helper function to run the mail checks for example.com against a stubbed zone
+async function check(zone) {
+  const { fetcher } = createDoHStub(zone);
+  const result = await checkMailSecurity("example.com", { fetcher, selectors: [] });
+  return { ...result.spf, messages: result.findings.filter(f => f.category === "spf").map(f => `${f.severity}: ${f.message}`) };
+}
+
+describe("SPF", () => {
+  it("evaluates an include listed twice without calling it a loop", async () => {
+    const spf = await check({
+      "example.com.": { TXT: ['"v=spf1 include:_spf.example.net include:_spf.example.net -all"'] },
+      "_spf.example.net.": { TXT: ['"v=spf1 ip4:192.0.2.0/24 -all"'] },
+    });
+    assert.equal(spf.lookups, 2);
+    assert.equal(spf.tree.includes.length, 2);
+    assert.deepEqual(spf.messages.filter(m => m.startsWith("error")), []);
+  });
+
+  it("reports an include cycle as a permerror", async () => {
+    const spf = await check({
+      "example.com.": { TXT: ['"v=spf1 include:spf.example.org -all"'] },
+      "spf.example.org.": { TXT: ['"v=spf1 include:example.com ~all"'] },
+    });
+    assert.equal(spf.lookups, 2);
+    assert.ok(spf.messages.includes("error: include:example.com in spf.example.org loops back to a record being evaluated (permerror)"));
+  });
+
+  it("counts void lookups from a, mx, exists and include", async () => {
+    const spf = await check({
+      "example.com.": { TXT: ['"v=spf1 a:gone.example.com mx:web.example.com exists:%{i}.rbl.example.com include:web.example.com -all"'] },
+      "web.example.com.": { A: ["192.0.2.1"] },
+    });
+    // gone.example.com is NXDOMAIN, web.example.com has no MX and no TXT; the macro is not expanded
+    assert.equal(spf.lookups, 4);
+    assert.equal(spf.voidLookups, 3);
+    assert.ok(spf.messages.includes("error: 3 void lookups, over the limit of 2 (permerror)"));
+    assert.ok(spf.messages.includes("error: include:web.example.com in example.com has no SPF record (permerror)"));
+  });
+
+  it("treats an include target without SPF as a permerror even when it is not void", async () => {
+    const spf = await check({
+      "example.com.": { TXT: ['"v=spf1 include:other.example.com -all"'] },
+      "other.example.com.": { TXT: ['"google-site-verification=abc"'] },
+    });
+    assert.equal(spf.voidLookups, 0);
+    assert.ok(spf.messages.includes("error: include:other.example.com in example.com has no SPF record (permerror)"));
+  });
+});
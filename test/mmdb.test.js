@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { PROVIDERS } from "../src/intel.js";
+import { MMDB_MAX_BYTES, asnPrefixes, loadMMDB, openMMDB } from "../src/mmdb.js";
+import { ASN_NETWORKS, CITY_NETWORKS } from "./fixtures/mmdb.js";
+import { writeMMDB } from "./helpers/mmdb.js";
+
+const asnDB = writeMMDB(ASN_NETWORKS, { databaseType: "GeoLite2-ASN" });
+
+describe("openMMDB", () => {
+  for (const recordSize of [24, 28, 32]) {
+    it(`looks up IPv4 and IPv6 addresses with ${recordSize}-bit records`, () => {
+      const reader = openMMDB(writeMMDB(CITY_NETWORKS, { recordSize }));
+      assert.equal(reader.metadata.record_size, recordSize);
+
+      const london = reader.lookup("81.2.69.160");
+      assert.equal(london.network, "81.2.69.0/24");
+      assert.equal(london.prefixLength, 24);
+      assert.equal(london.data.city.names.en, "London");
+      assert.equal(london.data.location.latitude, 51.5142);
+      assert.equal(london.data.country.is_in_european_union, false);
+
+      const germany = reader.lookup("2a02:cf40::1");
+      assert.equal(germany.network, "2a02:cf40::/29");
+      assert.equal(germany.data.country.iso_code, "DE");
+
+      assert.equal(reader.lookup("192.0.2.1"), null);
+      assert.equal(reader.lookup("not an address"), null);
+    });
+  }
+
+  it("reads the metadata", () => {
+    const { metadata } = openMMDB(asnDB.buffer);
+    assert.equal(metadata.database_type, "GeoLite2-ASN");
+    assert.equal(metadata.ip_version, 6);
+    assert.deepEqual(metadata.languages, ["en"]);
+  });
+
+  it("lists every network once, IPv4 ones in dotted form", () => {
+    const reader = openMMDB(asnDB);
+    const networks = [...reader.networks()].map(n => n.network).sort();
+    assert.deepEqual(networks, ASN_NETWORKS.map(([cidr]) => cidr).sort());
+  });
+
+  it("rejects files without metadata", () => {
+    assert.throws(() => openMMDB(new Uint8Array(64)), /metadata marker not found/);
+  });
+});
+
+describe("asnPrefixes", () => {
+  it("collects the IPv4 and IPv6 prefixes of one AS", () => {
+    const reader = openMMDB(asnDB);
+    const entry = asnPrefixes(reader, 13335);
+    assert.equal(entry.org, "CLOUDFLARENET");
+    assert.deepEqual(entry.prefixes.sort(), ["1.1.1.0/24", "104.16.0.0/13"]);
+    assert.deepEqual(entry.prefixesIPv6, ["2606:4700::/32"]);
+    assert.equal(asnPrefixes(reader, 13335), entry);
+    assert.equal(asnPrefixes(reader, 64496), null);
+  });
+
+  it("walks the tree once per database, however many systems are asked for", () => {
+    const reader = openMMDB(asnDB);
+    let walks = 0;
+    const counted = { ...reader, networks: () => (walks++, reader.networks()) };
+    assert.equal(asnPrefixes(counted, 13335).org, "CLOUDFLARENET");
+    assert.deepEqual(asnPrefixes(counted, 15169).prefixes, ["8.8.8.0/24"]);
+    assert.equal(asnPrefixes(counted, 64496), null);
+    assert.equal(walks, 1);
+  });
+
+  it("answers the mmdb provider's AS lookups", async () => {
+    const env = { MMDB_KV: { get: async () => asnDB.buffer }, MMDB_ASN: "GeoLite2-ASN.mmdb" };
+    const result = await PROVIDERS.mmdb.lookupASN("15169", { env });
+    assert.deepEqual(result, { asn: 15169, org: "GOOGLE", prefixes: ["8.8.8.0/24"], prefixesIPv6: ["2001:4860::/32"] });
+  });
+});
+
+describe("loadMMDB", () => {
+  // Helper function to build an R2 bucket holding `files`
+  const bucket = files => ({
+    async get(key) {
+      const bytes = files[key];
+      if (!bytes) return null;
+      return {
+        size: bytes.size ?? bytes.byteLength,
+        body: { cancel: async () => {} },
+        arrayBuffer: async () => bytes.buffer,
+      };
+    },
+  });
+
+  it("opens a database from R2 or KV", async () => {
+    const fromR2 = await loadMMDB({ MMDB_BUCKET: bucket({ "asn.mmdb": asnDB }) }, "asn.mmdb");
+    assert.equal(fromR2.lookup("8.8.8.8").data.autonomous_system_number, 15169);
+
+    const namespace = { get: async key => (key === "kv-asn.mmdb" ? asnDB.buffer : null) };
+    const fromKV = await loadMMDB({ MMDB_KV: namespace }, "kv-asn.mmdb");
+    assert.equal(fromKV.lookup("1.1.1.1").data.autonomous_system_organization, "CLOUDFLARENET");
+
+    assert.equal(await loadMMDB({ MMDB_KV: namespace }, "missing.mmdb"), null);
+    assert.equal(await loadMMDB({}, "asn.mmdb"), null);
+  });
+
+  it("refuses files too large for the isolate's memory", async () => {
+    const huge = { size: MMDB_MAX_BYTES + 1, buffer: new ArrayBuffer(0) };
+    await assert.rejects(loadMMDB({ MMDB_BUCKET: bucket({ "city.mmdb": huge }) }, "city.mmdb"), /over the 80 MiB/);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { checkPropagation, parseResolverList } from "../src/propagation.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+// Resolvers in two regions: three have the new address cached, one the old, one is down
+const resolvers = parseResolverList([
+  { id: "new-1", url: "https://new-1.example/dns-query", region: "europe" },
+  { id: "new-2", url: "https://new-2.example/dns-query", region: "europe" },
+  { id: "new-3", url: "https://new-3.example/dns-query", region: "asia" },
+  { id: "old", url: "https://old.example/dns-query", region: "asia" },
+  { id: "down", url: "https://down.example/dns-query", region: "asia" },
+]);
+
+const updated = createDoHStub({ "www.example.com.": { A: ["192.0.2.2"] } }).fetcher;
+const stale = createDoHStub({ "www.example.com.": { A: ["192.0.2.1"] } }).fetcher;
+const fetcher = async (url, init) => {
+  const host = new URL(url).hostname;
+  if (host === "down.example") throw new Error("connection refused");
+  return (host === "old.example" ? stale : updated)(url, init);
+};
+
+describe("parseResolverList", () => {
+  it("drops unusable entries and falls back to the built-in list", () => {
+    const list = parseResolverList('[{"url":"ftp://x.example"},{"url":"https://doh.example/q","location":{"latitude":"52.2","longitude":21}}]');
+    assert.deepEqual(list, [{ id: "doh.example", name: "doh.example", url: "https://doh.example/q", region: "global", location: { city: null, country: null, latitude: 52.2, longitude: 21 } }]);
+    assert.ok(parseResolverList("not json").length > 10);
+  });
+});
+
+describe("checkPropagation", () => {
+  it("scores resolvers by agreement with the most common answer", async () => {
+    const result = await checkPropagation("www.example.com", "A", { resolvers, fetcher });
+    assert.equal(result.score, 75);
+    assert.equal(result.consistent, false);
+    assert.deepEqual(result.groups.map(g => [g.answers, g.count]), [[["192.0.2.2"], 3], [["192.0.2.1"], 1]]);
+    assert.deepEqual(result.regions.europe, { resolvers: 2, answered: 2, agreeing: 2, score: 100 });
+    assert.deepEqual(result.regions.asia, { resolvers: 3, answered: 2, agreeing: 1, score: 50 });
+    assert.equal(result.results.find(r => r.resolver.id === "down").error, "connection refused");
+  });
+
+  it("scores against the expected values when given", async () => {
+    const result = await checkPropagation("www.example.com", "A", { resolvers, fetcher, expect: ["192.0.2.1"] });
+    assert.deepEqual(result.expected, ["192.0.2.1"]);
+    assert.equal(result.score, 25);
+    assert.deepEqual(result.results.filter(r => r.consistent).map(r => r.resolver.id), ["old"]);
+  });
+
+  it("does not count NXDOMAIN as agreeing with an empty answer", async () => {
+    const empty = createDoHStub({ "www.example.com.": {} }).fetcher;
+    const missing = createDoHStub({}).fetcher;
+    const result = await checkPropagation("www.example.com", "A", {
+      resolvers: resolvers.slice(0, 2),
+      fetcher: (url, init) => (new URL(url).hostname === "new-1.example" ? empty : missing)(url, init),
+    });
+    assert.deepEqual(result.groups.map(g => g.status).sort(), ["NOERROR", "NXDOMAIN"]);
+    assert.equal(result.score, 50);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  RateLimitCounter,
+  createDurableObjectRateStore,
+  createKVRateStore,
+  createMemoryRateStore,
+  createRateLimiter,
+} from "../src/ratelimit.js";
+
+const client = { id: "ip:192.0.2.1", tierName: "anonymous", tier: { requests: 2, window: 60, bulkTargets: 20 } };
+
+// Helper function to build a Durable Object namespace whose objects live in memory and, like the
+// real ones, handle one request at a time
+function createNamespace() {
+  const objects = new Map();
+  return {
+    idFromName: name => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const data = new Map();
+        const storage = {
+          get: async key => data.get(key),
+          put: async (key, value) => void data.set(key, structuredClone(value)),
+          setAlarm: async () => {},
+          deleteAll: async () => data.clear(),
+        };
+        objects.set(id, { counter: new RateLimitCounter({ storage }), queue: Promise.resolve() });
+      }
+      const object = objects.get(id);
+      return {
+        fetch(url, init) {
+          const res = object.queue.then(() => object.counter.fetch(new Request(url, init)));
+          object.queue = res.catch(() => {});
+          return res;
+        },
+      };
+    },
+  };
+}
+
+describe("createRateLimiter", () => {
+  it("keeps limiting when the store fails to write", async () => {
+    const failing = createKVRateStore({
+      get: async () => null,
+      put: async () => { throw new Error("KV PUT failed: 429 Too Many Requests"); },
+    });
+    const fallback = createMemoryRateStore();
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await createRateLimiter(failing, client, fallback).consume());
+    }
+    assert.deepEqual(results, [true, true, false]);
+  });
+
+  it("counts every hit exactly in the Durable Object store", async () => {
+    const store = createDurableObjectRateStore(createNamespace());
+    const results = await Promise.all(Array.from({ length: 4 }, () => createRateLimiter(store, client).consume()));
+    assert.deepEqual(results.sort(), [false, false, true, true]);
+
+    const limiter = createRateLimiter(store, { ...client, id: "ip:192.0.2.2" });
+    assert.equal(await limiter.consume(2), true);
+    assert.equal(limiter.headers()["RateLimit-Remaining"], "0");
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { findRDAPServer, lookupRDAP, parseRDAPQuery } from "../src/rdap.js";
+
+// Bootstrap registries (RFC 9224) with one or two services each
+const BOOTSTRAP = {
+  "https://data.iana.org/rdap/dns.json": {
+    services: [
+      [["com", "net"], ["http://rdap.verisign.com/com/v1/", "https://rdap.verisign.com/com/v1/"]],
+      [["co.uk"], ["https://rdap.example-registry.uk"]],
+      [["uk"], ["https://rdap.nominet.uk/uk/"]],
+    ],
+  },
+  "https://data.iana.org/rdap/ipv4.json": {
+    services: [
+      [["8.0.0.0/8"], ["https://rdap.arin.net/registry/"]],
+      [["8.8.0.0/16"], ["https://rdap.example-nir.net/"]],
+    ],
+  },
+  "https://data.iana.org/rdap/asn.json": {
+    services: [[["1-1876", "15000-16000"], ["https://rdap.arin.net/registry/"]]],
+  },
+};
+
+// Helper function to build a fetcher answering `objects` by URL, next to the bootstrap files
+function createRDAP(objects) {
+  const calls = [];
+  const fetcher = async (url) => {
+    calls.push(url);
+    const body = BOOTSTRAP[url] || objects[url];
+    if (typeof body === "number") return new Response("", { status: body });
+    return body ? Response.json(body) : new Response("", { status: 404 });
+  };
+  return { fetcher, calls };
+}
+
+const vcard = (fields) => ["vcard", [["version", {}, "text", "4.0"], ...fields]];
+
+describe("parseRDAPQuery", () => {
+  it("tells AS numbers, networks and domains apart", () => {
+    assert.equal(parseRDAPQuery("AS13335").path, "autnum/13335");
+    assert.equal(parseRDAPQuery("13335").kind, "autnum");
+    assert.equal(parseRDAPQuery("2001:db8::/32").bootstrap, "ipv6");
+    assert.equal(parseRDAPQuery("Example.COM.").path, "domain/example.com");
+    assert.equal(parseRDAPQuery("bücher.de").domain, "xn--bcher-kva.de");
+    assert.equal(parseRDAPQuery("not a domain"), null);
+  });
+});
+
+describe("findRDAPServer", () => {
+  it("prefers the longest domain suffix and HTTPS", () => {
+    const registry = BOOTSTRAP["https://data.iana.org/rdap/dns.json"];
+    assert.equal(findRDAPServer(registry, parseRDAPQuery("example.com")), "https://rdap.verisign.com/com/v1/");
+    assert.equal(findRDAPServer(registry, parseRDAPQuery("shop.example.co.uk")), "https://rdap.example-registry.uk/");
+    assert.equal(findRDAPServer(registry, parseRDAPQuery("example.org")), null);
+  });
+
+  it("prefers the most specific network and matches AS ranges", () => {
+    assert.equal(findRDAPServer(BOOTSTRAP["https://data.iana.org/rdap/ipv4.json"], parseRDAPQuery("8.8.8.8")), "https://rdap.example-nir.net/");
+    assert.equal(findRDAPServer(BOOTSTRAP["https://data.iana.org/rdap/asn.json"], parseRDAPQuery("AS15169")), "https://rdap.arin.net/registry/");
+  });
+});
+
+describe("lookupRDAP", () => {
+  it("merges the registrar's contacts into a thin registry's answer", async () => {
+    const registrarURL = "https://rdap.registrar.example/domain/example.com";
+    const { fetcher, calls } = createRDAP({
+      "https://rdap.verisign.com/com/v1/domain/example.com": {
+        ldhName: "EXAMPLE.COM",
+        status: ["client transfer prohibited"],
+        events: [{ eventAction: "registration", eventDate: "1995-08-14T04:00:00Z" }, { eventAction: "expiration", eventDate: "2030-08-13T04:00:00Z" }],
+        nameservers: [{ ldhName: "A.IANA-SERVERS.NET" }],
+        secureDNS: { delegationSigned: true },
+        entities: [{ roles: ["registrar"], handle: "376", publicIds: [{ type: "IANA Registrar ID", identifier: "376" }], vcardArray: vcard([["fn", {}, "text", "Example Registrar"]]) }],
+        links: [{ rel: "related", type: "application/rdap+json", href: registrarURL }],
+      },
+      [registrarURL]: {
+        entities: [{ roles: ["abuse"], vcardArray: vcard([["email", {}, "text", "abuse@registrar.example"], ["tel", {}, "uri", "tel:+1.5555550100"]]) }],
+      },
+    });
+
+    const result = await lookupRDAP("example.com", { fetcher });
+    assert.equal(result.name, "example.com");
+    assert.equal(result.created, "1995-08-14T04:00:00Z");
+    assert.equal(result.expires, "2030-08-13T04:00:00Z");
+    assert.deepEqual(result.nameservers, ["a.iana-servers.net"]);
+    assert.equal(result.dnssec, true);
+    assert.deepEqual(result.registrar, { name: "Example Registrar", ianaId: "376", url: undefined });
+    assert.equal(result.abuse.email, "abuse@registrar.example");
+    assert.equal(result.abuse.phone, "+1.5555550100");
+    assert.deepEqual(result.sources, ["https://rdap.verisign.com/com/v1/domain/example.com", registrarURL]);
+    assert.equal(calls[0], "https://data.iana.org/rdap/dns.json");
+  });
+
+  it("reads the CIDRs of an IP network", async () => {
+    const { fetcher } = createRDAP({
+      "https://rdap.example-nir.net/ip/8.8.8.8": { handle: "NET-8-8-8-0-1", startAddress: "8.8.8.0", endAddress: "8.8.8.255", cidr0_cidrs: [{ v4prefix: "8.8.8.0", length: 24 }], country: "US" },
+    });
+    const result = await lookupRDAP("8.8.8.8", { fetcher });
+    assert.equal(result.kind, "ip");
+    assert.deepEqual(result.cidrs, ["8.8.8.0/24"]);
+    assert.equal(result.country, "US");
+  });
+
+  it("answers with the status the API should report", async () => {
+    await assert.rejects(lookupRDAP("not a domain", { fetcher: createRDAP({}).fetcher }), { status: 400 });
+    await assert.rejects(lookupRDAP("example.org", { fetcher: createRDAP({}).fetcher }), { status: 404, message: "No RDAP service is registered for example.org" });
+    await assert.rejects(lookupRDAP("example.com", { fetcher: createRDAP({}).fetcher }), { status: 404, message: "No RDAP record found" });
+    const limited = createRDAP({ "https://rdap.arin.net/registry/autnum/15169": 429 });
+    await assert.rejects(lookupRDAP("AS15169", { fetcher: limited.fetcher }), { status: 503 });
+  });
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import worker from "../src/worker.js";
+import { MAX_COMPARE_RESOLVERS, RESOLVERS, resolveResolverList } from "../src/resolvers.js";
+
+const env = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off" };
+const ctx = { waitUntil() {} };
+
+describe("resolveResolverList", () => {
+  it("drops duplicate resolvers", () => {
+    const resolvers = resolveResolverList("google, Google,https://doh.example/dns-query,https://doh.example/dns-query");
+    assert.deepEqual(resolvers.map(r => r.id), ["google", "https://doh.example/dns-query"]);
+  });
+
+  it("rejects invalid entries", () => {
+    assert.equal(resolveResolverList("google,http://plain.example/dns-query"), null);
+  });
+
+  it("allows as many resolvers as there are built-in ones", () => {
+    assert.equal(MAX_COMPARE_RESOLVERS, Object.keys(RESOLVERS).length);
+  });
+});
+
+describe("/api/dns/compare", () => {
+  it("answers 400 when more resolvers are asked than allowed", async () => {
+    globalThis.fetch = async (url) => {
+      throw new Error(`unexpected subrequest to ${url}`);
+    };
+    const list = Array.from({ length: MAX_COMPARE_RESOLVERS + 1 }, (_, i) => `https://doh${i}.example/dns-query`).join(",");
+    const res = await worker.fetch(new Request(`https://ip.example/api/dns/compare?name=example.com&resolvers=${list}&format=json`), env, ctx);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, "Too many resolvers");
+  });
+});
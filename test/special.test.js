@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ipToBytes, parseCIDR } from "../src/ip.js";
+import { classifyAddress, classifyNetwork, embeddedIPv4 } from "../src/special.js";
+
+describe("classifyAddress", () => {
+  it("marks private, documentation and loopback addresses as bogons", () => {
+    for (const [ip, category] of [["10.1.2.3", "private"], ["192.0.2.1", "documentation"], ["::1", "loopback"], ["fe80::1", "link-local"]]) {
+      const result = classifyAddress(ip);
+      assert.equal(result.bogon, true, ip);
+      assert.equal(result.ranges[0].category, category, ip);
+    }
+  });
+
+  it("leaves public addresses unclassified", () => {
+    assert.deepEqual(classifyAddress("8.8.8.8"), { ranges: [], bogon: false, global: true });
+    assert.deepEqual(classifyAddress("2606:4700::1111"), { ranges: [], bogon: false, global: true });
+  });
+
+  it("treats IPv6 outside 2000::/3 as unallocated", () => {
+    const result = classifyAddress("4000::1");
+    assert.equal(result.bogon, true);
+    assert.equal(result.ranges[0].name, "Unallocated (outside 2000::/3)");
+  });
+
+  it("keeps global translation ranges routable and reports the embedded address", () => {
+    const result = classifyAddress("2002:c000:0201::1");
+    assert.equal(result.bogon, false);
+    assert.equal(result.ranges[0].name, "6to4");
+    assert.deepEqual(result.embedded, { ip: "192.0.2.1", mechanism: "6to4" });
+  });
+
+  it("returns null for anything that is not an address", () => {
+    assert.equal(classifyAddress("example.com"), null);
+    assert.equal(classifyAddress(""), null);
+  });
+});
+
+describe("classifyNetwork", () => {
+  it("calls a network a bogon only when a special range contains all of it", () => {
+    const inside = classifyNetwork(parseCIDR("192.168.10.0/24"));
+    assert.equal(inside.bogon, true);
+    assert.equal(inside.global, false);
+
+    const around = classifyNetwork(parseCIDR("192.0.0.0/16"));
+    assert.equal(around.bogon, false);
+    assert.equal(around.global, false);
+    assert.ok(around.ranges.some(r => r.cidr === "192.0.2.0/24"));
+  });
+});
+
+describe("embeddedIPv4", () => {
+  it("inverts the client address of a Teredo address and reads its server", () => {
+    // RFC 4380 section 4: server 65.54.227.120, client 192.0.2.45 behind a cone NAT
+    assert.deepEqual(embeddedIPv4(ipToBytes("2001:0:4136:e378:8000:63bf:3fff:fdd2")), {
+      ip: "192.0.2.45",
+      mechanism: "teredo",
+      server: "65.54.227.120",
+    });
+  });
+
+  it("reads IPv4-mapped, NAT64 and 6to4 addresses", () => {
+    assert.deepEqual(embeddedIPv4(ipToBytes("::ffff:198.51.100.7")), { ip: "198.51.100.7", mechanism: "ipv4-mapped" });
+    assert.deepEqual(embeddedIPv4(ipToBytes("64:ff9b::203.0.113.5")), { ip: "203.0.113.5", mechanism: "nat64" });
+    // RFC 6052 /48: the address skips bits 64-71
+    assert.deepEqual(embeddedIPv4(ipToBytes("64:ff9b:1:c000:2:2100::")), { ip: "192.0.2.33", mechanism: "nat64" });
+    assert.deepEqual(embeddedIPv4(ipToBytes("2002:0808:0808::1")), { ip: "8.8.8.8", mechanism: "6to4" });
+  });
+
+  it("ignores IPv4 and other IPv6 addresses", () => {
+    assert.equal(embeddedIPv4(ipToBytes("192.0.2.1")), null);
+    assert.equal(embeddedIPv4(ipToBytes("2001:db8::1")), null);
+  });
+});
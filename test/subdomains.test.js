@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { discoverSubdomains, subdomainBudget } from "../src/subdomains.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+describe("subdomainBudget", () => {
+  it("keeps the paid-plan caps and shrinks to the free plan's 50 subrequests", () => {
+    // Five subrequests per address with the default providers
+    assert.deepEqual(subdomainBudget(1000, 5), { names: 200, intel: 50 });
+    assert.deepEqual(subdomainBudget(50, 5), { names: 13, intel: 2 });
+    // Local databases cost nothing
+    assert.deepEqual(subdomainBudget(50, 0), { names: 13, intel: 50 });
+  });
+});
+
+describe("discoverSubdomains", () => {
+  const originalFetch = globalThis.fetch;
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("resolves only the names the subrequest budget allows and reports the rest as truncated", async () => {
+    const zone = {};
+    const entries = [];
+    for (let i = 1; i <= 20; i++) {
+      zone[`host${i}.example.com.`] = { A: [`8.8.4.${i}`] };
+      entries.push({ name_value: `host${i}.example.com`, not_before: "2024-01-01T00:00:00", not_after: `2025-01-${String(i).padStart(2, "0")}T00:00:00` });
+    }
+    const ct = [];
+    // The CT search answers; every IP intelligence provider fails, so each one is asked
+    const { fetcher, calls } = createDoHStub(zone, async (url) => {
+      if (url.host !== "ct.example") return new Response("unavailable", { status: 503 });
+      ct.push(url.toString());
+      return Response.json(entries);
+    });
+    // Resolution goes through the worker-wide fetch(), the CT search through `fetcher`
+    globalThis.fetch = fetcher;
+
+    const result = await discoverSubdomains("example.com", { baseUrl: "https://ct.example/", fetcher, env: {}, subrequests: 50 });
+    assert.equal(ct.length, 1);
+    assert.equal(result.total, 20);
+    assert.equal(result.hosts.length, 13);
+    assert.equal(result.resolved, 13);
+    assert.equal(result.truncated, true);
+    // The newest certificates are resolved first
+    assert.equal(result.hosts[0].name, "host20.example.com");
+    assert.ok(calls.length <= 50, `${calls.length} subrequests`);
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { TYPES } from "../src/dnswire.js";
+import { createDoHTransport, traceDelegation } from "../src/trace.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+const STATUSES = { 0: "NOERROR", 3: "NXDOMAIN", 5: "REFUSED" };
+
+// Helper functions to build decoded messages and records as the transports return them
+const rr = (name, type, data) => ({ name, type: TYPES[type], TTL: 300, data });
+const message = ({ rcode = 0, aa = false, answers = [], authority = [], additional = [] }) =>
+  ({ rcode, status: STATUSES[rcode], flags: { aa }, answers, authority, additional });
+
+// A direct transport whose servers are functions of (name, type) by address; others time out
+function createFakeTransport(servers) {
+  return {
+    id: "fake",
+    direct: true,
+    async query({ server, name, type }) {
+      if (!servers[server.address]) throw new Error(`No answer from ${server.address}`);
+      return servers[server.address](name, type);
+    },
+  };
+}
+
+const root = () => message({
+  authority: [rr("com.", "NS", "a.gtld-servers.net."), rr("com.", "NS", "b.gtld-servers.net.")],
+  additional: [rr("a.gtld-servers.net.", "A", "192.5.6.30"), rr("b.gtld-servers.net.", "A", "192.33.14.30")],
+});
+
+const com = (name, type) => (name === "com." && type === "NS"
+  ? message({ aa: true, answers: [rr("com.", "NS", "a.gtld-servers.net."), rr("com.", "NS", "b.gtld-servers.net.")] })
+  : message({
+    authority: ["ns1.example.com.", "ns2.example.net.", "ns4.example.com."].map(ns => rr("example.com.", "NS", ns)),
+    additional: [rr("ns1.example.com.", "A", "192.0.2.53")],
+  }));
+
+const example = (name, type) => {
+  if (name === "example.com." && type === "NS") {
+    return message({ aa: true, answers: [rr("example.com.", "NS", "ns1.example.com."), rr("example.com.", "NS", "ns3.example.com.")] });
+  }
+  if (name === "missing.example.com.") return message({ rcode: 3, aa: true });
+  return message({ aa: true, answers: [rr(name, "A", "192.0.2.80")] });
+};
+
+const servers = {
+  "198.41.0.4": root,
+  "170.247.170.2": root,
+  "192.5.6.30": com,
+  "192.33.14.30": () => message({ rcode: 5 }),
+  "192.0.2.53": example,
+};
+
+// Addresses of nameservers that came without glue
+const resolve = async (name) => message({ answers: name === "ns2.example.net." ? [rr(name, "A", "198.51.100.53")] : [] });
+
+describe("traceDelegation", () => {
+  it("follows referrals from the root to the answering zone and reports what it saw", async () => {
+    const transport = createFakeTransport(servers);
+    const result = await traceDelegation("www.example.com", "A", { transport, resolve });
+
+    assert.equal(result.status, "answer");
+    assert.deepEqual(result.answers.map(r => r.data), ["192.0.2.80"]);
+    assert.deepEqual(result.steps.map(s => [s.zone, s.referral]), [[".", "com."], ["com.", "example.com."], ["example.com.", null]]);
+    assert.equal(result.steps[0].queries.length, 2);
+    assert.equal(result.steps[1].mismatch, null);
+    assert.deepEqual(result.steps[2].mismatch, { parentOnly: ["ns2.example.net.", "ns4.example.com."], childOnly: ["ns3.example.com."] });
+    assert.deepEqual(result.warnings, [
+      "Lame delegation: b.gtld-servers.net. (192.33.14.30) is listed for com. but answered REFUSED",
+      "Missing glue: ns4.example.com. is inside example.com. but the referral from com. has no address for it",
+      "ns2.example.net. (198.51.100.53) did not answer: No answer from 198.51.100.53",
+      "NS mismatch at example.com.: parent lists ns1.example.com., ns2.example.net., ns4.example.com.; zone lists ns1.example.com., ns3.example.com.",
+    ]);
+  });
+
+  it("ends with nxdomain when the authoritative server says so", async () => {
+    const result = await traceDelegation("missing.example.com", "A", { transport: createFakeTransport(servers), resolve });
+    assert.equal(result.status, "nxdomain");
+  });
+
+  it("reports a zone whose servers are all lame", async () => {
+    const result = await traceDelegation("www.example.com", "A", {
+      transport: createFakeTransport({ ...servers, "192.5.6.30": () => message({ rcode: 5 }) }),
+      resolve,
+    });
+    assert.equal(result.status, "lame");
+    assert.equal(result.steps.length, 2);
+  });
+});
+
+describe("createDoHTransport", () => {
+  it("rebuilds the zone cuts from a recursive resolver", async () => {
+    const { fetcher } = createDoHStub({
+      "com.": { NS: ["a.gtld-servers.net."] },
+      "example.com.": { NS: ["ns1.example.com."] },
+      "ns1.example.com.": { A: ["192.0.2.53"] },
+      "www.example.com.": { A: ["192.0.2.80"] },
+    });
+    const result = await traceDelegation("www.example.com", "A", { transport: createDoHTransport({ fetcher }) });
+    assert.equal(result.status, "answer");
+    assert.equal(result.transport, "doh");
+    assert.deepEqual(result.steps.map(s => s.zone), [".", "com.", "example.com."]);
+    assert.deepEqual(result.steps[2].nameservers, [{ name: "ns1.example.com.", addresses: ["192.0.2.53"], glue: true }]);
+    assert.deepEqual(result.warnings, []);
+  });
+});
@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import worker from "../src/worker.js";
+import { createDoHStub } from "./helpers/doh.js";
+
+const ctx = { waitUntil() {} };
+
+// Workers Sites: the manifest maps file names to the hashed KV keys holding them
+const ASSETS = {
+  "script.abc123.js": "console.log('ip-api');\n",
+  "index.def456.html": "<!DOCTYPE html><title>IP</title>\n",
+};
+const env = {
+  CACHE_BACKEND: "off",
+  RATE_LIMIT_BACKEND: "memory",
+  RATE_LIMIT_TIERS: { anonymous: { requests: 1, window: 60 } },
+  __STATIC_CONTENT_MANIFEST: JSON.stringify({ "script.js": "script.abc123.js", "index.html": "index.def456.html" }),
+  __STATIC_CONTENT: {
+    async get(key) {
+      return key in ASSETS ? new TextEncoder().encode(ASSETS[key]).buffer : null;
+    },
+  },
+};
+
+// Each test gets a client address of its own, so rate limit counters do not carry over
+let client = 0;
+function request(path) {
+  client += 1;
+  return new Request(`https://ip.example${path}`, { headers: { "cf-connecting-ip": `192.0.2.${client}` } });
+}
+
+describe("static assets", () => {
+  before(() => {
+    globalThis.caches = { default: { async match() {}, async put() {} } };
+    // Asset requests must never turn into DNS or IP lookups
+    globalThis.fetch = async (url) => {
+      throw new Error(`unexpected subrequest to ${url}`);
+    };
+  });
+
+  it("serves /script.js from the asset namespace instead of looking it up as a domain", async () => {
+    const res = await worker.fetch(request("/script.js"), env, ctx);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^application\/javascript/);
+    assert.equal(await res.text(), ASSETS["script.abc123.js"]);
+  });
+
+  it("serves /index.html as HTML", async () => {
+    const res = await worker.fetch(request("/index.html"), env, ctx);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/html/);
+  });
+
+  it("does not count asset requests against the rate limit", async () => {
+    const req = request("/script.js");
+    for (let i = 0; i < 3; i++) {
+      const res = await worker.fetch(req.clone(), env, ctx);
+      assert.equal(res.status, 200);
+    }
+    const api = new Request("https://ip.example/api/myip", { headers: req.headers });
+    assert.equal((await worker.fetch(api, env, ctx)).status, 200);
+    assert.equal((await worker.fetch(api.clone(), env, ctx)).status, 429);
+  });
+
+  it("serves assets stored under their plain names when there is no manifest", async () => {
+    const namespace = { get: async key => (key === "script.js" ? new TextEncoder().encode("ok").buffer : null) };
+    const res = await worker.fetch(request("/script.js"), { ...env, __STATIC_CONTENT_MANIFEST: undefined, __STATIC_CONTENT: namespace }, ctx);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "ok");
+  });
+
+  it("still answers path lookups for names that are not assets", async () => {
+    const { fetcher } = createDoHStub({ "example.com.": { MX: ["10 mail.example.com."] } });
+    globalThis.fetch = fetcher;
+    const res = await worker.fetch(request("/example.com/dns/MX?format=json"), env, ctx);
+    assert.equal(res.status, 200);
+    const data = await res.json();
+    assert.equal(data.target, "example.com");
+    assert.equal(data.dns.MX[0].data, "10 mail.example.com.");
+  });
+});
+
+describe("bulk target limit", () => {
+  const bulkEnv = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off" };
+  const bulk = (count, env, network = "192.0.2") => worker.fetch(new Request("https://ip.example/api/bulk", {
+    method: "POST",
+    body: Array.from({ length: count }, (_, i) => `${network}.${i + 1}`).join("\n"),
+  }), env, ctx);
+
+  it("follows the tier below the subrequest budget", async () => {
+    const res = await bulk(21, bulkEnv);
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).message, "At most 20 targets per request; an API key raises the limit");
+  });
+
+  it("fits the targets into the subrequests of one invocation", async () => {
+    const res = await bulk(6, { ...bulkEnv, SUBREQUEST_LIMIT: "50" });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).message, "At most 5 targets per request");
+  });
+
+  it("stays under the free plan's 50 subrequests with every default provider asked", async () => {
+    // Every provider fails, so the whole chain runs for each (public) address
+    const { fetcher, calls } = createDoHStub({}, async () => new Response("unavailable", { status: 503 }));
+    globalThis.fetch = fetcher;
+    const res = await bulk(5, { ...bulkEnv, SUBREQUEST_LIMIT: "50" }, "8.8.4");
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).count, 5);
+    // One PTR query and 1 + 1 + 3 provider fetches per target
+    assert.ok(calls.length <= 50, `${calls.length} subrequests`);
+  });
+
+  it("allows more targets when fewer providers are configured", async () => {
+    const res = await bulk(14, { ...bulkEnv, SUBREQUEST_LIMIT: "50", INTEL_PROVIDERS: "ipapi" });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).message, "At most 13 targets per request");
+  });
+});
+
+describe("disabled features", () => {
+  const disabledEnv = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off", DISABLED_FEATURES: "asn" };
+
+  before(() => {
+    globalThis.fetch = async (url) => {
+      throw new Error(`unexpected subrequest to ${url}`);
+    };
+  });
+
+  it("answers 404 for the path lookup of an AS when /api/asn is disabled", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/8.8.8.8/asn?format=json"), disabledEnv, ctx);
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: "featureDisabled", message: "/8.8.8.8/asn is disabled on this server" });
+  });
+
+  it("answers the same way as the /api/asn endpoint", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/api/asn?asn=15169"), disabledEnv, ctx);
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, "featureDisabled");
+  });
+
+  it("keeps the other features and reports the switches in /api/config", async () => {
+    const cidr = await worker.fetch(new Request("https://ip.example/api/cidr?q=192.0.2.0/30"), disabledEnv, ctx);
+    assert.equal(cidr.status, 200);
+    assert.equal((await cidr.json()).usable, 2);
+
+    const config = await (await worker.fetch(new Request("https://ip.example/api/config"), disabledEnv, ctx)).json();
+    assert.equal(config.features.asn, false);
+    assert.equal(config.features.cidr, true);
+  });
+});
+
+describe("mail selectors", () => {
+  const mailEnv = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off" };
+
+  before(() => {
+    globalThis.fetch = async (url) => {
+      throw new Error(`unexpected subrequest to ${url}`);
+    };
+  });
+
+  it("rejects more than 10 extra DKIM selectors before any lookup", async () => {
+    const selectors = Array.from({ length: 11 }, (_, i) => `s${i}`).join(",");
+    const res = await worker.fetch(new Request(`https://ip.example/api/mail?domain=example.com&selectors=${selectors}`), mailEnv, ctx);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "Too many selectors", message: "At most 10 extra selectors per request" });
+  });
+});
+
+describe("analysis export", () => {
+  const exportEnv = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off", INTEL_PROVIDERS: "mmdb" };
+
+  before(() => {
+    globalThis.fetch = createDoHStub({
+      "example.com.": { A: ["192.0.2.1"], TXT: ['"v=spf1 -all"'], MX: ["10 mail.example.com."] },
+    }).fetcher;
+  });
+
+  it("exports the record types it is asked for as CSV", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/api/analyze?target=example.com&types=A,TXT&asn=1&format=csv"), exportEnv, ctx);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Type"), "text/csv; charset=utf-8");
+    const rows = (await res.text()).trim().split("\r\n");
+    assert.deepEqual(rows.map(row => row.split(",")[0]), ["type", "A", "TXT"]);
+  });
+
+  it("exports the Markdown report", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/api/analyze?target=example.com&types=A&format=md"), exportEnv, ctx);
+    assert.equal(res.headers.get("Content-Type"), "text/markdown; charset=utf-8");
+    const report = await res.text();
+    assert.match(report, /^# ip-api report: example\.com/);
+    assert.match(report, /\| A \| example\.com\.? \| 300 \| 192\.0\.2\.1 \|/);
+  });
+});
+
+describe("record types", () => {
+  const typesEnv = { CACHE_BACKEND: "off", RATE_LIMIT_BACKEND: "off", INTEL_PROVIDERS: "mmdb" };
+
+  before(() => {
+    globalThis.fetch = createDoHStub({
+      "example.com.": { A: ["192.0.2.1"], CAA: ['0 issue "letsencrypt.org"'], MX: ["10 mail.example.com."] },
+      "_sip._udp.example.com.": { SRV: ["10 5 5060 sip.example.com."] },
+    }).fetcher;
+  });
+
+  it("returns the parsed fields of the types picked with ?types=", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/api/analyze?target=example.com&types=caa,MX"), typesEnv, ctx);
+    assert.equal(res.status, 200);
+    const { dns } = await res.json();
+    assert.deepEqual(Object.keys(dns).sort(), ["CAA", "MX"]);
+    assert.deepEqual(dns.CAA[0].fields, { flags: 0, tag: "issue", value: "letsencrypt.org" });
+    assert.deepEqual(dns.MX[0].fields, { preference: 10, exchange: "mail.example.com." });
+  });
+
+  it("looks up a single extended type", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/_sip._udp.example.com/dns/srv"), typesEnv, ctx);
+    const body = await res.json();
+    assert.deepEqual(body.dns.SRV[0].fields, { priority: 10, weight: 5, port: 5060, target: "sip.example.com." });
+  });
+
+  it("rejects unsupported types", async () => {
+    const res = await worker.fetch(new Request("https://ip.example/api/analyze?target=example.com&types=A,OPT"), typesEnv, ctx);
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.error, "Unsupported record type");
+    assert.match(body.message, /CAA, SRV, DS/);
+  });
+});